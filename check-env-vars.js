@@ -40,6 +40,7 @@ const optionalVars = {
   'PORT': 'Server port (defaults to 3000)',
   'ALLOWED_ORIGINS': 'CORS allowed origins',
   'PAYPAL_MODE': 'PayPal mode (sandbox/live)',
+  'PUBLIC_API_URL': 'Public base URL of this API (used in calendar subscription links)',
 };
 
 console.log('🔍 Checking Environment Variables\n');
@@ -0,0 +1,26 @@
+// Load .env first: the pool and Cloudinary read their settings when required
+require('dotenv').config();
+const { pool } = require('./src/config/database');
+const postCleanupService = require('./src/services/post-cleanup-service');
+
+// Archive expired posts and delete long-archived ones, as the server does
+// hourly:
+//   npm run cleanup-posts
+
+async function cleanupPosts() {
+  try {
+    const { archived, deleted } = await postCleanupService.cleanupExpiredPosts();
+    console.log(`🧹 Archived posts: ${archived.length}, deleted posts: ${deleted.length}`);
+  } catch (error) {
+    console.error('❌ Post cleanup failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  cleanupPosts();
+}
+
+module.exports = { cleanupPosts };
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const { pool, initDatabase } = require('./src/config/database');
+const dbService = require('./src/services/database-service');
+const poiImportService = require('./src/services/poi-import-service');
+require('dotenv').config();
+
+// Import POIs from a GeoJSON, KML or CSV file:
+//   npm run import-pois -- <file> --user <email> [--format csv] [--dry-run] [--allow-duplicates]
+
+const USAGE = 'Usage: npm run import-pois -- <file> --user <email> [--format geojson|kml|csv] [--dry-run] [--allow-duplicates]';
+
+const parseArgs = (argv) => {
+  const options = { dryRun: false, allowDuplicates: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--user') options.user = argv[++i];
+    else if (arg === '--format') options.format = argv[++i];
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--allow-duplicates') options.allowDuplicates = true;
+    else if (!options.file) options.file = arg;
+  }
+  return options;
+};
+
+async function importPOIs(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  if (!options.file || !options.user) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const content = fs.readFileSync(options.file, 'utf8');
+    const format = options.format
+      ? options.format.toLowerCase()
+      : poiImportService.detectImportFormat(options.file, content);
+    const parsed = poiImportService.parseImportFile(format, content);
+    if (parsed.error) {
+      console.error('❌', parsed.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    await initDatabase();
+    const user = await dbService.getUserByEmail(options.user);
+    if (!user) {
+      console.error(`❌ No user with email ${options.user}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`📍 Importing ${parsed.entries.length} places from ${options.file} (${format})${options.dryRun ? ' - dry run' : ''}`);
+    const report = await poiImportService.importPOIs(parsed.entries, {
+      userId: user.id,
+      dryRun: options.dryRun,
+      allowDuplicates: options.allowDuplicates
+    });
+
+    for (const row of report.rows) {
+      const label = `row ${row.row}${row.name ? ` (${row.name})` : ''}`;
+      if (row.status === 'created') {
+        console.log(`✅ ${label}: ${options.dryRun ? 'would be created' : `created POI ${row.poiId}`}`);
+      } else if (row.status === 'skipped') {
+        const matches = row.duplicates.map(duplicate => (duplicate.id ? `POI ${duplicate.id}` : `row ${duplicate.row}`)).join(', ');
+        console.log(`⏭️ ${label}: skipped, likely duplicate of ${matches}`);
+      } else {
+        console.log(`❌ ${label}: ${row.reason}`);
+      }
+    }
+    const { summary } = report;
+    console.log(`🎉 ${summary.created} created, ${summary.skipped} skipped, ${summary.failed} failed`);
+  } catch (error) {
+    console.error('❌ POI import failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  importPOIs();
+}
+
+module.exports = { importPOIs };
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 const llmService = require('../src/services/llm-service');
+const { validateItinerary, extractItineraryBlock } = require('../src/utils/itinerary-validator');
 
 // Middleware to authenticate user (defined in server-simple.js)
 const authenticateUser = (req, res, next) => {
@@ -73,13 +74,18 @@ router.post('/chat', authenticateUser, async (req, res) => {
       });
     }
 
+    // An [ITINERARY] block in the reply comes back with its validation
+    // warnings, like itineraries saved through the trip endpoints
+    const itinerary = extractItineraryBlock(result.data.content);
+
     // Success response
     res.json({
       success: true,
       data: {
         content: result.data.content,
         model: result.data.model,
-        usage: result.data.usage
+        usage: result.data.usage,
+        itineraryWarnings: itinerary ? validateItinerary(itinerary).warnings : []
       },
       message: result.message
     });
@@ -5,6 +5,7 @@ const rateLimit = require('express-rate-limit');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const fs = require('fs');
+const crypto = require('crypto');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 const { Expo } = require('expo-server-sdk');
@@ -15,6 +16,28 @@ const PORT = process.env.PORT || 3000;
 
 const { pool, initDatabase, testConnection } = require('./src/config/database');
 const dbService = require('./src/services/database-service');
+const cloudinaryService = require('./src/services/cloudinary');
+const calendarService = require('./src/services/calendar-service');
+const mapExportService = require('./src/services/map-export-service');
+const poiImportService = require('./src/services/poi-import-service');
+const postCleanupService = require('./src/services/post-cleanup-service');
+const tripRevisions = require('./src/utils/trip-revisions');
+const expenseUtils = require('./src/utils/expenses');
+const settlement = require('./src/utils/settlement');
+const { toDateString, getDayDate, getItineraryDays, normalizeActivity, getActivityPoiId, addActivitiesToDay } = require('./src/utils/itinerary');
+const geo = require('./src/utils/geo');
+const mapTiles = require('./src/utils/map-tiles');
+const poiCategories = require('./src/utils/poi-categories');
+const poiDuplicates = require('./src/utils/poi-duplicates');
+const openingHours = require('./src/utils/opening-hours');
+const { validatePOIDetails } = require('./src/utils/poi-details');
+const poiEdits = require('./src/utils/poi-edits');
+const poiCheckIns = require('./src/utils/check-ins');
+const poiRatings = require('./src/utils/poi-ratings');
+const feed = require('./src/utils/feed');
+const postExpiry = require('./src/utils/post-expiry');
+const { validateItinerary } = require('./src/utils/itinerary-validator');
+const tripTemplates = require('./src/utils/trip-templates');
 
 // Initialize Expo client
 const expo = new Expo();
@@ -113,26 +136,22 @@ async function initializeServer() {
 
 // Database operations are now handled by dbService
 
-// Helper function to delete posts older than 24 hours
+// Helper function to archive expired posts and delete long-archived ones
 async function cleanupOldPosts() {
   try {
-    console.log('🧹 Starting cleanup of posts older than 24 hours...');
-    
-    // First, get posts that will be deleted (for logging)
-    const oldPosts = await dbService.getPostsOlderThan(24);
-    console.log(`📊 Found ${oldPosts.length} posts older than 24 hours`);
-    
-    if (oldPosts.length > 0) {
-      console.log('🗑️ Posts to be deleted:');
-      oldPosts.forEach(post => {
+    console.log('🧹 Starting cleanup of expired posts...');
+    const { archived, deleted } = await postCleanupService.cleanupExpiredPosts();
+
+    if (archived.length > 0) {
+      console.log('🗄️ Posts moved to the archive:');
+      archived.forEach(post => {
         console.log(`   - ID: ${post.id}, Created: ${post.created_at}, Content: ${post.content?.substring(0, 50)}...`);
       });
-      
-      // Delete the old posts
-      const deletedPosts = await dbService.deletePostsOlderThan(24);
-      console.log(`✅ Successfully deleted ${deletedPosts.length} posts older than 24 hours`);
+    }
+    if (archived.length > 0 || deleted.length > 0) {
+      console.log(`✅ Archived ${archived.length} expired posts, deleted ${deleted.length} archived more than ${postExpiry.ARCHIVE_RETENTION_DAYS} days ago`);
     } else {
-      console.log('✨ No posts older than 24 hours found');
+      console.log('✨ No expired posts found');
     }
   } catch (error) {
     console.error('❌ Error during post cleanup:', error);
@@ -152,17 +171,7 @@ function schedulePostCleanup() {
 
 // Schedule cleanup tasks
 const scheduleCleanupTasks = () => {
-  // Clean up old posts every hour
-  setInterval(async () => {
-    try {
-      const deletedCount = await dbService.deletePostsOlderThan(24);
-      if (deletedCount > 0) {
-        console.log(`🧹 Cleaned up ${deletedCount} old posts`);
-    }
-  } catch (error) {
-    console.error('❌ Error during post cleanup:', error);
-  }
-  }, 60 * 60 * 1000); // Every hour
+  // Expired posts are cleaned up hourly by schedulePostCleanup
 
   // Clean up expired verification tokens every 6 hours
   setInterval(async () => {
@@ -243,6 +252,11 @@ const generateToken = (userId) => {
   return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '7d' });
 };
 
+// Helper function to generate an unguessable, URL-safe token (share links, feeds)
+const generateShareId = () => {
+  return crypto.randomBytes(16).toString('base64url');
+};
+
 // Helper function to verify JWT token
 const authenticateUser = (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
@@ -520,30 +534,20 @@ app.post('/api/admin/cleanup-posts', authenticateUser, async (req, res) => {
     // For now, allow any authenticated user to trigger cleanup
     // In production, you might want to restrict this to admin users only
     
-    // Get posts that will be deleted
-    const oldPosts = await dbService.getPostsOlderThan(24);
-    console.log(`📊 Found ${oldPosts.length} posts older than 24 hours`);
-    
-    if (oldPosts.length === 0) {
-      return res.json({ 
-        data: { 
-          message: 'No posts older than 24 hours found',
-          deletedCount: 0,
-          oldPosts: []
-        } 
-      });
-    }
-    
-    // Delete the old posts
-    const deletedPosts = await dbService.deletePostsOlderThan(24);
+    const { archived, deleted } = await postCleanupService.cleanupExpiredPosts();
     
-    console.log(`✅ Manual cleanup completed: ${deletedPosts.length} posts deleted`);
+    console.log(`✅ Manual cleanup completed: ${archived.length} posts archived, ${deleted.length} deleted`);
     
     res.json({ 
       data: { 
-        message: `Successfully deleted ${deletedPosts.length} posts older than 24 hours`,
-        deletedCount: deletedPosts.length,
-        deletedPosts: deletedPosts.map(p => ({
+        message: `Archived ${archived.length} expired posts and deleted ${deleted.length} archived more than ${postExpiry.ARCHIVE_RETENTION_DAYS} days ago`,
+        archivedCount: archived.length,
+        deletedCount: deleted.length,
+        archivedPosts: archived.map(p => ({
+          id: p.id,
+          created_at: p.created_at
+        })),
+        deletedPosts: deleted.map(p => ({
           id: p.id,
           created_at: p.created_at
         }))
@@ -575,7 +579,7 @@ app.post('/api/migrate', async (req, res) => {
         console.log('⚠️ User dev@tripyy.com already exists, checking if migration is needed...');
         
         // Check if we have the expected data
-        const hasTrips = existingUser.trips && existingUser.trips.length > 0;
+        const hasTrips = await dbService.getUserTripCount(existingUser.id) > 0;
         const hasPOIs = await dbService.getPOICount() > 0;
         
         if (hasTrips && hasPOIs) {
@@ -631,12 +635,13 @@ app.post('/api/migrate', async (req, res) => {
             friends: userData.friends || [],
             communities: userData.communities || [],
             posts: userData.posts || [],
-            trips: userData.trips || [],
             likes: userData.likes || 0,
             lastKnownLocation: userData.lastKnownLocation || null
           });
           
-          console.log(`✅ User migrated: ${userData.email} (ID: ${userId})`);
+          const importedTrips = await dbService.importLegacyTrips(userId, userData.trips || []);
+          
+          console.log(`✅ User migrated: ${userData.email} (ID: ${userId}, ${importedTrips} trips)`);
           userData._newId = userId;
           migratedCount++;
         } catch (error) {
@@ -1253,15 +1258,17 @@ app.get('/api/user/stats', authenticateUser, async (req, res) => {
     }
 
     // Calculate stats from database
-    const userTrips = await dbService.getUserTrips(req.userId);
+    const tripCount = await dbService.getUserTripCount(req.userId);
+    const visited = await dbService.getUserVisitStats(req.userId);
     const userFriends = user.friends || [];
     const userLikes = user.likes || 0;
 
     res.json({ 
       data: {
-        trips: userTrips.length,
+        trips: tripCount,
         friends: userFriends.length,
-        likes: userLikes
+        likes: userLikes,
+        visited
       }
     });
   } catch (error) {
@@ -1294,18 +1301,23 @@ app.get('/api/user/stats/:identifier', authenticateUser, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Calculate stats from database
-    const userTrips = await dbService.getUserTrips(userId);
+    // Calculate stats from database. Where someone has been comes from their
+    // check-ins, so only they see it.
+    const tripCount = await dbService.getUserTripCount(userId);
     const userFriends = user.friends || [];
     const userLikes = user.likes || 0;
+    const stats = {
+      trips: tripCount,
+      friends: userFriends.length,
+      likes: userLikes
+    };
+    if (String(user.id) === String(req.userId)) {
+      stats.visited = await dbService.getUserVisitStats(user.id);
+    }
 
     res.json({ 
       success: true,
-      data: {
-        trips: userTrips.length,
-        friends: userFriends.length,
-        likes: userLikes
-      }
+      data: stats
     });
   } catch (error) {
     console.error('Get user stats by ID error:', error);
@@ -1479,7 +1491,55 @@ app.put('/api/user/llm-config', authenticateUser, async (req, res) => {
   }
 });
 
-// Create trip in users table trips column
+// Helper function to load the POIs an itinerary's activities reference, as a Map by id
+const getItineraryPOIs = async (itinerary) => {
+  const poiIds = [...new Set(getItineraryDays(itinerary)
+    .flatMap(day => Array.isArray(day?.activities) ? day.activities : [])
+    .map(normalizeActivity)
+    .filter(Boolean)
+    .map(getActivityPoiId)
+    .filter(id => id !== null))];
+  const pois = await dbService.getPOIsByIds(poiIds);
+  return new Map(pois.map(poi => [poi.id, poi]));
+};
+
+// Helper function to check a saved trip's itinerary; problems are reported, not rejected
+const getItineraryWarnings = async (trip) => {
+  return validateItinerary(trip.itinerary, {
+    startDate: trip.start_date,
+    endDate: trip.end_date,
+    poisById: await getItineraryPOIs(trip.itinerary)
+  }).warnings;
+};
+
+// Helper function to format a trip the way /api/user/trips has always returned it.
+// These routes are a compatibility view over the trips table: trips moved out of
+// users.trips keep their old id, and tripId is the id used by /api/trips.
+const formatUserTrip = (trip) => ({
+  id: trip.legacy_trip_id || String(trip.id),
+  tripId: trip.id,
+  name: trip.name,
+  destination: trip.destination,
+  summary: trip.summary,
+  share_type: trip.share_type,
+  shareType: trip.share_type,
+  start_date: toDateString(trip.start_date),
+  end_date: toDateString(trip.end_date),
+  dates: { start: toDateString(trip.start_date), end: toDateString(trip.end_date) },
+  local_trip_id: trip.local_trip_id,
+  owner_id: trip.owner_id,
+  budget: trip.budget,
+  itinerary: trip.itinerary,
+  preferences: trip.preferences,
+  tips: trip.tips,
+  suggestions: trip.suggestions,
+  traveler_profile: trip.traveler_profile,
+  numberOfTravelers: trip.numberoftravelers,
+  created_at: trip.created_at,
+  updated_at: trip.updated_at
+});
+
+// Create trip (compatibility route, stored in the trips table)
 app.post('/api/user/trips', authenticateUser, async (req, res) => {
   try {
     const { name, destination, summary, share_type, start_date, end_date, local_trip_id, owner_id, budget, itinerary, tips, suggestions, traveler_profile, numberOfTravelers } = req.body;
@@ -1491,51 +1551,38 @@ app.post('/api/user/trips', authenticateUser, async (req, res) => {
     console.log(`🔄 Creating trip "${name}" for user ${req.userId}`);
     console.log(`📝 Trip data:`, JSON.stringify(req.body, null, 2));
     
-    // Get current user to access existing trips
     const user = await dbService.getUserById(req.userId);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    // Prepare new trip data
-    const newTrip = {
-      id: `trip_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    const savedTrip = await dbService.createUserTrip({
+      userId: req.userId,
       name,
-      destination: destination || '',
-      summary: summary || '',
-      share_type: share_type || 'private',
-      start_date: start_date || null,
-      end_date: end_date || null,
-      local_trip_id: local_trip_id || null,
-      owner_id: owner_id || req.userId,
-      budget: budget || { total: 0, spent: 0, currency: 'USD' },
-      itinerary: itinerary || [],
-      tips: tips || [],
-      suggestions: suggestions || [],
-      traveler_profile: traveler_profile || {},
-      // Store numberOfTravelers at the root level as requested
-      numberOfTravelers: numberOfTravelers || null,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-    
-    // Get existing trips and add new trip
-    const existingTrips = user.trips || [];
-    const updatedTrips = [...existingTrips, newTrip];
-    
-    console.log(`📊 User currently has ${existingTrips.length} trips, adding new trip`);
-    
-    // Update user's trips column in database
-    const updatedUser = await dbService.updateUser(user.email, { trips: updatedTrips });
+      destination,
+      summary,
+      share_type,
+      start_date,
+      end_date,
+      local_trip_id,
+      owner_id,
+      budget,
+      itinerary,
+      tips,
+      suggestions,
+      traveler_profile,
+      numberOfTravelers
+    });
+    const totalTrips = await dbService.getUserTripCount(req.userId);
     
-    console.log(`✅ Trip "${name}" saved successfully to user's trips column`);
-    console.log(`📊 User now has ${updatedTrips.length} trips`);
+    console.log(`✅ Trip "${name}" saved successfully (ID: ${savedTrip.id})`);
     
     res.status(201).json({ 
       data: { 
-        trip: newTrip,
+        trip: formatUserTrip(savedTrip),
+        warnings: await getItineraryWarnings(savedTrip),
         message: 'Trip saved successfully',
-        totalTrips: updatedTrips.length
+        totalTrips
       } 
     });
     
@@ -1545,26 +1592,20 @@ app.post('/api/user/trips', authenticateUser, async (req, res) => {
   }
 });
 
-// Update trip in users table trips column
+// Update trip (compatibility route, stored in the trips table)
 app.put('/api/user/trips/:tripId', authenticateUser, async (req, res) => {
   try {
     const { tripId } = req.params;
     const updates = req.body;
     
     console.log(`🔄 Updating trip ${tripId} for user ${req.userId}`);
-    console.log(`📝 Update data:`, JSON.stringify(updates, null, 2));
     
-    // Get current user from database
     const user = await dbService.getUserById(req.userId);
     if (!user) {
       console.log(`❌ User not found: ${req.userId}`);
       return res.status(404).json({ error: 'User not found' });
     }
     
-    console.log(`✅ Found user: ${user.email}`);
-    console.log(`📊 User currently has ${user.trips?.length || 0} trips`);
-    
-    // Use the database service method to update the trip
     const updatedTrip = await dbService.updateUserTrip(req.userId, tripId, updates);
     
     console.log(`✅ Trip "${updatedTrip.name}" updated successfully for user ${user.email}`);
@@ -1572,7 +1613,8 @@ app.put('/api/user/trips/:tripId', authenticateUser, async (req, res) => {
     res.json({ 
       data: { 
         message: 'Trip updated successfully',
-        trip: updatedTrip
+        trip: formatUserTrip(updatedTrip),
+        warnings: await getItineraryWarnings(updatedTrip)
       } 
     });
     
@@ -1591,41 +1633,33 @@ app.put('/api/user/trips/:tripId', authenticateUser, async (req, res) => {
   }
 });
 
-// Delete trip from users table trips column
+// Delete trip (compatibility route, stored in the trips table)
 app.delete('/api/user/trips/:tripId', authenticateUser, async (req, res) => {
   try {
     const { tripId } = req.params;
     
     console.log(`🗑️ Deleting trip ${tripId} for user ${req.userId}`);
     
-    // Get current user from database
     const user = await dbService.getUserById(req.userId);
     if (!user) {
       console.log(`❌ User not found: ${req.userId}`);
       return res.status(404).json({ error: 'User not found' });
     }
     
-    console.log(`✅ Found user: ${user.email}`);
-    console.log(`📊 User currently has ${user.trips?.length || 0} trips`);
-    
-    // Use the database service method to delete the trip
     const deletedTrip = await dbService.deleteUserTrip(req.userId, tripId);
+    const remainingTrips = await dbService.getUserTripCount(req.userId);
     
     console.log(`✅ Trip "${deletedTrip.name}" deleted successfully from user ${user.email}`);
     
-    // Get updated user to confirm deletion
-    const updatedUser = await dbService.getUserById(req.userId);
-    console.log(`📊 User now has ${updatedUser.trips?.length || 0} trips`);
-    
     res.json({ 
       data: { 
         message: 'Trip deleted successfully',
         deletedTrip: {
-          id: deletedTrip.id,
+          id: deletedTrip.legacy_trip_id || String(deletedTrip.id),
           name: deletedTrip.name,
           destination: deletedTrip.destination
         },
-        remainingTrips: updatedUser.trips?.length || 0
+        remainingTrips
       } 
     });
     
@@ -1644,50 +1678,6 @@ app.delete('/api/user/trips/:tripId', authenticateUser, async (req, res) => {
   }
 });
 
-// Test endpoint to verify share type updates
-app.put('/api/test-share-type/:tripId', authenticateUser, async (req, res) => {
-  try {
-    const { tripId } = req.params;
-    const { shareType } = req.body;
-    
-    console.log(`🧪 Testing share type update for trip ${tripId}`);
-    console.log(`📝 Share type to set: ${shareType}`);
-    
-    // Get current user and trip
-    const user = await dbService.getUserById(req.userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    
-    const currentTrip = user.trips?.find(trip => trip.id === tripId);
-    if (!currentTrip) {
-      return res.status(404).json({ error: 'Trip not found' });
-    }
-    
-    console.log(`📊 Current trip share type: ${currentTrip.share_type || 'undefined'}`);
-    
-    // Update only the share type
-    const updatedTrip = await dbService.updateUserTrip(req.userId, tripId, { shareType });
-    
-    console.log(`✅ Trip updated successfully`);
-    console.log(`📊 New share type: ${updatedTrip.share_type}`);
-    
-    res.json({ 
-      data: { 
-        message: 'Share type test successful',
-        tripId,
-        oldShareType: currentTrip.share_type || 'undefined',
-        newShareType: updatedTrip.share_type,
-        trip: updatedTrip
-      } 
-    });
-    
-  } catch (error) {
-    console.error('❌ Share type test error:', error);
-    res.status(500).json({ error: 'Share type test failed' });
-  }
-});
-
 // Communities endpoints
 app.get('/api/communities', async (req, res) => {
   try {
@@ -1816,34 +1806,6 @@ app.post('/api/communities', authenticateUser, async (req, res) => {
       createdAt: new Date().toISOString(),
     };
 
-// Join community endpoint
-app.post('/api/communities/:communityId/join', authenticateUser, async (req, res) => {
-  try {
-    const { communityId } = req.params;
-    const userId = req.userId;
-    
-    const result = await dbService.joinCommunity(userId, communityId);
-    res.json({ data: { message: 'Successfully joined community', community: result } });
-  } catch (error) {
-    console.error('Join community error:', error);
-    res.status(500).json({ error: 'Failed to join community' });
-  }
-});
-
-// Leave community endpoint
-app.post('/api/communities/:communityId/leave', authenticateUser, async (req, res) => {
-  try {
-    const { communityId } = req.params;
-    const userId = req.userId;
-    
-    const result = await dbService.leaveCommunity(userId, communityId);
-    res.json({ data: { message: 'Successfully left community', community: result } });
-  } catch (error) {
-    console.error('Leave community error:', error);
-    res.status(500).json({ error: 'Failed to leave community' });
-  }
-});
-
     // Store community in database
     const savedCommunity = await dbService.createCommunity(community);
 
@@ -1868,36 +1830,104 @@ app.post('/api/communities/:communityId/leave', authenticateUser, async (req, re
   }
 });
 
-// Posts endpoints
-app.get('/api/posts', async (req, res) => {
+// Set how long posts in a community stay up (creator only). Older posts move
+// to their authors' archives; null lets posts follow their own lifetime.
+app.put('/api/communities/:communityId/retention', authenticateUser, async (req, res) => {
   try {
-    // Get all posts from database
-    const posts = await dbService.getAllPosts();
-    
-    // Enrich posts with complete user details
-    const enrichedPosts = await Promise.all(posts.map(async (post) => {
-      const user = await dbService.getUserById(post.user_id);
-      
-      // Enrich comments with user details
-      let enrichedComments = [];
-      if (post.comments && Array.isArray(post.comments)) {
-        enrichedComments = await Promise.all(post.comments.map(async (comment) => {
-          if (comment.userId) {
-            const commentUser = await dbService.getUserById(comment.userId);
-            return {
-              ...comment,
-              userName: commentUser?.traveler_profile?.name || commentUser?.name || comment.userNickname || 'Anonymous',
-              userNickname: commentUser?.traveler_profile?.nickname || comment.userNickname,
-              userPhoto: commentUser?.traveler_profile?.photo || comment.userPhoto,
-              likes: Array.isArray(comment.likes) ? comment.likes : [],
-            };
-          }
-          return comment;
-        }));
-      }
-      
-      // Ensure complete author information from travelerProfile
-      const authorInfo = user ? {
+    const { communityId } = req.params;
+    const validation = postExpiry.validateRetentionHours(req.body.postRetentionHours);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const community = await dbService.getCommunityById(communityId);
+    if (!community) {
+      return res.status(404).json({ error: 'Community not found' });
+    }
+    if (String(community.created_by) !== String(req.userId)) {
+      return res.status(403).json({ error: 'Only the community creator can change its retention' });
+    }
+
+    const updatedCommunity = await dbService.updateCommunity(communityId, {
+      postRetentionHours: validation.values
+    });
+    res.json({ data: { community: updatedCommunity } });
+  } catch (error) {
+    console.error('Update community retention error:', error);
+    res.status(500).json({ error: 'Failed to update community retention' });
+  }
+});
+
+// Posts endpoints
+// Helper function to read the connected POI stored on a post (object or JSON
+// string). POIs saved without an id get a generated one so the app can key them.
+const readConnectedPOI = (post) => {
+  let poi = post.connected_poi;
+  if (typeof poi === 'string') {
+    try {
+      poi = JSON.parse(poi);
+    } catch (parseError) {
+      console.error('❌ Failed to parse POI string of post', post.id, parseError);
+      poi = null;
+    }
+  }
+  if (!poi || typeof poi !== 'object') return null;
+
+  if (!poi.id) {
+    console.error('🚨 CRITICAL: POI ID missing in post data, post ID:', post.id);
+  }
+  return {
+    id: poi.id || `poi_fallback_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name: poi.name || (poi.id ? '' : 'Unknown POI'),
+    description: poi.description || '',
+    coordinates: poi.coordinates || poi.location || null,
+    photo: poi.photo || null,
+    icon: poi.icon || '',
+    type: poi.type || 'public',
+    author: poi.author || '',
+    user_id: poi.user_id
+  };
+};
+
+// Helper function to add likes, author details, comment authors and the
+// connected POI to post rows. Authors are looked up in one query.
+const enrichPosts = async (rows) => {
+  const posts = await attachPostLikes(rows);
+  const userIds = new Set();
+  for (const post of posts) {
+    if (post.user_id) userIds.add(String(post.user_id));
+    for (const comment of Array.isArray(post.comments) ? post.comments : []) {
+      if (comment && comment.userId) userIds.add(String(comment.userId));
+    }
+  }
+  const users = await dbService.getUsersByIds([...userIds]);
+  const usersById = new Map(users.map(user => [String(user.id), user]));
+
+  return posts.map(post => {
+    const user = usersById.get(String(post.user_id));
+    const comments = Array.isArray(post.comments)
+      ? post.comments.map(comment => {
+          if (!comment || !comment.userId) return comment;
+          const commentUser = usersById.get(String(comment.userId));
+          return {
+            ...comment,
+            userName: commentUser?.traveler_profile?.name || commentUser?.name || comment.userNickname || 'Anonymous',
+            userNickname: commentUser?.traveler_profile?.nickname || comment.userNickname,
+            userPhoto: commentUser?.traveler_profile?.photo || comment.userPhoto,
+            likes: Array.isArray(comment.likes) ? comment.likes : [],
+            likeCount: Array.isArray(comment.likes) ? comment.likes.length : 0
+          };
+        })
+      : [];
+    // Drop the internal columns of the post queries from the response
+    const { geo_point, feed_rank, cursor_created_at, total_count, ...fields } = post;
+
+    return {
+      ...fields,
+      comments,
+      commentCount: comments.length,
+      likeCount: post.like_count || 0,
+      author: user ? {
         id: user.id,
         name: user.traveler_profile?.name || user.name || 'Unknown User',
         nickname: user.traveler_profile?.nickname || user.name || 'Unknown User',
@@ -1909,108 +1939,101 @@ app.get('/api/posts', async (req, res) => {
         nickname: 'Unknown User',
         photo: null,
         email: null
-      };
-      
-      console.log(`🎯 Post author info:`, JSON.stringify(authorInfo, null, 2));
-      
-      // Process connected POI data if present
-      let connectedPOIData = null;
-      
-      // DEBUG: Log the raw connected_poi data to see what we're getting
-      console.log(`🔍 Raw connected_poi data for post ${post.id}:`, {
-        value: post.connected_poi,
-        type: typeof post.connected_poi,
-        isObject: typeof post.connected_poi === 'object',
-        isString: typeof post.connected_poi === 'string',
-        isNull: post.connected_poi === null,
-        isUndefined: post.connected_poi === undefined
-      });
-      
-      if (post.connected_poi) {
-        let poi = post.connected_poi;
-        
-        // Handle case where connected_poi might be a string (JSONB parsing issue)
-        if (typeof poi === 'string') {
-          try {
-            console.log('🔄 Parsing string POI data:', poi);
-            poi = JSON.parse(poi);
-            console.log('✅ Successfully parsed POI string to object:', poi);
-          } catch (parseError) {
-            console.error('❌ Failed to parse POI string:', parseError);
-            console.error('❌ Raw string data:', poi);
-            poi = null;
-          }
-        }
-        
-        // Now check if we have a valid POI object
-        if (poi && typeof poi === 'object' && poi !== null) {
-          // CRITICAL: Validate that POI ID is present
-          if (!poi.id) {
-            console.error('🚨 CRITICAL: POI ID missing in post data:', JSON.stringify(poi, null, 2));
-            console.error('🚨 Post ID:', post.id, 'User ID:', post.user_id);
-            
-            // Generate a fallback ID to prevent frontend errors
-            const fallbackId = `poi_fallback_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-            console.log('🔧 Generated fallback POI ID:', fallbackId);
-            
-            connectedPOIData = {
-              id: fallbackId,  // ← CRITICAL: Ensure ID is always present
-              name: poi.name || 'Unknown POI',
-              description: poi.description || '',
-              coordinates: poi.coordinates || poi.location || null,
-              photo: poi.photo || null,
-              icon: poi.icon || '',
-              type: poi.type || 'public',
-              author: poi.author || '',
-              user_id: poi.user_id
-            };
-          } else {
-            connectedPOIData = {
-              id: poi.id,  // ← CRITICAL: Use existing POI ID
-              name: poi.name || '',
-              description: poi.description || '',
-              coordinates: poi.coordinates || poi.location || null,
-              photo: poi.photo || null,
-              icon: poi.icon || '',
-              type: poi.type || 'public',
-              author: poi.author || '',
-              user_id: poi.user_id
-            };
-            console.log('✅ Post connected POI data with ID:', poi.id);
-          }
-          
-          console.log('📍 Complete POI data for frontend:', JSON.stringify(connectedPOIData, null, 2));
-        } else {
-          console.log('⚠️ Invalid POI data structure:', poi);
-        }
-      }
-
-          return {
-        ...post,
-        comments: enrichedComments,
-        commentCount: enrichedComments.length,
-        likeCount: post.like_count || 0,
-        author: authorInfo,
-        connectedPOI: connectedPOIData
-      };
-    }));
-
-    // Sort by creation date (newest first)
-    enrichedPosts.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-    
-    console.log(`📝 Returning ${enrichedPosts.length} posts with enriched author data`);
-    const normalizedPosts = enrichedPosts.map(p => ({
-      ...p,
+      },
+      connectedPOI: readConnectedPOI(post),
       // Map to camelCase for frontend consistency
-      createdAt: p.created_at ?? null
-    }));
-    res.json({ data: { posts: normalizedPosts } });
+      createdAt: post.created_at ?? null,
+      expiresAt: post.expires_at ?? null,
+      lifetime: post.expires_at ? 'story' : 'permanent'
+    };
+  });
+};
+
+// Every post, newest first. The app's home feed uses the paginated GET /api/feed.
+app.get('/api/posts', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { posts: rows, total } = await dbService.getPosts(limit, offset);
+    const posts = await enrichPosts(rows);
+    console.log(`📝 Returning ${posts.length} posts with enriched author data`);
+    res.json({ data: { posts, pagination: { total, limit, offset } } });
   } catch (error) {
     console.error('Get posts error:', error);
     res.status(500).json({ error: 'Failed to get posts' });
   }
 });
 
+// Home feed, one page at a time: ?sort=latest|trending|friends|nearby
+// (nearby needs near=lat,lng and takes radius in km), limit, and the cursor
+// returned as nextCursor for the following page.
+app.get('/api/feed', authenticateUser, async (req, res) => {
+  try {
+    const sort = req.query.sort || 'latest';
+    if (!feed.FEED_SORTS.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of ${feed.FEED_SORTS.join(', ')}` });
+    }
+    let cursor = null;
+    if (req.query.cursor !== undefined) {
+      cursor = feed.decodeFeedCursor(req.query.cursor, sort);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    let origin = null;
+    let radiusKm = null;
+    if (sort === 'nearby') {
+      origin = geo.parseLatLng(req.query.near);
+      if (!origin) {
+        return res.status(400).json({ error: 'near must be "lat,lng"' });
+      }
+      radiusKm = req.query.radius !== undefined ? parseFloat(req.query.radius) : 50;
+      if (!(radiusKm > 0 && radiusKm <= 500)) {
+        return res.status(400).json({ error: 'radius must be more than 0 and at most 500 km' });
+      }
+    }
+
+    let friendIds = [];
+    if (sort === 'friends') {
+      const user = await dbService.getUserById(req.userId);
+      if (!user) {
+        return res.status(401).json({ error: 'User not found' });
+      }
+      // Your own posts come first along with your friends'
+      friendIds = [String(user.id), ...(Array.isArray(user.friends) ? user.friends.map(String) : [])];
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const asOf = cursor ? cursor.asOf : new Date().toISOString();
+    const rows = await dbService.getFeedPosts({
+      sort,
+      asOf,
+      after: cursor,
+      friendIds,
+      origin,
+      radiusKm,
+      limit: limit + 1
+    });
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextCursor = rows.length > limit
+      ? feed.encodeFeedCursor({ sort, asOf, rank: last.feed_rank, createdAt: last.cursor_created_at, id: last.id })
+      : null;
+
+    res.json({
+      data: {
+        posts: await enrichPosts(page),
+        pagination: { limit, nextCursor }
+      }
+    });
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({ error: 'Failed to get feed' });
+  }
+});
+
 // Test endpoint to verify POI ID handling in posts
 app.get('/api/test-poi-ids', async (req, res) => {
   try {
@@ -2171,11 +2194,14 @@ app.post('/api/fix-poi-strings', async (req, res) => {
 app.put('/api/posts/:postId', authenticateUser, async (req, res) => {
   try {
     const { postId } = req.params;
-    const { content, location, connected_poi, connectedPOI } = req.body;
+    const { content, location, connected_poi, connectedPOI, lifetime } = req.body;
+    if (lifetime !== undefined && !postExpiry.POST_LIFETIMES.includes(lifetime)) {
+      return res.status(400).json({ error: `lifetime must be one of: ${postExpiry.POST_LIFETIMES.join(', ')}` });
+    }
     
     // Get the post to check ownership
     const existingPost = await dbService.getPostById(postId);
-    if (!existingPost) {
+    if (!existingPost || existingPost.archived_at) {
       return res.status(404).json({ error: 'Post not found' });
     }
     
@@ -2219,18 +2245,27 @@ app.put('/api/posts/:postId', authenticateUser, async (req, res) => {
       location: location !== undefined ? location : existingPost.location,
       connected_poi: connectedPOIData
     };
+    // A story turned permanent stays; a permanent post turned into a story
+    // expires STORY_LIFETIME_HOURS after it was created
+    if (lifetime !== undefined) {
+      updateData.expires_at = postExpiry.getPostExpiry(lifetime, existingPost.created_at);
+    }
     
     // Update the post
     const updatedPost = await dbService.updatePost(postId, updateData);
     
     console.log('📝 Post updated successfully:', updatedPost);
     
+    const [postWithLikes] = await attachPostLikes([updatedPost]);
+    
     res.json({ 
       data: { 
         post: {
-          ...updatedPost,
+          ...postWithLikes,
           connectedPOI: updatedPost.connected_poi,
-          createdAt: updatedPost.created_at
+          createdAt: updatedPost.created_at,
+          expiresAt: updatedPost.expires_at ?? null,
+          lifetime: updatedPost.expires_at ? 'story' : 'permanent'
         },
         message: 'Post updated successfully'
       } 
@@ -2242,6 +2277,51 @@ app.put('/api/posts/:postId', authenticateUser, async (req, res) => {
   }
 });
 
+// Delete one of your posts. It moves to your archive and is deleted for good,
+// with its photos, ARCHIVE_RETENTION_DAYS later.
+app.delete('/api/posts/:postId', authenticateUser, async (req, res) => {
+  try {
+    const postId = parseInt(req.params.postId, 10);
+    if (Number.isNaN(postId)) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    await dbService.archivePost(postId, req.userId);
+    res.json({ data: { message: 'Post deleted' } });
+  } catch (error) {
+    if (error.message === 'Post not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Delete post error:', error);
+    res.status(500).json({ error: 'Failed to delete post' });
+  }
+});
+
+// Your archive: posts that expired or that you deleted, most recent first,
+// until they're deleted for good
+app.get('/api/user/posts/archive', authenticateUser, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { posts, total } = await dbService.getArchivedPostsByUser(req.userId, limit, offset);
+    const enriched = await enrichPosts(posts.map(({ total_count, ...post }) => post));
+
+    res.json({
+      data: {
+        posts: enriched.map(post => ({
+          ...post,
+          archivedAt: post.archived_at,
+          archiveReason: post.archive_reason,
+          deletesAt: new Date(new Date(post.archived_at).getTime() + postExpiry.ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+        })),
+        pagination: { total, limit, offset }
+      }
+    });
+  } catch (error) {
+    console.error('Get post archive error:', error);
+    res.status(500).json({ error: 'Failed to get post archive' });
+  }
+});
+
 // Image upload endpoint (to Cloudinary)
 app.post('/api/upload', authenticateUser, upload.single('file'), async (req, res) => {
   try {
@@ -2253,15 +2333,22 @@ app.post('/api/upload', authenticateUser, upload.single('file'), async (req, res
       return res.status(500).json({ error: 'Cloudinary not configured' });
     }
 
-    const folder = 'tripyy';
+    const folder = cloudinaryService.UPLOAD_FOLDER;
 
     cloudinary.uploader.upload_stream(
       { folder, resource_type: 'image' },
-      (error, result) => {
+      async (error, result) => {
         if (error) {
           console.error('❌ Cloudinary upload error:', error);
           return res.status(500).json({ error: 'Upload failed' });
         }
+        try {
+          // Photos can only use images their uploader recorded here
+          await dbService.recordUpload(req.userId, { publicId: result.public_id, url: result.secure_url });
+        } catch (recordError) {
+          console.error('❌ Upload record error:', recordError);
+          return res.status(500).json({ error: 'Upload failed' });
+        }
         // Return both url and public_id for future deletes
         return res.json({ url: result.secure_url, publicId: result.public_id });
       }
@@ -2299,6 +2386,7 @@ app.post('/api/trips', authenticateUser, async (req, res) => {
       userId: user.id,
       name,
       destination,
+      summary: req.body.summary,
       start_date: dates?.start,
       end_date: dates?.end,
       itinerary,
@@ -2310,34 +2398,12 @@ app.post('/api/trips', authenticateUser, async (req, res) => {
       // Store numberOfTravelers at the root level as requested
       numberOfTravelers: numberOfTravelers || null,
       share_type: shareType,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
     };
 
     // Store trip in database
-    const savedTrip = await dbService.createTrip(trip);
-
-    // Update user's trips list
-    const userTrips = user.trips || [];
-    userTrips.push({
-      id: savedTrip.id,
-      name: savedTrip.name,
-      destination: savedTrip.destination,
-      dates: { start: savedTrip.start_date, end: savedTrip.end_date },
-      itinerary: savedTrip.itinerary,
-      budget: savedTrip.budget,
-      tips: savedTrip.tips,
-      summary: req.body.summary,
-      // Include numberOfTravelers at the root level
-      numberOfTravelers: savedTrip.numberOfTravelers || null,
-      createdAt: savedTrip.created_at,
-      updatedAt: savedTrip.updated_at,
-      shareType: savedTrip.share_type,
-    });
+    const savedTrip = await dbService.createUserTrip(trip);
 
-    await dbService.updateUser(user.email, { trips: userTrips });
-
-    res.json({ data: { trip: savedTrip } });
+    res.json({ data: { trip: savedTrip, warnings: await getItineraryWarnings(savedTrip) } });
   } catch (error) {
     console.error('Create trip error:', error);
     res.status(500).json({ error: 'Failed to create trip' });
@@ -2354,14 +2420,58 @@ app.get('/api/trips', authenticateUser, async (req, res) => {
   }
 });
 
-app.put('/api/trips/:id', authenticateUser, async (req, res) => {
+// Trips shared with the current user through accepted invitations
+app.get('/api/trips/shared', authenticateUser, async (req, res) => {
   try {
-    const { id } = req.params;
-    const trip = await dbService.getTripById(id);
-    if (!trip || trip.user_id !== req.userId) {
+    const sharedTrips = await dbService.getTripsSharedWithUser(req.userId);
+    res.json({ data: { trips: sharedTrips } });
+  } catch (error) {
+    console.error('Get shared trips error:', error);
+    res.status(500).json({ error: 'Failed to get shared trips' });
+  }
+});
+
+app.get('/api/trips/:id', authenticateUser, async (req, res) => {
+  try {
+    const trip = await dbService.getTripById(req.params.id, req.userId);
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    res.json({ data: { trip } });
+  } catch (error) {
+    console.error('Get trip error:', error);
+    res.status(500).json({ error: 'Failed to get trip' });
+  }
+});
+
+// Validate a trip's itinerary. Send itinerary and/or dates ({ start, end }) in the
+// body to check a draft before saving; anything left out comes from the saved trip.
+app.post('/api/trips/:id/validate', authenticateUser, async (req, res) => {
+  try {
+    const trip = await dbService.getTripById(req.params.id, req.userId);
+    if (!trip) {
       return res.status(404).json({ error: 'Trip not found' });
     }
 
+    const { itinerary, dates } = req.body || {};
+    const checkedItinerary = itinerary !== undefined ? itinerary : trip.itinerary;
+    const result = validateItinerary(checkedItinerary, {
+      startDate: dates?.start !== undefined ? dates.start : trip.start_date,
+      endDate: dates?.end !== undefined ? dates.end : trip.end_date,
+      poisById: await getItineraryPOIs(checkedItinerary)
+    });
+
+    res.json({ data: result });
+  } catch (error) {
+    console.error('Validate trip error:', error);
+    res.status(500).json({ error: 'Failed to validate trip' });
+  }
+});
+
+app.put('/api/trips/:id', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
     const updates = { ...req.body };
     // Convert camelCase to snake_case for database
     if (updates.dates) {
@@ -2379,31 +2489,17 @@ app.put('/api/trips/:id', authenticateUser, async (req, res) => {
       delete updates.shareType;
     }
 
-    const updated = await dbService.updateTrip(id, updates);
-
-    // Also update on user object if present
-    const user = await dbService.getUserById(req.userId);
-    if (user && Array.isArray(user.trips)) {
-      const idx = user.trips.findIndex(t => t.id === id);
-      if (idx !== -1) {
-        user.trips[idx] = {
-          ...user.trips[idx],
-          name: updated.name,
-          destination: updated.destination,
-          dates: { start: updated.start_date, end: updated.end_date },
-          itinerary: updated.itinerary,
-          budget: updated.budget,
-          tips: updated.tips,
-          updatedAt: updated.updated_at,
-          shareType: updated.share_type,
-        };
-        await dbService.updateUser(user.email, { trips: user.trips });
-      }
-    }
+    const updated = await dbService.updateTrip(id, updates, req.userId);
     
-    res.json({ data: { trip: updated } });
+    res.json({ data: { trip: updated, warnings: await getItineraryWarnings(updated) } });
   } catch (error) {
     console.error('Update trip error:', error);
+    if (error.message === 'Trip not found') {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({ error: 'Not authorized to update this trip' });
+    }
     res.status(500).json({ error: 'Failed to update trip' });
   }
 });
@@ -2411,1313 +2507,4473 @@ app.put('/api/trips/:id', authenticateUser, async (req, res) => {
 app.delete('/api/trips/:id', authenticateUser, async (req, res) => {
   try {
     const { id } = req.params;
-    const trip = await dbService.getTripById(id);
-    if (!trip || trip.user_id !== req.userId) {
-      return res.status(404).json({ error: 'Trip not found' });
-    }
-    
-    await dbService.deleteTrip(id);
-    
-    const user = await dbService.getUserById(req.userId);
-    if (user && Array.isArray(user.trips)) {
-      user.trips = user.trips.filter(t => t.id !== id);
-      await dbService.updateUser(user.email, { trips: user.trips });
-    }
+    await dbService.deleteTrip(id, req.userId);
     
     res.json({ data: { success: true } });
   } catch (error) {
     console.error('Delete trip error:', error);
-    res.status(500).json({ error: 'Failed to delete trip' });
-  }
+    if (error.message === 'Trip not found') {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({ error: 'Only the trip owner can delete this trip' });
+    }
+    res.status(500).json({ error: 'Failed to delete trip' });
+  }
 });
 
-app.post('/api/posts', authenticateUser, async (req, res) => {
-  try {
-    const { content, location, connected_poi, connectedPOI } = req.body;
-    
-    if (!content) {
-      return res.status(400).json({ error: 'Post content is required' });
-    }
+// ==================== TRIP REVISION ENDPOINTS ====================
+
+// Helper function to format a revision row for the API
+const formatTripRevision = (revision) => ({
+  id: revision.id,
+  tripId: revision.trip_id,
+  action: revision.action,
+  changedFields: revision.changed_fields || [],
+  restoredFrom: revision.restored_from,
+  author: revision.user_id ? {
+    id: revision.user_id,
+    name: revision.user_nickname || revision.user_name || null
+  } : null,
+  createdAt: revision.created_at
+});
 
-    const user = await dbService.getUserById(req.userId);
-    if (!user) {
-      console.error('❌ User not found for ID:', req.userId);
-      return res.status(401).json({ error: 'User not found' });
-    }
-    
-    console.log('👤 User found:', { id: user.id, email: user.email, name: user.name });
-    
-    // Ensure user ID is properly formatted as string
-    const userId = String(user.id);
-    console.log('🆔 Using user ID:', userId);
-    console.log('🆔 User ID type:', typeof userId);
+// Helper function to load a revision the caller can see (null when it doesn't exist)
+const findTripRevision = async (tripId, revisionId, userId, requiredRole = 'viewer') => {
+  const trip = await dbService.getTripById(tripId, userId, requiredRole);
+  if (!trip) return null;
+  const parsedId = parseInt(revisionId, 10);
+  if (isNaN(parsedId)) return null;
+  const revision = await dbService.getTripRevision(tripId, parsedId);
+  return revision ? { trip, revision } : null;
+};
 
-    // Handle connected POI data - accept full POI object or existing POI ID
-    let connectedPOIData = null;
-    if (connected_poi || connectedPOI) {
-      const poiData = connected_poi || connectedPOI;
-      
-      // If it's a full POI object, store it directly
-      if (typeof poiData === 'object' && poiData !== null) {
-        // CRITICAL: Ensure POI ID is always present
-        const poiId = poiData.id || `poi_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        
-        connectedPOIData = {
-          id: poiId,  // ← CRITICAL: Always include POI ID
-          name: poiData.name || '',
-          description: poiData.description || '',
-          coordinates: poiData.coordinates || poiData.location || null,
-          photo: poiData.photo || (poiData.photos && Array.isArray(poiData.photos) ? poiData.photos[0] : null),
-          icon: poiData.icon || '',
-          type: poiData.type || 'public',
-          author: poiData.author || user.traveler_profile?.nickname || user.name || '',
-          user_id: poiData.user_id || user.id
-        };
-        console.log('📍 Storing full POI object in post with ID:', poiId);
-        console.log('📍 Complete POI data:', JSON.stringify(connectedPOIData, null, 2));
-      } else {
-        // If it's just a string/ID, try to fetch the POI data
-        try {
-          const existingPOI = await dbService.getPOIById(poiData);
-          if (existingPOI) {
-            connectedPOIData = {
-              id: existingPOI.id,  // ← CRITICAL: Use existing POI ID
-              name: existingPOI.name,
-              description: existingPOI.description,
-              coordinates: existingPOI.location,
-              photo: existingPOI.photos && Array.isArray(existingPOI.photos) ? existingPOI.photos[0] : null,
-              icon: existingPOI.icon,
-              type: existingPOI.type,
-              author: existingPOI.author,
-              user_id: existingPOI.user_id
-            };
-            console.log('📍 Fetched existing POI data for post with ID:', existingPOI.id);
-            console.log('📍 Complete POI data:', JSON.stringify(connectedPOIData, null, 2));
-          }
-        } catch (error) {
-          console.log('⚠️ Could not fetch POI data, creating new POI reference with ID');
-          // Create a new POI reference with generated ID
-          const generatedPoiId = `poi_ref_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-          connectedPOIData = { 
-            id: generatedPoiId,  // ← CRITICAL: Generate ID for reference
-            reference: poiData,
-            name: 'Referenced POI',
-            type: 'reference'
-          };
-        }
-      }
+// List trip revisions, newest first
+app.get('/api/trips/:id/revisions', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const trip = await dbService.getTripById(id, req.userId);
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
     }
 
-    const post = {
-      userId: String(userId), // Ensure userId is always a string
-      content,
-      location: location || '',
-      connectedPOI: connectedPOIData,
-      likes: [],
-      comments: [],
-      createdAt: new Date().toISOString(),
-    };
-    
-    console.log('📝 Post data before database save:', JSON.stringify(post, null, 2));
-    console.log('📝 UserId type in post:', typeof post.userId);
-
-    // Store post in database
-    console.log('📝 Creating post with data:', JSON.stringify(post, null, 2));
-    const savedPost = await dbService.createPost(post);
-    console.log('✅ Post created successfully:', savedPost);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const [revisions, total] = await Promise.all([
+      dbService.getTripRevisions(id, limit, offset),
+      dbService.getTripRevisionCount(id)
+    ]);
 
-    // Update user's posts list
-    const userPosts = user.posts || [];
-    userPosts.push({
-      id: savedPost.id,
-      content: savedPost.content,
-      location: savedPost.location,
-      connectedPOI: savedPost.connected_poi,
-      author: { 
-        id: userId, 
-        email: user.email, 
-        name: user.name,
-        nickname: user.traveler_profile?.nickname || user.name,
-        photo: user.traveler_profile?.photo || null
-      },
-      likes: 0,
-      comments: [],
-      createdAt: savedPost.created_at,
+    res.json({
+      data: {
+        revisions: revisions.map(formatTripRevision),
+        pagination: { total, limit, offset }
+      }
     });
-
-    await dbService.updateUser(user.email, { posts: userPosts });
-
-    console.log('📝 New post created:', savedPost);
-    const responsePost = {
-      ...savedPost,
-      // Map to camelCase for frontend consistency
-      connectedPOI: savedPost.connected_poi || connectedPOIData,
-      createdAt: savedPost.created_at ?? post.createdAt
-    };
-    res.status(201).json({ data: { post: responsePost } });
   } catch (error) {
-    console.error('❌ Error creating post:', error);
-    res.status(500).json({ error: 'Failed to create post' });
+    console.error('Get trip revisions error:', error);
+    res.status(500).json({ error: 'Failed to get trip revisions' });
   }
 });
 
-// Tripyy POI endpoints
-app.get('/api/pois', async (req, res) => {
+// Get a revision with its snapshot and a structured diff.
+// By default the diff shows what the revision changed; ?compareTo=current
+// compares the revision against the trip as it is now (a restore preview).
+app.get('/api/trips/:id/revisions/:revisionId', authenticateUser, async (req, res) => {
   try {
-    const pois = await dbService.getAllPOIs();
-    
-    // Transform POI data to match frontend expectations
-    const transformedPois = pois.map(poi => {
-      const loc = poi.location || {};
-      const lat = typeof loc.lat === 'number' ? loc.lat : (typeof loc.latitude === 'number' ? loc.latitude : null);
-      const lng = typeof loc.lng === 'number' ? loc.lng : (typeof loc.longitude === 'number' ? loc.longitude : null);
-      return {
-        id: poi.id,
-        name: poi.name ?? null,
-        description: poi.description ?? null,
-        // Always include coordinates with {lat, lng}
-        coordinates: lat != null && lng != null ? { lat, lng } : null,
-        // Provide photo as first photo if present
-        photo: poi.photos && Array.isArray(poi.photos) && poi.photos.length > 0 ? poi.photos[0] : null,
-        icon: poi.icon ?? null,
-        type: poi.type ?? null,
-        author: poi.author ?? null,
-        user: {
-          id: poi.user_id ?? null,
-          email: poi.user_email || '',
-          name: poi.user_name || poi.author || ''
+    const found = await findTripRevision(req.params.id, req.params.revisionId, req.userId);
+    if (!found) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const { trip, revision } = found;
+    const diff = req.query.compareTo === 'current'
+      ? tripRevisions.diffSnapshots(tripRevisions.getTripSnapshot(trip), revision.snapshot)
+      : tripRevisions.diffSnapshots({ ...revision.snapshot, ...revision.previous_values }, revision.snapshot);
+
+    res.json({
+      data: {
+        revision: {
+          ...formatTripRevision(revision),
+          previousValues: revision.previous_values,
+          snapshot: revision.snapshot
         },
-        // Map to camelCase for frontend consistency
-        createdAt: poi.created_at ?? null,
-        reviews: (() => {
-          try {
-            if (poi.reviews && typeof poi.reviews === 'string') {
-              // Handle empty string case
-              if (poi.reviews.trim() === '') {
-                return [];
-              }
-              return JSON.parse(poi.reviews);
-            } else if (Array.isArray(poi.reviews)) {
-              return poi.reviews;
-            } else {
-              return [];
-            }
-          } catch (error) {
-            console.warn('⚠️ Error parsing reviews field in getAllPOIs:', error, 'Value:', poi.reviews);
-            return [];
-          }
-        })(),
-        averageRating: poi.average_rating ?? 0,
-        reviewCount: poi.review_count ?? 0,
-        likes: (() => {
-          try {
-            if (poi.likes && typeof poi.likes === 'string') {
-              // Handle empty string case
-              if (poi.likes.trim() === '') {
-                return [];
-              }
-              return JSON.parse(poi.likes);
-            } else if (Array.isArray(poi.likes)) {
-              return poi.likes;
-            } else {
-              return [];
-            }
-          } catch (error) {
-            console.warn('⚠️ Error parsing likes field in getAllPOIs:', error, 'Value:', poi.likes);
-            return [];
-          }
-        })(),
-        likeCount: poi.like_count ?? 0
-      };
+        diff
+      }
     });
-    
-    console.log(`📍 Returning ${transformedPois.length} POIs with transformed data structure`);
-    console.log('📍 Sample POI data:', transformedPois[0]);
-    
-    res.json({ data: { pois: transformedPois } });
   } catch (error) {
-    console.error('Get POIs error:', error);
-    res.status(500).json({ error: 'Failed to get POIs' });
+    console.error('Get trip revision error:', error);
+    res.status(500).json({ error: 'Failed to get trip revision' });
   }
 });
 
-app.post('/api/pois', authenticateUser, async (req, res) => {
+// Restore a trip to a revision. The restore is itself recorded as a new
+// revision, so it can be undone. Pass { state: 'before' } to restore the
+// trip as it was just before the revision instead (undoing that change).
+app.post('/api/trips/:id/revisions/:revisionId/restore', authenticateUser, async (req, res) => {
   try {
-    const { name, icon, description, photo, type, author } = req.body || {};
-    // Accept both { coordinates: {lat,lng} } and { location: {latitude, longitude} } or { location: {lat,lng} }
-    const bodyCoords = req.body?.coordinates;
-    const bodyLoc = req.body?.location;
-    let lat = null;
-    let lng = null;
-    if (bodyCoords && typeof bodyCoords.lat === 'number' && typeof bodyCoords.lng === 'number') {
-      lat = bodyCoords.lat;
-      lng = bodyCoords.lng;
-    } else if (bodyLoc) {
-      if (typeof bodyLoc.lat === 'number' && typeof bodyLoc.lng === 'number') {
-        lat = bodyLoc.lat; lng = bodyLoc.lng;
-      } else if (typeof bodyLoc.latitude === 'number' && typeof bodyLoc.longitude === 'number') {
-        lat = bodyLoc.latitude; lng = bodyLoc.longitude;
-      }
+    const { id } = req.params;
+    const found = await findTripRevision(id, req.params.revisionId, req.userId, 'editor');
+    if (!found) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const { trip, revision } = found;
+    const target = req.body?.state === 'before'
+      ? { ...revision.snapshot, ...revision.previous_values }
+      : revision.snapshot;
+    // Only fields the revision recorded (snapshots predate some tracked fields)
+    const changedFields = tripRevisions.getChangedFields(tripRevisions.getTripSnapshot(trip), target)
+      .filter(field => field in target);
+    if (changedFields.length === 0) {
+      return res.status(400).json({ error: 'Trip already matches this revision' });
+    }
+
+    const updated = await dbService.updateTrip(
+      id,
+      tripRevisions.pickFields(target, changedFields),
+      req.userId,
+      { action: 'restore', restoredFrom: revision.id }
+    );
+
+    console.log(`⏪ Trip ${id} restored from revision ${revision.id} by ${req.userId}`);
+    res.json({ data: { trip: updated, restoredFields: changedFields } });
+  } catch (error) {
+    console.error('Restore trip revision error:', error);
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({ error: 'Not authorized to restore this trip' });
     }
-    if (!name || typeof lat !== 'number' || typeof lng !== 'number') {
-      return res.status(400).json({ error: 'Name and valid coordinates are required' });
+    res.status(500).json({ error: 'Failed to restore trip revision' });
+  }
+});
+
+// ==================== TRIP EXPENSE ENDPOINTS ====================
+
+// Helper function to validate expense data (partial for updates)
+const validateExpenseData = (data, partial = false) => {
+  const values = {};
+
+  if (data.amount !== undefined || !partial) {
+    const amount = Math.round(Number(data.amount) * 100) / 100;
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return { valid: false, error: 'Amount must be a positive number' };
     }
-    
-    const user = await dbService.getUserById(req.userId);
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
+    if (amount > expenseUtils.MAX_EXPENSE_AMOUNT) {
+      return { valid: false, error: `Amount must be at most ${expenseUtils.MAX_EXPENSE_AMOUNT}` };
     }
+    values.amount = amount;
+  }
 
-    // Map frontend data structure to backend database structure
-    // Persist both coordinates and location {lat,lng} for backward compatibility
-    const locationPayload = { lat, lng, coordinates: { lat, lng }, latitude: lat, longitude: lng };
-    const poi = {
-      name,
-      location: locationPayload,
-      photos: photo ? [photo] : [],
-      icon: icon || '',
-      type: type || 'public',
-      author: author || user.traveler_profile?.nickname || user.name || '',
-      userId: String(user.id), // Ensure userId is converted to string
-      reviews: [],
-      averageRating: 0,
-      reviewCount: 0,
-      likes: [],
-      likeCount: 0,
-      createdAt: new Date().toISOString(),
-      description: description || ''
-    };
+  if (data.currency !== undefined || !partial) {
+    const currency = typeof data.currency === 'string' ? data.currency.toUpperCase() : data.currency;
+    if (!expenseUtils.isCurrencyCode(currency)) {
+      return { valid: false, error: 'Currency must be a 3-letter currency code' };
+    }
+    values.currency = currency;
+  }
 
-    console.log('📍 Creating POI with data:', poi);
+  if (data.category !== undefined) {
+    if (!expenseUtils.EXPENSE_CATEGORIES.includes(data.category)) {
+      return { valid: false, error: `Category must be one of: ${expenseUtils.EXPENSE_CATEGORIES.join(', ')}` };
+    }
+    values.category = data.category;
+  }
 
-    // Store POI in database
-    const savedPoiId = await dbService.createPOI(poi);
-    
-    // Get the created POI to return
-    const savedPoi = await dbService.getPOIById(savedPoiId);
-    console.log('🔍 Retrieved POI from database:', JSON.stringify(savedPoi, null, 2));
-    console.log('🔍 POI likes field type:', typeof savedPoi.likes, 'value:', savedPoi.likes);
-    // Normalize response to include coordinates at top-level
-    const loc = savedPoi.location || {};
-    const respLat = typeof loc.lat === 'number' ? loc.lat : (typeof loc.latitude === 'number' ? loc.latitude : null);
-    const respLng = typeof loc.lng === 'number' ? loc.lng : (typeof loc.longitude === 'number' ? loc.longitude : null);
-    const responsePoi = {
-      id: savedPoi.id,
-      name: savedPoi.name ?? null,
-      description: savedPoi.description ?? null,
-      coordinates: respLat != null && respLng != null ? { lat: respLat, lng: respLng } : null,
-      photo: savedPoi.photos && Array.isArray(savedPoi.photos) && savedPoi.photos.length > 0 ? savedPoi.photos[0] : null,
-      icon: savedPoi.icon ?? null,
-      type: savedPoi.type ?? null,
-      author: savedPoi.author ?? null,
-      user: { id: savedPoi.user_id ?? null },
-      // Map to camelCase for frontend consistency
-      createdAt: savedPoi.created_at ?? null,
-      reviews: (() => {
-        try {
-          if (savedPoi.reviews && typeof savedPoi.reviews === 'string') {
-            // Handle empty string case
-            if (savedPoi.reviews.trim() === '') {
-              return [];
-            }
-            return JSON.parse(savedPoi.reviews);
-          } else if (Array.isArray(savedPoi.reviews)) {
-            return savedPoi.reviews;
-          } else {
-            return [];
-          }
-        } catch (error) {
-          console.warn('⚠️ Error parsing reviews field:', error, 'Value:', savedPoi.reviews);
-          return [];
-        }
-      })(),
-      averageRating: savedPoi.average_rating ?? 0,
-      reviewCount: savedPoi.review_count ?? 0,
-      likes: (() => {
-        try {
-          if (savedPoi.likes && typeof savedPoi.likes === 'string') {
-            // Handle empty string case
-            if (savedPoi.likes.trim() === '') {
-              return [];
-            }
-            return JSON.parse(savedPoi.likes);
-          } else if (Array.isArray(savedPoi.likes)) {
-            return savedPoi.likes;
-          } else {
-            return [];
-          }
-        } catch (error) {
-          console.warn('⚠️ Error parsing likes field:', error, 'Value:', savedPoi.likes);
-          return [];
+  if (data.description !== undefined) {
+    if (data.description !== null && (typeof data.description !== 'string' || data.description.length > 500)) {
+      return { valid: false, error: 'Description must be less than 500 characters' };
+    }
+    values.description = data.description;
+  }
+
+  if (data.day !== undefined) {
+    if (data.day !== null && (!Number.isInteger(data.day) || data.day < 1)) {
+      return { valid: false, error: 'Day must be a positive whole number' };
+    }
+    values.day = data.day;
+  }
+
+  if (data.date !== undefined) {
+    const date = data.date === null ? null : toDateString(data.date);
+    if (data.date !== null && !date) {
+      return { valid: false, error: 'Date must be in YYYY-MM-DD format' };
+    }
+    values.expense_date = date;
+  }
+
+  if (data.paidBy !== undefined) {
+    values.paid_by = data.paidBy ? String(data.paidBy) : null;
+  }
+
+  if (data.poiId !== undefined) {
+    values.poi_id = data.poiId === null ? null : parseInt(data.poiId, 10);
+    if (Number.isNaN(values.poi_id)) {
+      return { valid: false, error: 'Invalid POI id' };
+    }
+  }
+
+  // { type: 'equal', participants: [userIds] } or { type: 'custom', shares: [{ userId, amount }] }
+  // (null turns a shared expense back into a personal one)
+  if (data.split !== undefined) {
+    const { split } = data;
+    if (split !== null && !['equal', 'custom'].includes(split?.type)) {
+      return { valid: false, error: 'Split type must be equal or custom' };
+    }
+    if (split?.type === 'equal' && split.participants !== undefined &&
+        (!Array.isArray(split.participants) || split.participants.length === 0)) {
+      return { valid: false, error: 'Equal splits need at least one participant' };
+    }
+    values.split = split;
+  }
+
+  return { valid: true, values };
+};
+
+// Helper function to get the ids of everyone on a trip (owner and accepted members)
+const getTripParticipantIds = async (trip) => {
+  const members = await dbService.getTripMembers(trip.id);
+  return [
+    String(trip.user_id),
+    ...members.filter(m => m.status === 'accepted').map(m => String(m.user_id))
+  ];
+};
+
+// Helper function to fill in the itinerary day from the date, or the date from the day
+const resolveExpenseDay = (values, trip) => {
+  if (values.day === undefined && values.expense_date) {
+    values.day = expenseUtils.getDayNumberForDate(values.expense_date, trip.start_date);
+  } else if (values.expense_date === undefined && values.day) {
+    values.expense_date = getDayDate({ day: values.day }, values.day - 1, trip.start_date);
+  }
+  return values;
+};
+
+// Helper function to work out the shares of a split expense. Everyone on the
+// trip can be in a split, and so can the current user's friends.
+// Returns { shares } or { error }.
+const buildExpenseShares = async (split, amount, trip, userId) => {
+  const participants = await getTripParticipantIds(trip);
+  let shares;
+
+  if (split.type === 'equal') {
+    const userIds = [...new Set((split.participants || participants).map(String))];
+    shares = settlement.splitEqually(amount, userIds);
+  } else {
+    const error = settlement.validateCustomShares(amount, split.shares);
+    if (error) return { error };
+    shares = split.shares.map(share => ({ userId: String(share.userId), amount: Number(share.amount) }));
+  }
+
+  const outsiders = shares.filter(share => !participants.includes(share.userId));
+  if (outsiders.length > 0) {
+    const user = await dbService.getUserById(userId);
+    const friendIds = (user?.friends || []).map(String);
+    if (outsiders.some(share => !friendIds.includes(share.userId))) {
+      return { error: 'Splits can only include trip members and your friends' };
+    }
+  }
+
+  return { shares };
+};
+
+// Helper function to check the payer and POI of an expense before saving it
+const checkExpenseReferences = async (values, trip) => {
+  if (values.paid_by) {
+    const participants = await getTripParticipantIds(trip);
+    if (!participants.includes(values.paid_by)) {
+      return 'Payer must be the trip owner or a trip member';
+    }
+  }
+  if (values.poi_id) {
+    const poi = await dbService.getPOIById(values.poi_id);
+    if (!poi) {
+      return 'POI not found';
+    }
+  }
+  return null;
+};
+
+// Helper function to format an expense, converted to the trip's base currency
+const formatTripExpense = (expense, baseCurrency, rates, shares = []) => {
+  const amount = Number(expense.amount);
+  return {
+    id: expense.id,
+    tripId: expense.trip_id,
+    amount,
+    currency: expense.currency,
+    convertedAmount: expenseUtils.convertAmount(amount, expense.currency, baseCurrency, rates),
+    baseCurrency,
+    category: expense.category,
+    description: expense.description,
+    paidBy: expense.paid_by ? {
+      id: expense.paid_by,
+      name: expense.paid_by_nickname || expense.paid_by_name || null
+    } : null,
+    day: expense.day,
+    date: toDateString(expense.expense_date),
+    poi: expense.poi_id ? { id: expense.poi_id, name: expense.poi_name || null } : null,
+    split: expense.split_type ? {
+      type: expense.split_type,
+      shares: shares.map(share => ({
+        userId: share.user_id,
+        name: share.nickname || share.name || null,
+        amount: Number(share.amount)
+      }))
+    } : null,
+    createdBy: expense.created_by,
+    createdAt: expense.created_at,
+    updatedAt: expense.updated_at
+  };
+};
+
+// Helper function to load a trip's expenses in its base currency
+const getFormattedTripExpenses = async (trip) => {
+  const [expenses, shares, rates] = await Promise.all([
+    dbService.getTripExpenses(trip.id),
+    dbService.getTripExpenseShares(trip.id),
+    dbService.getCurrencyRateMap()
+  ]);
+  const baseCurrency = expenseUtils.getBaseCurrency(trip);
+  return expenses.map(expense => formatTripExpense(
+    expense,
+    baseCurrency,
+    rates,
+    shares.filter(share => share.expense_id === expense.id)
+  ));
+};
+
+// Helper function to load one expense in the trip's base currency
+const getFormattedTripExpense = async (trip, expenseId) => {
+  const [expense, shares, rates] = await Promise.all([
+    dbService.getTripExpense(trip.id, expenseId),
+    dbService.getTripExpenseShares(trip.id, expenseId),
+    dbService.getCurrencyRateMap()
+  ]);
+  return formatTripExpense(expense, expenseUtils.getBaseCurrency(trip), rates, shares);
+};
+
+// List trip expenses
+app.get('/api/trips/:id/expenses', authenticateUser, async (req, res) => {
+  try {
+    const trip = await dbService.getTripById(req.params.id, req.userId);
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    const expenses = await getFormattedTripExpenses(trip);
+    res.json({ data: { expenses, baseCurrency: expenseUtils.getBaseCurrency(trip) } });
+  } catch (error) {
+    console.error('Get trip expenses error:', error);
+    res.status(500).json({ error: 'Failed to get trip expenses' });
+  }
+});
+
+// Budget vs actual spending, per category and per day
+app.get('/api/trips/:id/expenses/summary', authenticateUser, async (req, res) => {
+  try {
+    const trip = await dbService.getTripById(req.params.id, req.userId);
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    const expenses = await getFormattedTripExpenses(trip);
+    res.json({ data: { summary: expenseUtils.summarizeExpenses(trip, expenses) } });
+  } catch (error) {
+    console.error('Get expense summary error:', error);
+    res.status(500).json({ error: 'Failed to get expense summary' });
+  }
+});
+
+// Add an expense (editors and owner)
+app.post('/api/trips/:id/expenses', authenticateUser, async (req, res) => {
+  try {
+    const trip = await dbService.getTripById(req.params.id, req.userId, 'editor');
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    const validation = validateExpenseData({ paidBy: req.userId, ...req.body });
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const { split, ...values } = resolveExpenseDay(validation.values, trip);
+    const referenceError = await checkExpenseReferences(values, trip);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    let shares = [];
+    if (split) {
+      const result = await buildExpenseShares(split, values.amount, trip, req.userId);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      shares = result.shares;
+    }
+
+    const created = await dbService.createTripExpense(trip.id, {
+      ...values,
+      split_type: split ? split.type : null,
+      created_by: req.userId
+    }, shares);
+
+    res.status(201).json({ data: { expense: await getFormattedTripExpense(trip, created.id) } });
+  } catch (error) {
+    console.error('Create trip expense error:', error);
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({ error: 'Not authorized to add expenses to this trip' });
+    }
+    res.status(500).json({ error: 'Failed to create trip expense' });
+  }
+});
+
+// Update an expense (editors and owner)
+app.put('/api/trips/:id/expenses/:expenseId', authenticateUser, async (req, res) => {
+  try {
+    const trip = await dbService.getTripById(req.params.id, req.userId, 'editor');
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    const expenseId = parseInt(req.params.expenseId, 10);
+    const existing = isNaN(expenseId) ? null : await dbService.getTripExpense(trip.id, expenseId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+
+    const validation = validateExpenseData(req.body, true);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const { split, ...values } = resolveExpenseDay(validation.values, trip);
+    if (Object.keys(values).length === 0 && split === undefined) {
+      return res.status(400).json({ error: 'No valid update fields provided' });
+    }
+    const referenceError = await checkExpenseReferences(values, trip);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    // Work out the new shares when the split or the amount of a split expense changes
+    let shares = null;
+    const amount = values.amount ?? Number(existing.amount);
+    if (split !== undefined) {
+      shares = [];
+      if (split) {
+        const result = await buildExpenseShares(split, amount, trip, req.userId);
+        if (result.error) {
+          return res.status(400).json({ error: result.error });
         }
-      })(),
-      likeCount: savedPoi.like_count ?? 0
+        shares = result.shares;
+      }
+      values.split_type = split ? split.type : null;
+    } else if (values.amount !== undefined && existing.split_type) {
+      if (existing.split_type === 'custom') {
+        return res.status(400).json({ error: 'Send the updated shares when changing the amount of a custom split' });
+      }
+      const existingShares = await dbService.getTripExpenseShares(trip.id, expenseId);
+      shares = settlement.splitEqually(amount, existingShares.map(share => share.user_id));
+    }
+
+    await dbService.updateTripExpense(trip.id, expenseId, values, shares);
+
+    res.json({ data: { expense: await getFormattedTripExpense(trip, expenseId) } });
+  } catch (error) {
+    console.error('Update trip expense error:', error);
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({ error: 'Not authorized to edit expenses on this trip' });
+    }
+    res.status(500).json({ error: 'Failed to update trip expense' });
+  }
+});
+
+// Delete an expense (editors and owner)
+app.delete('/api/trips/:id/expenses/:expenseId', authenticateUser, async (req, res) => {
+  try {
+    const trip = await dbService.getTripById(req.params.id, req.userId, 'editor');
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    const expenseId = parseInt(req.params.expenseId, 10);
+    const deleted = isNaN(expenseId) ? null : await dbService.deleteTripExpense(trip.id, expenseId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+
+    res.json({ data: { success: true } });
+  } catch (error) {
+    console.error('Delete trip expense error:', error);
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({ error: 'Not authorized to delete expenses on this trip' });
+    }
+    res.status(500).json({ error: 'Failed to delete trip expense' });
+  }
+});
+
+// Balances and the fewest transfers that settle everyone up, in the trip's base currency
+app.get('/api/trips/:id/settlement', authenticateUser, async (req, res) => {
+  try {
+    const trip = await dbService.getTripById(req.params.id, req.userId);
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    const expenses = await getFormattedTripExpenses(trip);
+    const shared = expenses
+      .filter(expense => expense.split && expense.paidBy)
+      .map(expense => ({
+        paidBy: expense.paidBy.id,
+        amount: expense.amount,
+        convertedAmount: expense.convertedAmount,
+        shares: expense.split.shares
+      }));
+
+    const names = {};
+    for (const expense of expenses) {
+      if (expense.paidBy) names[expense.paidBy.id] = expense.paidBy.name;
+      for (const share of expense.split?.shares || []) names[share.userId] = share.name;
+    }
+    const person = (userId) => ({ id: userId, name: names[userId] || null });
+
+    const balances = settlement.calculateBalances(shared);
+    const transfers = settlement.minimizeTransfers(balances);
+
+    res.json({
+      data: {
+        currency: expenseUtils.getBaseCurrency(trip),
+        balances: Object.entries(balances).map(([userId, cents]) => ({
+          user: person(userId),
+          balance: settlement.fromCents(cents)
+        })),
+        transfers: transfers.map(transfer => ({
+          from: person(transfer.from),
+          to: person(transfer.to),
+          amount: transfer.amount
+        })),
+        unconverted: expenses
+          .filter(expense => expense.split && expense.convertedAmount === null)
+          .map(expense => ({ id: expense.id, amount: expense.amount, currency: expense.currency }))
+      }
+    });
+  } catch (error) {
+    console.error('Get trip settlement error:', error);
+    res.status(500).json({ error: 'Failed to get trip settlement' });
+  }
+});
+
+// Get the currency rates used for expense conversion
+app.get('/api/currency-rates', authenticateUser, async (req, res) => {
+  try {
+    const rates = await dbService.getCurrencyRates();
+    res.json({
+      data: {
+        rates: rates.map(rate => ({
+          currency: rate.currency,
+          ratePerUsd: Number(rate.rate_per_usd),
+          updatedAt: rate.updated_at
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get currency rates error:', error);
+    res.status(500).json({ error: 'Failed to get currency rates' });
+  }
+});
+
+// Update currency rates (admin only), body: { rates: { EUR: 0.92, ... } } in units per 1 USD
+app.put('/api/admin/currency-rates', authenticateUser, async (req, res) => {
+  try {
+    const isAdmin = await isUserAdmin(req.userId);
+    if (!isAdmin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { rates } = req.body;
+    if (!rates || typeof rates !== 'object' || Object.keys(rates).length === 0) {
+      return res.status(400).json({ error: 'Rates are required' });
+    }
+
+    const normalized = {};
+    for (const [currency, rate] of Object.entries(rates)) {
+      const code = currency.toUpperCase();
+      const value = Number(rate);
+      if (!expenseUtils.isCurrencyCode(code) || !Number.isFinite(value) || value <= 0) {
+        return res.status(400).json({ error: `Invalid rate for ${currency}` });
+      }
+      if (code === 'USD' && value !== 1) {
+        return res.status(400).json({ error: 'USD is the reference currency and must stay at 1' });
+      }
+      normalized[code] = value;
+    }
+
+    const updated = await dbService.upsertCurrencyRates(normalized);
+    console.log(`💱 Currency rates updated by ${req.userId}: ${Object.keys(normalized).join(', ')}`);
+
+    res.json({
+      data: {
+        rates: updated.map(rate => ({
+          currency: rate.currency,
+          ratePerUsd: Number(rate.rate_per_usd),
+          updatedAt: rate.updated_at
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Update currency rates error:', error);
+    res.status(500).json({ error: 'Failed to update currency rates' });
+  }
+});
+
+// ==================== TRIP MEMBERSHIP ENDPOINTS ====================
+
+// List trip members (owner first, then invited editors/viewers)
+app.get('/api/trips/:id/members', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const trip = await dbService.getTripById(id, req.userId);
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    const owner = await dbService.getUserById(trip.user_id);
+    const members = await dbService.getTripMembers(id);
+
+    res.json({
+      data: {
+        members: [
+          {
+            userId: trip.user_id,
+            name: owner?.name || null,
+            nickname: owner?.traveler_profile?.nickname || null,
+            photo: owner?.traveler_profile?.photo || null,
+            role: 'owner',
+            status: 'accepted'
+          },
+          ...members.map(member => ({
+            userId: member.user_id,
+            name: member.name,
+            nickname: member.nickname,
+            photo: member.photo,
+            role: member.role,
+            status: member.status,
+            invitedBy: member.invited_by,
+            acceptedAt: member.accepted_at,
+            createdAt: member.created_at
+          }))
+        ],
+        yourRole: trip.member_role
+      }
+    });
+  } catch (error) {
+    console.error('Get trip members error:', error);
+    res.status(500).json({ error: 'Failed to get trip members' });
+  }
+});
+
+// Invite a user to a trip (owner only). Accepts userId, nickname or email.
+app.post('/api/trips/:id/members', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, nickname, email, role = 'viewer' } = req.body || {};
+
+    if (!['editor', 'viewer'].includes(role)) {
+      return res.status(400).json({ error: 'Role must be editor or viewer' });
+    }
+    if (!userId && !nickname && !email) {
+      return res.status(400).json({ error: 'userId, nickname or email is required' });
+    }
+
+    const trip = await dbService.getTripById(id, req.userId, 'owner');
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    let invitee;
+    if (userId) {
+      invitee = await dbService.getUserById(userId);
+    } else if (nickname) {
+      invitee = await dbService.getUserByNickname(nickname.replace(/^@/, ''));
+    } else {
+      invitee = await dbService.getUserByEmail(email);
+    }
+    if (!invitee) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (invitee.id === trip.user_id) {
+      return res.status(400).json({ error: 'The trip owner is already a member' });
+    }
+
+    const member = await dbService.addTripMember(id, invitee.id, role, req.userId);
+
+    if (member.status === 'pending') {
+      const inviter = await dbService.getUserById(req.userId);
+      const inviterName = inviter?.traveler_profile?.nickname || inviter?.name || 'Someone';
+      await sendNotificationToUser(invitee.id, {
+        title: '🧳 Trip Invitation',
+        body: `${inviterName} invited you to ${role === 'editor' ? 'plan' : 'view'} "${trip.name}"`,
+        data: { type: 'trip_invitation', tripId: trip.id, role, invitedBy: inviterName }
+      });
+    }
+
+    console.log(`🧳 User ${invitee.id} invited to trip ${id} as ${role} by ${req.userId}`);
+    res.status(201).json({
+      data: {
+        member: {
+          userId: member.user_id,
+          role: member.role,
+          status: member.status,
+          invitedBy: member.invited_by,
+          createdAt: member.created_at
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Invite trip member error:', error);
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({ error: 'Only the trip owner can invite members' });
+    }
+    res.status(500).json({ error: 'Failed to invite trip member' });
+  }
+});
+
+// Accept a pending invitation to a trip
+app.post('/api/trips/:id/members/accept', authenticateUser, async (req, res) => {
+  try {
+    const member = await dbService.acceptTripInvitation(req.params.id, req.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const trip = await dbService.getTripById(req.params.id, req.userId);
+    res.json({ data: { message: 'Invitation accepted', role: member.role, trip } });
+  } catch (error) {
+    console.error('Accept trip invitation error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+// Revoke a member (owner) or leave/decline a trip (the member themselves)
+app.delete('/api/trips/:id/members/:memberId', authenticateUser, async (req, res) => {
+  try {
+    const { id, memberId } = req.params;
+
+    if (memberId !== req.userId) {
+      const trip = await dbService.getTripById(id, req.userId, 'owner');
+      if (!trip) {
+        return res.status(404).json({ error: 'Trip not found' });
+      }
+    }
+
+    const removed = await dbService.removeTripMember(id, memberId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    console.log(`🧳 User ${memberId} removed from trip ${id} by ${req.userId}`);
+    res.json({ data: { message: 'Member removed', userId: removed.user_id } });
+  } catch (error) {
+    console.error('Remove trip member error:', error);
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({ error: 'Only the trip owner can remove members' });
+    }
+    res.status(500).json({ error: 'Failed to remove trip member' });
+  }
+});
+
+// ==================== TRIP SHARING ENDPOINTS ====================
+
+// Share types that can be opened through a share link. Public trips are also
+// listed by GET /api/shared/trips and the trip templates.
+const LINK_SHARE_TYPES = ['link', 'public'];
+
+// Helper function to build the public, read-only view of a shared trip
+const formatSharedTrip = (trip, owner) => ({
+  shareId: trip.share_id,
+  shareType: trip.share_type,
+  name: trip.name,
+  destination: trip.destination,
+  summary: trip.summary,
+  dates: { start: trip.start_date, end: trip.end_date },
+  itinerary: trip.itinerary,
+  tips: trip.tips,
+  suggestions: trip.suggestions,
+  numberOfTravelers: trip.numberoftravelers ?? null,
+  // Budget stays private unless the owner opted in
+  budget: trip.share_budget ? trip.budget : null,
+  owner: {
+    nickname: owner?.traveler_profile?.nickname || owner?.name || 'Tripyy traveler',
+    photo: owner?.traveler_profile?.photo || null
+  },
+  updatedAt: trip.updated_at
+});
+
+// Enable sharing for a trip (owner only), generating a share id if needed
+app.post('/api/trips/:id/share', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { shareType = 'link', showBudget } = req.body || {};
+
+    if (!LINK_SHARE_TYPES.includes(shareType)) {
+      return res.status(400).json({ error: 'Share type must be link or public' });
+    }
+
+    const trip = await dbService.getTripById(id, req.userId, 'owner');
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    const updated = await dbService.updateTripSharing(id, {
+      shareId: trip.share_id || generateShareId(),
+      shareType,
+      shareBudget: showBudget !== undefined ? !!showBudget : undefined
+    });
+
+    console.log(`🔗 Trip ${id} shared as ${shareType} by ${req.userId}`);
+    res.json({
+      data: {
+        shareId: updated.share_id,
+        shareType: updated.share_type,
+        showBudget: updated.share_budget,
+        path: `/api/shared/trips/${updated.share_id}`
+      }
+    });
+  } catch (error) {
+    console.error('Share trip error:', error);
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({ error: 'Only the trip owner can share this trip' });
+    }
+    res.status(500).json({ error: 'Failed to share trip' });
+  }
+});
+
+// Replace the share id so previously handed-out links stop working
+app.post('/api/trips/:id/share/rotate', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const trip = await dbService.getTripById(id, req.userId, 'owner');
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+    if (!trip.share_id) {
+      return res.status(400).json({ error: 'Trip is not shared' });
+    }
+
+    const updated = await dbService.updateTripSharing(id, { shareId: generateShareId() });
+
+    console.log(`🔗 Share link rotated for trip ${id}`);
+    res.json({
+      data: {
+        shareId: updated.share_id,
+        shareType: updated.share_type,
+        showBudget: updated.share_budget,
+        path: `/api/shared/trips/${updated.share_id}`
+      }
+    });
+  } catch (error) {
+    console.error('Rotate share link error:', error);
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({ error: 'Only the trip owner can share this trip' });
+    }
+    res.status(500).json({ error: 'Failed to rotate share link' });
+  }
+});
+
+// Revoke sharing: drop the share id and make the trip private again
+app.delete('/api/trips/:id/share', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const trip = await dbService.getTripById(id, req.userId, 'owner');
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    await dbService.updateTripSharing(id, { shareId: null, shareType: 'private' });
+
+    console.log(`🔗 Sharing revoked for trip ${id}`);
+    res.json({ data: { message: 'Sharing revoked', shareType: 'private' } });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({ error: 'Only the trip owner can share this trip' });
+    }
+    res.status(500).json({ error: 'Failed to revoke sharing' });
+  }
+});
+
+// Browse trips shared as public (no authentication)
+app.get('/api/shared/trips', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { trips, total } = await dbService.getPublicTrips(limit, offset);
+
+    res.json({
+      data: {
+        // Listed by id, like the templates: a share id would keep working if
+        // the owner later switched the trip to link-only
+        trips: trips.map(trip => {
+          const { shareId, ...shared } = formatSharedTrip(trip, {
+            name: trip.owner_name,
+            traveler_profile: trip.owner_profile
+          });
+          return { id: trip.id, ...shared };
+        }),
+        pagination: { total, limit, offset }
+      }
+    });
+  } catch (error) {
+    console.error('Get public trips error:', error);
+    res.status(500).json({ error: 'Failed to get public trips' });
+  }
+});
+
+// Public read-only trip page (no authentication)
+app.get('/api/shared/trips/:shareId', async (req, res) => {
+  try {
+    const trip = await dbService.getTripByShareId(req.params.shareId);
+
+    // Private trips look exactly like unknown share ids
+    if (!trip || !LINK_SHARE_TYPES.includes(trip.share_type)) {
+      return res.status(404).json({ error: 'Shared trip not found' });
+    }
+
+    const owner = await dbService.getUserById(trip.user_id);
+    res.json({ data: { trip: formatSharedTrip(trip, owner) } });
+  } catch (error) {
+    console.error('Get shared trip error:', error);
+    res.status(500).json({ error: 'Failed to get shared trip' });
+  }
+});
+
+// ==================== TRIP TEMPLATE ENDPOINTS ====================
+
+// Browse public trips to use as templates, filtered by destination, duration
+// (minDays/maxDays) and interests (comma separated, from traveler_profile)
+app.get('/api/trip-templates', authenticateUser, async (req, res) => {
+  try {
+    const { destination, interests } = req.query;
+    const minDays = parseInt(req.query.minDays, 10) || null;
+    const maxDays = parseInt(req.query.maxDays, 10) || null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const { templates, total } = await dbService.getTripTemplates({
+      destination: destination ? String(destination).trim() : null,
+      minDays,
+      maxDays,
+      interests: interests ? String(interests).split(',').map(i => i.trim()).filter(Boolean) : [],
+      limit,
+      offset
+    });
+
+    res.json({
+      data: {
+        templates: templates.map(template => {
+          // The share id would open the original trip; templates are cloned by id
+          const { shareId, ...shared } = formatSharedTrip(template, { name: template.owner_name, traveler_profile: template.owner_traveler_profile });
+          return {
+            id: template.id,
+            ...shared,
+            duration: template.duration,
+            interests: Array.isArray(template.traveler_profile?.interests) ? template.traveler_profile.interests : [],
+            cloneCount: parseInt(template.clone_count, 10)
+          };
+        }),
+        pagination: { total, limit, offset }
+      }
+    });
+  } catch (error) {
+    console.error('Get trip templates error:', error);
+    res.status(500).json({ error: 'Failed to get trip templates' });
+  }
+});
+
+// Copy a trip into the caller's account. Works for trips the caller is on,
+// public trips, and link-shared trips when the share id is sent along.
+// Body: { startDate?: 'YYYY-MM-DD', name?, shareId? }
+app.post('/api/trips/:id/clone', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { startDate, name, shareId } = req.body || {};
+
+    const newStartDate = startDate ? toDateString(startDate) : null;
+    if (startDate && !newStartDate) {
+      return res.status(400).json({ error: 'Start date must be in YYYY-MM-DD format' });
+    }
+
+    let source = await dbService.getTripById(id, req.userId);
+    let includeBudget = Boolean(source);
+    if (!source) {
+      const trip = await dbService.getTripById(id);
+      const canClone = trip && (
+        trip.share_type === 'public' ||
+        (LINK_SHARE_TYPES.includes(trip.share_type) && shareId && shareId === trip.share_id)
+      );
+      if (!canClone) {
+        return res.status(404).json({ error: 'Trip not found' });
+      }
+      source = trip;
+      includeBudget = Boolean(trip.share_budget);
+    }
+
+    const user = await dbService.getUserById(req.userId);
+    const cloned = await dbService.createUserTrip(tripTemplates.buildClonedTrip(source, {
+      userId: req.userId,
+      travelerProfile: user?.traveler_profile || {},
+      startDate: newStartDate,
+      name,
+      includeBudget
+    }));
+
+    console.log(`📋 Trip ${source.id} cloned to ${cloned.id} by ${req.userId}`);
+    res.status(201).json({ data: { trip: cloned, warnings: await getItineraryWarnings(cloned) } });
+  } catch (error) {
+    console.error('Clone trip error:', error);
+    res.status(500).json({ error: 'Failed to clone trip' });
+  }
+});
+
+// ==================== MAP EXPORT ENDPOINTS ====================
+
+// Helper function to read and check the ?format= of an export request
+const getExportFormat = (req) => {
+  const format = String(req.query.format || 'gpx').toLowerCase();
+  return mapExportService.EXPORT_FORMATS[format] ? format : null;
+};
+
+// Helper function to send an exported map file as a download
+const sendMapExport = (res, collection, format) => {
+  const { body, contentType, fileName } = mapExportService.exportCollection(collection, format);
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Cache-Control': 'no-cache'
+  });
+  res.send(body);
+};
+
+// Export a trip's activities as waypoints plus one route per day
+app.get('/api/trips/:id/export', authenticateUser, async (req, res) => {
+  try {
+    const format = getExportFormat(req);
+    if (!format) {
+      return res.status(400).json({ error: `Format must be one of: ${Object.keys(mapExportService.EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const trip = await dbService.getTripById(req.params.id, req.userId);
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    // Activities without their own coordinates are placed by the POI they reference
+    const poisById = await getItineraryPOIs(trip.itinerary);
+
+    sendMapExport(res, mapExportService.buildTripCollection(trip, poisById), format);
+  } catch (error) {
+    console.error('Export trip map error:', error);
+    res.status(500).json({ error: 'Failed to export trip' });
+  }
+});
+
+// Export the POIs the current user has created
+app.get('/api/user/pois/export', authenticateUser, async (req, res) => {
+  try {
+    const format = getExportFormat(req);
+    if (!format) {
+      return res.status(400).json({ error: `Format must be one of: ${Object.keys(mapExportService.EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const pois = await dbService.getPOIsByUser(req.userId);
+    sendMapExport(res, mapExportService.buildPOICollection('My places', pois), format);
+  } catch (error) {
+    console.error('Export user POIs error:', error);
+    res.status(500).json({ error: 'Failed to export places' });
+  }
+});
+
+// ==================== TRIP CALENDAR ENDPOINTS ====================
+
+// Helper function to build the public base URL for links handed to other apps
+const getPublicBaseUrl = (req) => {
+  return process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+};
+
+// Helper function to send a trip itinerary as an iCalendar document
+const sendTripCalendar = (res, trip, disposition) => {
+  const calendar = calendarService.buildTripCalendar(trip);
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `${disposition}; filename="${calendarService.getCalendarFileName(trip)}"`,
+    'Last-Modified': new Date(trip.updated_at || Date.now()).toUTCString(),
+    'Cache-Control': 'no-cache'
+  });
+  res.send(calendar);
+};
+
+// Download a trip itinerary as an .ics file
+app.get('/api/trips/:id/calendar.ics', authenticateUser, async (req, res) => {
+  try {
+    const trip = await dbService.getTripById(req.params.id, req.userId);
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+    if (!trip.start_date) {
+      return res.status(400).json({ error: 'Trip needs a start date to be exported to a calendar' });
+    }
+
+    sendTripCalendar(res, trip, 'attachment');
+  } catch (error) {
+    console.error('Export trip calendar error:', error);
+    res.status(500).json({ error: 'Failed to export trip calendar' });
+  }
+});
+
+// Get (or create) the tokenized calendar subscription URL for a trip
+app.post('/api/trips/:id/calendar/subscription', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const trip = await dbService.getTripById(id, req.userId);
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    let token = trip.calendar_token;
+    if (!token) {
+      token = generateShareId();
+      await dbService.setTripCalendarToken(id, token);
+    }
+
+    const url = `${getPublicBaseUrl(req)}/api/calendar/trips/${token}.ics`;
+    res.json({
+      data: {
+        token,
+        url,
+        webcalUrl: url.replace(/^https?:\/\//, 'webcal://'),
+        timezone: calendarService.resolveTripTimezone(trip)
+      }
+    });
+  } catch (error) {
+    console.error('Create calendar subscription error:', error);
+    res.status(500).json({ error: 'Failed to create calendar subscription' });
+  }
+});
+
+// Revoke the calendar subscription URL (owner only)
+app.delete('/api/trips/:id/calendar/subscription', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const trip = await dbService.getTripById(id, req.userId, 'owner');
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    await dbService.setTripCalendarToken(id, null);
+    res.json({ data: { message: 'Calendar subscription revoked' } });
+  } catch (error) {
+    console.error('Revoke calendar subscription error:', error);
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({ error: 'Only the trip owner can revoke the calendar subscription' });
+    }
+    res.status(500).json({ error: 'Failed to revoke calendar subscription' });
+  }
+});
+
+// Calendar subscription feed (no authentication, the token is the credential).
+// Built from the current itinerary on every request, so calendar apps pick up
+// changes made through updateTrip on their next refresh.
+app.get('/api/calendar/trips/:token.ics', async (req, res) => {
+  try {
+    const trip = await dbService.getTripByCalendarToken(req.params.token);
+    if (!trip) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    sendTripCalendar(res, trip, 'inline');
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to get calendar feed' });
+  }
+});
+
+// Pending trip invitations for the current user
+app.get('/api/user/trip-invitations', authenticateUser, async (req, res) => {
+  try {
+    const invitations = await dbService.getPendingTripInvitations(req.userId);
+    res.json({
+      data: {
+        invitations: invitations.map(invitation => ({
+          tripId: invitation.trip_id,
+          tripName: invitation.trip_name,
+          destination: invitation.destination,
+          startDate: invitation.start_date,
+          endDate: invitation.end_date,
+          role: invitation.role,
+          invitedBy: {
+            id: invitation.invited_by,
+            name: invitation.invited_by_name,
+            nickname: invitation.invited_by_nickname
+          },
+          createdAt: invitation.created_at
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get trip invitations error:', error);
+    res.status(500).json({ error: 'Failed to get trip invitations' });
+  }
+});
+
+app.post('/api/posts', authenticateUser, async (req, res) => {
+  try {
+    const { content, location, connected_poi, connectedPOI, lifetime = 'story', communityId } = req.body;
+    
+    if (!content) {
+      return res.status(400).json({ error: 'Post content is required' });
+    }
+    if (!postExpiry.POST_LIFETIMES.includes(lifetime)) {
+      return res.status(400).json({ error: `lifetime must be one of: ${postExpiry.POST_LIFETIMES.join(', ')}` });
+    }
+
+    const user = await dbService.getUserById(req.userId);
+    if (!user) {
+      console.error('❌ User not found for ID:', req.userId);
+      return res.status(401).json({ error: 'User not found' });
+    }
+    
+    console.log('👤 User found:', { id: user.id, email: user.email, name: user.name });
+
+    // Posting to a community is for its members
+    const postCommunityId = communityId === undefined || communityId === null ? null : Number(communityId);
+    if (postCommunityId !== null) {
+      const community = Number.isInteger(postCommunityId) ? await dbService.getCommunityById(postCommunityId) : null;
+      if (!community) {
+        return res.status(404).json({ error: 'Community not found' });
+      }
+      if (!(community.members || []).some(memberId => String(memberId) === String(user.id))) {
+        return res.status(403).json({ error: 'Only community members can post to this community' });
+      }
+    }
+    
+    // Ensure user ID is properly formatted as string
+    const userId = String(user.id);
+    console.log('🆔 Using user ID:', userId);
+    console.log('🆔 User ID type:', typeof userId);
+
+    // Handle connected POI data - accept full POI object or existing POI ID
+    let connectedPOIData = null;
+    if (connected_poi || connectedPOI) {
+      const poiData = connected_poi || connectedPOI;
+      
+      // If it's a full POI object, store it directly
+      if (typeof poiData === 'object' && poiData !== null) {
+        // CRITICAL: Ensure POI ID is always present
+        const poiId = poiData.id || `poi_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        
+        connectedPOIData = {
+          id: poiId,  // ← CRITICAL: Always include POI ID
+          name: poiData.name || '',
+          description: poiData.description || '',
+          coordinates: poiData.coordinates || poiData.location || null,
+          photo: poiData.photo || (poiData.photos && Array.isArray(poiData.photos) ? poiData.photos[0] : null),
+          icon: poiData.icon || '',
+          type: poiData.type || 'public',
+          author: poiData.author || user.traveler_profile?.nickname || user.name || '',
+          user_id: poiData.user_id || user.id
+        };
+        console.log('📍 Storing full POI object in post with ID:', poiId);
+        console.log('📍 Complete POI data:', JSON.stringify(connectedPOIData, null, 2));
+      } else {
+        // If it's just a string/ID, try to fetch the POI data
+        try {
+          const existingPOI = await dbService.getPOIById(poiData);
+          if (existingPOI) {
+            connectedPOIData = {
+              id: existingPOI.id,  // ← CRITICAL: Use existing POI ID
+              name: existingPOI.name,
+              description: existingPOI.description,
+              coordinates: existingPOI.location,
+              photo: existingPOI.photos && Array.isArray(existingPOI.photos) ? existingPOI.photos[0] : null,
+              icon: existingPOI.icon,
+              type: existingPOI.type,
+              author: existingPOI.author,
+              user_id: existingPOI.user_id
+            };
+            console.log('📍 Fetched existing POI data for post with ID:', existingPOI.id);
+            console.log('📍 Complete POI data:', JSON.stringify(connectedPOIData, null, 2));
+          }
+        } catch (error) {
+          console.log('⚠️ Could not fetch POI data, creating new POI reference with ID');
+          // Create a new POI reference with generated ID
+          const generatedPoiId = `poi_ref_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+          connectedPOIData = { 
+            id: generatedPoiId,  // ← CRITICAL: Generate ID for reference
+            reference: poiData,
+            name: 'Referenced POI',
+            type: 'reference'
+          };
+        }
+      }
+    }
+
+    const createdAt = new Date().toISOString();
+    const post = {
+      userId: String(userId), // Ensure userId is always a string
+      content,
+      location: location || '',
+      connectedPOI: connectedPOIData,
+      likes: [],
+      comments: [],
+      createdAt,
+      expiresAt: postExpiry.getPostExpiry(lifetime, createdAt),
+      communityId: postCommunityId
+    };
+    
+    console.log('📝 Post data before database save:', JSON.stringify(post, null, 2));
+    console.log('📝 UserId type in post:', typeof post.userId);
+
+    // Store post in database
+    console.log('📝 Creating post with data:', JSON.stringify(post, null, 2));
+    const savedPost = await dbService.createPost(post);
+    console.log('✅ Post created successfully:', savedPost);
+
+    // Update user's posts list
+    const userPosts = user.posts || [];
+    userPosts.push({
+      id: savedPost.id,
+      content: savedPost.content,
+      location: savedPost.location,
+      connectedPOI: savedPost.connected_poi,
+      author: { 
+        id: userId, 
+        email: user.email, 
+        name: user.name,
+        nickname: user.traveler_profile?.nickname || user.name,
+        photo: user.traveler_profile?.photo || null
+      },
+      likes: 0,
+      comments: [],
+      createdAt: savedPost.created_at,
+    });
+
+    await dbService.updateUser(user.email, { posts: userPosts });
+
+    console.log('📝 New post created:', savedPost);
+    const responsePost = {
+      ...savedPost,
+      // Map to camelCase for frontend consistency
+      connectedPOI: savedPost.connected_poi || connectedPOIData,
+      createdAt: savedPost.created_at ?? post.createdAt,
+      expiresAt: savedPost.expires_at ?? null,
+      lifetime
+    };
+    res.status(201).json({ data: { post: responsePost } });
+  } catch (error) {
+    console.error('❌ Error creating post:', error);
+    res.status(500).json({ error: 'Failed to create post' });
+  }
+});
+
+// Helper function to shape a POI row the way the frontend expects it
+const formatPOI = (poi) => {
+  const loc = poi.location || {};
+  const lat = typeof loc.lat === 'number' ? loc.lat : (typeof loc.latitude === 'number' ? loc.latitude : null);
+  const lng = typeof loc.lng === 'number' ? loc.lng : (typeof loc.longitude === 'number' ? loc.longitude : null);
+  // Set by attachPOIRatingSummaries; POIs loaded without it show an empty breakdown
+  const ratingSummary = poi.rating_summary || poiRatings.formatRatingSummary();
+  return {
+    id: poi.id,
+    name: poi.name ?? null,
+    description: poi.description ?? null,
+    // Always include coordinates with {lat, lng}
+    coordinates: lat != null && lng != null ? { lat, lng } : null,
+    // Provide photo as first photo if present
+    photo: poi.photos && Array.isArray(poi.photos) && poi.photos.length > 0 ? poi.photos[0] : null,
+    photos: (poi.gallery || []).map(formatPOIPhoto),
+    icon: poi.icon ?? null,
+    type: poi.type ?? null,
+    categories: poi.categories || [],
+    openingHours: poi.opening_hours ?? null,
+    // null when the POI has no opening hours
+    openNow: openingHours.isOpenAt(poi.opening_hours, new Date()),
+    website: poi.website ?? null,
+    phone: poi.phone ?? null,
+    author: poi.author ?? null,
+    user: {
+      id: poi.user_id ?? null,
+      email: poi.user_email || '',
+      name: poi.user_name || poi.author || ''
+    },
+    // Map to camelCase for frontend consistency
+    createdAt: poi.created_at ?? null,
+    reviews: (() => {
+      try {
+        if (poi.reviews && typeof poi.reviews === 'string') {
+          // Handle empty string case
+          if (poi.reviews.trim() === '') {
+            return [];
+          }
+          return JSON.parse(poi.reviews);
+        } else if (Array.isArray(poi.reviews)) {
+          return poi.reviews;
+        } else {
+          return [];
+        }
+      } catch (error) {
+        console.warn('⚠️ Error parsing reviews field in getAllPOIs:', error, 'Value:', poi.reviews);
+        return [];
+      }
+    })(),
+    averageRating: poi.average_rating ?? 0,
+    reviewCount: poi.review_count ?? 0,
+    likes: (() => {
+      try {
+        if (poi.likes && typeof poi.likes === 'string') {
+          // Handle empty string case
+          if (poi.likes.trim() === '') {
+            return [];
+          }
+          return JSON.parse(poi.likes);
+        } else if (Array.isArray(poi.likes)) {
+          return poi.likes;
+        } else {
+          return [];
+        }
+      } catch (error) {
+        console.warn('⚠️ Error parsing likes field in getAllPOIs:', error, 'Value:', poi.likes);
+        return [];
+      }
+    })(),
+    likeCount: poi.like_count ?? 0,
+    ratingDistribution: ratingSummary.distribution,
+    subRatings: ratingSummary.subRatings,
+    visitCount: parseInt(poi.visit_count, 10) || 0,
+    visitorCount: parseInt(poi.visitor_count, 10) || 0
+  };
+};
+
+// Helper function to shape a POI review row (same fields the reviews had in pois.reviews)
+const formatPOIReview = (review) => ({
+  id: review.id,
+  poiId: review.poi_id,
+  rating: review.rating,
+  subRatings: poiRatings.readSubRatings(review),
+  text: review.text,
+  author: review.author,
+  authorPhoto: review.author_photo,
+  photo: review.photo,
+  createdAt: review.created_at,
+  updatedAt: review.updated_at,
+  likes: review.likes || [],
+  likeCount: review.like_count ?? 0,
+  user_id: review.user_id
+});
+
+// Helper function to load POI reviews into the reviews field of POI rows, in one query
+const attachPOIReviews = async (pois) => {
+  const reviews = await attachLikes('review', await dbService.getReviewsByPOIIds(pois.map(poi => poi.id)));
+  const reviewsByPoi = new Map();
+  for (const review of reviews) {
+    if (!reviewsByPoi.has(review.poi_id)) reviewsByPoi.set(review.poi_id, []);
+    reviewsByPoi.get(review.poi_id).push(formatPOIReview(review));
+  }
+  return pois.map(poi => ({ ...poi, reviews: reviewsByPoi.get(poi.id) || [] }));
+};
+
+// Helper function to shape a POI gallery photo row
+const formatPOIPhoto = (photo) => ({
+  id: photo.id,
+  url: photo.url,
+  caption: photo.caption ?? null,
+  position: photo.position,
+  uploadedBy: photo.user_id ? { id: photo.user_id, name: photo.uploader_name || '' } : null,
+  createdAt: photo.created_at
+});
+
+// Helper function to load POI galleries into the gallery field of POI rows, in one query
+const attachPOIPhotos = async (pois) => {
+  const photos = await dbService.getPhotosByPOIIds(pois.map(poi => poi.id));
+  const photosByPoi = new Map();
+  for (const photo of photos) {
+    if (!photosByPoi.has(photo.poi_id)) photosByPoi.set(photo.poi_id, []);
+    photosByPoi.get(photo.poi_id).push(photo);
+  }
+  return pois.map(poi => ({ ...poi, gallery: photosByPoi.get(poi.id) || [] }));
+};
+
+// Helper function to load the check-in counts of POI rows (visit_count and visitor_count), in one query
+const attachPOIVisits = async (pois) => {
+  const rows = await dbService.getCheckInCountsByPOIIds(pois.map(poi => poi.id));
+  const countsByPoi = new Map(rows.map(row => [row.poi_id, row]));
+  return pois.map(poi => ({
+    ...poi,
+    visit_count: countsByPoi.get(poi.id)?.visit_count ?? 0,
+    visitor_count: countsByPoi.get(poi.id)?.visitor_count ?? 0
+  }));
+};
+
+// Helper function to load the star histogram and sub-rating averages of POI rows into rating_summary, in one query
+const attachPOIRatingSummaries = async (pois) => {
+  const rows = await dbService.getRatingSummariesByPOIIds(pois.map(poi => poi.id));
+  const rowsByPoi = new Map(rows.map(row => [row.poi_id, row]));
+  return pois.map(poi => ({ ...poi, rating_summary: poiRatings.formatRatingSummary(rowsByPoi.get(poi.id)) }));
+};
+
+// Helper function to load the reviews, rating breakdown, photos, categories, check-in counts and likes of POI rows
+const attachPOIDetails = async (pois) => attachLikes('poi', await attachPOIVisits(await attachPOICategories(
+  await attachPOIPhotos(await attachPOIRatingSummaries(await attachPOIReviews(pois))))));
+
+// Helper function to validate review input
+const validateReviewData = (data) => {
+  const rating = Math.round(Number(data.rating));
+  if (!(rating >= 1 && rating <= 5)) {
+    return { valid: false, error: 'Rating must be from 1 to 5' };
+  }
+  if (typeof data.text !== 'string' || !data.text.trim()) {
+    return { valid: false, error: 'Review text is required' };
+  }
+  if (data.text.trim().length > 2000) {
+    return { valid: false, error: 'Review text must be less than 2000 characters' };
+  }
+  let subRatings;
+  if (data.subRatings !== undefined && data.subRatings !== null) {
+    const result = poiRatings.validateSubRatings(data.subRatings);
+    if (!result.valid) return result;
+    subRatings = result.values;
+  }
+  return { valid: true, values: { rating, text: data.text.trim(), photo: data.photo || null, subRatings } };
+};
+
+// Helper function to read the open filter of POI listings: openNow=true, or
+// openAt=<date-time>. A date-time with a UTC offset is an instant; without one
+// ("2025-06-01T10:00") it is the local time at each POI. values is null without a filter.
+const readPOIOpenFilter = (query) => {
+  if (query.openNow !== undefined && query.openAt !== undefined) {
+    return { valid: false, error: 'Use either openNow or openAt' };
+  }
+  if (query.openNow !== undefined) {
+    if (query.openNow !== 'true') {
+      return { valid: false, error: 'openNow must be true' };
+    }
+    const now = new Date();
+    return { valid: true, values: (poi) => openingHours.isOpenAt(poi.opening_hours, now) === true };
+  }
+  if (query.openAt !== undefined) {
+    const local = typeof query.openAt === 'string' ? query.openAt.match(/^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})$/) : null;
+    if (local) {
+      const minutes = openingHours.parseClock(local[2]);
+      if (!openingHours.isValidDate(local[1]) || minutes === null) {
+        return { valid: false, error: 'openAt must be a valid date and time' };
+      }
+      return { valid: true, values: (poi) => openingHours.isOpenAtLocalTime(poi.opening_hours, local[1], minutes) === true };
+    }
+    const instant = typeof query.openAt === 'string' && /T.*(Z|[+-]\d{2}:?\d{2})$/.test(query.openAt) ? new Date(query.openAt) : null;
+    if (!instant || isNaN(instant.getTime())) {
+      return { valid: false, error: 'openAt must be a date-time like "2025-06-01T10:00" or "2025-06-01T08:00Z"' };
+    }
+    return { valid: true, values: (poi) => openingHours.isOpenAt(poi.opening_hours, instant) === true };
+  }
+  return { valid: true, values: null };
+};
+
+// POIs without opening hours never pass the open filter. The filter runs on
+// the nearest (or, without geo params, newest) POI_OPEN_FILTER_MAX_CANDIDATES
+// POIs that have opening hours; pagination.truncated says when there were more.
+const POI_OPEN_FILTER_MAX_CANDIDATES = 1000;
+
+const POI_SEARCH_DEFAULT_RADIUS_KM = 5;
+const POI_SEARCH_MAX_RADIUS_KM = 500;
+
+// Helper function to read the geo search params of GET /api/pois.
+// values is null when the request has no geo params at all.
+const validatePOISearchQuery = (query) => {
+  const { near, radius, bbox } = query;
+  if (near === undefined && bbox === undefined) {
+    if (radius !== undefined) {
+      return { valid: false, error: 'radius needs near=lat,lng' };
+    }
+    return { valid: true, values: null };
+  }
+
+  const origin = near !== undefined ? geo.parseLatLng(near) : null;
+  if (near !== undefined && !origin) {
+    return { valid: false, error: 'near must be "lat,lng"' };
+  }
+  const box = bbox !== undefined ? geo.parseBoundingBox(bbox) : null;
+  if (bbox !== undefined && !box) {
+    return { valid: false, error: 'bbox must be "minLng,minLat,maxLng,maxLat"' };
+  }
+
+  // A radius applies around near; with only a bbox there's no radius
+  let radiusKm = null;
+  if (radius !== undefined) {
+    if (!origin) {
+      return { valid: false, error: 'radius needs near=lat,lng' };
+    }
+    radiusKm = Number(radius);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > POI_SEARCH_MAX_RADIUS_KM) {
+      return { valid: false, error: `radius must be between 0 and ${POI_SEARCH_MAX_RADIUS_KM} km` };
+    }
+  } else if (origin && !box) {
+    radiusKm = POI_SEARCH_DEFAULT_RADIUS_KM;
+  }
+
+  return {
+    valid: true,
+    values: {
+      // Results are sorted by distance from near, or else from the bbox center
+      origin: origin || geo.getBoundingBoxCenter(box),
+      radiusKm,
+      bbox: box,
+      limit: Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200),
+      offset: Math.max(parseInt(query.offset, 10) || 0, 0)
+    }
+  };
+};
+
+// Tripyy POI endpoints
+// With near/bbox the POIs are filtered, sorted by distance and paginated:
+//   near=lat,lng&radius=km           - within radius km of a point (default 5 km)
+//   bbox=minLng,minLat,maxLng,maxLat - inside a map viewport (sorted from near if given)
+// Without them POIs are listed newest first, all of them unless limit or
+// offset is given (the map loads the whole list). Either way:
+//   category=food,museum - only POIs in one of these categories (or their subcategories)
+//   openNow=true / openAt=<date-time> - only POIs open then (see readPOIOpenFilter)
+//   facets=categories    - also return POI counts per category. The counts leave
+//                          the category and open filters out, so other categories keep theirs.
+app.get('/api/pois', async (req, res) => {
+  try {
+    const search = validatePOISearchQuery(req.query);
+    if (!search.valid) {
+      return res.status(400).json({ error: search.error });
+    }
+    const categoryFilter = await readPOICategoryFilter(req.query.category);
+    if (!categoryFilter.valid) {
+      return res.status(400).json({ error: categoryFilter.error });
+    }
+    const openFilter = readPOIOpenFilter(req.query);
+    if (!openFilter.valid) {
+      return res.status(400).json({ error: openFilter.error });
+    }
+    if (req.query.facets !== undefined && req.query.facets !== 'categories') {
+      return res.status(400).json({ error: 'facets must be "categories"' });
+    }
+    const categoryIds = categoryFilter.values;
+    const facets = req.query.facets === 'categories'
+      ? { categories: await getPOICategoryFacets(search.values || {}) }
+      : undefined;
+
+    const isOpen = openFilter.values;
+
+    // Geo searches sort by distance; without geo params POIs are listed newest
+    // first, and only paginated when asked to (limit null is no limit)
+    const paginated = req.query.limit !== undefined || req.query.offset !== undefined;
+    const { limit, offset } = search.values || {
+      limit: paginated ? Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200) : null,
+      offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+    };
+    const findPOIs = (page) => (search.values
+      ? dbService.searchPOIs({ ...search.values, categoryIds, ...page })
+      : dbService.getAllPOIs(categoryIds, page));
+
+    let pois;
+    let total;
+    // Only set with an open filter: true when there were more POIs with opening
+    // hours than POI_OPEN_FILTER_MAX_CANDIDATES, so some open ones are missing
+    let truncated;
+    if (isOpen) {
+      // Opening hours are checked here, so page through the open ones
+      const candidates = await findPOIs({ withOpeningHours: true, limit: POI_OPEN_FILTER_MAX_CANDIDATES, offset: 0 });
+      const openPois = candidates.pois.filter(isOpen);
+      pois = openPois.slice(offset, limit === null ? undefined : offset + limit);
+      total = openPois.length;
+      truncated = candidates.total > candidates.pois.length;
+    } else {
+      ({ pois, total } = await findPOIs({ limit, offset }));
+    }
+
+    // Transform POI data to match frontend expectations
+    const transformedPois = (await attachPOIDetails(pois)).map(poi => (search.values
+      ? { ...formatPOI(poi), distanceKm: Math.round(poi.distance_km * 1000) / 1000 }
+      : formatPOI(poi)));
+
+    res.json({ data: { pois: transformedPois, pagination: { total, limit, offset, truncated }, facets } });
+  } catch (error) {
+    console.error('Get POIs error:', error);
+    res.status(500).json({ error: 'Failed to get POIs' });
+  }
+});
+
+// POI map clusters
+const POI_CLUSTER_CELLS_PER_TILE = 4;
+// From this zoom on, POIs are listed one by one instead of clustered
+const POI_CLUSTER_MAX_ZOOM = 17;
+const POI_MAP_MAX_POIS = 500;
+const POI_TILE_CACHE_SECONDS = 300;
+
+// Helper function to shape a single POI map marker
+const formatPOIMarker = ({ id, name, icon, type, lat, lng }) => ({
+  id,
+  name: name ?? null,
+  icon: icon || null,
+  type: type ?? null,
+  coordinates: { lat, lng }
+});
+
+// Helper function to get the clusters and single POIs inside an area at a zoom
+// level, optionally only in some categories. cellFilter and markerFilter can
+// drop grid cells and single POIs (used to keep tiles from overlapping).
+// truncated is true when there were more than POI_MAP_MAX_POIS POIs to list.
+const getPOIMapFeatures = async (bbox, zoom, { categoryIds = null, cellFilter = () => true, markerFilter = () => true } = {}) => {
+  if (zoom >= POI_CLUSTER_MAX_ZOOM) {
+    const { pois, total } = await dbService.searchPOIs({
+      origin: geo.getBoundingBoxCenter(bbox),
+      bbox,
+      categoryIds,
+      limit: POI_MAP_MAX_POIS
+    });
+    return {
+      clusters: [],
+      pois: pois.map(poi => formatPOIMarker({ ...poi, ...geo.readCoordinates(poi.location) })).filter(markerFilter),
+      truncated: total > pois.length
+    };
+  }
+
+  const cells = (await dbService.getPOIClusters({ bbox, zoom, cellsPerTile: POI_CLUSTER_CELLS_PER_TILE, categoryIds }))
+    .filter(cellFilter);
+  return {
+    clusters: cells.filter(cell => cell.count > 1).map(cell => ({
+      id: `${zoom}/${cell.cell_x}/${cell.cell_y}`,
+      count: cell.count,
+      coordinates: { lat: cell.lat, lng: cell.lng },
+      bounds: { minLat: cell.min_lat, minLng: cell.min_lng, maxLat: cell.max_lat, maxLng: cell.max_lng },
+      icon: cell.icon || null,
+      type: cell.type ?? null
+    })),
+    pois: cells.filter(cell => cell.count === 1).map(cell => formatPOIMarker({ ...cell, id: cell.poi_id })),
+    truncated: false
+  };
+};
+
+// Clusters for one map tile (z/x/y, Web Mercator), optionally ?category=...
+// Each tile only depends on its URL, so responses can be cached per tile.
+app.get('/api/pois/tiles/:z/:x/:y', async (req, res) => {
+  try {
+    const [zoom, x, y] = ['z', 'x', 'y'].map(param => Number(req.params[param]));
+    if (!mapTiles.isValidTile(zoom, x, y)) {
+      return res.status(400).json({ error: 'Invalid tile coordinates' });
+    }
+    const categoryFilter = await readPOICategoryFilter(req.query.category);
+    if (!categoryFilter.valid) {
+      return res.status(400).json({ error: categoryFilter.error });
+    }
+
+    // Keep only the grid cells and POIs of this tile, so a POI on a tile edge
+    // isn't counted twice
+    const cells = POI_CLUSTER_CELLS_PER_TILE;
+    const inTile = (cell) => Math.floor(cell.cell_x / cells) === x && Math.floor(cell.cell_y / cells) === y;
+    const markerInTile = ({ coordinates }) => {
+      const tile = mapTiles.getTileForPoint(zoom, coordinates.lat, coordinates.lng);
+      return tile.x === x && tile.y === y;
+    };
+    const features = await getPOIMapFeatures(mapTiles.getTileBoundingBox(zoom, x, y), zoom, {
+      categoryIds: categoryFilter.values,
+      cellFilter: inTile,
+      markerFilter: markerInTile
+    });
+
+    res.set('Cache-Control', `public, max-age=${POI_TILE_CACHE_SECONDS}`);
+    res.json({ data: { tile: { z: zoom, x, y }, ...features } });
+  } catch (error) {
+    console.error('Get POI tile error:', error);
+    res.status(500).json({ error: 'Failed to get POI tile' });
+  }
+});
+
+// Clusters for a viewport: bbox=minLng,minLat,maxLng,maxLat&zoom=N, optionally &category=...
+app.get('/api/pois/clusters', async (req, res) => {
+  try {
+    const bbox = geo.parseBoundingBox(req.query.bbox);
+    if (!bbox) {
+      return res.status(400).json({ error: 'bbox must be "minLng,minLat,maxLng,maxLat"' });
+    }
+    const zoom = Number(req.query.zoom);
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > mapTiles.MAX_ZOOM) {
+      return res.status(400).json({ error: `zoom must be a whole number from 0 to ${mapTiles.MAX_ZOOM}` });
+    }
+    const categoryFilter = await readPOICategoryFilter(req.query.category);
+    if (!categoryFilter.valid) {
+      return res.status(400).json({ error: categoryFilter.error });
+    }
+
+    const features = await getPOIMapFeatures(bbox, zoom, { categoryIds: categoryFilter.values });
+    res.json({ data: { zoom, ...features } });
+  } catch (error) {
+    console.error('Get POI clusters error:', error);
+    res.status(500).json({ error: 'Failed to get POI clusters' });
+  }
+});
+
+app.post('/api/pois', authenticateUser, async (req, res) => {
+  try {
+    const { name, icon, description, photo, type, author, categories, checkDuplicates } = req.body || {};
+    // Accept both { coordinates: {lat,lng} } and { location: {latitude, longitude} } or { location: {lat,lng} }
+    const bodyCoords = req.body?.coordinates;
+    const bodyLoc = req.body?.location;
+    let lat = null;
+    let lng = null;
+    if (bodyCoords && typeof bodyCoords.lat === 'number' && typeof bodyCoords.lng === 'number') {
+      lat = bodyCoords.lat;
+      lng = bodyCoords.lng;
+    } else if (bodyLoc) {
+      if (typeof bodyLoc.lat === 'number' && typeof bodyLoc.lng === 'number') {
+        lat = bodyLoc.lat; lng = bodyLoc.lng;
+      } else if (typeof bodyLoc.latitude === 'number' && typeof bodyLoc.longitude === 'number') {
+        lat = bodyLoc.latitude; lng = bodyLoc.longitude;
+      }
+    }
+    if (!name || typeof lat !== 'number' || typeof lng !== 'number') {
+      return res.status(400).json({ error: 'Name and valid coordinates are required' });
+    }
+    let categoryIds = [];
+    if (categories !== undefined) {
+      const categoryValidation = await validatePOICategories(categories);
+      if (!categoryValidation.valid) {
+        return res.status(400).json({ error: categoryValidation.error });
+      }
+      categoryIds = categoryValidation.values;
+    }
+    const detailsValidation = validatePOIDetails(req.body);
+    if (!detailsValidation.valid) {
+      return res.status(400).json({ error: detailsValidation.error });
+    }
+
+    // Likely the same place as an existing POI: clients that opt in with
+    // checkDuplicates: true get a 409 with the candidates instead of a new POI;
+    // everyone else gets the candidates along with the created POI
+    const duplicates = await findPOIDuplicates({ lat, lng }, name);
+    if (checkDuplicates === true && duplicates.length > 0) {
+      return res.status(409).json({ error: 'This place may already exist', data: { duplicates } });
+    }
+    
+    const user = await dbService.getUserById(req.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+    if (photo) {
+      const imageValidation = await validateUploadedImage(photo, null, user.id);
+      if (!imageValidation.valid) {
+        return res.status(400).json({ error: imageValidation.error });
+      }
+    }
+
+    // Map frontend data structure to backend database structure
+    // Persist both coordinates and location {lat,lng} for backward compatibility
+    const locationPayload = poiEdits.toPOILocation({ lat, lng });
+    const poi = {
+      name,
+      location: locationPayload,
+      photos: photo ? [photo] : [],
+      icon: icon || '',
+      type: type || 'public',
+      author: author || user.traveler_profile?.nickname || user.name || '',
+      userId: String(user.id), // Ensure userId is converted to string
+      reviews: [],
+      averageRating: 0,
+      reviewCount: 0,
+      likes: [],
+      likeCount: 0,
+      createdAt: new Date().toISOString(),
+      description: description || '',
+      categoryIds,
+      ...detailsValidation.values
+    };
+
+    console.log('📍 Creating POI with data:', poi);
+
+    // Store POI in database
+    const savedPoiId = await dbService.createPOI(poi);
+    
+    // Get the created POI to return
+    const [savedPoi] = await attachPOICategories([await dbService.getPOIById(savedPoiId)]);
+    console.log('🔍 Retrieved POI from database:', JSON.stringify(savedPoi, null, 2));
+    console.log('🔍 POI likes field type:', typeof savedPoi.likes, 'value:', savedPoi.likes);
+    // Normalize response to include coordinates at top-level
+    const loc = savedPoi.location || {};
+    const respLat = typeof loc.lat === 'number' ? loc.lat : (typeof loc.latitude === 'number' ? loc.latitude : null);
+    const respLng = typeof loc.lng === 'number' ? loc.lng : (typeof loc.longitude === 'number' ? loc.longitude : null);
+    const responsePoi = {
+      id: savedPoi.id,
+      name: savedPoi.name ?? null,
+      description: savedPoi.description ?? null,
+      coordinates: respLat != null && respLng != null ? { lat: respLat, lng: respLng } : null,
+      photo: savedPoi.photos && Array.isArray(savedPoi.photos) && savedPoi.photos.length > 0 ? savedPoi.photos[0] : null,
+      icon: savedPoi.icon ?? null,
+      type: savedPoi.type ?? null,
+      categories: savedPoi.categories,
+      openingHours: savedPoi.opening_hours ?? null,
+      openNow: openingHours.isOpenAt(savedPoi.opening_hours, new Date()),
+      website: savedPoi.website ?? null,
+      phone: savedPoi.phone ?? null,
+      author: savedPoi.author ?? null,
+      user: { id: savedPoi.user_id ?? null },
+      // Map to camelCase for frontend consistency
+      createdAt: savedPoi.created_at ?? null,
+      reviews: (() => {
+        try {
+          if (savedPoi.reviews && typeof savedPoi.reviews === 'string') {
+            // Handle empty string case
+            if (savedPoi.reviews.trim() === '') {
+              return [];
+            }
+            return JSON.parse(savedPoi.reviews);
+          } else if (Array.isArray(savedPoi.reviews)) {
+            return savedPoi.reviews;
+          } else {
+            return [];
+          }
+        } catch (error) {
+          console.warn('⚠️ Error parsing reviews field:', error, 'Value:', savedPoi.reviews);
+          return [];
+        }
+      })(),
+      averageRating: savedPoi.average_rating ?? 0,
+      reviewCount: savedPoi.review_count ?? 0,
+      likes: (() => {
+        try {
+          if (savedPoi.likes && typeof savedPoi.likes === 'string') {
+            // Handle empty string case
+            if (savedPoi.likes.trim() === '') {
+              return [];
+            }
+            return JSON.parse(savedPoi.likes);
+          } else if (Array.isArray(savedPoi.likes)) {
+            return savedPoi.likes;
+          } else {
+            return [];
+          }
+        } catch (error) {
+          console.warn('⚠️ Error parsing likes field:', error, 'Value:', savedPoi.likes);
+          return [];
+        }
+      })(),
+      likeCount: savedPoi.like_count ?? 0
+    };
+    
+    console.log('📍 New POI added with ID:', savedPoiId);
+    res.status(201).json({ data: { poi: responsePoi, duplicates } });
+  } catch (error) {
+    console.error('❌ Error adding POI:', error);
+    res.status(500).json({ error: 'Failed to add POI' });
+  }
+});
+
+// Bulk import POIs from a GeoJSON, KML or CSV file: multipart "file", or JSON
+// { content, format }. dryRun=true only validates; likely duplicates of
+// existing POIs are skipped unless allowDuplicates=true. Returns a per-row report.
+app.post('/api/pois/import', authenticateUser, upload.single('file'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const content = req.file ? req.file.buffer.toString('utf8') : body.content;
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'A file or content to import is required' });
+    }
+    const format = typeof body.format === 'string' && body.format
+      ? body.format.toLowerCase()
+      : poiImportService.detectImportFormat(req.file?.originalname, content);
+
+    const parsed = poiImportService.parseImportFile(format, content);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const report = await poiImportService.importPOIs(parsed.entries, {
+      userId: req.userId,
+      dryRun: body.dryRun === true || body.dryRun === 'true',
+      allowDuplicates: body.allowDuplicates === true || body.allowDuplicates === 'true'
+    });
+    console.log(`📍 POI import (${format}) by user ${req.userId}:`, report.summary);
+    res.json({ data: { format, ...report } });
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return res.status(401).json({ error: 'User not found' });
+    }
+    console.error('POI import error:', error);
+    res.status(500).json({ error: 'Failed to import POIs' });
+  }
+});
+
+// Like/unlike a POI
+app.post('/api/pois/:poiId/like', authenticateUser, async (req, res) => {
+  try {
+    const { poiId } = req.params;
+    
+    const user = await dbService.getUserById(req.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const target = await findLikeTarget('poi', poiId);
+    if (!target) {
+      return res.status(404).json({ error: 'POI not found' });
+    }
+
+    // Toggle like status
+    await toggleLike(req.userId, 'poi', poiId);
+    const [updatedPoi] = await attachPOIDetails([await dbService.getPOIById(target.poi.id)]);
+    const { likes, reviews } = updatedPoi;
+    
+    // Parse photos safely
+    let photos = [];
+    if (updatedPoi.photos) {
+      try {
+        photos = typeof updatedPoi.photos === 'string' ? JSON.parse(updatedPoi.photos) : updatedPoi.photos;
+      } catch (error) {
+        console.error('Error parsing photos:', error);
+        photos = [];
+      }
+    }
+
+    // Format response
+    const responsePoi = {
+      id: updatedPoi.id.toString(),
+      name: updatedPoi.name,
+      description: updatedPoi.description,
+      location: updatedPoi.location,
+      photos: photos,
+      icon: updatedPoi.icon,
+      type: updatedPoi.type,
+      author: updatedPoi.author,
+      user_id: updatedPoi.user_id,
+      reviews: reviews,
+      average_rating: updatedPoi.average_rating,
+      review_count: updatedPoi.review_count,
+      likes: likes,
+      likeCount: likes.length,
+      created_at: updatedPoi.created_at
+    };
+
+    res.json({
+      success: true,
+      poi: responsePoi
+    });
+  } catch (error) {
+    console.error('❌ Error toggling POI like:', error);
+    res.status(500).json({ error: 'Failed to toggle POI like' });
+  }
+});
+
+// Update an existing public POI (by coordinates)
+app.put('/api/pois', authenticateUser, async (req, res) => {
+  try {
+    const { coordinates, name, icon, description, photo, categories } = req.body;
+    if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
+      return res.status(400).json({ error: 'Valid coordinates are required' });
+    }
+    let categoryIds = null;
+    if (categories !== undefined) {
+      const categoryValidation = await validatePOICategories(categories);
+      if (!categoryValidation.valid) {
+        return res.status(400).json({ error: categoryValidation.error });
+      }
+      categoryIds = categoryValidation.values;
+    }
+    const detailsValidation = validatePOIDetails(req.body);
+    if (!detailsValidation.valid) {
+      return res.status(400).json({ error: detailsValidation.error });
+    }
+
+    // Find POI by coordinates using database service
+    const poi = await dbService.getPOIByCoordinates(coordinates.lat, coordinates.lng);
+    if (!poi) {
+      return res.status(404).json({ error: 'POI not found' });
+    }
+
+    // Authorization: only the creator can edit (by user id or author nickname)
+    const user = await dbService.getUserById(req.userId);
+    if (!user) return res.status(401).json({ error: 'User not found' });
+    if (!isPOIOwner(poi, user)) {
+      return res.status(403).json({ error: 'Not authorized to edit this POI' });
+    }
+    let cover = null;
+    if (typeof photo === 'string' && photo && photo !== poi.photos?.[0]) {
+      const imageValidation = await validateUploadedImage(photo, null, user.id);
+      if (!imageValidation.valid) {
+        return res.status(400).json({ error: imageValidation.error });
+      }
+      cover = imageValidation.values;
+    }
+
+    // Tracked fields go through editPOI so they show up in the change log
+    const changes = { ...detailsValidation.values };
+    if (typeof name === 'string') changes.name = name;
+    if (typeof description === 'string') changes.description = description;
+    // categories replace the POI's current ones
+    if (categoryIds) changes.categories = categoryIds;
+    await dbService.editPOI(poi.id, changes, user.id);
+    if (typeof icon === 'string') {
+      await dbService.updatePOI(poi.id, { icon });
+    }
+
+    // photo replaces the cover (first gallery photo); the old image is deleted
+    if (cover) {
+      const { removed } = await dbService.replacePOICoverPhoto(poi.id, { ...cover, userId: user.id });
+      if (removed) {
+        deleteUnusedImages([{ url: removed.url, publicId: removed.public_id }]);
+      }
+    }
+
+    const [poiWithReviews] = await attachPOIDetails([await dbService.getPOIById(poi.id)]);
+    return res.json({ data: { message: 'POI updated', poi: poiWithReviews } });
+  } catch (error) {
+    console.error('❌ Error updating POI:', error);
+    return res.status(500).json({ error: 'Failed to update POI' });
+  }
+});
+
+// Delete an existing public POI (by coordinates)
+app.delete('/api/pois', authenticateUser, async (req, res) => {
+  try {
+    const { coordinates } = req.body || {};
+    if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
+      return res.status(400).json({ error: 'Valid coordinates are required' });
+    }
+
+    // Find POI by coordinates using database service
+    const poi = await dbService.getPOIByCoordinates(coordinates.lat, coordinates.lng);
+    if (!poi) {
+      return res.status(404).json({ error: 'POI not found' });
+    }
+
+    // Authorization: only the creator can delete (by user id or author nickname)
+    const user = await dbService.getUserById(req.userId);
+    if (!user) return res.status(401).json({ error: 'User not found' });
+    if (!isPOIOwner(poi, user)) {
+      return res.status(403).json({ error: 'Not authorized to delete this POI' });
+    }
+
+    // Gallery and review photos go with the POI
+    const [photos, reviews] = await Promise.all([
+      dbService.getPhotosByPOIIds([poi.id]),
+      dbService.getReviewsByPOIIds([poi.id])
+    ]);
+
+    // Delete POI from database
+    const deleted = await dbService.deletePOI(poi.id);
+
+    deleteUnusedImages([
+      ...photos.map(p => ({ url: p.url, publicId: p.public_id })),
+      ...reviews.map(review => review.photo).filter(Boolean)
+    ]);
+
+    return res.json({ data: { message: 'POI deleted', poi: deleted } });
+  } catch (error) {
+    console.error('❌ Error deleting POI:', error);
+    return res.status(500).json({ error: 'Failed to delete POI' });
+  }
+});
+
+// Helper function to find POIs that are probably the same place as a new one
+// (close by with a similar name), most similar first
+const findPOIDuplicates = async ({ lat, lng }, name) => {
+  const { pois } = await dbService.searchPOIs({
+    origin: { lat, lng },
+    radiusKm: poiDuplicates.DUPLICATE_RADIUS_M / 1000,
+    limit: 20
+  });
+  return poiDuplicates.findDuplicateCandidates(name, pois).map(({ poi, distanceM, similarity }) => ({
+    ...formatPOIMarker({ ...poi, ...geo.readCoordinates(poi.location) }),
+    averageRating: Number(poi.average_rating) || 0,
+    reviewCount: poi.review_count ?? 0,
+    distanceM,
+    similarity
+  }));
+};
+
+// Check for duplicates before adding a POI: near=lat,lng&name=...
+app.get('/api/pois/duplicates', async (req, res) => {
+  try {
+    const origin = geo.parseLatLng(req.query.near);
+    if (!origin) {
+      return res.status(400).json({ error: 'near must be "lat,lng"' });
+    }
+    if (typeof req.query.name !== 'string' || !req.query.name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const duplicates = await findPOIDuplicates(origin, req.query.name);
+    res.json({ data: { duplicates } });
+  } catch (error) {
+    console.error('Find POI duplicates error:', error);
+    res.status(500).json({ error: 'Failed to find POI duplicates' });
+  }
+});
+
+// Merge a duplicate POI into this one (admin only), body: { sourceId }.
+// Reviews, likes, photos, categories, expenses, collection entries and
+// connected posts move over and the duplicate is deleted.
+app.post('/api/admin/pois/:id/merge', authenticateUser, async (req, res) => {
+  try {
+    const isAdmin = await isUserAdmin(req.userId);
+    if (!isAdmin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const targetId = parseInt(req.params.id, 10);
+    const sourceId = parseInt(req.body?.sourceId, 10);
+    if (!targetId || !sourceId) {
+      return res.status(400).json({ error: 'POI id and sourceId are required' });
+    }
+    if (targetId === sourceId) {
+      return res.status(400).json({ error: 'A POI cannot be merged into itself' });
+    }
+
+    const { poi, moved } = await dbService.mergePOIs(targetId, sourceId, req.userId);
+    console.log(`🔀 POI ${sourceId} merged into ${targetId} by ${req.userId}:`, moved);
+
+    const [merged] = await attachPOIDetails([poi]);
+    res.json({ data: { message: 'POIs merged', poi: formatPOI(merged), mergedId: sourceId, moved } });
+  } catch (error) {
+    console.error('Merge POIs error:', error);
+    if (error.message === 'POI not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to merge POIs' });
+  }
+});
+
+const MAX_POI_PHOTOS = 30;
+
+// Helper function to check whether a user created a POI (by user id or author nickname)
+const isPOIOwner = (poi, user) => (poi.user_id && poi.user_id === user.id) ||
+  (poi.author && (poi.author === (user.traveler_profile?.nickname || user.name)));
+
+// Helper function to check whether a user created a POI by user id alone.
+// Nicknames aren't unique, so gallery and suggestion permissions use this.
+const isPOICreator = (poi, user) => Boolean(poi.user_id) && poi.user_id === user.id;
+
+// Helper function to validate a photo caption (null or '' removes it)
+const validatePhotoCaption = (caption) => {
+  if (caption === undefined || caption === null || caption === '') {
+    return { valid: true, values: null };
+  }
+  if (typeof caption !== 'string' || caption.trim().length > 500) {
+    return { valid: false, error: 'caption must be text of at most 500 characters' };
+  }
+  return { valid: true, values: caption.trim() || null };
+};
+
+// Helper function to validate a photo URL (and publicId) sent for a POI, its
+// gallery or a review. Cloudinary images must be the user's own /api/upload
+// results, since they are deleted with the photo; other URLs are kept as links.
+const validateUploadedImage = async (url, publicId, userId) => {
+  if (typeof url !== 'string' || !/^https?:\/\/\S+$/.test(url)) {
+    return { valid: false, error: 'url must be an http(s) image URL' };
+  }
+  if (publicId !== undefined && publicId !== null && typeof publicId !== 'string') {
+    return { valid: false, error: 'publicId must be a string' };
+  }
+  const urlPublicId = cloudinaryService.getPublicIdFromUrl(url);
+  if (!urlPublicId) {
+    if (publicId) {
+      return { valid: false, error: 'publicId does not match url' };
+    }
+    return { valid: true, values: { url, publicId: null } };
+  }
+  const upload = await dbService.getUpload(publicId || urlPublicId);
+  if (!upload || upload.url !== url || upload.user_id !== userId) {
+    return { valid: false, error: 'Images must be uploaded through /api/upload by you' };
+  }
+  return { valid: true, values: { url, publicId: upload.public_id } };
+};
+
+// Helper function to delete the Cloudinary images of removed photos, POIs or
+// reviews, keeping the ones another photo, review or post still shows
+const deleteUnusedImages = async (images) => {
+  try {
+    const urls = images.map(image => (typeof image === 'string' ? image : image?.url)).filter(Boolean);
+    const inUse = new Set(await dbService.getImageUrlsInUse(urls));
+    await cloudinaryService.deleteImages(images.filter(image =>
+      !inUse.has(typeof image === 'string' ? image : image?.url)));
+  } catch (error) {
+    console.error('Delete unused images error:', error);
+  }
+};
+
+// Helper function to load the POI and gallery photo named in /api/pois/:poiId/photos/:photoId
+const findPOIPhoto = async (params) => {
+  const poiId = parseInt(params.poiId, 10);
+  const photoId = parseInt(params.photoId, 10);
+  const photo = Number.isNaN(poiId) || Number.isNaN(photoId) ? null : await dbService.getPOIPhoto(photoId);
+  if (!photo || photo.poi_id !== poiId) return null;
+  return { poi: await dbService.getPOIById(poiId), photo };
+};
+
+// Gallery of a POI, in order (the first photo is the cover)
+app.get('/api/pois/:poiId/photos', async (req, res) => {
+  try {
+    const poiId = parseInt(req.params.poiId, 10);
+    const poi = Number.isNaN(poiId) ? null : await dbService.getPOIById(poiId);
+    if (!poi) {
+      return res.status(404).json({ error: 'POI not found' });
+    }
+
+    const photos = await dbService.getPhotosByPOIIds([poi.id]);
+    res.json({ data: { photos: photos.map(formatPOIPhoto) } });
+  } catch (error) {
+    console.error('Get POI photos error:', error);
+    res.status(500).json({ error: 'Failed to get POI photos' });
+  }
+});
+
+// Add a photo to a POI's gallery, body: { url, publicId?, caption? } with url
+// (and publicId) as returned by the user's own /api/upload, or a link to an
+// image elsewhere. Any signed-in user can add photos.
+app.post('/api/pois/:poiId/photos', authenticateUser, async (req, res) => {
+  try {
+    const { url, publicId, caption } = req.body || {};
+    const imageValidation = await validateUploadedImage(url, publicId, req.userId);
+    if (!imageValidation.valid) {
+      return res.status(400).json({ error: imageValidation.error });
+    }
+    const captionValidation = validatePhotoCaption(caption);
+    if (!captionValidation.valid) {
+      return res.status(400).json({ error: captionValidation.error });
+    }
+
+    const poiId = parseInt(req.params.poiId, 10);
+    const poi = Number.isNaN(poiId) ? null : await dbService.getPOIById(poiId);
+    if (!poi) {
+      return res.status(404).json({ error: 'POI not found' });
+    }
+    const existing = await dbService.getPhotosByPOIIds([poi.id]);
+    if (existing.length >= MAX_POI_PHOTOS) {
+      return res.status(400).json({ error: `A POI can have at most ${MAX_POI_PHOTOS} photos` });
+    }
+
+    const { photo } = await dbService.addPOIPhoto(poi.id, {
+      ...imageValidation.values,
+      caption: captionValidation.values,
+      userId: req.userId
+    });
+    res.status(201).json({ data: { photo: formatPOIPhoto(await dbService.getPOIPhoto(photo.id)) } });
+  } catch (error) {
+    console.error('Add POI photo error:', error);
+    if (error.message === 'POI not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to add POI photo' });
+  }
+});
+
+// Reorder a POI's gallery (POI creator or admin), body: { photoIds } listing
+// every photo once, cover first
+app.put('/api/pois/:poiId/photos/order', authenticateUser, async (req, res) => {
+  try {
+    const { photoIds } = req.body || {};
+    if (!Array.isArray(photoIds) || !photoIds.every(id => Number.isInteger(id))) {
+      return res.status(400).json({ error: 'photoIds must be a list of photo ids' });
+    }
+
+    const poiId = parseInt(req.params.poiId, 10);
+    const poi = Number.isNaN(poiId) ? null : await dbService.getPOIById(poiId);
+    if (!poi) {
+      return res.status(404).json({ error: 'POI not found' });
+    }
+    const user = await dbService.getUserById(req.userId);
+    if (!user) return res.status(401).json({ error: 'User not found' });
+    if (!isPOICreator(poi, user) && !(await isUserAdmin(req.userId))) {
+      return res.status(403).json({ error: 'Not authorized to reorder these photos' });
+    }
+
+    await dbService.reorderPOIPhotos(poi.id, photoIds);
+    const photos = await dbService.getPhotosByPOIIds([poi.id]);
+    res.json({ data: { photos: photos.map(formatPOIPhoto) } });
+  } catch (error) {
+    console.error('Reorder POI photos error:', error);
+    if (error.message === 'Photo ids must list every photo of the POI once') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to reorder POI photos' });
+  }
+});
+
+// Edit a photo caption (uploader or POI creator), body: { caption }
+app.put('/api/pois/:poiId/photos/:photoId', authenticateUser, async (req, res) => {
+  try {
+    const captionValidation = validatePhotoCaption(req.body?.caption);
+    if (!captionValidation.valid) {
+      return res.status(400).json({ error: captionValidation.error });
+    }
+
+    const found = await findPOIPhoto(req.params);
+    if (!found) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    const user = await dbService.getUserById(req.userId);
+    if (!user) return res.status(401).json({ error: 'User not found' });
+    if (found.photo.user_id !== user.id && !isPOICreator(found.poi, user)) {
+      return res.status(403).json({ error: 'Not authorized to edit this photo' });
+    }
+
+    await dbService.updatePOIPhoto(found.photo.id, { caption: captionValidation.values });
+    res.json({ data: { photo: formatPOIPhoto(await dbService.getPOIPhoto(found.photo.id)) } });
+  } catch (error) {
+    console.error('Update POI photo error:', error);
+    if (error.message === 'Photo not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to update POI photo' });
+  }
+});
+
+// Remove a photo from a POI's gallery (uploader, POI creator or admin); its
+// Cloudinary image is deleted too
+app.delete('/api/pois/:poiId/photos/:photoId', authenticateUser, async (req, res) => {
+  try {
+    const found = await findPOIPhoto(req.params);
+    if (!found) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    const user = await dbService.getUserById(req.userId);
+    if (!user) return res.status(401).json({ error: 'User not found' });
+    if (found.photo.user_id !== user.id && !isPOICreator(found.poi, user) && !(await isUserAdmin(req.userId))) {
+      return res.status(403).json({ error: 'Not authorized to delete this photo' });
+    }
+
+    const { photo } = await dbService.deletePOIPhoto(found.poi.id, found.photo.id);
+    deleteUnusedImages([{ url: photo.url, publicId: photo.public_id }]);
+
+    const photos = await dbService.getPhotosByPOIIds([found.poi.id]);
+    res.json({ data: { message: 'Photo deleted', photos: photos.map(formatPOIPhoto) } });
+  } catch (error) {
+    console.error('Delete POI photo error:', error);
+    if (error.message === 'Photo not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to delete POI photo' });
+  }
+});
+
+// Helper function to check whether a user wrote a review (reviews moved from
+// pois.reviews may only have the author nickname)
+const isReviewAuthor = (review, user) => {
+  if (review.user_id) return review.user_id === user.id;
+  return !!review.author && review.author === (user.traveler_profile?.nickname || user.name);
+};
+
+// Paginated reviews of a POI with its rating breakdown.
+// ?sort=newest|most-liked|highest|lowest, ?rating=4 or 4,5, ?withPhotos=true
+app.get('/api/pois/:poiId/reviews', async (req, res) => {
+  try {
+    const poiId = parseInt(req.params.poiId, 10);
+    const poi = Number.isNaN(poiId) ? null : await dbService.getPOIById(poiId);
+    if (!poi) {
+      return res.status(404).json({ error: 'POI not found' });
+    }
+
+    const sort = req.query.sort || 'newest';
+    if (!poiRatings.REVIEW_SORTS.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of ${poiRatings.REVIEW_SORTS.join(', ')}` });
+    }
+    const ratings = req.query.rating !== undefined ? poiRatings.parseRatingFilter(req.query.rating) : null;
+    if (req.query.rating !== undefined && !ratings) {
+      return res.status(400).json({ error: 'rating must be star ratings from 1 to 5, like 4 or 4,5' });
+    }
+    if (req.query.withPhotos !== undefined && !['true', 'false'].includes(req.query.withPhotos)) {
+      return res.status(400).json({ error: 'withPhotos must be true or false' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const [{ reviews, total }, [summary]] = await Promise.all([
+      dbService.getPOIReviews(poi.id, { sort, ratings, withPhotos: req.query.withPhotos === 'true', limit, offset }),
+      dbService.getRatingSummariesByPOIIds([poi.id])
+    ]);
+    const { distribution, subRatings } = poiRatings.formatRatingSummary(summary);
+
+    res.json({
+      data: {
+        reviews: (await attachLikes('review', reviews)).map(formatPOIReview),
+        averageRating: parseFloat(poi.average_rating) || 0,
+        reviewCount: poi.review_count ?? 0,
+        ratingDistribution: distribution,
+        subRatings,
+        pagination: { total, limit, offset }
+      }
+    });
+  } catch (error) {
+    console.error('Get POI reviews error:', error);
+    res.status(500).json({ error: 'Failed to get POI reviews' });
+  }
+});
+
+// POI review endpoint
+app.post('/api/pois/review', authenticateUser, async (req, res) => {
+  try {
+    const { coordinates, author, authorPhoto } = req.body;
+    
+    if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
+      return res.status(400).json({ error: 'Coordinates, rating, and text are required' });
+    }
+    const validation = validateReviewData(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const user = await dbService.getUserById(req.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+    if (validation.values.photo) {
+      const imageValidation = await validateUploadedImage(validation.values.photo, null, user.id);
+      if (!imageValidation.valid) {
+        return res.status(400).json({ error: imageValidation.error });
+      }
+    }
+
+    // Find existing POI at these coordinates or create a new one
+    let poi = await dbService.getPOIByCoordinates(coordinates.lat, coordinates.lng);
+
+    if (!poi) {
+      const { lat, lng } = coordinates;
+      const poiId = await dbService.createPOI({
+        name: 'Unknown Location',
+        location: { lat, lng, coordinates: { lat, lng }, latitude: lat, longitude: lng },
+        userId: user.id,
+        createdAt: new Date().toISOString(),
+        type: 'public',
+        author: user.traveler_profile?.nickname || user.name || '',
+      });
+      poi = await dbService.getPOIById(poiId);
+    }
+
+    const { review, poi: updatedPoi } = await dbService.createPOIReview(poi.id, {
+      id: Date.now().toString() + Math.random().toString(36).slice(2),
+      userId: req.userId, // For notifications
+      author: author || user.traveler_profile?.nickname || user.name,
+      authorPhoto: authorPhoto || user.traveler_profile?.photo || null,
+      ...validation.values
+    });
+    const [poiWithReviews] = await attachPOIDetails([updatedPoi]);
+    
+    console.log(`📝 Review added to POI at ${coordinates.lat}, ${coordinates.lng} by ${review.author}`);
+    res.json({ 
+      success: true, 
+      poi: poiWithReviews,
+      review: formatPOIReview(review)
+    });
+  } catch (error) {
+    console.error('❌ Error adding POI review:', error);
+    res.status(500).json({ error: 'Failed to add POI review' });
+  }
+});
+
+// Update a POI review (author only)
+app.put('/api/pois/review/:reviewId', authenticateUser, async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    const validation = validateReviewData(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const [user, existing] = await Promise.all([
+      dbService.getUserById(req.userId),
+      dbService.getPOIReview(reviewId)
+    ]);
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+    if (!existing) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    if (!isReviewAuthor(existing, user)) {
+      return res.status(403).json({ error: 'Not authorized to edit this review' });
+    }
+    if (validation.values.photo && validation.values.photo !== existing.photo) {
+      const imageValidation = await validateUploadedImage(validation.values.photo, null, user.id);
+      if (!imageValidation.valid) {
+        return res.status(400).json({ error: imageValidation.error });
+      }
+    }
+
+    console.log(`📝 Updating review ${reviewId} on POI ${existing.poi_id}`);
+    const { review, poi } = await dbService.updatePOIReview(reviewId, validation.values);
+    if (existing.photo && existing.photo !== review.photo) {
+      deleteUnusedImages([existing.photo]);
+    }
+    const [poiWithReviews] = await attachPOIDetails([poi]);
+    const [reviewWithLikes] = await attachLikes('review', [review]);
+
+    console.log(`📝 Review ${reviewId} updated successfully`);
+    res.json({ 
+      success: true, 
+      poi: poiWithReviews,
+      review: formatPOIReview(reviewWithLikes),
+      message: 'Review updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error updating POI review:', error);
+    if (error.message === 'Review not found') {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    res.status(500).json({ error: 'Failed to update POI review' });
+  }
+});
+
+// Delete a POI review (author or admin)
+app.delete('/api/pois/review/:reviewId', authenticateUser, async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+
+    const [user, existing] = await Promise.all([
+      dbService.getUserById(req.userId),
+      dbService.getPOIReview(reviewId)
+    ]);
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+    if (!existing) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    if (!isReviewAuthor(existing, user) && !(await isUserAdmin(req.userId))) {
+      return res.status(403).json({ error: 'Not authorized to delete this review' });
+    }
+
+    console.log(`🗑️ Deleting review ${reviewId} on POI ${existing.poi_id}`);
+    const { poi } = await dbService.deletePOIReview(reviewId);
+    if (existing.photo) {
+      deleteUnusedImages([existing.photo]);
+    }
+    const [poiWithReviews] = await attachPOIDetails([poi]);
+
+    console.log(`🗑️ Review ${reviewId} deleted successfully`);
+    res.json({ 
+      success: true, 
+      poi: poiWithReviews,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting POI review:', error);
+    if (error.message === 'Review not found') {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    res.status(500).json({ error: 'Failed to delete POI review' });
+  }
+});
+
+// Like/unlike a POI review
+app.post('/api/pois/review/:reviewId/like', authenticateUser, async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    
+    const user = await dbService.getUserById(req.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const target = await findLikeTarget('review', reviewId);
+    if (!target) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    // Toggle like status, notifying the review author of new likes
+    const liked = await toggleLike(req.userId, 'review', reviewId);
+    if (liked) {
+      await notifyLike('review', target, user, req.userId);
+    }
+
+    const [updatedReview] = await attachLikes('review', [await dbService.getPOIReview(reviewId)]);
+    res.json({
+      success: true,
+      review: formatPOIReview(updatedReview)
+    });
+  } catch (error) {
+    console.error('❌ Error toggling review like:', error);
+    res.status(500).json({ error: 'Failed to toggle review like' });
+  }
+});
+
+// Post like endpoint
+app.post('/api/posts/:postId/like', authenticateUser, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const user = await dbService.getUserById(req.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const target = await findLikeTarget('post', postId);
+    if (!target) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    // Toggle like, notifying the author of new likes
+    const liked = await toggleLike(req.userId, 'post', postId);
+    if (liked) {
+      await notifyLike('post', target, user, req.userId);
+    }
+
+    const [updatedPost] = await attachPostLikes([await dbService.getPostById(target.post.id)]);
+    
+    console.log(`👍 Post ${postId} ${liked ? 'liked' : 'unliked'} by ${getLikerName(user)}`);
+    res.json({ 
+      success: true, 
+      post: updatedPost,
+      liked
+    });
+  } catch (error) {
+    console.error('❌ Error liking post:', error);
+    res.status(500).json({ error: 'Failed to like post' });
+  }
+});
+
+// Post comment endpoint
+app.post('/api/posts/:postId/comments', authenticateUser, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { comment } = req.body;
+    
+    if (!comment || !comment.trim()) {
+      return res.status(400).json({ error: 'Comment text is required' });
+    }
+
+    const user = await dbService.getUserById(req.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    // Find the post in database; archived and expired posts take no comments
+    const foundPost = await dbService.getPostById(postId);
+    if (!foundPost || !postExpiry.isPostVisible(foundPost)) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    // Initialize comments array if it doesn't exist
+    const currentComments = foundPost.comments || [];
+
+    // Add comment with rich user info
+    const newComment = {
+      id: Date.now().toString() + Math.random().toString(36).slice(2),
+      text: comment.trim(),
+      userId: user.id,
+      userEmail: user.email,
+      userName: user.name,
+      userNickname: user.traveler_profile?.nickname || user.name,
+      userPhoto: user.traveler_profile?.photo || null,
+      likes: [],
+      createdAt: new Date().toISOString()
+    };
+
+    currentComments.push(newComment);
+    
+    // Update post in database
+    const updatedPost = await dbService.updatePost(postId, {
+      comments: currentComments,
+      comment_count: currentComments.length
+    });
+    
+    const [postWithLikes] = await attachPostLikes([updatedPost]);
+    
+    console.log(`💬 Comment added to post ${postId} by ${newComment.userNickname}`);
+    res.json({ 
+      success: true, 
+      post: postWithLikes,
+      comment: newComment
+    });
+  } catch (error) {
+    console.error('❌ Error adding comment:', error);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+// Like a specific comment on a post
+app.post('/api/posts/:postId/comments/:commentId/like', authenticateUser, async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    const user = await dbService.getUserById(req.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const target = await findLikeTarget('comment', commentId);
+    if (!target || String(target.post.id) !== String(postId)) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    // Toggle like, notifying the comment author of new likes
+    const liked = await toggleLike(req.userId, 'comment', commentId);
+    if (liked) {
+      await notifyLike('comment', target, user, req.userId);
+    }
+
+    const [updatedPost] = await attachPostLikes([await dbService.getPostById(target.post.id)]);
+    res.json({ data: { success: true, post: updatedPost, liked } });
+  } catch (error) {
+    console.error('❌ Error liking comment:', error);
+    res.status(500).json({ error: 'Failed to like comment' });
+  }
+});
+
+// POI review like endpoint (review id in the body)
+app.post('/api/pois/review/like', authenticateUser, async (req, res) => {
+  try {
+    const { reviewId } = req.body;
+    
+    if (!reviewId) {
+      return res.status(400).json({ error: 'Review ID is required' });
+    }
+
+    const user = await dbService.getUserById(req.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const target = await findLikeTarget('review', reviewId);
+    if (!target) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    // Toggle like, notifying the review author of new likes
+    const liked = await toggleLike(req.userId, 'review', reviewId);
+    if (liked) {
+      await notifyLike('review', target, user, req.userId);
+    }
+
+    const [updatedReview] = await attachLikes('review', [await dbService.getPOIReview(reviewId)]);
+    
+    console.log(`👍 Review ${reviewId} ${liked ? 'liked' : 'unliked'} by ${getLikerName(user)}`);
+    res.json({ 
+      success: true, 
+      review: formatPOIReview(updatedReview),
+      liked
+    });
+  } catch (error) {
+    console.error('❌ Error liking review:', error);
+    res.status(500).json({ error: 'Failed to like review' });
+  }
+});
+
+// Helper function to get full user objects from user IDs (database version)
+const getFullUserObjects = async (userIds) => {
+  const users = [];
+  for (const userId of userIds) {
+    const user = await dbService.getUserById(userId);
+    if (user) {
+      users.push({
+        id: user.id,
+        name: user.name,
+        nickname: user.traveler_profile?.nickname,
+        email: user.email,
+        photo: user.traveler_profile?.photo,
+        travelerProfile: user.traveler_profile
+      });
+    }
+  }
+  return users;
+};
+
+// Community join endpoint
+app.post('/api/communities/:communityId/join', authenticateUser, async (req, res) => {
+  try {
+    const { communityId } = req.params;
+    const user = await dbService.getUserById(req.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    // Find the community in database
+    const foundCommunity = await dbService.getCommunityById(communityId);
+    if (!foundCommunity) {
+      return res.status(404).json({ error: 'Community not found' });
+    }
+
+    // Add user to community members if not already a member
+    const currentMembers = foundCommunity.members || [];
+    if (!currentMembers.includes(user.id)) {
+      currentMembers.push(user.id);
+    }
+    
+    // Update community in database
+    const updatedCommunity = await dbService.updateCommunity(communityId, {
+      members: currentMembers
+    });
+    
+    console.log(`👥 User ${user.id} joined community ${communityId}`);
+    
+    // Return enriched community data with full user objects
+    const enrichedCommunity = {
+      ...updatedCommunity,
+      members: await getFullUserObjects(currentMembers)
     };
     
-    console.log('📍 New POI added with ID:', savedPoiId);
-    res.status(201).json({ data: { poi: responsePoi } });
+    res.json({ 
+      success: true, 
+      community: enrichedCommunity
+    });
+  } catch (error) {
+    console.error('❌ Error joining community:', error);
+    res.status(500).json({ error: 'Failed to join community' });
+  }
+});
+
+// User profile endpoint - enhanced with complete travelerProfile data
+app.get('/api/user/profile/:userId', authenticateUser, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    console.log(`👤 Getting profile for user/nickname: ${userId}`);
+    
+    // Try by ID first
+    let user = await dbService.getUserById(userId);
+    
+    // If not found, try by nickname (strip leading @ if provided)
+    if (!user) {
+      const nickname = (userId || '').toString().replace(/^@/, '');
+      console.log(`🔍 User not found by ID, trying nickname: ${nickname}`);
+      
+      // Search for user by nickname in database
+      const allUsers = await dbService.searchUsers(nickname);
+      user = allUsers.find(u => (u.traveler_profile?.nickname || '').toLowerCase() === nickname.toLowerCase());
+      
+      if (user) {
+        console.log(`✅ Found user by nickname: ${user.email}`);
+      }
+    }
+    
+    if (!user) {
+      console.log(`❌ User not found: ${userId}`);
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Ensure complete travelerProfile data with defaults
+    const travelerProfile = user.traveler_profile || {};
+    const completeProfile = {
+      name: travelerProfile.name || user.name || '',
+      nickname: travelerProfile.nickname || '',
+      birthday: travelerProfile.birthday || null,
+      photo: travelerProfile.photo || null,
+      age: travelerProfile.age || 0,
+      // Ensure interests field is properly populated (not from activities)
+      interests: Array.isArray(travelerProfile.interests) ? travelerProfile.interests : [],
+      dietaryRestrictions: Array.isArray(travelerProfile.dietaryRestrictions) ? travelerProfile.dietaryRestrictions : [],
+      accessibilityNeeds: Array.isArray(travelerProfile.accessibilityNeeds) ? travelerProfile.accessibilityNeeds : [],
+      numberOfTravelers: travelerProfile.numberOfTravelers || 0,
+      // Include any other fields from traveler_profile
+      ...travelerProfile
+    };
+    
+    console.log(`🎯 Complete profile interests:`, JSON.stringify(completeProfile.interests, null, 2));
+    
+    // Return complete user profile data
+    const profileData = {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      photo: completeProfile.photo,
+      travelerProfile: completeProfile,
+      createdAt: user.created_at,
+      lastKnownLocation: user.last_known_location
+    };
+    
+    console.log(`📝 Returning complete profile for user: ${user.email}`);
+    res.json({ data: { user: profileData } });
+  } catch (error) {
+    console.error('❌ Error getting user profile:', error);
+    res.status(500).json({ error: 'Failed to get user profile' });
+  }
+});
+
+// User trips endpoint
+app.get('/api/user/trips/:identifier', authenticateUser, async (req, res) => {
+  try {
+    const { identifier } = req.params;
+    let userId = identifier;
+    
+    // If identifier is not a number, try to resolve by nickname
+    if (isNaN(identifier)) {
+      const userResult = await pool.query(
+        'SELECT id FROM users WHERE traveler_profile->>\'nickname\' = $1',
+        [identifier]
+      );
+      
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      
+      userId = userResult.rows[0].id;
+    }
+
+    // Find user by ID
+    const user = await dbService.getUserById(userId);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Private trips are only listed for their owner
+    const userTrips = await dbService.getUserTrips(userId, {
+      includePrivate: String(user.id) === String(req.userId)
+    });
+    
+    console.log(`📋 Getting trips for user ${userId}:`, userTrips.length, 'trips');
+    
+    res.json({ success: true, data: userTrips.map(formatUserTrip) });
+  } catch (error) {
+    console.error('❌ Error getting user trips:', error);
+    res.status(500).json({ error: 'Failed to get user trips' });
+  }
+});
+
+// Removed duplicate user profile endpoint - using the enhanced version above
+
+// Community leave endpoint
+app.post('/api/communities/:communityId/leave', authenticateUser, async (req, res) => {
+  try {
+    const { communityId } = req.params;
+    const user = await dbService.getUserById(req.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    // Find the community in database
+    const foundCommunity = await dbService.getCommunityById(communityId);
+    if (!foundCommunity) {
+      return res.status(404).json({ error: 'Community not found' });
+    }
+
+    // Remove user from community members
+    const currentMembers = foundCommunity.members || [];
+    const memberIndex = currentMembers.indexOf(user.id);
+    if (memberIndex !== -1) {
+      currentMembers.splice(memberIndex, 1);
+    }
+    
+    // Update community in database
+    const updatedCommunity = await dbService.updateCommunity(communityId, {
+      members: currentMembers
+    });
+    
+    console.log(`👥 User ${user.id} left community ${communityId}`);
+    
+    // Return enriched community data with full user objects
+    const enrichedCommunity = {
+      ...updatedCommunity,
+      members: await getFullUserObjects(currentMembers)
+    };
+    
+    res.json({ 
+      success: true, 
+      community: enrichedCommunity
+    });
+  } catch (error) {
+    console.error('❌ Error leaving community:', error);
+    res.status(500).json({ error: 'Failed to leave community' });
+  }
+});
+
+// Conversation endpoints (stubs)
+app.get('/api/conversations/:conversationId', authenticateUser, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    
+    // Stub implementation - return basic conversation structure
+    const conversation = {
+      id: conversationId,
+      participants: [req.userId],
+      lastMessage: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    
+    res.json({ data: { conversation } });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({ error: 'Failed to get conversation' });
+  }
+});
+
+app.get('/api/conversations/:conversationId/messages', authenticateUser, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    
+    // Stub implementation - return empty messages array
+    const messages = [];
+    
+    res.json({ data: { messages } });
+  } catch (error) {
+    console.error('Get conversation messages error:', error);
+    res.status(500).json({ error: 'Failed to get conversation messages' });
+  }
+});
+
+// ==================== POI CATEGORY ENDPOINTS ====================
+
+// Helper function to shape a category row
+const formatPOICategory = (category) => ({
+  id: category.id,
+  slug: category.slug,
+  name: category.name,
+  icon: category.icon || null,
+  parentId: category.parent_id ?? null,
+  sortOrder: category.sort_order ?? 0
+});
+
+// Helper function to load the categories of POI rows into their categories field, in one query
+const attachPOICategories = async (pois) => {
+  const rows = await dbService.getCategoriesByPOIIds(pois.map(poi => poi.id));
+  const categoriesByPoi = new Map();
+  for (const row of rows) {
+    if (!categoriesByPoi.has(row.poi_id)) categoriesByPoi.set(row.poi_id, []);
+    categoriesByPoi.get(row.poi_id).push({ id: row.id, slug: row.slug, name: row.name, icon: row.icon || null });
+  }
+  return pois.map(poi => ({ ...poi, categories: categoriesByPoi.get(poi.id) || [] }));
+};
+
+// Helper function to turn category ids or slugs (array or "a,b" string) into
+// category rows. Unknown categories are an error.
+const resolvePOICategories = async (value) => {
+  const refs = poiCategories.parseCategoryRefs(value);
+  if (!refs) {
+    return { valid: false, error: 'Categories must be a list of category slugs or ids' };
+  }
+  const allCategories = await dbService.getPOICategories();
+  const { categories, unknown } = poiCategories.resolveCategoryRefs(refs, allCategories);
+  if (unknown.length > 0) {
+    return { valid: false, error: `Unknown categories: ${unknown.join(', ')}` };
+  }
+  return { valid: true, values: { categories, allCategories } };
+};
+
+// Helper function to validate the categories given for a POI; values are the category ids
+const validatePOICategories = async (value) => {
+  const resolved = await resolvePOICategories(value);
+  if (!resolved.valid) return resolved;
+  if (resolved.values.categories.length > poiCategories.MAX_POI_CATEGORIES) {
+    return { valid: false, error: `A POI can have at most ${poiCategories.MAX_POI_CATEGORIES} categories` };
+  }
+  return { valid: true, values: resolved.values.categories.map(category => category.id) };
+};
+
+// Helper function to read ?category= of POI listings. values is the ids of the
+// requested categories and all their subcategories, or null without a filter.
+const readPOICategoryFilter = async (value) => {
+  if (value === undefined || value === '') {
+    return { valid: true, values: null };
+  }
+  const resolved = await resolvePOICategories(value);
+  if (!resolved.valid) return resolved;
+  const { categories, allCategories } = resolved.values;
+  const ids = new Set(categories.flatMap(category => poiCategories.getCategorySubtreeIds(allCategories, category.id)));
+  return { valid: true, values: ids.size > 0 ? [...ids] : null };
+};
+
+// Helper function to get the category facets of a POI search (categories with
+// at least one POI, in taxonomy order)
+const getPOICategoryFacets = async (search) => {
+  const [categories, counts] = await Promise.all([
+    dbService.getPOICategories(),
+    dbService.getPOICategoryCounts(search)
+  ]);
+  const countById = new Map(counts.map(row => [row.category_id, row.count]));
+  return categories
+    .filter(category => countById.has(category.id))
+    .map(category => ({ ...formatPOICategory(category), count: countById.get(category.id) }));
+};
+
+// Helper function to validate category input. partial is for updates, where
+// every field is optional.
+const validatePOICategoryData = (data, partial = false) => {
+  const values = {};
+
+  if (data.name !== undefined || !partial) {
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      return { valid: false, error: 'Category name is required' };
+    }
+    if (data.name.trim().length > 100) {
+      return { valid: false, error: 'Category name must be less than 100 characters' };
+    }
+    values.name = data.name.trim();
+  }
+
+  if (data.slug !== undefined || !partial) {
+    const slug = data.slug !== undefined ? data.slug : poiCategories.slugify(values.name);
+    if (!poiCategories.isValidCategorySlug(slug)) {
+      return { valid: false, error: 'Slug must be lowercase letters, digits and dashes (up to 50 characters)' };
+    }
+    values.slug = slug;
+  }
+
+  if (data.parentId !== undefined) {
+    if (data.parentId !== null && !Number.isInteger(data.parentId)) {
+      return { valid: false, error: 'parentId must be a category id or null' };
+    }
+    values.parentId = data.parentId;
+  }
+
+  if (data.icon !== undefined) {
+    if (data.icon !== null && (typeof data.icon !== 'string' || data.icon.length > 10)) {
+      return { valid: false, error: 'Icon must be up to 10 characters' };
+    }
+    values.icon = data.icon || null;
+  }
+
+  if (data.sortOrder !== undefined) {
+    if (!Number.isInteger(data.sortOrder)) {
+      return { valid: false, error: 'sortOrder must be a whole number' };
+    }
+    values.sortOrder = data.sortOrder;
+  }
+
+  return { valid: true, values };
+};
+
+// Get the category taxonomy as a tree
+app.get('/api/poi-categories', async (req, res) => {
+  try {
+    const categories = await dbService.getPOICategories();
+    res.json({ data: { categories: poiCategories.buildCategoryTree(categories.map(formatPOICategory)) } });
+  } catch (error) {
+    console.error('Get POI categories error:', error);
+    res.status(500).json({ error: 'Failed to get POI categories' });
+  }
+});
+
+// Create a category (admin only), body: { name, slug?, parentId?, icon?, sortOrder? }
+app.post('/api/admin/poi-categories', authenticateUser, async (req, res) => {
+  try {
+    const isAdmin = await isUserAdmin(req.userId);
+    if (!isAdmin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const validation = validatePOICategoryData(req.body || {});
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const categories = await dbService.getPOICategories();
+    if (categories.some(category => category.slug === validation.values.slug)) {
+      return res.status(400).json({ error: 'A category with this slug already exists' });
+    }
+    if (validation.values.parentId && !categories.some(category => category.id === validation.values.parentId)) {
+      return res.status(400).json({ error: 'Parent category not found' });
+    }
+
+    const category = await dbService.createPOICategory(validation.values);
+    console.log(`🏷️ POI category ${category.slug} created by ${req.userId}`);
+    res.status(201).json({ data: { category: formatPOICategory(category) } });
   } catch (error) {
-    console.error('❌ Error adding POI:', error);
-    res.status(500).json({ error: 'Failed to add POI' });
+    console.error('Create POI category error:', error);
+    res.status(500).json({ error: 'Failed to create POI category' });
   }
 });
 
-// Like/unlike a POI
-app.post('/api/pois/:poiId/like', authenticateUser, async (req, res) => {
+// Update a category (admin only); moving it under one of its own subcategories is refused
+app.put('/api/admin/poi-categories/:id', authenticateUser, async (req, res) => {
   try {
-    const { poiId } = req.params;
-    
-    // Get user info to get their nickname
-    const user = await dbService.getUserById(req.userId);
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
+    const isAdmin = await isUserAdmin(req.userId);
+    if (!isAdmin) {
+      return res.status(403).json({ error: 'Admin access required' });
     }
 
-    const userNickname = user.traveler_profile?.nickname || user.name || 'Unknown User';
-    
-    // Toggle like status
-    const updatedPoi = await dbService.togglePOILike(poiId, userNickname);
-    
-    // Parse likes array from JSON safely
-    let likes = [];
-    if (updatedPoi.likes) {
-      try {
-        if (typeof updatedPoi.likes === 'string') {
-          console.log('🔍 Parsing likes string:', updatedPoi.likes);
-          likes = JSON.parse(updatedPoi.likes);
-        } else {
-          likes = updatedPoi.likes;
-        }
-      } catch (error) {
-        console.error('Error parsing likes:', error);
-        console.error('Likes value:', updatedPoi.likes);
-        console.error('Likes type:', typeof updatedPoi.likes);
-        likes = [];
-      }
+    const categoryId = parseInt(req.params.id, 10);
+    const categories = await dbService.getPOICategories();
+    if (!categories.some(category => category.id === categoryId)) {
+      return res.status(404).json({ error: 'Category not found' });
     }
-    
-    // Parse photos and reviews safely
-    let photos = [];
-    if (updatedPoi.photos) {
-      try {
-        photos = typeof updatedPoi.photos === 'string' ? JSON.parse(updatedPoi.photos) : updatedPoi.photos;
-      } catch (error) {
-        console.error('Error parsing photos:', error);
-        photos = [];
-      }
+
+    const validation = validatePOICategoryData(req.body || {}, true);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
     }
 
-    let reviews = [];
-    if (updatedPoi.reviews) {
-      try {
-        reviews = typeof updatedPoi.reviews === 'string' ? JSON.parse(updatedPoi.reviews) : updatedPoi.reviews;
-      } catch (error) {
-        console.error('Error parsing reviews:', error);
-        reviews = [];
+    const { slug, parentId } = validation.values;
+    if (slug && categories.some(category => category.slug === slug && category.id !== categoryId)) {
+      return res.status(400).json({ error: 'A category with this slug already exists' });
+    }
+    if (parentId) {
+      if (!categories.some(category => category.id === parentId)) {
+        return res.status(400).json({ error: 'Parent category not found' });
+      }
+      if (poiCategories.getCategorySubtreeIds(categories, categoryId).includes(parentId)) {
+        return res.status(400).json({ error: 'A category cannot be moved under itself or its subcategories' });
       }
     }
 
-    // Format response
-    const responsePoi = {
-      id: updatedPoi.id.toString(),
-      name: updatedPoi.name,
-      description: updatedPoi.description,
-      location: updatedPoi.location,
-      photos: photos,
-      icon: updatedPoi.icon,
-      type: updatedPoi.type,
-      author: updatedPoi.author,
-      user_id: updatedPoi.user_id,
-      reviews: reviews,
-      average_rating: updatedPoi.average_rating,
-      review_count: updatedPoi.review_count,
-      likes: likes,
-      likeCount: updatedPoi.like_count,
-      created_at: updatedPoi.created_at
-    };
-
-    res.json({
-      success: true,
-      poi: responsePoi
-    });
+    const category = await dbService.updatePOICategory(categoryId, validation.values);
+    res.json({ data: { category: formatPOICategory(category) } });
   } catch (error) {
-    console.error('❌ Error toggling POI like:', error);
-    if (error.message === 'POI not found') {
-      return res.status(404).json({ error: 'POI not found' });
+    console.error('Update POI category error:', error);
+    if (error.message === 'No valid update fields provided') {
+      return res.status(400).json({ error: error.message });
     }
-    res.status(500).json({ error: 'Failed to toggle POI like' });
+    if (error.message === 'Category not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to update POI category' });
   }
 });
 
-// Update an existing public POI (by coordinates)
-app.put('/api/pois', authenticateUser, async (req, res) => {
+// Delete a category (admin only); POIs lose the tag, subcategories must go first
+app.delete('/api/admin/poi-categories/:id', authenticateUser, async (req, res) => {
   try {
-    const { coordinates, name, icon, description, photo } = req.body;
-    if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
-      return res.status(400).json({ error: 'Valid coordinates are required' });
+    const isAdmin = await isUserAdmin(req.userId);
+    if (!isAdmin) {
+      return res.status(403).json({ error: 'Admin access required' });
     }
 
-    // Find POI by coordinates using database service
-    const poi = await dbService.getPOIByCoordinates(coordinates.lat, coordinates.lng);
+    const categoryId = parseInt(req.params.id, 10);
+    const categories = await dbService.getPOICategories();
+    if (!categories.some(category => category.id === categoryId)) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    if (categories.some(category => category.parent_id === categoryId)) {
+      return res.status(400).json({ error: 'Move or delete the subcategories first' });
+    }
+
+    const category = await dbService.deletePOICategory(categoryId);
+    console.log(`🏷️ POI category ${category.slug} deleted by ${req.userId}`);
+    res.json({ data: { message: 'Category deleted', category: formatPOICategory(category) } });
+  } catch (error) {
+    console.error('Delete POI category error:', error);
+    res.status(500).json({ error: 'Failed to delete POI category' });
+  }
+});
+
+// ==================== POI EDIT SUGGESTION ENDPOINTS ====================
+
+// Helper function to format a POI edit suggestion row for the API
+const formatPOIEditSuggestion = (suggestion) => ({
+  id: suggestion.id,
+  poiId: suggestion.poi_id,
+  poiName: suggestion.poi_name ?? null,
+  changes: suggestion.changes,
+  comment: suggestion.comment ?? null,
+  status: suggestion.status,
+  author: suggestion.user_id ? { id: suggestion.user_id, name: suggestion.user_name || null } : null,
+  reviewNote: suggestion.review_note ?? null,
+  reviewedBy: suggestion.reviewed_by ?? null,
+  reviewedAt: suggestion.reviewed_at ?? null,
+  createdAt: suggestion.created_at
+});
+
+// Helper function to format a POI change log row for the API
+const formatPOIChange = (change) => ({
+  id: change.id,
+  poiId: change.poi_id,
+  source: change.source,
+  suggestionId: change.suggestion_id ?? null,
+  changes: change.changes,
+  author: change.user_id ? { id: change.user_id, name: change.user_name || null } : null,
+  createdAt: change.created_at
+});
+
+// Helper function to check whether a user reviews suggestions for a POI (its creator or a moderator)
+const canReviewPOISuggestions = async (poi, user) => isPOICreator(poi, user) || isUserAdmin(user.id);
+
+// Helper function to validate suggested POI changes. Any of name, description,
+// location ({ lat, lng }), openingHours, website, phone and categories.
+const validatePOIEditChanges = async (changes) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return { valid: false, error: 'changes must be an object' };
+  }
+  const unknown = Object.keys(changes).filter(field => !poiEdits.POI_EDIT_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return { valid: false, error: `Unknown fields: ${unknown.join(', ')} (use ${poiEdits.POI_EDIT_FIELDS.join(', ')})` };
+  }
+
+  const values = {};
+  if (changes.name !== undefined) {
+    if (typeof changes.name !== 'string' || !changes.name.trim() || changes.name.trim().length > 255) {
+      return { valid: false, error: 'name must be 1-255 characters' };
+    }
+    values.name = changes.name.trim();
+  }
+  if (changes.description !== undefined) {
+    if (typeof changes.description !== 'string' || changes.description.length > 5000) {
+      return { valid: false, error: 'description must be text of at most 5000 characters' };
+    }
+    values.description = changes.description.trim();
+  }
+  if (changes.location !== undefined) {
+    const location = geo.readCoordinates(changes.location);
+    if (!location) {
+      return { valid: false, error: 'location must be { lat, lng }' };
+    }
+    values.location = location;
+  }
+  const details = validatePOIDetails({ openingHours: changes.openingHours, website: changes.website, phone: changes.phone });
+  if (!details.valid) return details;
+  Object.assign(values, details.values);
+  if (changes.categories !== undefined) {
+    const categoryValidation = await validatePOICategories(changes.categories);
+    if (!categoryValidation.valid) return categoryValidation;
+    values.categories = categoryValidation.values;
+  }
+
+  if (Object.keys(values).length === 0) {
+    return { valid: false, error: 'Suggest at least one change' };
+  }
+  return { valid: true, values };
+};
+
+// Helper function to load the POI and suggestion named in /api/pois/:poiId/suggestions/:suggestionId
+const findPOIEditSuggestion = async (params) => {
+  const poiId = parseInt(params.poiId, 10);
+  const suggestionId = parseInt(params.suggestionId, 10);
+  const suggestion = Number.isNaN(poiId) || Number.isNaN(suggestionId) ? null : await dbService.getPOIEditSuggestion(suggestionId);
+  if (!suggestion || suggestion.poi_id !== poiId) return null;
+  return { poi: await dbService.getPOIById(poiId), suggestion };
+};
+
+// Suggest changes to a POI, body: { changes: { name, description, location,
+// openingHours, website, phone, categories }, comment }
+app.post('/api/pois/:poiId/suggestions', authenticateUser, async (req, res) => {
+  try {
+    const { changes, comment } = req.body || {};
+    const validation = await validatePOIEditChanges(changes);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > 1000)) {
+      return res.status(400).json({ error: 'comment must be text of at most 1000 characters' });
+    }
+
+    const poiId = parseInt(req.params.poiId, 10);
+    const poi = Number.isNaN(poiId) ? null : await dbService.getPOIById(poiId);
     if (!poi) {
       return res.status(404).json({ error: 'POI not found' });
     }
 
-    // Authorization: only the creator can edit (by user id or author nickname)
-    const user = await dbService.getUserById(req.userId);
-    if (!user) return res.status(401).json({ error: 'User not found' });
-    const isOwner = (poi.user_id && poi.user_id === user.id) || (poi.author && (poi.author === (user.traveler_profile?.nickname || user.name)));
-    if (!isOwner) {
-      return res.status(403).json({ error: 'Not authorized to edit this POI' });
+    // Keep only what differs from the POI as it is now
+    const [current] = await attachPOICategories([poi]);
+    const diff = poiEdits.diffPOIEdit(poiEdits.getPOIEditSnapshot(poi, current.categories.map(c => c.id)), validation.values);
+    if (Object.keys(diff).length === 0) {
+      return res.status(400).json({ error: 'The suggestion does not change anything' });
     }
 
-    const updates = {};
-    if (typeof name === 'string') updates.name = name;
-    if (typeof icon === 'string') updates.icon = icon;
-    if (typeof description === 'string') updates.description = description;
-    if (typeof photo === 'string') {
-      // If photo is being replaced and old photo is a Cloudinary asset, attempt to delete the old one
-      try {
-        if (poi.photos && Array.isArray(poi.photos) && poi.photos[0] && typeof poi.photos[0] === 'string' && poi.photos[0].startsWith('https://res.cloudinary.com/')) {
-          const oldPublicId = extractCloudinaryPublicId(poi.photos[0]);
-          if (oldPublicId) {
-            cloudinary.uploader.destroy(oldPublicId, (err, result) => {
-              if (err) {
-                console.warn('⚠️ Cloudinary delete (old photo) failed:', err.message || err);
-              } else {
-                console.log('🗑️ Cloudinary old photo deleted:', result);
-              }
-            });
-          }
-        }
-      } catch (cleanupErr) {
-        console.warn('⚠️ Error attempting to delete old Cloudinary image:', cleanupErr);
-      }
-      updates.photos = [photo]; // Store as array in database
+    const { total: pending } = await dbService.getPOIEditSuggestions({ poiId: poi.id, status: 'pending', userId: req.userId, limit: 1 });
+    if (pending > 0) {
+      return res.status(400).json({ error: 'You already have a pending suggestion for this POI' });
     }
 
-    const updatedPoi = await dbService.updatePOI(poi.id, updates);
-    return res.json({ data: { message: 'POI updated', poi: updatedPoi } });
+    const created = await dbService.createPOIEditSuggestion(poi.id, {
+      userId: req.userId,
+      changes: diff,
+      comment: typeof comment === 'string' ? comment.trim() : null
+    });
+    console.log(`✏️ Edit suggestion ${created.id} for POI ${poi.id} by ${req.userId}: ${Object.keys(diff).join(', ')}`);
+    res.status(201).json({ data: { suggestion: formatPOIEditSuggestion(await dbService.getPOIEditSuggestion(created.id)) } });
   } catch (error) {
-    console.error('❌ Error updating POI:', error);
-    return res.status(500).json({ error: 'Failed to update POI' });
+    console.error('Create POI edit suggestion error:', error);
+    res.status(500).json({ error: 'Failed to create POI edit suggestion' });
   }
 });
 
-// Delete an existing public POI (by coordinates)
-app.delete('/api/pois', authenticateUser, async (req, res) => {
+// Suggestions for a POI, oldest first (?status=pending|approved|rejected).
+// Its creator and moderators see all of them, other users only their own.
+app.get('/api/pois/:poiId/suggestions', authenticateUser, async (req, res) => {
   try {
-    const { coordinates } = req.body || {};
-    if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
-      return res.status(400).json({ error: 'Valid coordinates are required' });
+    const { status } = req.query;
+    if (status !== undefined && !poiEdits.SUGGESTION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${poiEdits.SUGGESTION_STATUSES.join(', ')}` });
     }
 
-    // Find POI by coordinates using database service
-    const poi = await dbService.getPOIByCoordinates(coordinates.lat, coordinates.lng);
+    const poiId = parseInt(req.params.poiId, 10);
+    const poi = Number.isNaN(poiId) ? null : await dbService.getPOIById(poiId);
     if (!poi) {
       return res.status(404).json({ error: 'POI not found' });
     }
-
-    // Authorization: only the creator can delete (by user id or author nickname)
     const user = await dbService.getUserById(req.userId);
     if (!user) return res.status(401).json({ error: 'User not found' });
-    const isOwner = (poi.user_id && poi.user_id === user.id) || (poi.author && (poi.author === (user.traveler_profile?.nickname || user.name)));
-    if (!isOwner) {
-      return res.status(403).json({ error: 'Not authorized to delete this POI' });
-    }
 
-    // Delete POI from database
-    const deleted = await dbService.deletePOI(poi.id);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { suggestions, total } = await dbService.getPOIEditSuggestions({
+      poiId: poi.id,
+      status: status || null,
+      userId: (await canReviewPOISuggestions(poi, user)) ? null : user.id,
+      limit,
+      offset
+    });
 
-    // Attempt to delete Cloudinary photo if the POI used one
-    try {
-      if (deleted && deleted.photos && Array.isArray(deleted.photos) && deleted.photos[0] && typeof deleted.photos[0] === 'string' && deleted.photos[0].startsWith('https://res.cloudinary.com/')) {
-        const publicId = extractCloudinaryPublicId(deleted.photos[0]);
-        if (publicId) {
-          cloudinary.uploader.destroy(publicId, (err, result) => {
-            if (err) {
-              console.warn('⚠️ Cloudinary delete failed:', err.message || err);
-            } else {
-              console.log('🗑️ Cloudinary photo deleted:', result);
-            }
-          });
-        }
+    res.json({
+      data: {
+        suggestions: suggestions.map(formatPOIEditSuggestion),
+        pagination: { total, limit, offset }
       }
-    } catch (cloudErr) {
-      console.warn('⚠️ Error attempting to delete Cloudinary image:', cloudErr);
-    }
-
-    return res.json({ data: { message: 'POI deleted', poi: deleted } });
+    });
   } catch (error) {
-    console.error('❌ Error deleting POI:', error);
-    return res.status(500).json({ error: 'Failed to delete POI' });
+    console.error('Get POI edit suggestions error:', error);
+    res.status(500).json({ error: 'Failed to get POI edit suggestions' });
   }
 });
 
-// Utility: extract Cloudinary public_id from a secure URL
-function extractCloudinaryPublicId(url) {
+// Review queue: pending suggestions for the POIs the caller created, or for
+// every POI when the caller is a moderator. ?status= shows other statuses.
+app.get('/api/poi-suggestions', authenticateUser, async (req, res) => {
   try {
-    // Example: https://res.cloudinary.com/<cloud>/image/upload/v123456789/tripyy/abc123.jpg
-    // We want: tripyy/abc123 (without extension)
-    const parts = url.split('/upload/');
-    if (parts.length < 2) return null;
-    const afterUpload = parts[1];
-    // Remove version prefix if present (v123456)
-    const withoutVersion = afterUpload.replace(/^v\d+\//, '');
-    // Remove file extension
-    const lastDot = withoutVersion.lastIndexOf('.');
-    const withoutExt = lastDot !== -1 ? withoutVersion.substring(0, lastDot) : withoutVersion;
-    return withoutExt;
-  } catch (e) {
-    return null;
+    const status = req.query.status || 'pending';
+    if (!poiEdits.SUGGESTION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${poiEdits.SUGGESTION_STATUSES.join(', ')}` });
+    }
+    const user = await dbService.getUserById(req.userId);
+    if (!user) return res.status(401).json({ error: 'User not found' });
+
+    const isAdmin = await isUserAdmin(req.userId);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { suggestions, total } = await dbService.getPOIEditSuggestions({
+      status,
+      ownerId: isAdmin ? null : user.id,
+      limit,
+      offset
+    });
+
+    res.json({
+      data: {
+        suggestions: suggestions.map(formatPOIEditSuggestion),
+        pagination: { total, limit, offset }
+      }
+    });
+  } catch (error) {
+    console.error('Get POI suggestion queue error:', error);
+    res.status(500).json({ error: 'Failed to get POI edit suggestions' });
   }
-}
+});
 
-// POI review endpoint
-app.post('/api/pois/review', authenticateUser, async (req, res) => {
+// Approve or reject a suggestion (POI creator or moderator),
+// body: { status: 'approved' | 'rejected', note }. Approving applies the
+// suggested values and logs them in the POI's change history.
+app.put('/api/pois/:poiId/suggestions/:suggestionId', authenticateUser, async (req, res) => {
   try {
-    const { coordinates, rating, text, author, authorPhoto, photo } = req.body;
-    
-    if (!coordinates || !rating || !text) {
-      return res.status(400).json({ error: 'Coordinates, rating, and text are required' });
+    const { status, note } = req.body || {};
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'status must be approved or rejected' });
+    }
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 1000)) {
+      return res.status(400).json({ error: 'note must be text of at most 1000 characters' });
     }
 
+    const found = await findPOIEditSuggestion(req.params);
+    if (!found) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
     const user = await dbService.getUserById(req.userId);
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
+    if (!user) return res.status(401).json({ error: 'User not found' });
+    if (!(await canReviewPOISuggestions(found.poi, user))) {
+      return res.status(403).json({ error: 'Not authorized to review suggestions for this POI' });
+    }
+    // Suggested categories may have been deleted since the suggestion was made
+    const suggestedCategories = found.suggestion.changes?.categories;
+    if (status === 'approved' && suggestedCategories) {
+      const categoryValidation = await validatePOICategories(suggestedCategories.to);
+      if (!categoryValidation.valid) {
+        return res.status(409).json({ error: `The suggestion can no longer be applied: ${categoryValidation.error}` });
+      }
     }
 
-    // Find existing POI at these coordinates or create a new one
-    let poi = await dbService.getPOIByCoordinates(coordinates.lat, coordinates.lng);
+    const { change } = await dbService.reviewPOIEditSuggestion(found.suggestion.id, {
+      status,
+      reviewerId: user.id,
+      note: typeof note === 'string' ? note.trim() : null
+    });
+    console.log(`✏️ Edit suggestion ${found.suggestion.id} for POI ${found.poi.id} ${status} by ${req.userId}`);
+
+    const [poi] = await attachPOIDetails([await dbService.getPOIById(found.poi.id)]);
+    res.json({
+      data: {
+        suggestion: formatPOIEditSuggestion(await dbService.getPOIEditSuggestion(found.suggestion.id)),
+        change: change ? formatPOIChange(change) : null,
+        poi: formatPOI(poi)
+      }
+    });
+  } catch (error) {
+    console.error('Review POI edit suggestion error:', error);
+    if (error.message === 'Suggestion not found' || error.message === 'POI not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Suggestion already reviewed' || error.message === 'Suggested categories no longer exist') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to review POI edit suggestion' });
+  }
+});
+
+// Withdraw one of your own suggestions before it is reviewed
+app.delete('/api/pois/:poiId/suggestions/:suggestionId', authenticateUser, async (req, res) => {
+  try {
+    const found = await findPOIEditSuggestion(req.params);
+    if (!found) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+    if (found.suggestion.user_id !== req.userId) {
+      return res.status(403).json({ error: 'Not authorized to withdraw this suggestion' });
+    }
 
+    await dbService.deletePOIEditSuggestion(found.suggestion.id);
+    res.json({ data: { message: 'Suggestion withdrawn' } });
+  } catch (error) {
+    console.error('Withdraw POI edit suggestion error:', error);
+    if (error.message === 'Suggestion already reviewed') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to withdraw POI edit suggestion' });
+  }
+});
+
+// Change history of a POI, newest first: its creator's edits and approved suggestions
+app.get('/api/pois/:poiId/changes', async (req, res) => {
+  try {
+    const poiId = parseInt(req.params.poiId, 10);
+    const poi = Number.isNaN(poiId) ? null : await dbService.getPOIById(poiId);
     if (!poi) {
-      // Create a new POI
-      const newPoi = {
-        name: 'Unknown Location',
-        coordinates,
-        user: { id: user.id, email: user.email, name: user.name },
-        createdAt: new Date().toISOString(),
-        reviews: [],
-        type: 'public',
-        author: user.traveler_profile?.nickname || user.name || '',
-      };
-      poi = await dbService.createPOI(newPoi);
+      return res.status(404).json({ error: 'POI not found' });
     }
 
-    // Get current reviews and add new review
-    const currentReviews = poi.reviews || [];
-    const newReview = {
-      id: Date.now().toString() + Math.random().toString(36).slice(2),
-      rating,
-      text: text.trim(),
-      author: author || user.traveler_profile?.nickname || user.name,
-      authorPhoto: authorPhoto || user.traveler_profile?.photo || null,
-      photo: photo || null,
-      createdAt: new Date().toISOString(),
-      likes: [],
-      likeCount: 0,
-      user_id: req.userId // Add user ID for notifications
-    };
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { changes, total } = await dbService.getPOIChanges(poi.id, limit, offset);
 
-    currentReviews.push(newReview);
-    
-    // Calculate average rating
-    const totalRating = currentReviews.reduce((sum, review) => sum + review.rating, 0);
-    const averageRating = totalRating / currentReviews.length;
-    const reviewCount = currentReviews.length;
-    
-    // Update POI with new review
-    const updatedPoi = await dbService.updatePOI(poi.id, {
-      reviews: currentReviews,
-      average_rating: averageRating,
-      review_count: reviewCount
-    });
-    
-    console.log(`📝 Review added to POI at ${coordinates.lat}, ${coordinates.lng} by ${newReview.author}`);
-    res.json({ 
-      success: true, 
-      poi: updatedPoi,
-      review: newReview
+    res.json({
+      data: {
+        changes: changes.map(formatPOIChange),
+        pagination: { total, limit, offset }
+      }
     });
   } catch (error) {
-    console.error('❌ Error adding POI review:', error);
-    res.status(500).json({ error: 'Failed to add POI review' });
+    console.error('Get POI changes error:', error);
+    res.status(500).json({ error: 'Failed to get POI changes' });
   }
 });
 
-// Update a POI review
-app.put('/api/pois/review/:reviewId', authenticateUser, async (req, res) => {
+// ==================== POI COLLECTION ENDPOINTS ====================
+
+const MAX_COLLECTION_ITEMS = 200;
+const COLLECTION_SHARE_TYPES = ['private', 'link', 'public'];
+
+// Helper function to validate collection data (partial for updates)
+const validateCollectionData = (data, partial = false) => {
+  const values = {};
+  if (data.name !== undefined || !partial) {
+    if (typeof data.name !== 'string' || !data.name.trim() || data.name.trim().length > 100) {
+      return { valid: false, error: 'Name must be 1-100 characters' };
+    }
+    values.name = data.name.trim();
+  }
+  if (data.description !== undefined) {
+    if (data.description !== null && (typeof data.description !== 'string' || data.description.length > 2000)) {
+      return { valid: false, error: 'Description must be text of at most 2000 characters' };
+    }
+    values.description = data.description ? data.description.trim() : null;
+  }
+  if (data.shareType !== undefined) {
+    if (!COLLECTION_SHARE_TYPES.includes(data.shareType)) {
+      return { valid: false, error: 'Share type must be private, link or public' };
+    }
+    values.shareType = data.shareType;
+  }
+  if (partial && Object.keys(values).length === 0) {
+    return { valid: false, error: 'No valid update fields provided' };
+  }
+  return { valid: true, values };
+};
+
+// Helper function to validate the note on a collection item (null or '' removes it)
+const validateCollectionNote = (note) => {
+  if (note === undefined || note === null || note === '') {
+    return { valid: true, values: null };
+  }
+  if (typeof note !== 'string' || note.length > 1000) {
+    return { valid: false, error: 'Note must be text of at most 1000 characters' };
+  }
+  return { valid: true, values: note.trim() || null };
+};
+
+// Helper function to format a collection item (a POI row with item_note, item_position and item_added_at)
+const formatCollectionItem = (row) => ({
+  poi: {
+    ...formatPOIMarker({ ...row, ...geo.readCoordinates(row.location) }),
+    photo: Array.isArray(row.photos) && row.photos.length > 0 ? row.photos[0] : null,
+    averageRating: Number(row.average_rating) || 0,
+    reviewCount: row.review_count ?? 0
+  },
+  note: row.item_note ?? null,
+  position: row.item_position,
+  addedAt: row.item_added_at
+});
+
+// Helper function to format a collection for its owner, with its items when given
+const formatCollection = (collection, items = null) => ({
+  id: collection.id,
+  name: collection.name,
+  description: collection.description ?? null,
+  shareType: collection.share_type,
+  shareId: collection.share_id ?? null,
+  itemCount: parseInt(collection.item_count, 10) || 0,
+  ...(items ? { items: items.map(formatCollectionItem) } : {}),
+  createdAt: collection.created_at,
+  updatedAt: collection.updated_at
+});
+
+// Helper function to build the public, read-only view of a shared collection
+const formatSharedCollection = (collection, owner, items = null) => ({
+  shareId: collection.share_id,
+  shareType: collection.share_type,
+  name: collection.name,
+  description: collection.description ?? null,
+  itemCount: parseInt(collection.item_count, 10) || 0,
+  ...(items ? { items: items.map(formatCollectionItem) } : {}),
+  owner: {
+    nickname: owner?.traveler_profile?.nickname || owner?.name || 'Tripyy traveler',
+    photo: owner?.traveler_profile?.photo || null
+  },
+  updatedAt: collection.updated_at
+});
+
+// Helper function to load a collection the caller owns (null when it doesn't exist or isn't theirs)
+const findOwnCollection = async (collectionId, userId) => {
+  const id = parseInt(collectionId, 10);
+  const collection = Number.isNaN(id) ? null : await dbService.getCollectionById(id);
+  return collection && collection.user_id === userId ? collection : null;
+};
+
+// Your collections, most recently changed first. ?poiId= adds containsPoi to
+// each (for an "add to list" picker).
+app.get('/api/collections', authenticateUser, async (req, res) => {
   try {
-    const { reviewId } = req.params;
-    const { coordinates, rating, text, photo } = req.body;
-    
-    if (!coordinates || !rating || !text) {
-      return res.status(400).json({ error: 'Coordinates, rating, and text are required' });
+    const poiId = req.query.poiId !== undefined ? parseInt(req.query.poiId, 10) : null;
+    if (Number.isNaN(poiId)) {
+      return res.status(400).json({ error: 'poiId must be a POI id' });
     }
 
-    console.log(`📝 Updating review ${reviewId} at ${coordinates.lat}, ${coordinates.lng}`);
+    const collections = await dbService.getCollectionsByUser(req.userId, poiId);
+    res.json({
+      data: {
+        collections: collections.map(collection => (poiId !== null
+          ? { ...formatCollection(collection), containsPoi: collection.has_poi }
+          : formatCollection(collection)))
+      }
+    });
+  } catch (error) {
+    console.error('Get collections error:', error);
+    res.status(500).json({ error: 'Failed to get collections' });
+  }
+});
 
-    // Find the POI by coordinates
-    const poi = await dbService.getPOIByCoordinates(coordinates.lat, coordinates.lng);
-    if (!poi) {
-      return res.status(404).json({ error: 'POI not found' });
+// Create a collection, body: { name, description, shareType }
+app.post('/api/collections', authenticateUser, async (req, res) => {
+  try {
+    const validation = validateCollectionData(req.body || {});
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
     }
 
-    // Update the review in the database
-    const updatedPoi = await dbService.updateReview(reviewId, {
-      rating: parseInt(rating),
-      text: text.trim(),
-      photo: photo || null,
-      updatedAt: new Date().toISOString()
+    const { shareType = 'private' } = validation.values;
+    const collection = await dbService.createCollection(req.userId, {
+      ...validation.values,
+      shareType,
+      shareId: LINK_SHARE_TYPES.includes(shareType) ? generateShareId() : null
     });
 
-    if (!updatedPoi) {
-      return res.status(404).json({ error: 'Review not found' });
+    console.log(`📚 Collection ${collection.id} created by ${req.userId}`);
+    res.status(201).json({ data: { collection: formatCollection(collection, []) } });
+  } catch (error) {
+    console.error('Create collection error:', error);
+    res.status(500).json({ error: 'Failed to create collection' });
+  }
+});
+
+// A collection with its POIs: yours, or anyone's public one (read-only view)
+app.get('/api/collections/:id', authenticateUser, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const collection = Number.isNaN(id) ? null : await dbService.getCollectionById(id);
+    if (!collection || (collection.user_id !== req.userId && collection.share_type !== 'public')) {
+      return res.status(404).json({ error: 'Collection not found' });
     }
 
-    console.log(`📝 Review ${reviewId} updated successfully`);
-    res.json({ 
-      success: true, 
-      poi: updatedPoi,
-      message: 'Review updated successfully'
-    });
+    const items = await dbService.getCollectionItems(collection.id);
+    if (collection.user_id !== req.userId) {
+      const owner = await dbService.getUserById(collection.user_id);
+      return res.json({ data: { collection: formatSharedCollection(collection, owner, items) } });
+    }
+    res.json({ data: { collection: formatCollection(collection, items) } });
   } catch (error) {
-    console.error('❌ Error updating POI review:', error);
-    res.status(500).json({ error: 'Failed to update POI review' });
+    console.error('Get collection error:', error);
+    res.status(500).json({ error: 'Failed to get collection' });
   }
 });
 
-// Delete a POI review
-app.delete('/api/pois/review/:reviewId', authenticateUser, async (req, res) => {
+// Rename, describe or share a collection. Going private drops the share id so
+// old links stop working; sharing again hands out a new one.
+app.put('/api/collections/:id', authenticateUser, async (req, res) => {
   try {
-    const { reviewId } = req.params;
-    const { coordinates } = req.body;
-    
-    if (!coordinates) {
-      return res.status(400).json({ error: 'Coordinates are required' });
+    const validation = validateCollectionData(req.body || {}, true);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    const collection = await findOwnCollection(req.params.id, req.userId);
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
     }
 
-    console.log(`🗑️ Deleting review ${reviewId} at ${coordinates.lat}, ${coordinates.lng}`);
-
-    // Find the POI by coordinates
-    const poi = await dbService.getPOIByCoordinates(coordinates.lat, coordinates.lng);
-    if (!poi) {
-      return res.status(404).json({ error: 'POI not found' });
+    const updates = { ...validation.values };
+    if (updates.shareType === 'private') {
+      updates.shareId = null;
+    } else if (updates.shareType && !collection.share_id) {
+      updates.shareId = generateShareId();
     }
 
-    // Delete the review in the database
-    const updatedPoi = await dbService.deleteReview(reviewId);
+    const updated = await dbService.updateCollection(collection.id, updates);
+    res.json({ data: { collection: formatCollection(updated) } });
+  } catch (error) {
+    console.error('Update collection error:', error);
+    if (error.message === 'Collection not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to update collection' });
+  }
+});
 
-    if (!updatedPoi) {
-      return res.status(404).json({ error: 'Review not found' });
+app.delete('/api/collections/:id', authenticateUser, async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.params.id, req.userId);
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
     }
 
-    console.log(`🗑️ Review ${reviewId} deleted successfully`);
-    res.json({ 
-      success: true, 
-      poi: updatedPoi,
-      message: 'Review deleted successfully'
-    });
+    await dbService.deleteCollection(collection.id);
+    console.log(`📚 Collection ${collection.id} deleted by ${req.userId}`);
+    res.json({ data: { message: 'Collection deleted' } });
   } catch (error) {
-    console.error('❌ Error deleting POI review:', error);
-    res.status(500).json({ error: 'Failed to delete POI review' });
+    console.error('Delete collection error:', error);
+    res.status(500).json({ error: 'Failed to delete collection' });
   }
 });
 
-// Like/unlike a POI review
-app.post('/api/pois/review/:reviewId/like', authenticateUser, async (req, res) => {
+// Add a POI to the end of a collection, body: { poiId, note }
+app.post('/api/collections/:id/items', authenticateUser, async (req, res) => {
   try {
-    const { reviewId } = req.params;
-    const { poiId } = req.body; // POI ID is required to find the review
-    
-    if (!poiId) {
-      return res.status(400).json({ error: 'POI ID is required' });
+    const poiId = parseInt(req.body?.poiId, 10);
+    if (Number.isNaN(poiId)) {
+      return res.status(400).json({ error: 'poiId is required' });
     }
-    
-    // Get user info to get their nickname
-    const user = await dbService.getUserById(req.userId);
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
+    const noteValidation = validateCollectionNote(req.body?.note);
+    if (!noteValidation.valid) {
+      return res.status(400).json({ error: noteValidation.error });
     }
 
-    const userNickname = user.traveler_profile?.nickname || user.name || 'Unknown User';
-    
-    // Toggle like status
-    const updatedReview = await dbService.toggleReviewLike(poiId, reviewId, userNickname);
-    
-    // Send notification if review was liked (not unliked) and not by the review author
-    if (updatedReview.likes && updatedReview.likes.includes(userNickname) && updatedReview.user_id !== req.userId) {
-      try {
-        // Get POI details for notification
-        const poi = await dbService.getPOIById(poiId);
-        
-        const notification = {
-          type: 'review_like',
-          title: '❤️ Review Liked',
-          body: `${userNickname} liked your review on ${poi.name}: "${updatedReview.text ? updatedReview.text.substring(0, 50) + (updatedReview.text.length > 50 ? '...' : '') : 'Your review'}"`,
-          data: { 
-            type: 'review_like', 
-            likedBy: userNickname, 
-            reviewContent: updatedReview.text,
-            poiName: poi.name,
-            poiId: poiId,
-            reviewId: reviewId
-          }
-        };
-        
-        // Send notification using the internal function
-        await sendNotificationToUser(updatedReview.user_id, notification);
-        console.log(`📱 Review like notification sent to user ${updatedReview.user_id}`);
-      } catch (error) {
-        console.error('❌ Error sending review like notification:', error);
-      }
+    const collection = await findOwnCollection(req.params.id, req.userId);
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
     }
-    
-    res.json({
-      success: true,
-      review: updatedReview
-    });
-  } catch (error) {
-    console.error('❌ Error toggling review like:', error);
-    if (error.message === 'POI not found') {
+    if (parseInt(collection.item_count, 10) >= MAX_COLLECTION_ITEMS) {
+      return res.status(400).json({ error: `A collection can hold at most ${MAX_COLLECTION_ITEMS} POIs` });
+    }
+    const poi = await dbService.getPOIById(poiId);
+    if (!poi) {
       return res.status(404).json({ error: 'POI not found' });
     }
-    if (error.message === 'Review not found') {
-      return res.status(404).json({ error: 'Review not found' });
+
+    await dbService.addCollectionItem(collection.id, poi.id, noteValidation.values);
+    const items = await dbService.getCollectionItems(collection.id);
+    res.status(201).json({ data: { collection: formatCollection(await dbService.getCollectionById(collection.id), items) } });
+  } catch (error) {
+    console.error('Add collection item error:', error);
+    if (error.message === 'POI already in collection') {
+      return res.status(400).json({ error: error.message });
     }
-    res.status(500).json({ error: 'Failed to toggle review like' });
+    res.status(500).json({ error: 'Failed to add POI to collection' });
   }
 });
 
-// Post like endpoint
-app.post('/api/posts/:postId/like', authenticateUser, async (req, res) => {
+// Reorder a collection, body: { poiIds } listing every POI in it once
+app.put('/api/collections/:id/items/order', authenticateUser, async (req, res) => {
   try {
-    const { postId } = req.params;
-    const user = await dbService.getUserById(req.userId);
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
-    }
-
-    // Find the post in database
-    const foundPost = await dbService.getPostById(postId);
-    if (!foundPost) {
-      return res.status(404).json({ error: 'Post not found' });
+    const { poiIds } = req.body || {};
+    if (!Array.isArray(poiIds) || !poiIds.every(id => Number.isInteger(id))) {
+      return res.status(400).json({ error: 'poiIds must be a list of POI ids' });
     }
-
-    // Initialize likes array if it doesn't exist
-    const currentLikes = foundPost.likes || [];
-
-    // Toggle like
-    const userNickname = user.traveler_profile?.nickname || user.name;
-    const likeIndex = currentLikes.indexOf(userNickname);
-    
-    if (likeIndex === -1) {
-      // Add like
-      currentLikes.push(userNickname);
-    } else {
-      // Remove like
-      currentLikes.splice(likeIndex, 1);
+    const collection = await findOwnCollection(req.params.id, req.userId);
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
     }
 
-    // Update post in database
-    const updatedPost = await dbService.updatePost(postId, {
-      likes: currentLikes,
-      like_count: currentLikes.length
-    });
-    
-    // Send notification if post was liked (not unliked) and not by the author
-    if (likeIndex === -1 && foundPost.user_id !== req.userId) {
-      try {
-        const notification = {
-          type: 'post_like',
-          title: '❤️ Post Liked',
-          body: `${userNickname} liked your post: "${foundPost.content ? foundPost.content.substring(0, 50) + (foundPost.content.length > 50 ? '...' : '') : 'Your post'}"`,
-          data: { 
-            type: 'post_like', 
-            likedBy: userNickname, 
-            postContent: foundPost.content,
-            postId: postId
-          }
-        };
-        
-        // Send notification using the internal function
-        await sendNotificationToUser(foundPost.user_id, notification);
-        console.log(`📱 Post like notification sent to user ${foundPost.user_id}`);
-      } catch (error) {
-        console.error('❌ Error sending post like notification:', error);
-      }
-    }
-    
-    console.log(`👍 Post ${postId} ${likeIndex === -1 ? 'liked' : 'unliked'} by ${userNickname}`);
-    res.json({ 
-      success: true, 
-      post: updatedPost,
-      liked: likeIndex === -1
-    });
+    await dbService.reorderCollectionItems(collection.id, poiIds);
+    const items = await dbService.getCollectionItems(collection.id);
+    res.json({ data: { collection: formatCollection(await dbService.getCollectionById(collection.id), items) } });
   } catch (error) {
-    console.error('❌ Error liking post:', error);
-    res.status(500).json({ error: 'Failed to like post' });
+    console.error('Reorder collection error:', error);
+    if (error.message === 'POI ids must list every POI of the collection once') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to reorder collection' });
   }
 });
 
-// Post comment endpoint
-app.post('/api/posts/:postId/comments', authenticateUser, async (req, res) => {
+// Edit the note on a collection item, body: { note }
+app.put('/api/collections/:id/items/:poiId', authenticateUser, async (req, res) => {
   try {
-    const { postId } = req.params;
-    const { comment } = req.body;
-    
-    if (!comment || !comment.trim()) {
-      return res.status(400).json({ error: 'Comment text is required' });
+    const noteValidation = validateCollectionNote(req.body?.note);
+    if (!noteValidation.valid) {
+      return res.status(400).json({ error: noteValidation.error });
     }
-
-    const user = await dbService.getUserById(req.userId);
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
+    const collection = await findOwnCollection(req.params.id, req.userId);
+    const poiId = parseInt(req.params.poiId, 10);
+    if (!collection || Number.isNaN(poiId)) {
+      return res.status(404).json({ error: 'Collection not found' });
     }
 
-    // Find the post in database
-    const foundPost = await dbService.getPostById(postId);
-    if (!foundPost) {
-      return res.status(404).json({ error: 'Post not found' });
+    await dbService.updateCollectionItem(collection.id, poiId, { note: noteValidation.values });
+    const items = await dbService.getCollectionItems(collection.id);
+    res.json({ data: { collection: formatCollection(await dbService.getCollectionById(collection.id), items) } });
+  } catch (error) {
+    console.error('Update collection item error:', error);
+    if (error.message === 'Item not found') {
+      return res.status(404).json({ error: 'POI is not in this collection' });
     }
+    res.status(500).json({ error: 'Failed to update collection item' });
+  }
+});
 
-    // Initialize comments array if it doesn't exist
-    const currentComments = foundPost.comments || [];
-
-    // Add comment with rich user info
-    const newComment = {
-      id: Date.now().toString() + Math.random().toString(36).slice(2),
-      text: comment.trim(),
-      userId: user.id,
-      userEmail: user.email,
-      userName: user.name,
-      userNickname: user.traveler_profile?.nickname || user.name,
-      userPhoto: user.traveler_profile?.photo || null,
-      likes: [],
-      createdAt: new Date().toISOString()
-    };
+app.delete('/api/collections/:id/items/:poiId', authenticateUser, async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.params.id, req.userId);
+    const poiId = parseInt(req.params.poiId, 10);
+    if (!collection || Number.isNaN(poiId)) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
 
-    currentComments.push(newComment);
-    
-    // Update post in database
-    const updatedPost = await dbService.updatePost(postId, {
-      comments: currentComments,
-      comment_count: currentComments.length
-    });
-    
-    console.log(`💬 Comment added to post ${postId} by ${newComment.userNickname}`);
-    res.json({ 
-      success: true, 
-      post: updatedPost,
-      comment: newComment
-    });
+    await dbService.removeCollectionItem(collection.id, poiId);
+    const items = await dbService.getCollectionItems(collection.id);
+    res.json({ data: { collection: formatCollection(await dbService.getCollectionById(collection.id), items) } });
   } catch (error) {
-    console.error('❌ Error adding comment:', error);
-    res.status(500).json({ error: 'Failed to add comment' });
+    console.error('Remove collection item error:', error);
+    if (error.message === 'Item not found') {
+      return res.status(404).json({ error: 'POI is not in this collection' });
+    }
+    res.status(500).json({ error: 'Failed to remove POI from collection' });
   }
 });
 
-// Like a specific comment on a post
-app.post('/api/posts/:postId/comments/:commentId/like', authenticateUser, async (req, res) => {
+// Helper function to add every POI of a collection to a day of a trip the user
+// can edit, body: { tripId, day }. POIs the day already has are skipped.
+const addCollectionToTrip = async (req, res, collection) => {
   try {
-    const { postId, commentId } = req.params;
-    const user = await dbService.getUserById(req.userId);
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
+    const tripId = parseInt(req.body?.tripId, 10);
+    const day = req.body?.day;
+    if (Number.isNaN(tripId)) {
+      return res.status(400).json({ error: 'tripId is required' });
+    }
+    if (!Number.isInteger(day) || day < 1 || day > 365) {
+      return res.status(400).json({ error: 'day must be a day number from 1' });
     }
 
-    // Find the post in database
-    const foundPost = await dbService.getPostById(postId);
-    if (!foundPost) return res.status(404).json({ error: 'Post not found' });
-
-    // Find comment
-    const comment = (foundPost.comments || []).find((c) => c.id === commentId);
-    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+    const trip = await dbService.getTripById(tripId, req.userId, 'editor');
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
 
-    if (!Array.isArray(comment.likes)) comment.likes = [];
-    const nickname = user.traveler_profile?.nickname || user.name;
-    const idx = comment.likes.indexOf(nickname);
-    if (idx === -1) comment.likes.push(nickname); else comment.likes.splice(idx, 1);
+    const items = await dbService.getCollectionItems(collection.id);
+    const activities = items.map(item => ({
+      title: item.name,
+      description: item.item_note || item.description || '',
+      coordinates: geo.readCoordinates(item.location),
+      poiId: item.id
+    }));
+    const { itinerary, added } = addActivitiesToDay(trip.itinerary, day, activities);
+    if (added.length === 0) {
+      return res.json({ data: { trip, added: 0, skipped: activities.length, warnings: await getItineraryWarnings(trip) } });
+    }
 
-    // Update post in database with updated comments
-    const updatedPost = await dbService.updatePost(postId, {
-      comments: foundPost.comments,
-      comment_count: foundPost.comments.length
-    });
-    
-    // Send notification if comment was liked (not unliked) and not by the comment author
-    if (idx === -1 && comment.userId !== req.userId) {
-      try {
-        const notification = {
-          type: 'comment_like',
-          title: '❤️ Comment Liked',
-          body: `${nickname} liked your comment: "${comment.text ? comment.text.substring(0, 50) + (comment.text.length > 50 ? '...' : '') : 'Your comment'}"`,
-          data: { 
-            type: 'comment_like', 
-            likedBy: nickname, 
-            commentContent: comment.text,
-            postId: postId,
-            commentId: commentId
-          }
-        };
-        
-        // Send notification using the internal function
-        await sendNotificationToUser(comment.userId, notification);
-        console.log(`📱 Comment like notification sent to user ${comment.userId}`);
-      } catch (error) {
-        console.error('❌ Error sending comment like notification:', error);
+    const updated = await dbService.updateTrip(trip.id, { itinerary }, req.userId);
+    console.log(`📚 Collection ${collection.id} added to day ${day} of trip ${trip.id} (${added.length} POIs)`);
+    res.json({
+      data: {
+        trip: updated,
+        added: added.length,
+        skipped: activities.length - added.length,
+        warnings: await getItineraryWarnings(updated)
       }
+    });
+  } catch (error) {
+    console.error('Add collection to trip error:', error);
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({ error: 'Not authorized to edit this trip' });
     }
-    
-    res.json({ data: { success: true, post: updatedPost } });
+    res.status(500).json({ error: 'Failed to add collection to trip' });
+  }
+};
+
+// Add a collection (yours or a public one) to a trip, body: { tripId, day }
+app.post('/api/collections/:id/add-to-trip', authenticateUser, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const collection = Number.isNaN(id) ? null : await dbService.getCollectionById(id);
+    if (!collection || (collection.user_id !== req.userId && collection.share_type !== 'public')) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    await addCollectionToTrip(req, res, collection);
   } catch (error) {
-    console.error('❌ Error liking comment:', error);
-    res.status(500).json({ error: 'Failed to like comment' });
+    console.error('Add collection to trip error:', error);
+    res.status(500).json({ error: 'Failed to add collection to trip' });
   }
 });
 
-// POI review like endpoint
-app.post('/api/pois/review/like', authenticateUser, async (req, res) => {
+// Add a link-shared or public collection to a trip by its share id, body: { tripId, day }
+app.post('/api/shared/collections/:shareId/add-to-trip', authenticateUser, async (req, res) => {
   try {
-    const { reviewId } = req.body;
-    
-    if (!reviewId) {
-      return res.status(400).json({ error: 'Review ID is required' });
+    const collection = await dbService.getCollectionByShareId(req.params.shareId);
+    if (!collection || !LINK_SHARE_TYPES.includes(collection.share_type)) {
+      return res.status(404).json({ error: 'Shared collection not found' });
     }
+    await addCollectionToTrip(req, res, collection);
+  } catch (error) {
+    console.error('Add shared collection to trip error:', error);
+    res.status(500).json({ error: 'Failed to add collection to trip' });
+  }
+});
 
-    const user = await dbService.getUserById(req.userId);
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
-    }
+// Browse public collections, most recently changed first (no authentication)
+app.get('/api/shared/collections', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { collections, total } = await dbService.getPublicCollections(limit, offset);
 
-    // Find the review in all POIs by searching through database
-    const allPois = await dbService.getAllPOIs();
-    let foundReview = null;
-    let foundPoi = null;
-    
-    for (const poi of allPois) {
-      if (poi.reviews) {
-        const reviews = typeof poi.reviews === 'string' ? JSON.parse(poi.reviews) : poi.reviews;
-        const review = reviews.find(r => r.id === reviewId);
-        if (review) {
-          foundReview = review;
-          foundPoi = poi;
-          break;
-        }
+    res.json({
+      data: {
+        collections: collections.map(collection => formatSharedCollection(collection, {
+          name: collection.owner_name,
+          traveler_profile: collection.owner_profile
+        })),
+        pagination: { total, limit, offset }
       }
-    }
+    });
+  } catch (error) {
+    console.error('Get public collections error:', error);
+    res.status(500).json({ error: 'Failed to get public collections' });
+  }
+});
 
-    if (!foundReview) {
-      return res.status(404).json({ error: 'Review not found' });
-    }
+// Public read-only collection page (no authentication)
+app.get('/api/shared/collections/:shareId', async (req, res) => {
+  try {
+    const collection = await dbService.getCollectionByShareId(req.params.shareId);
 
-    // Initialize likes array if it doesn't exist
-    if (!foundReview.likes) {
-      foundReview.likes = [];
+    // Private collections look exactly like unknown share ids
+    if (!collection || !LINK_SHARE_TYPES.includes(collection.share_type)) {
+      return res.status(404).json({ error: 'Shared collection not found' });
     }
 
-    // Toggle like
-    const userNickname = user.traveler_profile?.nickname || user.name;
-    const likeIndex = foundReview.likes.indexOf(userNickname);
-    
-    if (likeIndex === -1) {
-      // Add like
-      foundReview.likes.push(userNickname);
-    } else {
-      // Remove like
-      foundReview.likes.splice(likeIndex, 1);
-    }
-    
-    // Update POI in database
-    const reviews = typeof foundPoi.reviews === 'string' ? JSON.parse(foundPoi.reviews) : foundPoi.reviews;
-    await dbService.updatePOI(foundPoi.id, {
-      reviews: reviews
-    });
-    
-    // Send notification if review was liked (not unliked) and not by the review author
-    if (likeIndex === -1 && foundReview.user_id !== req.userId) {
-      try {
-        const notification = {
-          type: 'review_like',
-          title: '❤️ Review Liked',
-          body: `${userNickname} liked your review on ${foundPoi.name}: "${foundReview.text ? foundReview.text.substring(0, 50) + (foundReview.text.length > 50 ? '...' : '') : 'Your review'}"`,
-          data: { 
-            type: 'review_like', 
-            likedBy: userNickname, 
-            reviewContent: foundReview.text,
-            poiName: foundPoi.name,
-            poiId: foundPoi.id,
-            reviewId: reviewId
-          }
-        };
-        
-        // Send notification using the internal function
-        await sendNotificationToUser(foundReview.user_id, notification);
-        console.log(`📱 Review like notification sent to user ${foundReview.user_id}`);
-      } catch (error) {
-        console.error('❌ Error sending review like notification:', error);
-      }
-    }
-    
-    console.log(`👍 Review ${reviewId} ${likeIndex === -1 ? 'liked' : 'unliked'} by ${userNickname}`);
-    res.json({ 
-      success: true, 
-      review: foundReview,
-      liked: likeIndex === -1
-    });
+    const [owner, items] = await Promise.all([
+      dbService.getUserById(collection.user_id),
+      dbService.getCollectionItems(collection.id)
+    ]);
+    res.json({ data: { collection: formatSharedCollection(collection, owner, items) } });
   } catch (error) {
-    console.error('❌ Error liking review:', error);
-    res.status(500).json({ error: 'Failed to like review' });
+    console.error('Get shared collection error:', error);
+    res.status(500).json({ error: 'Failed to get shared collection' });
   }
 });
 
-// Helper function to get full user objects from user IDs (database version)
-const getFullUserObjects = async (userIds) => {
-  const users = [];
-  for (const userId of userIds) {
-    const user = await dbService.getUserById(userId);
-    if (user) {
-      users.push({
-        id: user.id,
-        name: user.name,
-        nickname: user.traveler_profile?.nickname,
-        email: user.email,
-        photo: user.traveler_profile?.photo,
-        travelerProfile: user.traveler_profile
-      });
+// ==================== CHECK-IN ENDPOINTS ====================
+
+// Helper function to validate a check-in: the device position ({ lat, lng }),
+// its accuracy in meters and the city and country it is in
+const validateCheckInData = (data) => {
+  const position = geo.readCoordinates(data);
+  if (!position) {
+    return { valid: false, error: 'lat and lng of your current position are required' };
+  }
+  if (data.accuracy !== undefined && data.accuracy !== null &&
+      !(typeof data.accuracy === 'number' && Number.isFinite(data.accuracy) && data.accuracy >= 0)) {
+    return { valid: false, error: 'accuracy must be a number of meters' };
+  }
+  const values = { position, accuracy: data.accuracy || 0 };
+  for (const field of ['city', 'country']) {
+    const value = data[field];
+    if (value !== undefined && value !== null && (typeof value !== 'string' || value.trim().length > 100)) {
+      return { valid: false, error: `${field} must be text of at most 100 characters` };
     }
+    values[field] = value ? value.trim() || null : null;
   }
-  return users;
+  if (data.note !== undefined && data.note !== null && (typeof data.note !== 'string' || data.note.length > 500)) {
+    return { valid: false, error: 'Note must be text of at most 500 characters' };
+  }
+  values.note = data.note ? data.note.trim() || null : null;
+  return { valid: true, values };
 };
 
-// Community join endpoint
-app.post('/api/communities/:communityId/join', authenticateUser, async (req, res) => {
+// Helper function to format a check-in row; rows from the history carry the POI as poi_* columns
+const formatCheckIn = (checkIn) => ({
+  id: checkIn.id,
+  poiId: checkIn.poi_id,
+  ...(checkIn.poi_name !== undefined
+    ? {
+        poi: formatPOIMarker({
+          id: checkIn.poi_id,
+          name: checkIn.poi_name,
+          icon: checkIn.poi_icon,
+          type: checkIn.poi_type,
+          ...geo.readCoordinates(checkIn.poi_location)
+        })
+      }
+    : {}),
+  distanceM: checkIn.distance_m,
+  city: checkIn.city ?? null,
+  country: checkIn.country ?? null,
+  note: checkIn.note ?? null,
+  createdAt: checkIn.created_at
+});
+
+// Check in at a POI, body: { lat, lng, accuracy, city, country, note }.
+// The position must be near the POI; one check-in per POI every few hours.
+app.post('/api/pois/:poiId/check-ins', authenticateUser, async (req, res) => {
   try {
-    const { communityId } = req.params;
-    const user = await dbService.getUserById(req.userId);
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
+    const poiId = parseInt(req.params.poiId, 10);
+    const poi = Number.isNaN(poiId) ? null : await dbService.getPOIById(poiId);
+    if (!poi) {
+      return res.status(404).json({ error: 'POI not found' });
     }
-
-    // Find the community in database
-    const foundCommunity = await dbService.getCommunityById(communityId);
-    if (!foundCommunity) {
-      return res.status(404).json({ error: 'Community not found' });
+    const validation = validateCheckInData(req.body || {});
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    const poiCoordinates = geo.readCoordinates(poi.location);
+    if (!poiCoordinates) {
+      return res.status(400).json({ error: 'This POI has no coordinates to check in at' });
     }
 
-    // Add user to community members if not already a member
-    const currentMembers = foundCommunity.members || [];
-    if (!currentMembers.includes(user.id)) {
-      currentMembers.push(user.id);
+    const { position, accuracy, city, country, note } = validation.values;
+    const proximity = poiCheckIns.verifyCheckInDistance(poiCoordinates, position, accuracy);
+    if (!proximity.withinRange) {
+      return res.status(403).json({
+        error: 'You are too far from this place to check in',
+        data: { distanceM: proximity.distanceM, allowedM: proximity.allowedM }
+      });
     }
-    
-    // Update community in database
-    const updatedCommunity = await dbService.updateCommunity(communityId, {
-      members: currentMembers
-    });
-    
-    console.log(`👥 User ${user.id} joined community ${communityId}`);
-    
-    // Return enriched community data with full user objects
-    const enrichedCommunity = {
-      ...updatedCommunity,
-      members: await getFullUserObjects(currentMembers)
-    };
-    
-    res.json({ 
-      success: true, 
-      community: enrichedCommunity
-    });
+
+    const checkIn = await dbService.createCheckIn({
+      poiId,
+      userId: req.userId,
+      location: { ...position, accuracy: accuracy || null },
+      distanceM: proximity.distanceM,
+      city,
+      country,
+      note
+    }, poiCheckIns.CHECK_IN_COOLDOWN_HOURS);
+    res.status(201).json({ data: { checkIn: formatCheckIn(checkIn) } });
   } catch (error) {
-    console.error('❌ Error joining community:', error);
-    res.status(500).json({ error: 'Failed to join community' });
+    if (error.message === 'Already checked in recently') {
+      return res.status(409).json({ error: `You already checked in here in the last ${poiCheckIns.CHECK_IN_COOLDOWN_HOURS} hours` });
+    }
+    console.error('Create check-in error:', error);
+    res.status(500).json({ error: 'Failed to check in' });
   }
 });
 
-// User profile endpoint - enhanced with complete travelerProfile data
-app.get('/api/user/profile/:userId', authenticateUser, async (req, res) => {
+// Your check-in history, newest first (?poiId= for one place)
+app.get('/api/user/check-ins', authenticateUser, async (req, res) => {
   try {
-    const { userId } = req.params;
-    console.log(`👤 Getting profile for user/nickname: ${userId}`);
-    
-    // Try by ID first
-    let user = await dbService.getUserById(userId);
-    
-    // If not found, try by nickname (strip leading @ if provided)
-    if (!user) {
-      const nickname = (userId || '').toString().replace(/^@/, '');
-      console.log(`🔍 User not found by ID, trying nickname: ${nickname}`);
-      
-      // Search for user by nickname in database
-      const allUsers = await dbService.searchUsers(nickname);
-      user = allUsers.find(u => (u.traveler_profile?.nickname || '').toLowerCase() === nickname.toLowerCase());
-      
-      if (user) {
-        console.log(`✅ Found user by nickname: ${user.email}`);
-      }
-    }
-    
-    if (!user) {
-      console.log(`❌ User not found: ${userId}`);
-      return res.status(404).json({ error: 'User not found' });
+    const poiId = req.query.poiId !== undefined ? parseInt(req.query.poiId, 10) : null;
+    if (Number.isNaN(poiId)) {
+      return res.status(400).json({ error: 'poiId must be a POI id' });
     }
-    
-    // Ensure complete travelerProfile data with defaults
-    const travelerProfile = user.traveler_profile || {};
-    const completeProfile = {
-      name: travelerProfile.name || user.name || '',
-      nickname: travelerProfile.nickname || '',
-      birthday: travelerProfile.birthday || null,
-      photo: travelerProfile.photo || null,
-      age: travelerProfile.age || 0,
-      // Ensure interests field is properly populated (not from activities)
-      interests: Array.isArray(travelerProfile.interests) ? travelerProfile.interests : [],
-      dietaryRestrictions: Array.isArray(travelerProfile.dietaryRestrictions) ? travelerProfile.dietaryRestrictions : [],
-      accessibilityNeeds: Array.isArray(travelerProfile.accessibilityNeeds) ? travelerProfile.accessibilityNeeds : [],
-      numberOfTravelers: travelerProfile.numberOfTravelers || 0,
-      // Include any other fields from traveler_profile
-      ...travelerProfile
-    };
-    
-    console.log(`🎯 Complete profile interests:`, JSON.stringify(completeProfile.interests, null, 2));
-    
-    // Return complete user profile data
-    const profileData = {
-      id: user.id,
-      name: user.name,
-      email: user.email,
-      photo: completeProfile.photo,
-      travelerProfile: completeProfile,
-      createdAt: user.created_at,
-      lastKnownLocation: user.last_known_location
-    };
-    
-    console.log(`📝 Returning complete profile for user: ${user.email}`);
-    res.json({ data: { user: profileData } });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { checkIns, total } = await dbService.getCheckInsByUser(req.userId, { poiId, limit, offset });
+
+    res.json({
+      data: {
+        checkIns: checkIns.map(formatCheckIn),
+        pagination: { total, limit, offset }
+      }
+    });
   } catch (error) {
-    console.error('❌ Error getting user profile:', error);
-    res.status(500).json({ error: 'Failed to get user profile' });
+    console.error('Get check-ins error:', error);
+    res.status(500).json({ error: 'Failed to get check-ins' });
   }
 });
 
-// User trips endpoint
-app.get('/api/user/trips/:identifier', authenticateUser, async (req, res) => {
+// Places you've been: every POI you checked in at, most recently visited first
+app.get('/api/user/visited-places', authenticateUser, async (req, res) => {
   try {
-    const { identifier } = req.params;
-    let userId = identifier;
-    
-    // If identifier is not a number, try to resolve by nickname
-    if (isNaN(identifier)) {
-      const userResult = await pool.query(
-        'SELECT id FROM users WHERE traveler_profile->>\'nickname\' = $1',
-        [identifier]
-      );
-      
-      if (userResult.rows.length === 0) {
-        return res.status(404).json({ error: 'User not found' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { places, total } = await dbService.getVisitedPlaces(req.userId, { limit, offset });
+
+    res.json({
+      data: {
+        places: places.map(place => ({
+          poi: {
+            ...formatPOIMarker({ ...place, ...geo.readCoordinates(place.location) }),
+            photo: Array.isArray(place.photos) && place.photos.length > 0 ? place.photos[0] : null,
+            averageRating: Number(place.average_rating) || 0
+          },
+          visitCount: parseInt(place.visit_count, 10),
+          firstVisitedAt: place.first_visited_at,
+          lastVisitedAt: place.last_visited_at
+        })),
+        pagination: { total, limit, offset }
       }
-      
-      userId = userResult.rows[0].id;
-    }
+    });
+  } catch (error) {
+    console.error('Get visited places error:', error);
+    res.status(500).json({ error: 'Failed to get visited places' });
+  }
+});
 
-    // Find user by ID
-    const user = await dbService.getUserById(userId);
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+// Delete one of your check-ins
+app.delete('/api/user/check-ins/:checkInId', authenticateUser, async (req, res) => {
+  try {
+    const checkInId = parseInt(req.params.checkInId, 10);
+    if (Number.isNaN(checkInId)) {
+      return res.status(404).json({ error: 'Check-in not found' });
     }
-    
-    // Get user's trips from database
-    const userTrips = await dbService.getUserTrips(userId);
-    
-    console.log(`📋 Getting trips for user ${userId}:`, userTrips.length, 'trips');
-    
-    res.json({ success: true, data: userTrips });
+    await dbService.deleteCheckIn(checkInId, req.userId);
+    res.json({ data: { message: 'Check-in deleted' } });
   } catch (error) {
-    console.error('❌ Error getting user trips:', error);
-    res.status(500).json({ error: 'Failed to get user trips' });
+    if (error.message === 'Check-in not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Delete check-in error:', error);
+    res.status(500).json({ error: 'Failed to delete check-in' });
   }
 });
 
-// Removed duplicate user profile endpoint - using the enhanced version above
+// ==================== LIKE ENDPOINTS ====================
+
+const LIKE_TARGET_TYPES = ['poi', 'post', 'comment', 'review'];
+
+// Helper function to get the name a like is shown under
+const getLikerName = (user) => user.traveler_profile?.nickname || user.name || 'Unknown User';
+
+// Helper function to get the nicknames of everyone who liked each target, by target id
+const getLikesByTarget = async (targetType, targetIds) => {
+  const likers = await dbService.getLikerNicknames(targetType, targetIds);
+  const likesByTarget = new Map();
+  for (const liker of likers) {
+    if (!likesByTarget.has(liker.target_id)) likesByTarget.set(liker.target_id, []);
+    likesByTarget.get(liker.target_id).push(liker.nickname);
+  }
+  return likesByTarget;
+};
+
+// Helper function to fill in likes (current nicknames) and like_count on POI,
+// post or review rows from the likes table
+const attachLikes = async (targetType, rows) => {
+  const likesByTarget = await getLikesByTarget(targetType, rows.map(row => row.id));
+  return rows.map(row => {
+    const likes = likesByTarget.get(String(row.id)) || [];
+    return { ...row, likes, like_count: likes.length };
+  });
+};
+
+// Helper function to fill in the likes of posts and of their comments
+const attachPostLikes = async (posts) => {
+  const commentIds = posts
+    .flatMap(post => Array.isArray(post.comments) ? post.comments : [])
+    .filter(comment => comment && comment.id)
+    .map(comment => comment.id);
+  const commentLikes = await getLikesByTarget('comment', commentIds);
+
+  return (await attachLikes('post', posts)).map(post => ({
+    ...post,
+    comments: Array.isArray(post.comments)
+      ? post.comments.map(comment => (comment && comment.id)
+        ? { ...comment, likes: commentLikes.get(String(comment.id)) || [] }
+        : comment)
+      : post.comments
+  }));
+};
+
+// Helper function to load what a like points at; null when it doesn't exist.
+// ownerId is the user to notify.
+const findLikeTarget = async (targetType, targetId) => {
+  const numericId = /^\d+$/.test(String(targetId)) ? parseInt(targetId, 10) : null;
+  switch (targetType) {
+    case 'poi': {
+      const poi = numericId === null ? null : await dbService.getPOIById(numericId);
+      return poi ? { poi, ownerId: poi.user_id } : null;
+    }
+    case 'post': {
+      const post = numericId === null ? null : await dbService.getPostById(numericId);
+      return post && postExpiry.isPostVisible(post) ? { post, ownerId: post.user_id } : null;
+    }
+    case 'comment': {
+      const post = await dbService.getPostByCommentId(targetId);
+      const comment = post && postExpiry.isPostVisible(post) && post.comments.find(c => c && c.id === String(targetId));
+      return comment ? { post, comment, ownerId: comment.userId } : null;
+    }
+    case 'review': {
+      const review = await dbService.getPOIReview(targetId);
+      if (!review) return null;
+      const poi = await dbService.getPOIById(review.poi_id);
+      return { review, poi, ownerId: review.user_id };
+    }
+    default:
+      return null;
+  }
+};
+
+// Helper function to flip a user's like on a target; returns whether it is liked now
+const toggleLike = async (userId, targetType, targetId) => {
+  const liked = !(await dbService.hasUserLiked(userId, targetType, targetId));
+  await dbService.setLike(userId, targetType, targetId, liked);
+  return liked;
+};
+
+// Helper function to tell the author of a post, comment or review about a new like
+const notifyLike = async (targetType, target, user, userId) => {
+  if (!target.ownerId || target.ownerId === userId) return;
+
+  const likedBy = getLikerName(user);
+  const preview = (text, fallback) => text ? text.substring(0, 50) + (text.length > 50 ? '...' : '') : fallback;
+  let notification;
+  switch (targetType) {
+    case 'post':
+      notification = {
+        type: 'post_like',
+        title: '❤️ Post Liked',
+        body: `${likedBy} liked your post: "${preview(target.post.content, 'Your post')}"`,
+        data: { type: 'post_like', likedBy, postContent: target.post.content, postId: target.post.id }
+      };
+      break;
+    case 'comment':
+      notification = {
+        type: 'comment_like',
+        title: '❤️ Comment Liked',
+        body: `${likedBy} liked your comment: "${preview(target.comment.text, 'Your comment')}"`,
+        data: { type: 'comment_like', likedBy, commentContent: target.comment.text, postId: target.post.id, commentId: target.comment.id }
+      };
+      break;
+    case 'review':
+      notification = {
+        type: 'review_like',
+        title: '❤️ Review Liked',
+        body: `${likedBy} liked your review on ${target.poi?.name}: "${preview(target.review.text, 'Your review')}"`,
+        data: {
+          type: 'review_like',
+          likedBy,
+          reviewContent: target.review.text,
+          poiName: target.poi?.name,
+          poiId: target.review.poi_id,
+          reviewId: target.review.id
+        }
+      };
+      break;
+    default:
+      return;
+  }
 
-// Community leave endpoint
-app.post('/api/communities/:communityId/leave', authenticateUser, async (req, res) => {
   try {
-    const { communityId } = req.params;
+    await sendNotificationToUser(target.ownerId, notification);
+    console.log(`📱 ${notification.type} notification sent to user ${target.ownerId}`);
+  } catch (error) {
+    console.error(`❌ Error sending ${notification.type} notification:`, error);
+  }
+};
+
+// Helper function to check the :targetType/:targetId of a like route
+const resolveLikeTarget = async (req, res) => {
+  const { targetType, targetId } = req.params;
+  if (!LIKE_TARGET_TYPES.includes(targetType)) {
+    res.status(400).json({ error: `Target type must be one of: ${LIKE_TARGET_TYPES.join(', ')}` });
+    return null;
+  }
+  const target = await findLikeTarget(targetType, targetId);
+  if (!target) {
+    res.status(404).json({ error: 'Like target not found' });
+    return null;
+  }
+  return target;
+};
+
+// Like a POI, post, comment or review (liking twice changes nothing)
+app.put('/api/likes/:targetType/:targetId', authenticateUser, async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+    const target = await resolveLikeTarget(req, res);
+    if (!target) return;
+
     const user = await dbService.getUserById(req.userId);
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
     }
 
-    // Find the community in database
-    const foundCommunity = await dbService.getCommunityById(communityId);
-    if (!foundCommunity) {
-      return res.status(404).json({ error: 'Community not found' });
+    const { changed } = await dbService.setLike(req.userId, targetType, targetId, true);
+    if (changed) {
+      await notifyLike(targetType, target, user, req.userId);
     }
 
-    // Remove user from community members
-    const currentMembers = foundCommunity.members || [];
-    const memberIndex = currentMembers.indexOf(user.id);
-    if (memberIndex !== -1) {
-      currentMembers.splice(memberIndex, 1);
-    }
-    
-    // Update community in database
-    const updatedCommunity = await dbService.updateCommunity(communityId, {
-      members: currentMembers
-    });
-    
-    console.log(`👥 User ${user.id} left community ${communityId}`);
-    
-    // Return enriched community data with full user objects
-    const enrichedCommunity = {
-      ...updatedCommunity,
-      members: await getFullUserObjects(currentMembers)
-    };
-    
-    res.json({ 
-      success: true, 
-      community: enrichedCommunity
+    res.json({
+      data: {
+        liked: true,
+        likeCount: await dbService.getLikeCount(targetType, targetId)
+      }
     });
   } catch (error) {
-    console.error('❌ Error leaving community:', error);
-    res.status(500).json({ error: 'Failed to leave community' });
+    console.error('Like error:', error);
+    res.status(500).json({ error: 'Failed to like' });
   }
 });
 
-// Conversation endpoints (stubs)
-app.get('/api/conversations/:conversationId', authenticateUser, async (req, res) => {
+// Remove a like (unliking something not liked changes nothing)
+app.delete('/api/likes/:targetType/:targetId', authenticateUser, async (req, res) => {
   try {
-    const { conversationId } = req.params;
-    
-    // Stub implementation - return basic conversation structure
-    const conversation = {
-      id: conversationId,
-      participants: [req.userId],
-      lastMessage: null,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    res.json({ data: { conversation } });
+    const { targetType, targetId } = req.params;
+    const target = await resolveLikeTarget(req, res);
+    if (!target) return;
+
+    await dbService.setLike(req.userId, targetType, targetId, false);
+    res.json({
+      data: {
+        liked: false,
+        likeCount: await dbService.getLikeCount(targetType, targetId)
+      }
+    });
   } catch (error) {
-    console.error('Get conversation error:', error);
-    res.status(500).json({ error: 'Failed to get conversation' });
+    console.error('Unlike error:', error);
+    res.status(500).json({ error: 'Failed to remove like' });
   }
 });
 
-app.get('/api/conversations/:conversationId/messages', authenticateUser, async (req, res) => {
+// Who liked a POI, post, comment or review, newest first
+app.get('/api/likes/:targetType/:targetId', authenticateUser, async (req, res) => {
   try {
-    const { conversationId } = req.params;
-    
-    // Stub implementation - return empty messages array
-    const messages = [];
-    
-    res.json({ data: { messages } });
+    const { targetType, targetId } = req.params;
+    const target = await resolveLikeTarget(req, res);
+    if (!target) return;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const [{ users, total }, likedByMe] = await Promise.all([
+      dbService.getLikers(targetType, targetId, limit, offset),
+      dbService.hasUserLiked(req.userId, targetType, targetId)
+    ]);
+
+    res.json({
+      data: {
+        users: users.map(user => ({
+          id: user.id,
+          name: user.name,
+          nickname: user.nickname,
+          photo: user.photo,
+          likedAt: user.liked_at
+        })),
+        likeCount: total,
+        likedByMe,
+        pagination: { total, limit, offset }
+      }
+    });
   } catch (error) {
-    console.error('Get conversation messages error:', error);
-    res.status(500).json({ error: 'Failed to get conversation messages' });
+    console.error('Get likes error:', error);
+    res.status(500).json({ error: 'Failed to get likes' });
   }
 });
 
@@ -3737,6 +6993,14 @@ app.post('/api/reports', authenticateUser, async (req, res) => {
     } = req.body;
 
     const reporterId = req.userId;
+
+    // Archived and expired posts (and their comments) can't be reported
+    if ((targetType === 'post' || targetType === 'comment') && !(await findLikeTarget(targetType, targetId))) {
+      return res.status(404).json({
+        success: false,
+        message: targetType === 'post' ? 'Post not found' : 'Comment not found'
+      });
+    }
     
     // Get reporter's nickname from their profile
     let reporterNickname = '';
@@ -1,4 +1,28 @@
 const { Pool } = require('pg');
+const { DEFAULT_CURRENCY_RATES } = require('../utils/expenses');
+const { toDateString } = require('../utils/itinerary');
+const { DEFAULT_POI_CATEGORIES } = require('../utils/poi-categories');
+
+// POI position as point(lng, lat), read from whichever shape the location JSONB
+// uses ({lat,lng}, {latitude,longitude} or {coordinates:{lat,lng}}). Stored as a
+// generated column so inserts and updates keep it in sync without extra code.
+const jsonNumber = (path) => `CASE WHEN jsonb_typeof(${path}) = 'number' THEN (${path})::float8 END`;
+const POI_GEO_POINT_SQL = `point(
+  COALESCE(${jsonNumber("location->'lng'")}, ${jsonNumber("location->'longitude'")}, ${jsonNumber("location->'coordinates'->'lng'")}),
+  COALESCE(${jsonNumber("location->'lat'")}, ${jsonNumber("location->'latitude'")}, ${jsonNumber("location->'coordinates'->'lat'")})
+)`;
+
+// Post position as point(lng, lat): from a "lat,lng" location, else from the
+// coordinates of the connected POI. Used by the near-me feed.
+const POST_LAT_LNG_PATTERN = "'^[[:space:]]*-?[0-9]{1,2}([.][0-9]+)?[[:space:]]*,[[:space:]]*-?[0-9]{1,3}([.][0-9]+)?[[:space:]]*$'";
+const postCoordinateSql = (part, key, altKey) => `CASE WHEN location ~ ${POST_LAT_LNG_PATTERN}
+    THEN split_part(location, ',', ${part})::float8
+    ELSE COALESCE(${jsonNumber(`connected_poi->'coordinates'->'${key}'`)}, ${jsonNumber(`connected_poi->'coordinates'->'${altKey}'`)}, ${jsonNumber(`connected_poi->'coordinates'->'coordinates'->'${key}'`)})
+  END`;
+const POST_GEO_POINT_SQL = `point(
+  ${postCoordinateSql(2, 'lng', 'longitude')},
+  ${postCoordinateSql(1, 'lat', 'latitude')}
+)`;
 
 // Validate and parse DATABASE_URL
 const validateDatabaseUrl = (url) => {
@@ -211,7 +235,11 @@ const initDatabase = async () => {
         suggestions JSONB DEFAULT '[]',
         share_type VARCHAR(50) DEFAULT 'private',
         share_id VARCHAR(255) UNIQUE,
+        share_budget BOOLEAN DEFAULT FALSE,
+        calendar_token VARCHAR(255) UNIQUE,
         local_trip_id VARCHAR(255),
+        legacy_trip_id VARCHAR(255),
+        cloned_from INTEGER REFERENCES trips(id) ON DELETE SET NULL,
         owner_id VARCHAR(255) REFERENCES users(id),
         numberOfTravelers INTEGER,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -236,6 +264,10 @@ const initDatabase = async () => {
         review_count INTEGER DEFAULT 0,
         likes JSONB DEFAULT '[]',
         like_count INTEGER DEFAULT 0,
+        geo_point POINT GENERATED ALWAYS AS (${POI_GEO_POINT_SQL}) STORED,
+        opening_hours JSONB,
+        website VARCHAR(500),
+        phone VARCHAR(50),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
@@ -253,6 +285,7 @@ const initDatabase = async () => {
         comments JSONB DEFAULT '[]',
         like_count INTEGER DEFAULT 0,
         comment_count INTEGER DEFAULT 0,
+        geo_point POINT GENERATED ALWAYS AS (${POST_GEO_POINT_SQL}) STORED,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
@@ -293,38 +326,89 @@ const initDatabase = async () => {
       console.log('ℹ️ POIs table likes fields migration:', error.message);
     }
 
-    // Migrate existing reviews to include likeCount field
+    // Add sharing fields to trips table (migration for existing tables)
     try {
-      console.log('🔄 Migrating existing reviews to include likeCount...');
-      const pois = await pool.query('SELECT id, reviews FROM pois WHERE reviews IS NOT NULL');
-      
-      for (const poi of pois.rows) {
-        if (poi.reviews) {
-          const reviews = JSON.parse(poi.reviews);
-          let needsUpdate = false;
-          
-          const updatedReviews = reviews.map(review => {
-            if (review.likeCount === undefined) {
-              needsUpdate = true;
-              return {
-                ...review,
-                likeCount: review.likes ? review.likes.length : 0
-              };
-            }
-            return review;
-          });
-          
-          if (needsUpdate) {
-            await pool.query(
-              'UPDATE pois SET reviews = $1 WHERE id = $2',
-              [JSON.stringify(updatedReviews), poi.id]
-            );
-          }
-        }
-      }
-      console.log('✅ Existing reviews migrated with likeCount field');
+      await pool.query(`
+        ALTER TABLE trips 
+        ADD COLUMN IF NOT EXISTS share_budget BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS calendar_token VARCHAR(255) UNIQUE
+      `);
+      console.log('✅ Trips table sharing fields added');
+    } catch (error) {
+      console.log('ℹ️ Trips table sharing fields migration:', error.message);
+    }
+
+    // Add legacy_trip_id field to trips table (ids of trips moved out of users.trips)
+    try {
+      await pool.query(`
+        ALTER TABLE trips 
+        ADD COLUMN IF NOT EXISTS legacy_trip_id VARCHAR(255)
+      `);
+      await pool.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_trips_legacy_trip_id
+        ON trips(user_id, legacy_trip_id) WHERE legacy_trip_id IS NOT NULL
+      `);
+      console.log('✅ Trips table legacy_trip_id field added');
     } catch (error) {
-      console.log('ℹ️ Review migration:', error.message);
+      console.log('ℹ️ Trips table legacy_trip_id field migration:', error.message);
+    }
+
+    // Add cloned_from field to trips table (migration for existing tables)
+    try {
+      await pool.query(`
+        ALTER TABLE trips 
+        ADD COLUMN IF NOT EXISTS cloned_from INTEGER REFERENCES trips(id) ON DELETE SET NULL
+      `);
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_trips_cloned_from ON trips(cloned_from)
+      `);
+      console.log('✅ Trips table cloned_from field added');
+    } catch (error) {
+      console.log('ℹ️ Trips table cloned_from field migration:', error.message);
+    }
+
+    // Add indexed geo_point field to pois table (migration for existing tables)
+    try {
+      await pool.query(`
+        ALTER TABLE pois
+        ADD COLUMN IF NOT EXISTS geo_point POINT GENERATED ALWAYS AS (${POI_GEO_POINT_SQL}) STORED
+      `);
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_pois_geo_point ON pois USING GIST (geo_point)
+      `);
+      console.log('✅ POIs table geo_point field added');
+    } catch (error) {
+      console.log('ℹ️ POIs table geo_point field migration:', error.message);
+    }
+
+    // Add indexed geo_point field to posts table for the feed (migration for existing tables)
+    try {
+      await pool.query(`
+        ALTER TABLE posts
+        ADD COLUMN IF NOT EXISTS geo_point POINT GENERATED ALWAYS AS (${POST_GEO_POINT_SQL}) STORED
+      `);
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_posts_geo_point ON posts USING GIST (geo_point)
+      `);
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_posts_created_at ON posts(created_at DESC, id DESC)
+      `);
+      console.log('✅ Posts table geo_point field added');
+    } catch (error) {
+      console.log('ℹ️ Posts table geo_point field migration:', error.message);
+    }
+
+    // Add opening hours and contact fields to pois table (migration for existing tables)
+    try {
+      await pool.query(`
+        ALTER TABLE pois
+        ADD COLUMN IF NOT EXISTS opening_hours JSONB,
+        ADD COLUMN IF NOT EXISTS website VARCHAR(500),
+        ADD COLUMN IF NOT EXISTS phone VARCHAR(50)
+      `);
+      console.log('✅ POIs table opening hours and contact fields added');
+    } catch (error) {
+      console.log('ℹ️ POIs table opening hours and contact fields migration:', error.message);
     }
 
     // Add push_token column to users table (migration for existing tables)
@@ -346,10 +430,60 @@ const initDatabase = async () => {
         description TEXT,
         created_by VARCHAR(255) REFERENCES users(id),
         members JSONB DEFAULT '[]',
+        post_retention_hours INTEGER,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+    // Add post lifetimes (expires_at, NULL for permanent posts), the archive
+    // and community posts with their retention (migration for existing tables).
+    // The columns and the expires_at backfill go in one transaction: the
+    // backfill only runs when expires_at is new, so it must not be left behind.
+    try {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const expiryColumnCheck = await client.query(`
+          SELECT column_name
+          FROM information_schema.columns
+          WHERE table_name = 'posts' AND column_name = 'expires_at'
+        `);
+        await client.query(`
+          ALTER TABLE posts
+          ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS archive_reason VARCHAR(20) CHECK (archive_reason IN ('expired', 'deleted')),
+          ADD COLUMN IF NOT EXISTS community_id INTEGER REFERENCES communities(id) ON DELETE SET NULL
+        `);
+        if (expiryColumnCheck.rows.length === 0) {
+          // Until now every post was deleted after 24 hours
+          await client.query(`UPDATE posts SET expires_at = created_at + INTERVAL '24 hours'`);
+        }
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+      await pool.query(`
+        ALTER TABLE communities
+        ADD COLUMN IF NOT EXISTS post_retention_hours INTEGER
+      `);
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_posts_expires_at ON posts(expires_at) WHERE archived_at IS NULL
+      `);
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_posts_archived ON posts(user_id, archived_at DESC) WHERE archived_at IS NOT NULL
+      `);
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_posts_community ON posts(community_id) WHERE community_id IS NOT NULL
+      `);
+      console.log('✅ Posts table lifetime and archive fields added');
+    } catch (error) {
+      console.log('ℹ️ Posts table lifetime and archive fields migration:', error.message);
+    }
+
     // Verification tokens table for email verification and password reset
     await pool.query(`
       CREATE TABLE IF NOT EXISTS verification_tokens (
@@ -444,6 +578,338 @@ const initDatabase = async () => {
       CREATE INDEX IF NOT EXISTS idx_admins_active ON admins(is_active)
     `);
 
+    // Trip members table for collaborative trips (the owner is trips.user_id)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS trip_members (
+        id SERIAL PRIMARY KEY,
+        trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+        user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(20) DEFAULT 'viewer' CHECK (role IN ('editor', 'viewer')),
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted')),
+        invited_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+        accepted_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (trip_id, user_id)
+      )
+    `);
+
+    // Create indexes for trip members table
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_trip_members_user ON trip_members(user_id, status)
+    `);
+
+    // Trip revisions table (one row per trip update, used for history and restore)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS trip_revisions (
+        id SERIAL PRIMARY KEY,
+        trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+        user_id VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+        action VARCHAR(20) DEFAULT 'update' CHECK (action IN ('update', 'restore')),
+        changed_fields JSONB DEFAULT '[]',
+        previous_values JSONB DEFAULT '{}',
+        snapshot JSONB NOT NULL,
+        restored_from INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create indexes for trip revisions table
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_trip_revisions_trip ON trip_revisions(trip_id, created_at DESC)
+    `);
+
+    // Currency rates table (units of the currency per 1 USD, used to convert expenses)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS currency_rates (
+        currency VARCHAR(3) PRIMARY KEY,
+        rate_per_usd DECIMAL(18,8) NOT NULL CHECK (rate_per_usd > 0),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Seed default rates without overwriting ones admins have updated
+    for (const [currency, rate] of Object.entries(DEFAULT_CURRENCY_RATES)) {
+      await pool.query(
+        'INSERT INTO currency_rates (currency, rate_per_usd) VALUES ($1, $2) ON CONFLICT (currency) DO NOTHING',
+        [currency, rate]
+      );
+    }
+
+    // Trip expenses table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS trip_expenses (
+        id SERIAL PRIMARY KEY,
+        trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+        amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+        currency VARCHAR(3) NOT NULL,
+        category VARCHAR(50) DEFAULT 'other',
+        description TEXT,
+        paid_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+        day INTEGER,
+        expense_date DATE,
+        poi_id INTEGER REFERENCES pois(id) ON DELETE SET NULL,
+        split_type VARCHAR(20) CHECK (split_type IN ('equal', 'custom')),
+        created_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create indexes for trip expenses table
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_trip_expenses_trip ON trip_expenses(trip_id, day)
+    `);
+
+    // Add split_type field to trip_expenses table (migration for existing tables)
+    try {
+      await pool.query(`
+        ALTER TABLE trip_expenses 
+        ADD COLUMN IF NOT EXISTS split_type VARCHAR(20) CHECK (split_type IN ('equal', 'custom'))
+      `);
+      console.log('✅ Trip expenses table split_type field added');
+    } catch (error) {
+      console.log('ℹ️ Trip expenses table split_type field migration:', error.message);
+    }
+
+    // Trip expense shares table (who owes what for a shared expense, in the expense currency)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS trip_expense_shares (
+        id SERIAL PRIMARY KEY,
+        expense_id INTEGER NOT NULL REFERENCES trip_expenses(id) ON DELETE CASCADE,
+        user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        amount DECIMAL(12,2) NOT NULL CHECK (amount >= 0),
+        UNIQUE (expense_id, user_id)
+      )
+    `);
+
+    // POI reviews table (moved out of the pois.reviews JSONB array). Review ids
+    // are strings because the ones created inside the array were.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS poi_reviews (
+        id VARCHAR(64) PRIMARY KEY,
+        poi_id INTEGER NOT NULL REFERENCES pois(id) ON DELETE CASCADE,
+        user_id VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+        author VARCHAR(255),
+        author_photo TEXT,
+        rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        value_rating INTEGER CHECK (value_rating BETWEEN 1 AND 5),
+        cleanliness_rating INTEGER CHECK (cleanliness_rating BETWEEN 1 AND 5),
+        crowd_rating INTEGER CHECK (crowd_rating BETWEEN 1 AND 5),
+        text TEXT NOT NULL DEFAULT '',
+        photo TEXT,
+        likes JSONB DEFAULT '[]',
+        like_count INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_poi_reviews_poi_id ON poi_reviews(poi_id, created_at DESC)
+    `);
+
+    // Add sub-ratings to poi_reviews (migration for existing tables)
+    try {
+      await pool.query(`
+        ALTER TABLE poi_reviews
+        ADD COLUMN IF NOT EXISTS value_rating INTEGER CHECK (value_rating BETWEEN 1 AND 5),
+        ADD COLUMN IF NOT EXISTS cleanliness_rating INTEGER CHECK (cleanliness_rating BETWEEN 1 AND 5),
+        ADD COLUMN IF NOT EXISTS crowd_rating INTEGER CHECK (crowd_rating BETWEEN 1 AND 5)
+      `);
+      console.log('✅ POI reviews table sub-rating fields added');
+    } catch (error) {
+      console.log('ℹ️ POI reviews table sub-rating fields migration:', error.message);
+    }
+
+    // Likes table: one row per user and liked POI, post, comment or review.
+    // target_id is text because comment and review ids are strings.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS likes (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('poi', 'post', 'comment', 'review')),
+        target_id VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (target_type, target_id, user_id)
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_likes_user ON likes(user_id, target_type)
+    `);
+
+    // POI photo galleries. pois.photos keeps the gallery URLs in order (first
+    // is the cover) for the code that only needs them.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS poi_photos (
+        id SERIAL PRIMARY KEY,
+        poi_id INTEGER NOT NULL REFERENCES pois(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        public_id VARCHAR(255),
+        caption VARCHAR(500),
+        user_id VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_poi_photos_poi ON poi_photos(poi_id, position)
+    `);
+
+    // Images uploaded through /api/upload and who uploaded them. Photos may
+    // only point at the user's own uploads, so nobody can get someone else's
+    // image deleted by adding and removing it.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS uploads (
+        public_id VARCHAR(255) PRIMARY KEY,
+        url TEXT NOT NULL,
+        user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // POI category taxonomy. Categories nest through parent_id; a category with
+    // subcategories can't be deleted until they are moved or deleted.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS poi_categories (
+        id SERIAL PRIMARY KEY,
+        slug VARCHAR(50) UNIQUE NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        parent_id INTEGER REFERENCES poi_categories(id),
+        icon VARCHAR(10),
+        sort_order INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_poi_categories_parent ON poi_categories(parent_id)
+    `);
+
+    // POI category links (a POI can have several categories)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS poi_category_links (
+        poi_id INTEGER NOT NULL REFERENCES pois(id) ON DELETE CASCADE,
+        category_id INTEGER NOT NULL REFERENCES poi_categories(id) ON DELETE CASCADE,
+        PRIMARY KEY (poi_id, category_id)
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_poi_category_links_category ON poi_category_links(category_id, poi_id)
+    `);
+
+    // Seed the default taxonomy on first run only, so categories admins
+    // remove don't come back on the next start
+    const categoryCount = await pool.query('SELECT COUNT(*) FROM poi_categories');
+    if (parseInt(categoryCount.rows[0].count) === 0) {
+      const insertCategory = (category, sortOrder, parentSlug = null) => pool.query(`
+        INSERT INTO poi_categories (slug, name, icon, sort_order, parent_id)
+        VALUES ($1, $2, $3, $4, (SELECT id FROM poi_categories WHERE slug = $5))
+        ON CONFLICT (slug) DO NOTHING
+      `, [category.slug, category.name, category.icon, sortOrder, parentSlug]);
+
+      for (const [index, category] of DEFAULT_POI_CATEGORIES.entries()) {
+        await insertCategory(category, index);
+        for (const [childIndex, child] of category.children.entries()) {
+          await insertCategory(child, childIndex, category.slug);
+        }
+      }
+      console.log('✅ Default POI categories seeded');
+    }
+
+    // Edits to POIs suggested by other users, waiting for the POI's creator or
+    // a moderator. changes holds { field: { from, to } } as of the suggestion.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS poi_edit_suggestions (
+        id SERIAL PRIMARY KEY,
+        poi_id INTEGER NOT NULL REFERENCES pois(id) ON DELETE CASCADE,
+        user_id VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+        changes JSONB NOT NULL,
+        comment TEXT,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+        review_note TEXT,
+        reviewed_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_poi_edit_suggestions_poi ON poi_edit_suggestions(poi_id, status)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_poi_edit_suggestions_status ON poi_edit_suggestions(status, created_at)
+    `);
+
+    // Audit trail of POI edits: the creator's own and approved suggestions
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS poi_changes (
+        id SERIAL PRIMARY KEY,
+        poi_id INTEGER NOT NULL REFERENCES pois(id) ON DELETE CASCADE,
+        user_id VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+        source VARCHAR(20) DEFAULT 'edit' CHECK (source IN ('edit', 'suggestion')),
+        suggestion_id INTEGER REFERENCES poi_edit_suggestions(id) ON DELETE SET NULL,
+        changes JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_poi_changes_poi ON poi_changes(poi_id, created_at DESC)
+    `);
+
+    // Personal POI collections ("lists"), shared like trips through share_type
+    // and share_id
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS poi_collections (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        share_type VARCHAR(20) DEFAULT 'private' CHECK (share_type IN ('private', 'link', 'public')),
+        share_id VARCHAR(255) UNIQUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_poi_collections_user ON poi_collections(user_id, updated_at DESC)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_poi_collections_share_type ON poi_collections(share_type, updated_at DESC)
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS poi_collection_items (
+        collection_id INTEGER NOT NULL REFERENCES poi_collections(id) ON DELETE CASCADE,
+        poi_id INTEGER NOT NULL REFERENCES pois(id) ON DELETE CASCADE,
+        note TEXT,
+        position INTEGER NOT NULL DEFAULT 0,
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (collection_id, poi_id)
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_poi_collection_items_poi ON poi_collection_items(poi_id)
+    `);
+
+    // Check-ins at POIs ("places I've been"). city and country come from the
+    // device, as POIs don't store an address.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS poi_check_ins (
+        id SERIAL PRIMARY KEY,
+        poi_id INTEGER NOT NULL REFERENCES pois(id) ON DELETE CASCADE,
+        user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        location JSONB NOT NULL,
+        distance_m INTEGER NOT NULL,
+        city VARCHAR(100),
+        country VARCHAR(100),
+        note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_poi_check_ins_user ON poi_check_ins(user_id, created_at DESC)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_poi_check_ins_poi ON poi_check_ins(poi_id, user_id)
+    `);
+
     console.log('✅ Database tables initialized successfully');
     
     // Run migration if needed
@@ -455,6 +921,18 @@ const initDatabase = async () => {
     // Add new report fields if they don't exist
     await addReportFields();
     
+    // Move trips still stored in users.trips into the trips table
+    await migrateUserTrips();
+    
+    // Move reviews still stored in pois.reviews into the poi_reviews table
+    await migratePOIReviews();
+    
+    // Move nickname like arrays into the likes table
+    await migrateNicknameLikes();
+    
+    // Give POIs with photos in pois.photos a gallery
+    await migratePOIPhotos();
+    
   } catch (error) {
     console.error('❌ Error initializing database:', error);
     throw error;
@@ -570,4 +1048,345 @@ const addReportFields = async () => {
   }
 };
 
-module.exports = { pool, initDatabase, testConnection };
\ No newline at end of file
+// Copy one trip from the legacy users.trips JSON into the trips table, using
+// the transaction's client. Returns false for invalid trips and trips already
+// copied (trips created through POST /api/trips were copied with their trips.id).
+const insertLegacyTrip = async (client, userId, trip) => {
+  const toTimestamp = (value) => {
+    const date = new Date(value || Date.now());
+    return isNaN(date.getTime()) ? new Date() : date;
+  };
+
+  if (!trip || !trip.name) {
+    return false;
+  }
+
+  const existing = await client.query(
+    'SELECT id FROM trips WHERE user_id = $1 AND (id::text = $2 OR legacy_trip_id = $2)',
+    [userId, String(trip.id)]
+  );
+  if (existing.rows.length > 0) {
+    return false;
+  }
+
+  await client.query(`
+    INSERT INTO trips (
+      user_id, name, destination, summary, share_type, start_date, end_date,
+      local_trip_id, legacy_trip_id, owner_id, budget, itinerary, preferences,
+      tips, suggestions, traveler_profile, numberOfTravelers, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+  `, [
+    userId,
+    trip.name,
+    trip.destination || '',
+    trip.summary || '',
+    trip.share_type || trip.shareType || 'private',
+    toDateString(trip.start_date || trip.dates?.start),
+    toDateString(trip.end_date || trip.dates?.end),
+    trip.local_trip_id || null,
+    trip.id ? String(trip.id) : null,
+    trip.owner_id || userId,
+    JSON.stringify(trip.budget || { total: 0, spent: 0, currency: 'USD' }),
+    JSON.stringify(trip.itinerary || []),
+    JSON.stringify(trip.preferences || {}),
+    JSON.stringify(trip.tips || []),
+    JSON.stringify(trip.suggestions || []),
+    JSON.stringify(trip.traveler_profile || trip.travelerProfile || {}),
+    parseInt(trip.numberOfTravelers, 10) || null,
+    toTimestamp(trip.created_at || trip.createdAt),
+    toTimestamp(trip.updated_at || trip.updatedAt)
+  ]);
+  return true;
+};
+
+// Function to move trips from the users.trips JSONB column into the trips table.
+// The trips table is the only trip store; users.trips is emptied once a user's
+// trips are copied, so this is a no-op after the first successful run. The
+// original JSON is kept in users.legacy_trips until the move has been checked;
+// drop that column once it has.
+const migrateUserTrips = async () => {
+  try {
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS legacy_trips JSONB');
+
+    const usersResult = await pool.query(`
+      SELECT id, trips FROM users
+      WHERE jsonb_typeof(trips) = 'array' AND jsonb_array_length(trips) > 0
+    `);
+    if (usersResult.rows.length === 0) {
+      return;
+    }
+
+    console.log(`🔄 Moving trips from users.trips for ${usersResult.rows.length} users...`);
+    let movedCount = 0;
+    let skippedCount = 0;
+
+    for (const user of usersResult.rows) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        let moved = 0;
+        for (const trip of user.trips) {
+          if (await insertLegacyTrip(client, user.id, trip)) {
+            moved++;
+          }
+        }
+
+        await client.query(`
+          UPDATE users SET legacy_trips = COALESCE(legacy_trips, '[]'::jsonb) || trips, trips = '[]'
+          WHERE id = $1
+        `, [user.id]);
+        await client.query('COMMIT');
+        movedCount += moved;
+        skippedCount += user.trips.length - moved;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Failed to move trips for user ${user.id}:`, error.message);
+      } finally {
+        client.release();
+      }
+    }
+
+    console.log(`✅ Moved ${movedCount} trips into the trips table (${skippedCount} already there or invalid)`);
+  } catch (error) {
+    console.error('❌ Error migrating user trips:', error);
+  }
+};
+
+// Copy one review in the legacy pois.reviews format into poi_reviews, using
+// the transaction's client (index names reviews that have no id). Returns
+// false for invalid reviews and reviews already copied.
+const insertLegacyReview = async (client, poiId, review, index) => {
+  const toTimestamp = (value) => {
+    const date = new Date(value || Date.now());
+    return isNaN(date.getTime()) ? new Date() : date;
+  };
+
+  const rating = Math.round(Number(review?.rating));
+  if (!review || !(rating >= 1 && rating <= 5)) {
+    return false;
+  }
+
+  // like_count comes from the likes list (what the old likeCount backfill did)
+  const likes = Array.isArray(review.likes) ? review.likes : [];
+  const result = await client.query(`
+    INSERT INTO poi_reviews (
+      id, poi_id, user_id, author, author_photo, rating, text, photo,
+      likes, like_count, created_at, updated_at
+    ) VALUES ($1, $2, (SELECT id FROM users WHERE id = $3), $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    ON CONFLICT (id) DO NOTHING
+  `, [
+    review.id ? String(review.id) : `${poiId}-${index}`,
+    poiId,
+    review.user_id ? String(review.user_id) : null,
+    review.author || null,
+    review.authorPhoto || null,
+    rating,
+    typeof review.text === 'string' ? review.text : '',
+    review.photo || null,
+    JSON.stringify(likes),
+    likes.length,
+    toTimestamp(review.createdAt),
+    review.updatedAt ? toTimestamp(review.updatedAt) : null
+  ]);
+  return result.rowCount > 0;
+};
+
+// Function to move reviews from the pois.reviews JSONB column into poi_reviews.
+// Each POI is moved in one transaction and its reviews array emptied, so this
+// also picks up reviews written into the column by the seed/migration scripts.
+const migratePOIReviews = async () => {
+  try {
+    const poisResult = await pool.query(`
+      SELECT id, reviews FROM pois
+      WHERE jsonb_typeof(reviews) = 'array' AND jsonb_array_length(reviews) > 0
+    `);
+    if (poisResult.rows.length === 0) {
+      return;
+    }
+
+    console.log(`🔄 Moving reviews from pois.reviews for ${poisResult.rows.length} POIs...`);
+    let movedCount = 0;
+    let skippedCount = 0;
+
+    for (const poi of poisResult.rows) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        let moved = 0;
+        for (const [index, review] of poi.reviews.entries()) {
+          if (await insertLegacyReview(client, poi.id, review, index)) {
+            moved++;
+          }
+        }
+
+        await client.query(`
+          UPDATE pois SET
+            reviews = '[]',
+            average_rating = (SELECT COALESCE(ROUND(AVG(rating), 2), 0) FROM poi_reviews WHERE poi_id = $1),
+            review_count = (SELECT COUNT(*) FROM poi_reviews WHERE poi_id = $1)
+          WHERE id = $1
+        `, [poi.id]);
+        await client.query('COMMIT');
+        movedCount += moved;
+        skippedCount += poi.reviews.length - moved;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Failed to move reviews for POI ${poi.id}:`, error.message);
+      } finally {
+        client.release();
+      }
+    }
+
+    console.log(`✅ Moved ${movedCount} reviews into the poi_reviews table (${skippedCount} already there or invalid)`);
+  } catch (error) {
+    console.error('❌ Error migrating POI reviews:', error);
+  }
+};
+
+// Function to move the nickname arrays in pois.likes, posts.likes,
+// poi_reviews.likes and each post comment's likes into the likes table. Nicknames
+// are matched the way likes were recorded (traveler_profile nickname, else
+// name); ones that match no user are dropped. Arrays are emptied once moved.
+const migrateNicknameLikes = async () => {
+  const tables = [
+    { targetType: 'poi', table: 'pois' },
+    { targetType: 'post', table: 'posts' },
+    { targetType: 'review', table: 'poi_reviews' }
+  ];
+
+  try {
+    const usersResult = await pool.query(`SELECT id, name, traveler_profile->>'nickname' AS nickname FROM users`);
+    const userIdsByName = new Map();
+    for (const user of usersResult.rows) {
+      if (user.name && !userIdsByName.has(user.name)) userIdsByName.set(user.name, user.id);
+    }
+    // Nicknames win over names
+    for (const user of usersResult.rows) {
+      if (user.nickname) userIdsByName.set(user.nickname, user.id);
+    }
+
+    let movedCount = 0;
+    let droppedCount = 0;
+
+    const insertLikes = async (client, targetType, targetId, nicknames) => {
+      for (const nickname of nicknames) {
+        const userId = userIdsByName.get(nickname);
+        if (!userId) {
+          droppedCount++;
+          continue;
+        }
+        const result = await client.query(`
+          INSERT INTO likes (user_id, target_type, target_id) VALUES ($1, $2, $3)
+          ON CONFLICT (target_type, target_id, user_id) DO NOTHING
+        `, [userId, targetType, String(targetId)]);
+        movedCount += result.rowCount;
+      }
+    };
+
+    const inTransaction = async (label, work) => {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        await work(client);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Failed to move likes for ${label}:`, error.message);
+      } finally {
+        client.release();
+      }
+    };
+
+    for (const { targetType, table } of tables) {
+      const rows = await pool.query(`
+        SELECT id, likes FROM ${table}
+        WHERE jsonb_typeof(likes) = 'array' AND jsonb_array_length(likes) > 0
+      `);
+      for (const row of rows.rows) {
+        await inTransaction(`${targetType} ${row.id}`, async (client) => {
+          await insertLikes(client, targetType, row.id, row.likes);
+          await client.query(`
+            UPDATE ${table} SET
+              likes = '[]',
+              like_count = (SELECT COUNT(*) FROM likes WHERE target_type = $2 AND target_id = $1::text)
+            WHERE id = $1
+          `, [row.id, targetType]);
+        });
+      }
+    }
+
+    // Comment likes live inside posts.comments
+    const postsResult = await pool.query(`
+      SELECT id, comments FROM posts
+      WHERE jsonb_typeof(comments) = 'array' AND EXISTS (
+        SELECT 1 FROM jsonb_array_elements(comments) AS comment
+        WHERE jsonb_typeof(comment->'likes') = 'array' AND jsonb_array_length(comment->'likes') > 0
+      )
+    `);
+    for (const post of postsResult.rows) {
+      await inTransaction(`comments of post ${post.id}`, async (client) => {
+        const comments = [];
+        for (const comment of post.comments) {
+          if (comment && Array.isArray(comment.likes) && comment.likes.length > 0) {
+            // Comments without an id can't be liked through the API; their likes are dropped
+            if (comment.id) await insertLikes(client, 'comment', comment.id, comment.likes);
+            comments.push({ ...comment, likes: [] });
+          } else {
+            comments.push(comment);
+          }
+        }
+        await client.query('UPDATE posts SET comments = $1 WHERE id = $2', [JSON.stringify(comments), post.id]);
+      });
+    }
+
+    if (movedCount > 0 || droppedCount > 0) {
+      console.log(`✅ Moved ${movedCount} likes into the likes table (${droppedCount} nicknames matched no user)`);
+    }
+  } catch (error) {
+    console.error('❌ Error migrating likes:', error);
+  }
+};
+
+// Function to create poi_photos rows for POIs that only have URLs in pois.photos.
+// The uploader is taken to be the POI's creator.
+const migratePOIPhotos = async () => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const moved = await client.query(`
+      INSERT INTO poi_photos (poi_id, url, user_id, position, created_at)
+      SELECT p.id, photo.value #>> '{}', (SELECT id FROM users WHERE id = p.user_id), photo.position - 1, p.created_at
+      FROM pois p,
+        jsonb_array_elements(CASE WHEN jsonb_typeof(p.photos) = 'array' THEN p.photos ELSE '[]'::jsonb END)
+          WITH ORDINALITY AS photo(value, position)
+      WHERE jsonb_typeof(photo.value) = 'string'
+        AND photo.value #>> '{}' <> ''
+        AND NOT EXISTS (SELECT 1 FROM poi_photos WHERE poi_id = p.id)
+      RETURNING poi_id
+    `);
+    const poiIds = [...new Set(moved.rows.map(row => row.poi_id))];
+    if (poiIds.length > 0) {
+      // Drop the empty entries the old upload flow left in pois.photos
+      await client.query(`
+        UPDATE pois SET photos = (
+          SELECT jsonb_agg(url ORDER BY position, id) FROM poi_photos WHERE poi_id = pois.id
+        )
+        WHERE id = ANY($1::int[])
+      `, [poiIds]);
+    }
+    await client.query('COMMIT');
+
+    if (moved.rows.length > 0) {
+      console.log(`✅ Created ${moved.rows.length} gallery photos for ${poiIds.length} POIs`);
+    }
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Error migrating POI photos:', error);
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { pool, initDatabase, testConnection, insertLegacyTrip, insertLegacyReview };
\ No newline at end of file
@@ -0,0 +1,281 @@
+const {
+  getItineraryDays,
+  normalizeActivity,
+  parseActivityTime,
+  addDays,
+  getDayDate
+} = require('../utils/itinerary');
+
+// Default length of an activity with no end time and no following activity
+const DEFAULT_ACTIVITY_MINUTES = 60;
+
+// Common destinations mapped to IANA time zones. Keys are matched against the
+// comma-separated parts of trips.destination, city first. Countries spanning
+// several zones (USA, Canada, Australia, Brazil, Russia...) are only listed by city.
+const DESTINATION_TIMEZONES = {
+  // Europe
+  'london': 'Europe/London', 'united kingdom': 'Europe/London', 'uk': 'Europe/London', 'england': 'Europe/London', 'scotland': 'Europe/London', 'edinburgh': 'Europe/London',
+  'dublin': 'Europe/Dublin', 'ireland': 'Europe/Dublin',
+  'lisbon': 'Europe/Lisbon', 'porto': 'Europe/Lisbon', 'portugal': 'Europe/Lisbon',
+  'paris': 'Europe/Paris', 'nice': 'Europe/Paris', 'lyon': 'Europe/Paris', 'france': 'Europe/Paris',
+  'madrid': 'Europe/Madrid', 'barcelona': 'Europe/Madrid', 'seville': 'Europe/Madrid', 'spain': 'Europe/Madrid',
+  'rome': 'Europe/Rome', 'milan': 'Europe/Rome', 'florence': 'Europe/Rome', 'venice': 'Europe/Rome', 'naples': 'Europe/Rome', 'italy': 'Europe/Rome',
+  'berlin': 'Europe/Berlin', 'munich': 'Europe/Berlin', 'hamburg': 'Europe/Berlin', 'germany': 'Europe/Berlin',
+  'amsterdam': 'Europe/Amsterdam', 'netherlands': 'Europe/Amsterdam',
+  'brussels': 'Europe/Brussels', 'belgium': 'Europe/Brussels',
+  'zurich': 'Europe/Zurich', 'geneva': 'Europe/Zurich', 'switzerland': 'Europe/Zurich',
+  'vienna': 'Europe/Vienna', 'austria': 'Europe/Vienna',
+  'prague': 'Europe/Prague', 'czech republic': 'Europe/Prague', 'czechia': 'Europe/Prague',
+  'budapest': 'Europe/Budapest', 'hungary': 'Europe/Budapest',
+  'warsaw': 'Europe/Warsaw', 'krakow': 'Europe/Warsaw', 'poland': 'Europe/Warsaw',
+  'copenhagen': 'Europe/Copenhagen', 'denmark': 'Europe/Copenhagen',
+  'stockholm': 'Europe/Stockholm', 'sweden': 'Europe/Stockholm',
+  'oslo': 'Europe/Oslo', 'norway': 'Europe/Oslo',
+  'helsinki': 'Europe/Helsinki', 'finland': 'Europe/Helsinki',
+  'reykjavik': 'Atlantic/Reykjavik', 'iceland': 'Atlantic/Reykjavik',
+  'athens': 'Europe/Athens', 'santorini': 'Europe/Athens', 'greece': 'Europe/Athens',
+  'istanbul': 'Europe/Istanbul', 'turkey': 'Europe/Istanbul',
+  'moscow': 'Europe/Moscow', 'saint petersburg': 'Europe/Moscow',
+  // Middle East & Africa
+  'tel aviv': 'Asia/Jerusalem', 'jerusalem': 'Asia/Jerusalem', 'eilat': 'Asia/Jerusalem', 'israel': 'Asia/Jerusalem',
+  'dubai': 'Asia/Dubai', 'abu dhabi': 'Asia/Dubai', 'united arab emirates': 'Asia/Dubai', 'uae': 'Asia/Dubai',
+  'cairo': 'Africa/Cairo', 'egypt': 'Africa/Cairo',
+  'marrakech': 'Africa/Casablanca', 'morocco': 'Africa/Casablanca',
+  'cape town': 'Africa/Johannesburg', 'johannesburg': 'Africa/Johannesburg', 'south africa': 'Africa/Johannesburg',
+  'nairobi': 'Africa/Nairobi', 'kenya': 'Africa/Nairobi',
+  // Asia & Oceania
+  'tokyo': 'Asia/Tokyo', 'kyoto': 'Asia/Tokyo', 'osaka': 'Asia/Tokyo', 'japan': 'Asia/Tokyo',
+  'seoul': 'Asia/Seoul', 'south korea': 'Asia/Seoul', 'korea': 'Asia/Seoul',
+  'beijing': 'Asia/Shanghai', 'shanghai': 'Asia/Shanghai', 'china': 'Asia/Shanghai',
+  'hong kong': 'Asia/Hong_Kong',
+  'singapore': 'Asia/Singapore',
+  'bangkok': 'Asia/Bangkok', 'phuket': 'Asia/Bangkok', 'chiang mai': 'Asia/Bangkok', 'thailand': 'Asia/Bangkok',
+  'hanoi': 'Asia/Ho_Chi_Minh', 'ho chi minh city': 'Asia/Ho_Chi_Minh', 'vietnam': 'Asia/Ho_Chi_Minh',
+  'bali': 'Asia/Makassar', 'jakarta': 'Asia/Jakarta',
+  'kuala lumpur': 'Asia/Kuala_Lumpur', 'malaysia': 'Asia/Kuala_Lumpur',
+  'manila': 'Asia/Manila', 'philippines': 'Asia/Manila',
+  'delhi': 'Asia/Kolkata', 'new delhi': 'Asia/Kolkata', 'mumbai': 'Asia/Kolkata', 'goa': 'Asia/Kolkata', 'india': 'Asia/Kolkata',
+  'kathmandu': 'Asia/Kathmandu', 'nepal': 'Asia/Kathmandu',
+  'sydney': 'Australia/Sydney', 'melbourne': 'Australia/Melbourne', 'brisbane': 'Australia/Brisbane', 'perth': 'Australia/Perth',
+  'auckland': 'Pacific/Auckland', 'queenstown': 'Pacific/Auckland', 'new zealand': 'Pacific/Auckland',
+  // Americas
+  'new york': 'America/New_York', 'nyc': 'America/New_York', 'boston': 'America/New_York', 'washington': 'America/New_York', 'miami': 'America/New_York', 'orlando': 'America/New_York',
+  'chicago': 'America/Chicago', 'new orleans': 'America/Chicago', 'austin': 'America/Chicago',
+  'denver': 'America/Denver',
+  'los angeles': 'America/Los_Angeles', 'san francisco': 'America/Los_Angeles', 'las vegas': 'America/Los_Angeles', 'seattle': 'America/Los_Angeles',
+  'honolulu': 'Pacific/Honolulu', 'hawaii': 'Pacific/Honolulu',
+  'toronto': 'America/Toronto', 'montreal': 'America/Toronto', 'vancouver': 'America/Vancouver',
+  'mexico city': 'America/Mexico_City', 'cancun': 'America/Cancun',
+  'havana': 'America/Havana', 'cuba': 'America/Havana',
+  'lima': 'America/Lima', 'cusco': 'America/Lima', 'peru': 'America/Lima',
+  'bogota': 'America/Bogota', 'colombia': 'America/Bogota',
+  'buenos aires': 'America/Argentina/Buenos_Aires', 'argentina': 'America/Argentina/Buenos_Aires',
+  'santiago': 'America/Santiago', 'chile': 'America/Santiago',
+  'rio de janeiro': 'America/Sao_Paulo', 'sao paulo': 'America/Sao_Paulo'
+};
+
+// Check that a time zone name is known to the runtime
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Pick the trip's time zone: explicit preferences.timezone, then the destination, then UTC
+const resolveTripTimezone = (trip) => {
+  const preferred = trip.preferences?.timezone;
+  if (isValidTimezone(preferred)) return preferred;
+
+  const parts = (trip.destination || '')
+    .toLowerCase()
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean);
+
+  for (const part of parts) {
+    if (DESTINATION_TIMEZONES[part]) return DESTINATION_TIMEZONES[part];
+  }
+  for (const part of parts) {
+    const key = Object.keys(DESTINATION_TIMEZONES).find(name => new RegExp(`\\b${name}\\b`).test(part));
+    if (key) return DESTINATION_TIMEZONES[key];
+  }
+  return 'UTC';
+};
+
+// Offset (ms) of a time zone from UTC at a given instant
+const getTimezoneOffset = (timezone, timestamp) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+  const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+  const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+// Convert a wall-clock time on a date in a time zone to a UTC Date
+const zonedTimeToUtc = (dateString, { hours, minutes }, timezone) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  const offset = getTimezoneOffset(timezone, wallClock);
+  // Re-check at the resulting instant in case a DST change falls in between
+  const correctedOffset = getTimezoneOffset(timezone, wallClock - offset);
+  return new Date(wallClock - correctedOffset);
+};
+
+// iCalendar value formatting (RFC 5545)
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const formatDate = (dateString) => dateString.replace(/-/g, '');
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  let limit = 75;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = ' ';
+      currentBytes = 1;
+      limit = 75;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n');
+};
+
+// Build one VEVENT per itinerary activity. Timed activities are converted to
+// UTC from the trip's time zone; activities without a time become all-day events.
+const buildTripEvents = (trip, timezone) => {
+  const events = [];
+  const days = getItineraryDays(trip.itinerary);
+
+  days.forEach((day, dayIndex) => {
+    const date = getDayDate(day, dayIndex, trip.start_date);
+    if (!date) return;
+
+    const dayNumber = Number.isInteger(day?.day) ? day.day : dayIndex + 1;
+    const activities = (Array.isArray(day?.activities) ? day.activities : [])
+      .map(normalizeActivity)
+      .filter(Boolean);
+    const times = activities.map(parseActivityTime);
+
+    activities.forEach((activity, index) => {
+      const event = {
+        uid: `trip-${trip.id}-${activity.id || `day${dayNumber}-${index + 1}`}@tripyy`,
+        summary: activity.icon ? `${activity.icon} ${activity.title}` : activity.title,
+        description: activity.description || null,
+        location: activity.location || trip.destination || null
+      };
+
+      const time = times[index];
+      if (!time) {
+        event.allDay = true;
+        event.start = date;
+        event.end = addDays(date, 1);
+        events.push(event);
+        return;
+      }
+
+      const start = zonedTimeToUtc(date, time.start, timezone);
+      let end;
+      if (time.end) {
+        end = zonedTimeToUtc(date, time.end, timezone);
+        // Ranges like 22:00 - 01:00 end on the next day
+        if (end <= start) end = zonedTimeToUtc(addDays(date, 1), time.end, timezone);
+      } else {
+        end = new Date(start.getTime() + DEFAULT_ACTIVITY_MINUTES * 60 * 1000);
+        const next = times.slice(index + 1).find(Boolean);
+        if (next) {
+          const nextStart = zonedTimeToUtc(date, next.start, timezone);
+          if (nextStart > start && nextStart < end) end = nextStart;
+        }
+      }
+
+      event.start = start;
+      event.end = end;
+      events.push(event);
+    });
+  });
+
+  return events;
+};
+
+// Render a trip's itinerary as an iCalendar document
+const buildTripCalendar = (trip, options = {}) => {
+  const timezone = options.timezone || resolveTripTimezone(trip);
+  const now = options.now || new Date();
+  const updatedAt = trip.updated_at ? new Date(trip.updated_at) : now;
+  // SEQUENCE must grow whenever the itinerary changes so subscribed calendars replace events
+  const sequence = Math.floor(updatedAt.getTime() / 1000);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Tripyy//Trip Itinerary//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(trip.name || 'Trip')}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  for (const event of buildTripEvents(trip, timezone)) {
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${event.uid}`);
+    lines.push(`DTSTAMP:${formatUtc(now)}`);
+    lines.push(`LAST-MODIFIED:${formatUtc(updatedAt)}`);
+    lines.push(`SEQUENCE:${sequence}`);
+    if (event.allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatDate(event.end)}`);
+    } else {
+      lines.push(`DTSTART:${formatUtc(event.start)}`);
+      lines.push(`DTEND:${formatUtc(event.end)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// File name for a downloaded calendar, e.g. "paris-getaway.ics"
+const getCalendarFileName = (trip) => {
+  const slug = (trip.name || 'trip')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug || 'trip'}.ics`;
+};
+
+module.exports = {
+  isValidTimezone,
+  resolveTripTimezone,
+  zonedTimeToUtc,
+  buildTripCalendar,
+  getCalendarFileName
+};
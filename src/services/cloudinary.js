@@ -7,8 +7,11 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
+// Folder of the images users upload; only images in it are ever deleted
+const UPLOAD_FOLDER = 'tripyy';
+
 // Upload image to Cloudinary
-const uploadImage = async (imageBuffer, folder = 'tripyy') => {
+const uploadImage = async (imageBuffer, folder = UPLOAD_FOLDER) => {
   try {
     const result = await new Promise((resolve, reject) => {
       cloudinary.uploader.upload_stream(
@@ -60,8 +63,54 @@ const deleteImage = async (publicId) => {
   }
 };
 
+// Get the public_id of a Cloudinary image URL, or null for other URLs
+// e.g. https://res.cloudinary.com/<cloud>/image/upload/v123456789/tripyy/abc123.jpg -> tripyy/abc123
+const getPublicIdFromUrl = (url) => {
+  if (typeof url !== 'string' || !url.startsWith('https://res.cloudinary.com/')) return null;
+  const afterUpload = url.split('?')[0].split('/upload/')[1];
+  if (!afterUpload) return null;
+  // Skip transformations and the version, which sit before the id
+  const segments = afterUpload.split('/');
+  const versionIndex = segments.findIndex(segment => /^v\d+$/.test(segment));
+  const path = segments.slice(versionIndex + 1).join('/');
+  const lastDot = path.lastIndexOf('.');
+  return (lastDot !== -1 ? path.substring(0, lastDot) : path) || null;
+};
+
+// Delete the images of removed photos, POIs or posts. Each image is a URL or
+// { url, publicId }; ones that aren't on Cloudinary or outside UPLOAD_FOLDER
+// are skipped. Failures are logged, never thrown, so callers don't need to
+// wait for this. Returns how many images Cloudinary actually deleted.
+const deleteImages = async (images) => {
+  const publicIds = new Set();
+  for (const image of images) {
+    const publicId = typeof image === 'string'
+      ? getPublicIdFromUrl(image)
+      : image?.publicId || getPublicIdFromUrl(image?.url);
+    if (publicId && publicId.startsWith(`${UPLOAD_FOLDER}/`)) publicIds.add(publicId);
+  }
+
+  let deletedCount = 0;
+  for (const publicId of publicIds) {
+    const result = await deleteImage(publicId);
+    // destroy resolves with { result: 'not found' } for missing images
+    if (result.success && result.result?.result === 'ok') {
+      deletedCount++;
+    } else {
+      console.warn(`⚠️ Cloudinary delete of ${publicId} failed:`, result.error || result.result?.result);
+    }
+  }
+  if (deletedCount > 0) {
+    console.log(`🗑️ Deleted ${deletedCount} Cloudinary image(s)`);
+  }
+  return deletedCount;
+};
+
 module.exports = {
   cloudinary,
+  UPLOAD_FOLDER,
   uploadImage,
-  deleteImage
+  deleteImage,
+  getPublicIdFromUrl,
+  deleteImages
 }; 
\ No newline at end of file
@@ -1,4 +1,93 @@
-const { pool } = require('../config/database');
+const { pool, insertLegacyTrip, insertLegacyReview } = require('../config/database');
+const { getTripSnapshot, getChangedFields, pickFields } = require('../utils/trip-revisions');
+const { EARTH_RADIUS_KM, splitBoundingBox, getRadiusBoundingBox, readCoordinates } = require('../utils/geo');
+const { MAX_LATITUDE } = require('../utils/map-tiles');
+const { toPOILocation, getPOIEditSnapshot, diffPOIEdit } = require('../utils/poi-edits');
+const { SUB_RATING_COLUMNS } = require('../utils/poi-ratings');
+const { TRENDING_WINDOW_HOURS, TRENDING_MAX_POST_AGE_DAYS, TRENDING_COMMENT_WEIGHT } = require('../utils/feed');
+const { replaceActivityPoiId } = require('../utils/itinerary');
+
+// Trip roles ordered by what they can do; the owner is always trips.user_id
+const TRIP_ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// ORDER BY of each POI review sort
+const REVIEW_SORT_SQL = {
+  newest: 'created_at DESC, id',
+  'most-liked': 'like_count DESC, created_at DESC, id',
+  highest: 'rating DESC, created_at DESC, id',
+  lowest: 'rating ASC, created_at DESC, id'
+};
+
+// Posts shown in listings: not archived and not past their expiry (expired
+// posts are archived by the hourly cleanup)
+const VISIBLE_POST_SQL = 'archived_at IS NULL AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)';
+
+// Tables that keep a like_count column, by like target type
+const LIKE_COUNT_TABLES = { poi: 'pois', post: 'posts', review: 'poi_reviews' };
+
+// CTE deleting the likes of every post (and its comments) in a "deleted" CTE
+const REMOVE_POST_LIKES_SQL = `removed_likes AS (
+        DELETE FROM likes
+        WHERE (target_type = 'post' AND target_id IN (SELECT id::text FROM deleted))
+          OR (target_type = 'comment' AND target_id IN (
+            SELECT comment->>'id' FROM deleted,
+              jsonb_array_elements(CASE WHEN jsonb_typeof(deleted.comments) = 'array' THEN deleted.comments ELSE '[]'::jsonb END) AS comment
+          ))
+      )`;
+
+// Replace the category links of a POI inside a transaction
+const replacePOICategoryLinks = async (client, poiId, categoryIds) => {
+  await client.query('DELETE FROM poi_category_links WHERE poi_id = $1', [poiId]);
+  if (categoryIds.length > 0) {
+    await client.query(`
+      INSERT INTO poi_category_links (poi_id, category_id)
+      SELECT $1, UNNEST($2::int[])
+      ON CONFLICT DO NOTHING
+    `, [poiId, categoryIds]);
+  }
+};
+
+// SQL matching POIs inside a bounding box through the geo_point index. Adds its
+// parameters to values.
+const boundingBoxCondition = (box, values) => {
+  const boxes = splitBoundingBox(box).map(part => {
+    values.push(part.minLng, part.minLat, part.maxLng, part.maxLat);
+    const index = values.length - 3;
+    return `geo_point <@ box(point($${index}, $${index + 1}), point($${index + 2}, $${index + 3}))`;
+  });
+  return `(${boxes.join(' OR ')})`;
+};
+
+// SQL for the haversine distance in km from the point in the lat/lng
+// parameters to a POI
+const distanceKmSql = (latParam, lngParam) => `(${EARTH_RADIUS_KM} * 2 * ASIN(LEAST(1, SQRT(
+      POWER(SIN(RADIANS(geo_point[1] - $${latParam}::float8) / 2), 2) +
+      COS(RADIANS($${latParam}::float8)) * COS(RADIANS(geo_point[1])) * POWER(SIN(RADIANS(geo_point[0] - $${lngParam}::float8) / 2), 2)
+    ))))`;
+
+// SQL conditions narrowing POIs to a bounding box, to radiusKm around origin,
+// to some categories (any of categoryIds) and/or to POIs with opening hours.
+// Adds their parameters to values.
+const poiSearchConditions = ({ origin, radiusKm = null, bbox = null, categoryIds = null, withOpeningHours = false }, values) => {
+  const conditions = [];
+  if (bbox) {
+    conditions.push(boundingBoxCondition(bbox, values));
+  }
+  if (radiusKm) {
+    // The box around the circle uses the index, the distance check is exact
+    conditions.push(boundingBoxCondition(getRadiusBoundingBox(origin, radiusKm), values));
+    values.push(origin.lat, origin.lng, radiusKm);
+    conditions.push(`${distanceKmSql(values.length - 2, values.length - 1)} <= $${values.length}`);
+  }
+  if (categoryIds) {
+    values.push(categoryIds);
+    conditions.push(`pois.id IN (SELECT poi_id FROM poi_category_links WHERE category_id = ANY($${values.length}::int[]))`);
+  }
+  if (withOpeningHours) {
+    conditions.push('opening_hours IS NOT NULL');
+  }
+  return conditions;
+};
 
 class DatabaseService {
   // User operations
@@ -61,7 +150,8 @@ class DatabaseService {
           case 'posts':
             return JSON.stringify(userData.posts || []);
           case 'trips':
-            return JSON.stringify(userData.trips || []);
+            // Trips live in the trips table (see importLegacyTrips)
+            return '[]';
           case 'likes':
             return userData.likes || 0;
           case 'last_known_location':
@@ -107,6 +197,14 @@ class DatabaseService {
     return result.rows[0];
   }
 
+  // Users with the given ids, for looking up authors in one query
+  async getUsersByIds(userIds) {
+    if (userIds.length === 0) return [];
+    const query = 'SELECT id, email, name, traveler_profile FROM users WHERE id = ANY($1::text[])';
+    const result = await pool.query(query, [userIds.map(String)]);
+    return result.rows;
+  }
+
   async getUserByName(name) {
     const query = 'SELECT * FROM users WHERE name = $1';
     const result = await pool.query(query, [name]);
@@ -131,12 +229,6 @@ class DatabaseService {
     return parseInt(result.rows[0].count);
   }
 
-  async getUserTrips(userId) {
-    const query = 'SELECT * FROM trips WHERE user_id = $1 ORDER BY created_at DESC';
-    const result = await pool.query(query, [userId]);
-    return result.rows;
-  }
-
   async getUserByNickname(nickname) {
     // Check if nickname exists in traveler_profile, and also check if it's not empty
     const query = `
@@ -266,8 +358,8 @@ class DatabaseService {
       INSERT INTO trips (
         user_id, name, destination, summary, share_type, 
         start_date, end_date, local_trip_id, owner_id, budget, 
-        itinerary, tips, suggestions, traveler_profile, numberOfTravelers, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18) 
+        itinerary, preferences, tips, suggestions, traveler_profile, numberOfTravelers, cloned_from, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19) 
       RETURNING *
     `;
     
@@ -283,10 +375,12 @@ class DatabaseService {
       tripData.owner_id || tripData.userId,
       JSON.stringify(tripData.budget || { total: 0, spent: 0, currency: 'USD' }),
       JSON.stringify(tripData.itinerary || []),
+      JSON.stringify(tripData.preferences || {}),
       JSON.stringify(tripData.tips || []),
       JSON.stringify(tripData.suggestions || []),
       JSON.stringify(tripData.traveler_profile || {}),
       tripData.numberOfTravelers || null,
+      tripData.cloned_from || null,
       new Date(),
       new Date()
     ];
@@ -297,32 +391,155 @@ class DatabaseService {
     return result.rows[0];
   }
 
-  async getUserTrips(userId) {
-    // Get trips from user's trips column (JSONB array)
-    const query = 'SELECT trips FROM users WHERE id = $1';
-    const result = await pool.query(query, [userId]);
-    
-    if (result.rows.length === 0) {
-      return [];
+  // Copy trips in the legacy users.trips format (e.g. from data.json) into
+  // the trips table; returns how many were added
+  async importLegacyTrips(userId, trips) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      let imported = 0;
+      for (const trip of trips) {
+        if (await insertLegacyTrip(client, userId, trip)) {
+          imported++;
+        }
+      }
+      await client.query('COMMIT');
+      return imported;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
-    
-    const userTrips = result.rows[0].trips || [];
-    
-    // Sort trips by updated_at (newest first)
-    return userTrips.sort((a, b) => {
-      const dateA = new Date(a.updated_at || a.created_at || 0);
-      const dateB = new Date(b.updated_at || b.created_at || 0);
-      return dateB - dateA;
-    });
   }
 
-  async getTripById(tripId) {
-    const query = 'SELECT * FROM trips WHERE id = $1';
-    const result = await pool.query(query, [tripId]);
+  // Trips a user owns, newest first (the trips table is the only trip store;
+  // users.trips is emptied by migrateUserTrips)
+  async getUserTrips(userId, { includePrivate = true } = {}) {
+    const query = `
+      SELECT * FROM trips
+      WHERE user_id = $1 AND ($2 OR share_type != 'private')
+      ORDER BY updated_at DESC, id DESC
+    `;
+    const result = await pool.query(query, [String(userId), includePrivate]);
+    return result.rows;
+  }
+
+  async getUserTripCount(userId) {
+    const query = 'SELECT COUNT(*) FROM trips WHERE user_id = $1';
+    const result = await pool.query(query, [String(userId)]);
+    return parseInt(result.rows[0].count);
+  }
+
+  // Public trips with an itinerary, most cloned first. Duration comes from the
+  // trip dates, or from the number of itinerary days when there are none.
+  async getTripTemplates(filters = {}) {
+    const conditions = [];
+    const values = [];
+    let valueIndex = 1;
+
+    if (filters.destination) {
+      conditions.push(`destination ILIKE $${valueIndex++}`);
+      values.push(`%${filters.destination}%`);
+    }
+    if (filters.minDays) {
+      conditions.push(`duration >= $${valueIndex++}`);
+      values.push(filters.minDays);
+    }
+    if (filters.maxDays) {
+      conditions.push(`duration <= $${valueIndex++}`);
+      values.push(filters.maxDays);
+    }
+    if (filters.interests && filters.interests.length > 0) {
+      conditions.push(`
+        jsonb_typeof(traveler_profile->'interests') = 'array'
+        AND EXISTS (
+          SELECT 1 FROM jsonb_array_elements_text(traveler_profile->'interests') AS interest
+          WHERE lower(interest) = ANY($${valueIndex++})
+        )
+      `);
+      values.push(filters.interests.map(interest => interest.toLowerCase()));
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const query = `
+      SELECT *, COUNT(*) OVER() AS total_count FROM (
+        SELECT t.*,
+          CASE
+            WHEN t.start_date IS NOT NULL AND t.end_date >= t.start_date THEN t.end_date - t.start_date + 1
+            WHEN jsonb_typeof(t.itinerary) = 'array' THEN jsonb_array_length(t.itinerary)
+            WHEN jsonb_typeof(t.itinerary->'days') = 'array' THEN jsonb_array_length(t.itinerary->'days')
+          END AS duration,
+          (SELECT COUNT(*) FROM trips c WHERE c.cloned_from = t.id) AS clone_count,
+          u.name AS owner_name, u.traveler_profile AS owner_traveler_profile
+        FROM trips t
+        LEFT JOIN users u ON u.id = t.user_id
+        WHERE t.share_type = 'public'
+          AND (
+            (jsonb_typeof(t.itinerary) = 'array' AND jsonb_array_length(t.itinerary) > 0)
+            OR (jsonb_typeof(t.itinerary->'days') = 'array' AND jsonb_array_length(t.itinerary->'days') > 0)
+          )
+      ) templates
+      ${whereClause}
+      ORDER BY clone_count DESC, updated_at DESC
+      LIMIT $${valueIndex++} OFFSET $${valueIndex++}
+    `;
+    values.push(filters.limit || 20, filters.offset || 0);
+
+    const result = await pool.query(query, values);
+    return {
+      templates: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  // Finds a trip the user owns by its id or by the id it had in users.trips
+  async getUserTripByIdentifier(userId, tripId) {
+    const query = 'SELECT * FROM trips WHERE user_id = $1 AND (id::text = $2 OR legacy_trip_id = $2)';
+    const result = await pool.query(query, [String(userId), String(tripId)]);
     return result.rows[0];
   }
 
-  async updateTrip(tripId, updates) {
+  // Without a userId the trip is returned as-is (internal use). With a userId the
+  // caller's role is resolved into member_role; trips they can't see come back
+  // undefined and a role below requiredRole throws 'Not authorized'.
+  async getTripById(tripId, userId = null, requiredRole = 'viewer') {
+    if (!userId) {
+      const query = 'SELECT * FROM trips WHERE id = $1';
+      const result = await pool.query(query, [tripId]);
+      return result.rows[0];
+    }
+
+    const query = `
+      SELECT t.*, CASE WHEN t.user_id = $2 THEN 'owner' ELSE m.role END AS member_role
+      FROM trips t
+      LEFT JOIN trip_members m ON m.trip_id = t.id AND m.user_id = $2 AND m.status = 'accepted'
+      WHERE t.id = $1
+    `;
+    const result = await pool.query(query, [tripId, String(userId)]);
+    const trip = result.rows[0];
+
+    if (!trip || !trip.member_role) {
+      return undefined;
+    }
+    if (TRIP_ROLE_RANK[trip.member_role] < TRIP_ROLE_RANK[requiredRole]) {
+      throw new Error('Not authorized');
+    }
+    return trip;
+  }
+
+  // Every update that changes the plan records a revision (see trip_revisions).
+  // Pass revision = { action: 'restore', restoredFrom } when restoring one.
+  async updateTrip(tripId, updates, userId = null, revision = {}) {
+    const trip = await this.getTripById(tripId, userId, 'editor');
+    if (!trip) {
+      throw new Error('Trip not found');
+    }
+    // Editors can change the plan, but only the owner controls sharing
+    if (userId && updates.share_type !== undefined && updates.share_type !== trip.share_type && trip.member_role !== 'owner') {
+      throw new Error('Not authorized');
+    }
+
     const updateFields = [];
     const values = [];
     let valueIndex = 1;
@@ -335,6 +552,10 @@ class DatabaseService {
       updateFields.push(`destination = $${valueIndex++}`);
       values.push(updates.destination);
     }
+    if (updates.summary !== undefined) {
+      updateFields.push(`summary = $${valueIndex++}`);
+      values.push(updates.summary);
+    }
     if (updates.start_date !== undefined) {
       updateFields.push(`start_date = $${valueIndex++}`);
       values.push(updates.start_date);
@@ -395,374 +616,1219 @@ class DatabaseService {
       RETURNING *
     `;
     
-    const result = await pool.query(query, values);
-    return result.rows[0];
+    // The revision is diffed against the locked row and written in the same
+    // transaction, so concurrent edits each record their own change
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const locked = await client.query('SELECT * FROM trips WHERE id = $1 FOR UPDATE', [tripId]);
+      if (locked.rows.length === 0) {
+        throw new Error('Trip not found');
+      }
+
+      const result = await client.query(query, values);
+      const updated = result.rows[0];
+
+      const before = getTripSnapshot(locked.rows[0]);
+      const after = getTripSnapshot(updated);
+      const changedFields = getChangedFields(before, after);
+      if (changedFields.length > 0) {
+        await this.createTripRevision(tripId, {
+          userId,
+          action: revision.action,
+          changedFields,
+          previousValues: pickFields(before, changedFields),
+          snapshot: after,
+          restoredFrom: revision.restoredFrom
+        }, client);
+      }
+
+      await client.query('COMMIT');
+      return updated;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   }
 
-  async deleteTrip(tripId) {
+  async deleteTrip(tripId, userId = null) {
+    if (userId) {
+      const trip = await this.getTripById(tripId, userId, 'owner');
+      if (!trip) {
+        throw new Error('Trip not found');
+      }
+    }
+
     const query = 'DELETE FROM trips WHERE id = $1 RETURNING *';
     const result = await pool.query(query, [tripId]);
     return result.rows[0];
   }
 
-  async updateUserTrip(userId, tripId, updates) {
-    console.log(`🔄 Database: Updating trip ${tripId} for user ${userId}`);
-    console.log(`📝 Database: Update data:`, JSON.stringify(updates, null, 2));
-    
-    // Get current user trips
-    const user = await this.getUserById(userId);
-    if (!user) {
-      console.log(`❌ Database: User not found: ${userId}`);
-      throw new Error('User not found');
+  // Trip sharing operations
+  async updateTripSharing(tripId, sharing) {
+    const updateFields = [];
+    const values = [];
+    let valueIndex = 1;
+
+    if (sharing.shareId !== undefined) {
+      updateFields.push(`share_id = $${valueIndex++}`);
+      values.push(sharing.shareId);
     }
-    
-    const trips = user.trips || [];
-    const tripIndex = trips.findIndex(trip => trip.id === tripId);
-    
-    if (tripIndex === -1) {
-      console.log(`❌ Database: Trip ${tripId} not found in user's trips`);
-      throw new Error('Trip not found');
+    if (sharing.shareType !== undefined) {
+      updateFields.push(`share_type = $${valueIndex++}`);
+      values.push(sharing.shareType);
     }
-    
-    const originalTrip = trips[tripIndex];
-    console.log(`✅ Database: Found trip "${originalTrip.name}" at index ${tripIndex}`);
-    console.log(`📊 Database: Original trip data:`, JSON.stringify(originalTrip, null, 2));
-    
-    // Handle field mapping (frontend sends camelCase, we store as snake_case)
-    const processedUpdates = { ...updates };
-    if (updates.shareType !== undefined) {
-      processedUpdates.share_type = updates.shareType;
-      delete processedUpdates.shareType;
-      console.log(`🔄 Database: Mapped shareType "${updates.shareType}" to share_type "${processedUpdates.share_type}"`);
+    if (sharing.shareBudget !== undefined) {
+      updateFields.push(`share_budget = $${valueIndex++}`);
+      values.push(sharing.shareBudget);
     }
-    
-    // numberOfTravelers is already in the correct format, no mapping needed
-    if (updates.numberOfTravelers !== undefined) {
-      console.log(`🔄 Database: Updating numberOfTravelers to: ${updates.numberOfTravelers}`);
+
+    if (updateFields.length === 0) {
+      throw new Error('No valid update fields provided');
     }
-    
-    // Update the trip
-    trips[tripIndex] = {
-      ...originalTrip,
-      ...processedUpdates,
-      updated_at: new Date().toISOString()
+
+    updateFields.push(`updated_at = $${valueIndex++}`);
+    values.push(new Date());
+    values.push(tripId); // tripId is always the last parameter
+
+    const query = `
+      UPDATE trips 
+      SET ${updateFields.join(', ')}
+      WHERE id = $${valueIndex}
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  async getTripByShareId(shareId) {
+    const query = 'SELECT * FROM trips WHERE share_id = $1';
+    const result = await pool.query(query, [shareId]);
+    return result.rows[0];
+  }
+
+  // Trips shared as public, most recently updated first. Link-shared trips
+  // are only reachable through their share id.
+  async getPublicTrips(limit = 20, offset = 0) {
+    const query = `
+      SELECT t.*, u.name AS owner_name, u.traveler_profile AS owner_profile,
+             COUNT(*) OVER() AS total_count
+      FROM trips t
+      LEFT JOIN users u ON u.id = t.user_id
+      WHERE t.share_type = 'public'
+      ORDER BY t.updated_at DESC, t.id DESC
+      LIMIT $1 OFFSET $2
+    `;
+    const result = await pool.query(query, [limit, offset]);
+    return {
+      trips: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
     };
-    
-    console.log(`📝 Database: Updated trip data:`, JSON.stringify(trips[tripIndex], null, 2));
-    
-    // Update user's trips column
-    const updatedUser = await this.updateUser(user.email, { trips });
-    console.log(`✅ Database: User updated successfully, trips column now has ${updatedUser.trips?.length || 0} trips`);
-    
-    return trips[tripIndex];
   }
 
-  async deleteUserTrip(userId, tripId) {
-    console.log(`🗑️ Database: Deleting trip ${tripId} for user ${userId}`);
-    
-    // Get current user trips
-    const user = await this.getUserById(userId);
-    if (!user) {
-      console.log(`❌ Database: User not found: ${userId}`);
-      throw new Error('User not found');
-    }
-    
-    console.log(`✅ Database: Found user ${user.email} with ${user.trips?.length || 0} trips`);
-    
-    const trips = user.trips || [];
-    const tripIndex = trips.findIndex(trip => trip.id === tripId);
-    
-    if (tripIndex === -1) {
-      console.log(`❌ Database: Trip ${tripId} not found in user's trips`);
-      throw new Error('Trip not found');
-    }
-    
-    console.log(`✅ Database: Found trip at index ${tripIndex}:`, trips[tripIndex].name);
-    
-    // Create a new array without the deleted trip (don't modify original)
-    const updatedTrips = trips.filter(trip => trip.id !== tripId);
-    const deletedTrip = trips[tripIndex];
-    
-    console.log(`🗑️ Database: Removing trip "${deletedTrip.name}" (${deletedTrip.id})`);
-    console.log(`📊 Database: Trips before: ${trips.length}, after: ${updatedTrips.length}`);
-    
-    // Update user's trips column with the new array
-    const updateResult = await this.updateUser(user.email, { trips: updatedTrips });
-    console.log(`✅ Database: User updated successfully, trips column now has ${updateResult.trips?.length || 0} trips`);
-    
-    return deletedTrip;
+  async setTripCalendarToken(tripId, token) {
+    // Deliberately leaves updated_at alone: it drives the calendar SEQUENCE
+    const query = 'UPDATE trips SET calendar_token = $1 WHERE id = $2 RETURNING *';
+    const result = await pool.query(query, [token, tripId]);
+    return result.rows[0];
   }
 
-  // POI operations
-  async createPOI(poiData) {
+  async getTripByCalendarToken(token) {
+    const query = 'SELECT * FROM trips WHERE calendar_token = $1';
+    const result = await pool.query(query, [token]);
+    return result.rows[0];
+  }
+
+  // Trip revision operations
+  async createTripRevision(tripId, revision, client = pool) {
     const query = `
-      INSERT INTO pois (name, description, location, photos, icon, type, author, user_id, reviews, average_rating, review_count, likes, like_count, created_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-      RETURNING id
+      INSERT INTO trip_revisions (trip_id, user_id, action, changed_fields, previous_values, snapshot, restored_from)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
     `;
-    
     const values = [
-      poiData.name,
-      poiData.description || '',
-      JSON.stringify(poiData.location || {}),
-      JSON.stringify(poiData.photos || []),
-      poiData.icon || '',
-      poiData.type || 'public',
-      poiData.author || '',
-      String(poiData.userId), // Ensure userId is converted to string
-      JSON.stringify(poiData.reviews || []),
-      poiData.averageRating || 0,
-      poiData.reviewCount || 0,
-      JSON.stringify(poiData.likes || []),
-      poiData.likeCount || 0,
-      poiData.createdAt
+      tripId,
+      revision.userId ? String(revision.userId) : null,
+      revision.action || 'update',
+      JSON.stringify(revision.changedFields || []),
+      JSON.stringify(revision.previousValues || {}),
+      JSON.stringify(revision.snapshot),
+      revision.restoredFrom || null
     ];
-    
-    const result = await pool.query(query, values);
-    return result.rows[0].id;
+    const result = await client.query(query, values);
+    return result.rows[0];
   }
 
-  async getAllPOIs() {
-    const query = 'SELECT * FROM pois ORDER BY created_at DESC';
-    const result = await pool.query(query);
+  // Lists revisions newest first, without the (potentially large) snapshots
+  async getTripRevisions(tripId, limit = 20, offset = 0) {
+    const query = `
+      SELECT r.id, r.trip_id, r.user_id, r.action, r.changed_fields, r.restored_from, r.created_at,
+             u.name AS user_name, u.traveler_profile->>'nickname' AS user_nickname
+      FROM trip_revisions r
+      LEFT JOIN users u ON u.id = r.user_id
+      WHERE r.trip_id = $1
+      ORDER BY r.created_at DESC, r.id DESC
+      LIMIT $2 OFFSET $3
+    `;
+    const result = await pool.query(query, [tripId, limit, offset]);
     return result.rows;
   }
 
-  async getPOIByCoordinates(lat, lng) {
-    const query = 'SELECT * FROM pois WHERE location->>\'lat\' = $1 AND location->>\'lng\' = $2';
-    const result = await pool.query(query, [lat.toString(), lng.toString()]);
-    return result.rows[0];
+  async getTripRevisionCount(tripId) {
+    const query = 'SELECT COUNT(*) FROM trip_revisions WHERE trip_id = $1';
+    const result = await pool.query(query, [tripId]);
+    return parseInt(result.rows[0].count, 10);
   }
 
-  async getPOIById(id) {
-    const query = 'SELECT * FROM pois WHERE id = $1';
-    const result = await pool.query(query, [id]);
+  async getTripRevision(tripId, revisionId) {
+    const query = `
+      SELECT r.*, u.name AS user_name, u.traveler_profile->>'nickname' AS user_nickname
+      FROM trip_revisions r
+      LEFT JOIN users u ON u.id = r.user_id
+      WHERE r.trip_id = $1 AND r.id = $2
+    `;
+    const result = await pool.query(query, [tripId, revisionId]);
     return result.rows[0];
   }
 
-  async togglePOILike(poiId, userNickname) {
-    // Get current POI data
-    const poi = await this.getPOIById(poiId);
-    if (!poi) {
-      throw new Error('POI not found');
-    }
+  // Currency rate operations
+  async getCurrencyRates() {
+    const result = await pool.query('SELECT currency, rate_per_usd, updated_at FROM currency_rates ORDER BY currency');
+    return result.rows;
+  }
 
-    // Parse likes from JSON safely
-    let currentLikes = [];
-    if (poi.likes) {
-      try {
-        if (typeof poi.likes === 'string') {
-          currentLikes = JSON.parse(poi.likes);
-        } else {
-          currentLikes = poi.likes;
-        }
-      } catch (error) {
-        console.error('Error parsing likes in togglePOILike:', error);
-        currentLikes = [];
-      }
+  // Returns rates as { CODE: unitsPerUsd } for conversions
+  async getCurrencyRateMap() {
+    const rows = await this.getCurrencyRates();
+    const rates = {};
+    for (const row of rows) {
+      rates[row.currency] = Number(row.rate_per_usd);
     }
-    
-    const likeIndex = currentLikes.indexOf(userNickname);
-    
-    let newLikes;
-    if (likeIndex > -1) {
-      // User already liked, remove them (unlike)
-      newLikes = currentLikes.filter(nickname => nickname !== userNickname);
-    } else {
-      // User hasn't liked, add them (like)
-      newLikes = [...currentLikes, userNickname];
+    return rates;
+  }
+
+  async upsertCurrencyRates(rates) {
+    for (const [currency, rate] of Object.entries(rates)) {
+      await pool.query(`
+        INSERT INTO currency_rates (currency, rate_per_usd, updated_at)
+        VALUES ($1, $2, CURRENT_TIMESTAMP)
+        ON CONFLICT (currency) DO UPDATE SET rate_per_usd = EXCLUDED.rate_per_usd, updated_at = CURRENT_TIMESTAMP
+      `, [currency, rate]);
     }
+    return this.getCurrencyRates();
+  }
 
-    // Update POI with new likes
+  // Trip expense operations
+  // Creates an expense with its shares in one transaction
+  async createTripExpense(tripId, expense, shares = []) {
     const query = `
-      UPDATE pois 
-      SET likes = $1, like_count = $2 
-      WHERE id = $3 
+      INSERT INTO trip_expenses (trip_id, amount, currency, category, description, paid_by, day, expense_date, poi_id, split_type, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
       RETURNING *
     `;
-    const result = await pool.query(query, [
-      JSON.stringify(newLikes),
-      newLikes.length,
-      poiId
-    ]);
+    const values = [
+      tripId,
+      expense.amount,
+      expense.currency,
+      expense.category || 'other',
+      expense.description || null,
+      expense.paid_by ? String(expense.paid_by) : null,
+      expense.day || null,
+      expense.expense_date || null,
+      expense.poi_id || null,
+      expense.split_type || null,
+      expense.created_by ? String(expense.created_by) : null
+    ];
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(query, values);
+      await this.setTripExpenseShares(result.rows[0].id, shares, client);
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getTripExpenses(tripId) {
+    const query = `
+      SELECT e.*, u.name AS paid_by_name, u.traveler_profile->>'nickname' AS paid_by_nickname, p.name AS poi_name
+      FROM trip_expenses e
+      LEFT JOIN users u ON u.id = e.paid_by
+      LEFT JOIN pois p ON p.id = e.poi_id
+      WHERE e.trip_id = $1
+      ORDER BY e.day NULLS LAST, e.expense_date NULLS LAST, e.created_at
+    `;
+    const result = await pool.query(query, [tripId]);
+    return result.rows;
+  }
 
+  async getTripExpense(tripId, expenseId) {
+    const query = `
+      SELECT e.*, u.name AS paid_by_name, u.traveler_profile->>'nickname' AS paid_by_nickname, p.name AS poi_name
+      FROM trip_expenses e
+      LEFT JOIN users u ON u.id = e.paid_by
+      LEFT JOIN pois p ON p.id = e.poi_id
+      WHERE e.trip_id = $1 AND e.id = $2
+    `;
+    const result = await pool.query(query, [tripId, expenseId]);
     return result.rows[0];
   }
 
-  async toggleReviewLike(poiId, reviewId, userNickname) {
-    // Get current POI data
-    const poi = await this.getPOIById(poiId);
-    if (!poi) {
-      throw new Error('POI not found');
+  // Updates an expense and, when shares is given, replaces its shares in the
+  // same transaction
+  async updateTripExpense(tripId, expenseId, updates, shares = null) {
+    const updateFields = [];
+    const values = [];
+    let valueIndex = 1;
+
+    const columns = ['amount', 'currency', 'category', 'description', 'paid_by', 'day', 'expense_date', 'poi_id', 'split_type'];
+    for (const column of columns) {
+      if (updates[column] !== undefined) {
+        updateFields.push(`${column} = $${valueIndex++}`);
+        values.push(updates[column]);
+      }
     }
 
-    const currentReviews = poi.reviews ? (typeof poi.reviews === 'string' ? JSON.parse(poi.reviews) : poi.reviews) : [];
-    const reviewIndex = currentReviews.findIndex(review => review.id === reviewId);
-    
-    if (reviewIndex === -1) {
-      throw new Error('Review not found');
+    if (updateFields.length === 0 && !shares) {
+      throw new Error('No valid update fields provided');
     }
 
-    const review = currentReviews[reviewIndex];
-    const currentLikes = review.likes || [];
-    const likeIndex = currentLikes.indexOf(userNickname);
-    
-    let newLikes;
-    if (likeIndex > -1) {
-      // User already liked, remove them (unlike)
-      newLikes = currentLikes.filter(nickname => nickname !== userNickname);
-    } else {
-      // User hasn't liked, add them (like)
-      newLikes = [...currentLikes, userNickname];
-    }
-
-    // Update review with new likes and ensure likeCount is set
-    currentReviews[reviewIndex] = {
-      ...review,
-      likes: newLikes,
-      likeCount: newLikes.length
-    };
+    updateFields.push(`updated_at = $${valueIndex++}`);
+    values.push(new Date());
+
+    values.push(tripId);
+    values.push(expenseId); // expenseId is always the last parameter
 
-    // Update POI with updated reviews
     const query = `
-      UPDATE pois 
-      SET reviews = $1 
-      WHERE id = $2 
+      UPDATE trip_expenses
+      SET ${updateFields.join(', ')}
+      WHERE trip_id = $${valueIndex} AND id = $${valueIndex + 1}
       RETURNING *
     `;
-    const result = await pool.query(query, [
-      JSON.stringify(currentReviews),
-      poiId
-    ]);
-
-    // Find and return the updated review
-    const updatedPoi = result.rows[0];
-    const updatedReviews = typeof updatedPoi.reviews === 'string' ? JSON.parse(updatedPoi.reviews) : updatedPoi.reviews;
-    const updatedReview = updatedReviews.find(r => r.id === reviewId);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(query, values);
+      if (result.rows.length > 0 && shares) {
+        await this.setTripExpenseShares(expenseId, shares, client);
+      }
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
 
-    return updatedReview;
+  async deleteTripExpense(tripId, expenseId) {
+    const query = 'DELETE FROM trip_expenses WHERE trip_id = $1 AND id = $2 RETURNING *';
+    const result = await pool.query(query, [tripId, expenseId]);
+    return result.rows[0];
   }
 
-  async updateReview(reviewId, reviewData) {
-    // Get all POIs to find the one containing this review
-    const query = 'SELECT * FROM pois WHERE reviews IS NOT NULL';
-    const result = await pool.query(query);
-    
-    for (const poi of result.rows) {
-      const reviews = poi.reviews ? (typeof poi.reviews === 'string' ? JSON.parse(poi.reviews) : poi.reviews) : [];
-      const reviewIndex = reviews.findIndex(review => review.id === reviewId);
-      
-      if (reviewIndex !== -1) {
-        // Found the review, update it
-        reviews[reviewIndex] = {
-          ...reviews[reviewIndex],
-          ...reviewData
-        };
-        
-        // Update the POI with the modified reviews
-        const updateQuery = `
-          UPDATE pois 
-          SET reviews = $1, 
-              average_rating = $2,
-              review_count = $3
-          WHERE id = $4 
-          RETURNING *
-        `;
-        
-        // Calculate new average rating
-        const totalRating = reviews.reduce((sum, review) => sum + (review.rating || 0), 0);
-        const averageRating = reviews.length > 0 ? (totalRating / reviews.length).toFixed(2) : 0;
-        
-        const updateResult = await pool.query(updateQuery, [
-          JSON.stringify(reviews),
-          parseFloat(averageRating),
-          reviews.length,
-          poi.id
-        ]);
-        
-        return updateResult.rows[0];
-      }
-    }
-    
-    throw new Error('Review not found');
+  // Shares of a trip's expenses, for every expense or just one
+  async getTripExpenseShares(tripId, expenseId = null) {
+    const query = `
+      SELECT s.expense_id, s.user_id, s.amount, u.name, u.traveler_profile->>'nickname' AS nickname
+      FROM trip_expense_shares s
+      JOIN trip_expenses e ON e.id = s.expense_id
+      JOIN users u ON u.id = s.user_id
+      WHERE e.trip_id = $1 AND ($2::int IS NULL OR s.expense_id = $2)
+      ORDER BY s.expense_id, s.id
+    `;
+    const result = await pool.query(query, [tripId, expenseId]);
+    return result.rows;
   }
 
-  async deleteReview(reviewId) {
-    // Get all POIs to find the one containing this review
-    const query = 'SELECT * FROM pois WHERE reviews IS NOT NULL';
-    const result = await pool.query(query);
-    
-    for (const poi of result.rows) {
-      const reviews = poi.reviews ? (typeof poi.reviews === 'string' ? JSON.parse(poi.reviews) : poi.reviews) : [];
-      const reviewIndex = reviews.findIndex(review => review.id === reviewId);
-      
-      if (reviewIndex !== -1) {
-        // Found the review, remove it
-        reviews.splice(reviewIndex, 1);
-        
-        // Update the POI with the modified reviews
-        const updateQuery = `
-          UPDATE pois 
-          SET reviews = $1, 
-              average_rating = $2,
-              review_count = $3
-          WHERE id = $4 
-          RETURNING *
-        `;
-        
-        // Calculate new average rating
-        const totalRating = reviews.reduce((sum, review) => sum + (review.rating || 0), 0);
-        const averageRating = reviews.length > 0 ? (totalRating / reviews.length).toFixed(2) : 0;
-        
-        const updateResult = await pool.query(updateQuery, [
-          JSON.stringify(reviews),
-          parseFloat(averageRating),
-          reviews.length,
-          poi.id
-        ]);
-        
-        return updateResult.rows[0];
-      }
+  // Replaces the shares of an expense (an empty list makes it a personal
+  // expense), inside the transaction that writes the expense
+  async setTripExpenseShares(expenseId, shares, client) {
+    await client.query('DELETE FROM trip_expense_shares WHERE expense_id = $1', [expenseId]);
+    for (const share of shares) {
+      await client.query(
+        'INSERT INTO trip_expense_shares (expense_id, user_id, amount) VALUES ($1, $2, $3)',
+        [expenseId, String(share.userId), share.amount]
+      );
     }
-    
-    throw new Error('Review not found');
   }
 
-  // Verification token management
-  async createVerificationToken(email, token, type, expiresAt) {
+  // Trip member operations
+  async addTripMember(tripId, userId, role, invitedBy) {
+    // Re-inviting an existing member only changes their role
     const query = `
-      INSERT INTO verification_tokens (email, token, type, expires_at)
+      INSERT INTO trip_members (trip_id, user_id, role, invited_by)
       VALUES ($1, $2, $3, $4)
+      ON CONFLICT (trip_id, user_id)
+      DO UPDATE SET role = $3, invited_by = $4
       RETURNING *
     `;
-    const result = await pool.query(query, [email, token, type, expiresAt]);
+    const result = await pool.query(query, [tripId, String(userId), role, String(invitedBy)]);
     return result.rows[0];
   }
 
-  async getVerificationToken(email, token, type) {
+  async getTripMembers(tripId) {
     const query = `
-      SELECT * FROM verification_tokens 
-      WHERE email = $1 AND token = $2 AND type = $3 AND used = FALSE AND expires_at > NOW()
+      SELECT m.*, u.name, u.email,
+        u.traveler_profile->>'nickname' AS nickname,
+        u.traveler_profile->>'photo' AS photo
+      FROM trip_members m
+      JOIN users u ON m.user_id = u.id
+      WHERE m.trip_id = $1
+      ORDER BY m.created_at ASC
     `;
-    const result = await pool.query(query, [email, token, type]);
-    return result.rows[0];
+    const result = await pool.query(query, [tripId]);
+    return result.rows;
   }
 
-  async markVerificationTokenAsUsed(tokenId) {
+  async acceptTripInvitation(tripId, userId) {
     const query = `
-      UPDATE verification_tokens 
-      SET used = TRUE 
-      WHERE id = $1
+      UPDATE trip_members
+      SET status = 'accepted', accepted_at = CURRENT_TIMESTAMP
+      WHERE trip_id = $1 AND user_id = $2 AND status = 'pending'
       RETURNING *
     `;
-    const result = await pool.query(query, [tokenId]);
+    const result = await pool.query(query, [tripId, String(userId)]);
     return result.rows[0];
   }
 
-  async deleteExpiredVerificationTokens() {
+  // Removing an accepted member also revokes the trip's calendar subscription
+  // URL, which they could have fetched; the next subscription request mints a
+  // new one
+  async removeTripMember(tripId, userId) {
     const query = `
-      DELETE FROM verification_tokens 
-      WHERE expires_at < NOW() OR used = TRUE
+      WITH removed AS (
+        DELETE FROM trip_members WHERE trip_id = $1 AND user_id = $2 RETURNING *
+      ), revoked AS (
+        UPDATE trips SET calendar_token = NULL
+        WHERE id = $1 AND calendar_token IS NOT NULL
+          AND EXISTS (SELECT 1 FROM removed WHERE status = 'accepted')
+      )
+      SELECT * FROM removed
+    `;
+    const result = await pool.query(query, [tripId, String(userId)]);
+    return result.rows[0];
+  }
+
+  async getPendingTripInvitations(userId) {
+    const query = `
+      SELECT m.*, t.name AS trip_name, t.destination, t.start_date, t.end_date,
+        u.name AS invited_by_name,
+        u.traveler_profile->>'nickname' AS invited_by_nickname
+      FROM trip_members m
+      JOIN trips t ON m.trip_id = t.id
+      LEFT JOIN users u ON m.invited_by = u.id
+      WHERE m.user_id = $1 AND m.status = 'pending'
+      ORDER BY m.created_at DESC
+    `;
+    const result = await pool.query(query, [String(userId)]);
+    return result.rows;
+  }
+
+  async getTripsSharedWithUser(userId) {
+    const query = `
+      SELECT t.*, m.role AS member_role
+      FROM trips t
+      JOIN trip_members m ON m.trip_id = t.id
+      WHERE m.user_id = $1 AND m.status = 'accepted'
+      ORDER BY t.updated_at DESC
+    `;
+    const result = await pool.query(query, [String(userId)]);
+    return result.rows;
+  }
+
+  // Updates a trip the user owns, accepting the camelCase fields the app sends
+  async updateUserTrip(userId, tripId, updates) {
+    const trip = await this.getUserTripByIdentifier(userId, tripId);
+    if (!trip) {
+      throw new Error('Trip not found');
+    }
+
+    const processedUpdates = { ...updates };
+    if (updates.shareType !== undefined) {
+      processedUpdates.share_type = updates.shareType;
+      delete processedUpdates.shareType;
+    }
+    if (updates.dates !== undefined) {
+      processedUpdates.start_date = updates.dates?.start ?? null;
+      processedUpdates.end_date = updates.dates?.end ?? null;
+      delete processedUpdates.dates;
+    }
+    if (updates.travelerProfile !== undefined) {
+      processedUpdates.traveler_profile = updates.travelerProfile;
+      delete processedUpdates.travelerProfile;
+    }
+
+    return this.updateTrip(trip.id, processedUpdates, userId);
+  }
+
+  async deleteUserTrip(userId, tripId) {
+    const trip = await this.getUserTripByIdentifier(userId, tripId);
+    if (!trip) {
+      throw new Error('Trip not found');
+    }
+
+    return this.deleteTrip(trip.id, userId);
+  }
+
+  // POI operations
+  // Photos given as URLs become the POI's gallery, uploaded by its creator
+  // Categories (poiData.categoryIds) and reviews passed in poiData.reviews
+  // (legacy pois.reviews format, e.g. from data.json) are written in the same
+  // transaction, so a failure leaves no half-created POI
+  async createPOI(poiData) {
+    const query = `
+      WITH inserted AS (
+        INSERT INTO pois (name, description, location, photos, icon, type, author, user_id, average_rating, review_count, likes, like_count, created_at, opening_hours, website, phone)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        RETURNING id, user_id, created_at
+      ), gallery AS (
+        INSERT INTO poi_photos (poi_id, url, user_id, position, created_at)
+        SELECT inserted.id, photo.url, (SELECT id FROM users WHERE id = inserted.user_id), photo.position - 1, inserted.created_at
+        FROM inserted, jsonb_array_elements_text($4::jsonb) WITH ORDINALITY AS photo(url, position)
+      )
+      SELECT id FROM inserted
+    `;
+    
+    const values = [
+      poiData.name,
+      poiData.description || '',
+      JSON.stringify(poiData.location || {}),
+      JSON.stringify((poiData.photos || []).filter(photo => typeof photo === 'string' && photo)),
+      poiData.icon || '',
+      poiData.type || 'public',
+      poiData.author || '',
+      String(poiData.userId), // Ensure userId is converted to string
+      poiData.averageRating || 0,
+      poiData.reviewCount || 0,
+      JSON.stringify(poiData.likes || []),
+      poiData.likeCount || 0,
+      poiData.createdAt,
+      poiData.openingHours ? JSON.stringify(poiData.openingHours) : null,
+      poiData.website || null,
+      poiData.phone || null
+    ];
+    
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(query, values);
+      const poiId = result.rows[0].id;
+
+      if (poiData.categoryIds && poiData.categoryIds.length > 0) {
+        await replacePOICategoryLinks(client, poiId, poiData.categoryIds);
+      }
+
+      const reviews = Array.isArray(poiData.reviews) ? poiData.reviews : [];
+      for (const [index, review] of reviews.entries()) {
+        await insertLegacyReview(client, poiId, review, index);
+      }
+      if (reviews.length > 0) {
+        await client.query(`
+          UPDATE pois SET
+            average_rating = (SELECT COALESCE(ROUND(AVG(rating), 2), 0) FROM poi_reviews WHERE poi_id = $1),
+            review_count = (SELECT COUNT(*) FROM poi_reviews WHERE poi_id = $1)
+          WHERE id = $1
+        `, [poiId]);
+      }
+
+      await client.query('COMMIT');
+      return poiId;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // POIs newest first, a page at a time (all of them with limit null),
+  // optionally only in some categories
+  async getAllPOIs(categoryIds = null, { limit = 50, offset = 0, withOpeningHours = false } = {}) {
+    const values = [];
+    const conditions = poiSearchConditions({ categoryIds, withOpeningHours }, values);
+    values.push(limit, offset);
+    const query = `
+      SELECT *, COUNT(*) OVER() AS total_count FROM pois
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `;
+    const result = await pool.query(query, values);
+    return {
+      pois: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  async getPOIByCoordinates(lat, lng) {
+    // ~= compares points with a small tolerance and can use the geo_point index
+    const query = 'SELECT * FROM pois WHERE geo_point ~= point($1, $2) ORDER BY id LIMIT 1';
+    const result = await pool.query(query, [lng, lat]);
+    return result.rows[0];
+  }
+
+  async getPOIById(id) {
+    const query = 'SELECT * FROM pois WHERE id = $1';
+    const result = await pool.query(query, [id]);
+    return result.rows[0];
+  }
+
+  async getPOIsByIds(ids) {
+    if (!ids.length) return [];
+    const query = 'SELECT * FROM pois WHERE id = ANY($1::int[])';
+    const result = await pool.query(query, [ids]);
+    return result.rows;
+  }
+
+  async getPOIsByUser(userId) {
+    const query = 'SELECT * FROM pois WHERE user_id = $1 ORDER BY created_at DESC';
+    const result = await pool.query(query, [String(userId)]);
+    return result.rows;
+  }
+
+  // Search POIs inside a bounding box and/or within radiusKm of origin, nearest
+  // first, optionally only in some categories or with opening hours. Boxes are matched through the
+  // GiST index on geo_point; the radius is then checked exactly with the
+  // haversine distance.
+  async searchPOIs({ origin, radiusKm = null, bbox = null, categoryIds = null, withOpeningHours = false, limit = 50, offset = 0 }) {
+    const values = [origin.lat, origin.lng];
+    const conditions = ['geo_point IS NOT NULL', ...poiSearchConditions({ origin, radiusKm, bbox, categoryIds, withOpeningHours }, values)];
+
+    values.push(limit, offset);
+    const query = `
+      SELECT *, ${distanceKmSql(1, 2)} AS distance_km, COUNT(*) OVER() AS total_count
+      FROM pois
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY distance_km, id
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `;
+
+    const result = await pool.query(query, values);
+    return {
+      pois: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  // Group the POIs inside a bounding box into grid cells. The grid is global:
+  // cellsPerTile x cellsPerTile cells per Web Mercator tile at the zoom level,
+  // so a cell (and its cluster) is the same whichever viewport asks for it.
+  async getPOIClusters({ bbox, zoom, cellsPerTile, categoryIds = null }) {
+    const values = [2 ** zoom * cellsPerTile, MAX_LATITUDE];
+    const conditions = poiSearchConditions({ bbox, categoryIds }, values);
+
+    const query = `
+      SELECT cell_x, cell_y, COUNT(*) AS count,
+        AVG(lat) AS lat, AVG(lng) AS lng,
+        MIN(lat) AS min_lat, MIN(lng) AS min_lng, MAX(lat) AS max_lat, MAX(lng) AS max_lng,
+        mode() WITHIN GROUP (ORDER BY icon) AS icon,
+        mode() WITHIN GROUP (ORDER BY type) AS type,
+        MIN(id) AS poi_id, MIN(name) AS name
+      FROM (
+        SELECT id, name, icon, type, lat, lng,
+          LEAST(FLOOR((lng + 180) / 360 * $1), $1 - 1) AS cell_x,
+          LEAST(GREATEST(FLOOR((1 - LN(TAN(RADIANS(mercator_lat)) + 1 / COS(RADIANS(mercator_lat))) / PI()) / 2 * $1), 0), $1 - 1) AS cell_y
+        FROM (
+          SELECT id, name, icon, type, geo_point[1] AS lat, geo_point[0] AS lng,
+            LEAST(GREATEST(geo_point[1], -$2::float8), $2::float8) AS mercator_lat
+          FROM pois
+          WHERE geo_point IS NOT NULL AND ${conditions.join(' AND ')}
+        ) located
+      ) cells
+      GROUP BY cell_x, cell_y
+      ORDER BY cell_y, cell_x
+    `;
+
+    const result = await pool.query(query, values);
+    return result.rows.map(row => ({
+      ...row,
+      count: parseInt(row.count),
+      cell_x: parseInt(row.cell_x),
+      cell_y: parseInt(row.cell_y)
+    }));
+  }
+
+  // POI photo operations. Galleries live in poi_photos; pois.photos is rewritten
+  // from it in the same transaction as every change.
+  async runPOIPhotoChange(poiId, change) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const locked = await client.query('SELECT id FROM pois WHERE id = $1 FOR UPDATE', [poiId]);
+      if (locked.rows.length === 0) {
+        throw new Error('POI not found');
+      }
+
+      const result = await change(client);
+
+      // Close the gaps so positions stay 0..n-1
+      await client.query(`
+        UPDATE poi_photos SET position = ordered.position
+        FROM (
+          SELECT id, ROW_NUMBER() OVER (ORDER BY position, id) - 1 AS position
+          FROM poi_photos WHERE poi_id = $1
+        ) ordered
+        WHERE poi_photos.id = ordered.id AND poi_photos.position <> ordered.position
+      `, [poiId]);
+      const poiResult = await client.query(`
+        UPDATE pois SET photos = COALESCE((SELECT jsonb_agg(url ORDER BY position, id) FROM poi_photos WHERE poi_id = $1), '[]')
+        WHERE id = $1
+        RETURNING *
+      `, [poiId]);
+      await client.query('COMMIT');
+      return { ...result, poi: poiResult.rows[0] };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Photos of many POIs in one query, in gallery order, with the uploader's name
+  async getPhotosByPOIIds(poiIds) {
+    if (!poiIds.length) return [];
+    const query = `
+      SELECT p.*, COALESCE(NULLIF(u.traveler_profile->>'nickname', ''), u.name) AS uploader_name
+      FROM poi_photos p
+      LEFT JOIN users u ON u.id = p.user_id
+      WHERE p.poi_id = ANY($1::int[])
+      ORDER BY p.poi_id, p.position, p.id
+    `;
+    const result = await pool.query(query, [poiIds]);
+    return result.rows;
+  }
+
+  // Which of these image URLs something still shows: a POI gallery, a review
+  // (its photo or author photo), a post (its photos or connected POI) or a
+  // user's profile photo
+  async getImageUrlsInUse(urls) {
+    if (!urls.length) return [];
+    const query = `
+      SELECT url FROM poi_photos WHERE url = ANY($1::text[])
+      UNION
+      SELECT photo AS url FROM poi_reviews WHERE photo = ANY($1::text[])
+      UNION
+      SELECT author_photo AS url FROM poi_reviews WHERE author_photo = ANY($1::text[])
+      UNION
+      SELECT photo.url FROM posts, jsonb_array_elements_text(posts.photos) AS photo(url)
+      WHERE jsonb_typeof(posts.photos) = 'array' AND posts.photos ?| $1::text[]
+        AND photo.url = ANY($1::text[])
+      UNION
+      SELECT connected_poi->>'photo' AS url FROM posts
+      WHERE jsonb_typeof(connected_poi) = 'object' AND connected_poi->>'photo' = ANY($1::text[])
+      UNION
+      SELECT traveler_profile->>'photo' AS url FROM users
+      WHERE traveler_profile->>'photo' = ANY($1::text[])
+    `;
+    const result = await pool.query(query, [urls]);
+    return result.rows.map(row => row.url);
+  }
+
+  async recordUpload(userId, { publicId, url }) {
+    const query = `
+      INSERT INTO uploads (public_id, url, user_id)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (public_id) DO NOTHING
+    `;
+    await pool.query(query, [publicId, url, userId]);
+  }
+
+  async getUpload(publicId) {
+    const result = await pool.query('SELECT * FROM uploads WHERE public_id = $1', [publicId]);
+    return result.rows[0];
+  }
+
+  async getPOIPhoto(photoId) {
+    const query = `
+      SELECT p.*, COALESCE(NULLIF(u.traveler_profile->>'nickname', ''), u.name) AS uploader_name
+      FROM poi_photos p
+      LEFT JOIN users u ON u.id = p.user_id
+      WHERE p.id = $1
+    `;
+    const result = await pool.query(query, [photoId]);
+    return result.rows[0];
+  }
+
+  // Add a photo at the end of the gallery (or as the cover). Returns { photo, poi }.
+  async addPOIPhoto(poiId, photo, { cover = false } = {}) {
+    return this.runPOIPhotoChange(poiId, async (client) => {
+      const result = await client.query(`
+        INSERT INTO poi_photos (poi_id, url, public_id, caption, user_id, position)
+        VALUES ($1, $2, $3, $4, $5, ${cover ? '-1' : '(SELECT COALESCE(MAX(position) + 1, 0) FROM poi_photos WHERE poi_id = $1)'})
+        RETURNING *
+      `, [poiId, photo.url, photo.publicId || null, photo.caption || null, photo.userId ? String(photo.userId) : null]);
+      return { photo: result.rows[0] };
+    });
+  }
+
+  // Replace the cover (first photo). Returns { photo, removed, poi } with the
+  // old cover in removed (null when the gallery was empty).
+  async replacePOICoverPhoto(poiId, photo) {
+    return this.runPOIPhotoChange(poiId, async (client) => {
+      const removed = await client.query(`
+        DELETE FROM poi_photos
+        WHERE id = (SELECT id FROM poi_photos WHERE poi_id = $1 ORDER BY position, id LIMIT 1)
+        RETURNING *
+      `, [poiId]);
+      const result = await client.query(`
+        INSERT INTO poi_photos (poi_id, url, public_id, caption, user_id, position)
+        VALUES ($1, $2, $3, $4, $5, -1)
+        RETURNING *
+      `, [poiId, photo.url, photo.publicId || null, photo.caption || null, photo.userId ? String(photo.userId) : null]);
+      return { photo: result.rows[0], removed: removed.rows[0] || null };
+    });
+  }
+
+  async updatePOIPhoto(photoId, { caption }) {
+    const query = 'UPDATE poi_photos SET caption = $2 WHERE id = $1 RETURNING *';
+    const result = await pool.query(query, [photoId, caption]);
+    if (result.rows.length === 0) {
+      throw new Error('Photo not found');
+    }
+    return result.rows[0];
+  }
+
+  // Put the gallery in the order of photoIds, which must list each photo once
+  async reorderPOIPhotos(poiId, photoIds) {
+    return this.runPOIPhotoChange(poiId, async (client) => {
+      const current = await client.query('SELECT id FROM poi_photos WHERE poi_id = $1', [poiId]);
+      const currentIds = current.rows.map(row => row.id);
+      if (photoIds.length !== currentIds.length || new Set(photoIds).size !== photoIds.length ||
+          !photoIds.every(id => currentIds.includes(id))) {
+        throw new Error('Photo ids must list every photo of the POI once');
+      }
+      await client.query(`
+        UPDATE poi_photos SET position = ordered.position - 1
+        FROM UNNEST($1::int[]) WITH ORDINALITY AS ordered(id, position)
+        WHERE poi_photos.id = ordered.id
+      `, [photoIds]);
+      return {};
+    });
+  }
+
+  // Returns { photo, poi } with the deleted photo
+  async deletePOIPhoto(poiId, photoId) {
+    return this.runPOIPhotoChange(poiId, async (client) => {
+      const result = await client.query('DELETE FROM poi_photos WHERE id = $1 AND poi_id = $2 RETURNING *', [photoId, poiId]);
+      if (result.rows.length === 0) {
+        throw new Error('Photo not found');
+      }
+      return { photo: result.rows[0] };
+    });
+  }
+
+  // POI category operations
+  async getPOICategories() {
+    const query = 'SELECT * FROM poi_categories ORDER BY sort_order, name, id';
+    const result = await pool.query(query);
+    return result.rows;
+  }
+
+  async getPOICategoryById(id) {
+    const query = 'SELECT * FROM poi_categories WHERE id = $1';
+    const result = await pool.query(query, [id]);
+    return result.rows[0];
+  }
+
+  async createPOICategory(category) {
+    const query = `
+      INSERT INTO poi_categories (slug, name, parent_id, icon, sort_order)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+    const values = [
+      category.slug,
+      category.name,
+      category.parentId || null,
+      category.icon || null,
+      category.sortOrder || 0
+    ];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  async updatePOICategory(id, updates) {
+    const columns = { slug: 'slug', name: 'name', parentId: 'parent_id', icon: 'icon', sortOrder: 'sort_order' };
+    const updateFields = [];
+    const values = [];
+    for (const [key, column] of Object.entries(columns)) {
+      if (updates[key] !== undefined) {
+        values.push(updates[key]);
+        updateFields.push(`${column} = $${values.length}`);
+      }
+    }
+    if (updateFields.length === 0) {
+      throw new Error('No valid update fields provided');
+    }
+
+    values.push(id);
+    const query = `
+      UPDATE poi_categories
+      SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${values.length}
+      RETURNING *
+    `;
+    const result = await pool.query(query, values);
+    if (result.rows.length === 0) {
+      throw new Error('Category not found');
+    }
+    return result.rows[0];
+  }
+
+  // Links to POIs go with the category (ON DELETE CASCADE)
+  async deletePOICategory(id) {
+    const query = 'DELETE FROM poi_categories WHERE id = $1 RETURNING *';
+    const result = await pool.query(query, [id]);
+    return result.rows[0];
+  }
+
+  // Categories of many POIs in one query, each row with its poi_id
+  async getCategoriesByPOIIds(poiIds) {
+    if (!poiIds.length) return [];
+    const query = `
+      SELECT l.poi_id, c.*
+      FROM poi_category_links l
+      JOIN poi_categories c ON c.id = l.category_id
+      WHERE l.poi_id = ANY($1::int[])
+      ORDER BY c.sort_order, c.name, c.id
+    `;
+    const result = await pool.query(query, [poiIds]);
+    return result.rows;
+  }
+
+  // Replace the categories of a POI
+  async setPOICategories(poiId, categoryIds) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await replacePOICategoryLinks(client, poiId, categoryIds);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Facet counts: how many POIs matching the search (same params as searchPOIs,
+  // all optional) are in each category. A POI counts once for every category
+  // above its own, so "food" includes the POIs tagged "cafe".
+  async getPOICategoryCounts(search = {}) {
+    const values = [];
+    const conditions = poiSearchConditions(search, values);
+    const query = `
+      WITH RECURSIVE ancestry AS (
+        SELECT id AS category_id, id AS ancestor_id FROM poi_categories
+        UNION
+        SELECT a.category_id, c.parent_id
+        FROM ancestry a
+        JOIN poi_categories c ON c.id = a.ancestor_id
+        WHERE c.parent_id IS NOT NULL
+      )
+      SELECT a.ancestor_id AS category_id, COUNT(DISTINCT pois.id) AS count
+      FROM pois
+      JOIN poi_category_links l ON l.poi_id = pois.id
+      JOIN ancestry a ON a.category_id = l.category_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      GROUP BY a.ancestor_id
+    `;
+    const result = await pool.query(query, values);
+    return result.rows.map(row => ({ category_id: row.category_id, count: parseInt(row.count) }));
+  }
+
+  // POI review operations. Reviews live in poi_reviews; pois.average_rating and
+  // pois.review_count are recomputed in the same transaction as every change.
+  async runPOIReviewChange(poiId, change) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // Lock the POI so concurrent review changes recompute the rating one at a time
+      const locked = await client.query('SELECT id FROM pois WHERE id = $1 FOR UPDATE', [poiId]);
+      if (locked.rows.length === 0) {
+        throw new Error('POI not found');
+      }
+
+      const review = await change(client);
+
+      const poiResult = await client.query(`
+        UPDATE pois SET
+          average_rating = (SELECT COALESCE(ROUND(AVG(rating), 2), 0) FROM poi_reviews WHERE poi_id = $1),
+          review_count = (SELECT COUNT(*) FROM poi_reviews WHERE poi_id = $1)
+        WHERE id = $1
+        RETURNING *
+      `, [poiId]);
+      await client.query('COMMIT');
+      return { review, poi: poiResult.rows[0] };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async createPOIReview(poiId, reviewData) {
+    const subRatings = reviewData.subRatings || {};
+    return this.runPOIReviewChange(poiId, async (client) => {
+      const result = await client.query(`
+        INSERT INTO poi_reviews (id, poi_id, user_id, author, author_photo, rating, text, photo, value_rating, cleanliness_rating, crowd_rating)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *
+      `, [
+        reviewData.id,
+        poiId,
+        String(reviewData.userId),
+        reviewData.author || null,
+        reviewData.authorPhoto || null,
+        reviewData.rating,
+        reviewData.text,
+        reviewData.photo || null,
+        subRatings.value ?? null,
+        subRatings.cleanliness ?? null,
+        subRatings.crowdLevel ?? null
+      ]);
+      return result.rows[0];
+    });
+  }
+
+  async getPOIReview(reviewId) {
+    const query = 'SELECT * FROM poi_reviews WHERE id = $1';
+    const result = await pool.query(query, [String(reviewId)]);
+    return result.rows[0];
+  }
+
+  // Reviews of a POI in one of the REVIEW_SORT_SQL orders, optionally only
+  // with some star ratings or only those with a photo
+  async getPOIReviews(poiId, { sort = 'newest', ratings = null, withPhotos = false, limit = 20, offset = 0 } = {}) {
+    const values = [poiId];
+    const conditions = ['poi_id = $1'];
+    if (ratings) {
+      values.push(ratings);
+      conditions.push(`rating = ANY($${values.length}::int[])`);
+    }
+    if (withPhotos) {
+      conditions.push("photo IS NOT NULL AND photo <> ''");
+    }
+    values.push(limit, offset);
+    const query = `
+      SELECT *, COUNT(*) OVER() AS total_count
+      FROM poi_reviews
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${REVIEW_SORT_SQL[sort] || REVIEW_SORT_SQL.newest}
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `;
+    const result = await pool.query(query, values);
+    return {
+      reviews: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  // Star histogram (stars_1..stars_5) and the average and count of every
+  // sub-rating (<key>_average, <key>_count) of several POIs, in one query
+  async getRatingSummariesByPOIIds(poiIds) {
+    if (!poiIds.length) return [];
+    const stars = [1, 2, 3, 4, 5].map(star => `COUNT(*) FILTER (WHERE rating = ${star}) AS stars_${star}`);
+    const subRatings = Object.entries(SUB_RATING_COLUMNS).flatMap(([key, column]) => [
+      `AVG(${column}) AS "${key}_average"`,
+      `COUNT(${column}) AS "${key}_count"`
+    ]);
+    const query = `
+      SELECT poi_id, ${[...stars, ...subRatings].join(', ')}
+      FROM poi_reviews
+      WHERE poi_id = ANY($1::int[])
+      GROUP BY poi_id
+    `;
+    const result = await pool.query(query, [poiIds]);
+    return result.rows;
+  }
+
+  async getReviewsByPOIIds(poiIds) {
+    if (!poiIds.length) return [];
+    const query = 'SELECT * FROM poi_reviews WHERE poi_id = ANY($1::int[]) ORDER BY created_at, id';
+    const result = await pool.query(query, [poiIds]);
+    return result.rows;
+  }
+
+  async updatePOIReview(reviewId, updates) {
+    const existing = await this.getPOIReview(reviewId);
+    if (!existing) {
+      throw new Error('Review not found');
+    }
+
+    return this.runPOIReviewChange(existing.poi_id, async (client) => {
+      // Sub-ratings are kept when an update leaves them out
+      const subRatings = updates.subRatings || {
+        value: existing.value_rating,
+        cleanliness: existing.cleanliness_rating,
+        crowdLevel: existing.crowd_rating
+      };
+      const result = await client.query(`
+        UPDATE poi_reviews
+        SET rating = $1, text = $2, photo = $3, value_rating = $4, cleanliness_rating = $5, crowd_rating = $6,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $7
+        RETURNING *
+      `, [
+        updates.rating,
+        updates.text,
+        updates.photo || null,
+        subRatings.value ?? null,
+        subRatings.cleanliness ?? null,
+        subRatings.crowdLevel ?? null,
+        existing.id
+      ]);
+      if (result.rows.length === 0) {
+        throw new Error('Review not found');
+      }
+      return result.rows[0];
+    });
+  }
+
+  async deletePOIReview(reviewId) {
+    const existing = await this.getPOIReview(reviewId);
+    if (!existing) {
+      throw new Error('Review not found');
+    }
+
+    return this.runPOIReviewChange(existing.poi_id, async (client) => {
+      const result = await client.query('DELETE FROM poi_reviews WHERE id = $1 RETURNING *', [existing.id]);
+      if (result.rows.length === 0) {
+        throw new Error('Review not found');
+      }
+      await client.query(`DELETE FROM likes WHERE target_type = 'review' AND target_id = $1`, [existing.id]);
+      return result.rows[0];
+    });
+  }
+
+  // Like operations. Likes are rows in the likes table keyed by user and target;
+  // POIs, posts and reviews also keep a like_count, updated in the same
+  // transaction (comments have no counter of their own).
+  async setLike(userId, targetType, targetId, liked) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const values = [String(userId), targetType, String(targetId)];
+      const result = liked
+        ? await client.query(`
+            INSERT INTO likes (user_id, target_type, target_id) VALUES ($1, $2, $3)
+            ON CONFLICT (target_type, target_id, user_id) DO NOTHING
+          `, values)
+        : await client.query('DELETE FROM likes WHERE user_id = $1 AND target_type = $2 AND target_id = $3', values);
+
+      // Liking twice or unliking something not liked changes nothing
+      const changed = result.rowCount > 0;
+      const table = LIKE_COUNT_TABLES[targetType];
+      if (changed && table) {
+        await client.query(
+          `UPDATE ${table} SET like_count = GREATEST(COALESCE(like_count, 0) ${liked ? '+' : '-'} 1, 0) WHERE id = $1`,
+          [String(targetId)]
+        );
+      }
+
+      await client.query('COMMIT');
+      return { liked, changed };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async hasUserLiked(userId, targetType, targetId) {
+    const query = 'SELECT 1 FROM likes WHERE user_id = $1 AND target_type = $2 AND target_id = $3';
+    const result = await pool.query(query, [String(userId), targetType, String(targetId)]);
+    return result.rows.length > 0;
+  }
+
+  async getLikeCount(targetType, targetId) {
+    const query = 'SELECT COUNT(*) FROM likes WHERE target_type = $1 AND target_id = $2';
+    const result = await pool.query(query, [targetType, String(targetId)]);
+    return parseInt(result.rows[0].count);
+  }
+
+  // Current nickname (or name) of everyone who liked each target, oldest like first
+  async getLikerNicknames(targetType, targetIds) {
+    if (!targetIds.length) return [];
+    const query = `
+      SELECT l.target_id, COALESCE(NULLIF(u.traveler_profile->>'nickname', ''), u.name) AS nickname
+      FROM likes l
+      JOIN users u ON u.id = l.user_id
+      WHERE l.target_type = $1 AND l.target_id = ANY($2::text[])
+      ORDER BY l.created_at, l.id
+    `;
+    const result = await pool.query(query, [targetType, targetIds.map(String)]);
+    return result.rows;
+  }
+
+  async getLikers(targetType, targetId, limit = 50, offset = 0) {
+    const query = `
+      SELECT u.id, u.name,
+        u.traveler_profile->>'nickname' AS nickname,
+        u.traveler_profile->>'photo' AS photo,
+        l.created_at AS liked_at,
+        COUNT(*) OVER() AS total_count
+      FROM likes l
+      JOIN users u ON u.id = l.user_id
+      WHERE l.target_type = $1 AND l.target_id = $2
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT $3 OFFSET $4
+    `;
+    const result = await pool.query(query, [targetType, String(targetId), limit, offset]);
+    return {
+      users: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  // Verification token management
+  async createVerificationToken(email, token, type, expiresAt) {
+    const query = `
+      INSERT INTO verification_tokens (email, token, type, expires_at)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+    const result = await pool.query(query, [email, token, type, expiresAt]);
+    return result.rows[0];
+  }
+
+  async getVerificationToken(email, token, type) {
+    const query = `
+      SELECT * FROM verification_tokens 
+      WHERE email = $1 AND token = $2 AND type = $3 AND used = FALSE AND expires_at > NOW()
+    `;
+    const result = await pool.query(query, [email, token, type]);
+    return result.rows[0];
+  }
+
+  async markVerificationTokenAsUsed(tokenId) {
+    const query = `
+      UPDATE verification_tokens 
+      SET used = TRUE 
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await pool.query(query, [tokenId]);
+    return result.rows[0];
+  }
+
+  async deleteExpiredVerificationTokens() {
+    const query = `
+      DELETE FROM verification_tokens 
+      WHERE expires_at < NOW() OR used = TRUE
     `;
     const result = await pool.query(query);
     return result.rowCount;
@@ -778,7 +1844,8 @@ class DatabaseService {
     return result.rowCount;
   }
 
-  async updatePOI(poiId, updates) {
+  // client lets it run inside a caller's transaction
+  async updatePOI(poiId, updates, client = pool) {
     const updateFields = [];
     const values = [];
     let valueIndex = 1;
@@ -791,25 +1858,25 @@ class DatabaseService {
       updateFields.push(`description = $${valueIndex++}`);
       values.push(updates.description);
     }
-    if (updates.photos !== undefined) {
-      updateFields.push(`photos = $${valueIndex++}`);
-      values.push(JSON.stringify(updates.photos));
+    if (updates.location !== undefined) {
+      updateFields.push(`location = $${valueIndex++}`);
+      values.push(JSON.stringify(toPOILocation(updates.location)));
     }
     if (updates.icon !== undefined) {
       updateFields.push(`icon = $${valueIndex++}`);
       values.push(updates.icon);
     }
-    if (updates.reviews !== undefined) {
-      updateFields.push(`reviews = $${valueIndex++}`);
-      values.push(JSON.stringify(updates.reviews));
+    if (updates.openingHours !== undefined) {
+      updateFields.push(`opening_hours = $${valueIndex++}`);
+      values.push(updates.openingHours ? JSON.stringify(updates.openingHours) : null);
     }
-    if (updates.average_rating !== undefined) {
-      updateFields.push(`average_rating = $${valueIndex++}`);
-      values.push(updates.average_rating);
+    if (updates.website !== undefined) {
+      updateFields.push(`website = $${valueIndex++}`);
+      values.push(updates.website);
     }
-    if (updates.review_count !== undefined) {
-      updateFields.push(`review_count = $${valueIndex++}`);
-      values.push(updates.review_count);
+    if (updates.phone !== undefined) {
+      updateFields.push(`phone = $${valueIndex++}`);
+      values.push(updates.phone);
     }
     
     if (updateFields.length === 0) {
@@ -825,16 +1892,684 @@ class DatabaseService {
       RETURNING *
     `;
     
-    const result = await pool.query(query, values);
+    const result = await client.query(query, values);
     return result.rows[0];
   }
 
   async deletePOI(poiId) {
-    const query = 'DELETE FROM pois WHERE id = $1 RETURNING *';
+    // Likes of the POI and of its reviews go with it
+    const query = `
+      WITH deleted AS (
+        DELETE FROM pois WHERE id = $1 RETURNING *
+      ), removed_likes AS (
+        DELETE FROM likes
+        WHERE (target_type = 'poi' AND target_id = $1::text)
+          OR (target_type = 'review' AND target_id IN (SELECT id FROM poi_reviews WHERE poi_id = $1))
+      )
+      SELECT * FROM deleted
+    `;
     const result = await pool.query(query, [poiId]);
     return result.rows[0];
   }
 
+  // Merge a duplicate POI (sourceId) into the one that stays (targetId): its
+  // reviews, likes, photos, categories, expenses, collection entries and the
+  // posts connected to it move over, then it is deleted. Trip itineraries are
+  // repointed too, each with a revision by userId (who merged them). Returns
+  // { poi, moved } with the merged POI and how many of each were moved.
+  async mergePOIs(targetId, sourceId, userId = null) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // Lock both POIs (in id order, so two merges can't deadlock)
+      const locked = await client.query('SELECT * FROM pois WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE', [[targetId, sourceId]]);
+      const target = locked.rows.find(poi => poi.id === targetId);
+      const source = locked.rows.find(poi => poi.id === sourceId);
+      if (!target || !source) {
+        throw new Error('POI not found');
+      }
+
+      const reviews = await client.query('UPDATE poi_reviews SET poi_id = $1 WHERE poi_id = $2', [targetId, sourceId]);
+
+      // A user who liked both keeps one like
+      const likes = await client.query(`
+        INSERT INTO likes (user_id, target_type, target_id, created_at)
+        SELECT user_id, 'poi', $1::text, created_at FROM likes WHERE target_type = 'poi' AND target_id = $2::text
+        ON CONFLICT (target_type, target_id, user_id) DO NOTHING
+      `, [targetId, sourceId]);
+      await client.query(`DELETE FROM likes WHERE target_type = 'poi' AND target_id = $1::text`, [sourceId]);
+
+      await client.query(`
+        INSERT INTO poi_category_links (poi_id, category_id)
+        SELECT $1, category_id FROM poi_category_links WHERE poi_id = $2
+        ON CONFLICT DO NOTHING
+      `, [targetId, sourceId]);
+      const expenses = await client.query('UPDATE trip_expenses SET poi_id = $1 WHERE poi_id = $2', [targetId, sourceId]);
+      // Collections holding both keep the survivor's entry
+      const collectionItems = await client.query(`
+        INSERT INTO poi_collection_items (collection_id, poi_id, note, position, added_at)
+        SELECT collection_id, $1, note, position, added_at FROM poi_collection_items WHERE poi_id = $2
+        ON CONFLICT (collection_id, poi_id) DO NOTHING
+      `, [targetId, sourceId]);
+      const checkIns = await client.query('UPDATE poi_check_ins SET poi_id = $1 WHERE poi_id = $2', [targetId, sourceId]);
+
+      // Itinerary activities point at POIs by id inside the JSON; the text match
+      // only narrows down the trips to read. Each change is a trip revision, as
+      // with updateTrip, so members see it in the history and can restore it.
+      const trips = await client.query(
+        'SELECT * FROM trips WHERE itinerary::text ~ $1 FOR UPDATE',
+        [`"(poiId|poi_id|id)": "?${sourceId}"?[,}]`]
+      );
+      let tripActivities = 0;
+      for (const trip of trips.rows) {
+        const { itinerary, changed } = replaceActivityPoiId(trip.itinerary, sourceId, targetId);
+        if (changed > 0) {
+          const updated = await client.query(
+            'UPDATE trips SET itinerary = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+            [JSON.stringify(itinerary), trip.id]
+          );
+          const before = getTripSnapshot(trip);
+          await this.createTripRevision(trip.id, {
+            userId,
+            changedFields: ['itinerary'],
+            previousValues: pickFields(before, ['itinerary']),
+            snapshot: getTripSnapshot(updated.rows[0])
+          }, client);
+          tripActivities += changed;
+        }
+      }
+
+      // Photos go after the survivor's own; ones it already has (same URL) are dropped
+      await client.query(`
+        DELETE FROM poi_photos WHERE poi_id = $2 AND url IN (SELECT url FROM poi_photos WHERE poi_id = $1)
+      `, [targetId, sourceId]);
+      const photos = await client.query(`
+        UPDATE poi_photos SET
+          poi_id = $1,
+          position = position + (SELECT COALESCE(MAX(position) + 1, 0) FROM poi_photos WHERE poi_id = $1)
+        WHERE poi_id = $2
+      `, [targetId, sourceId]);
+
+      const poiResult = await client.query(`
+        UPDATE pois SET
+          photos = COALESCE((SELECT jsonb_agg(url ORDER BY position, id) FROM poi_photos WHERE poi_id = $1), '[]'),
+          description = COALESCE(NULLIF(description, ''), $2),
+          average_rating = (SELECT COALESCE(ROUND(AVG(rating), 2), 0) FROM poi_reviews WHERE poi_id = $1),
+          review_count = (SELECT COUNT(*) FROM poi_reviews WHERE poi_id = $1),
+          like_count = (SELECT COUNT(*) FROM likes WHERE target_type = 'poi' AND target_id = $1::text)
+        WHERE id = $1
+        RETURNING *
+      `, [targetId, source.description || '']);
+      const poi = poiResult.rows[0];
+
+      // Posts keep a copy of the POI they are connected to; point it at the merged one
+      const posts = await client.query(`
+        UPDATE posts SET connected_poi = connected_poi || $2::jsonb
+        WHERE jsonb_typeof(connected_poi) = 'object' AND connected_poi->>'id' = $1::text
+      `, [sourceId, JSON.stringify({
+        id: poi.id,
+        name: poi.name,
+        description: poi.description,
+        coordinates: readCoordinates(poi.location),
+        photo: poi.photos[0] || null,
+        icon: poi.icon,
+        type: poi.type,
+        author: poi.author,
+        user_id: poi.user_id
+      })]);
+
+      await client.query('DELETE FROM pois WHERE id = $1', [sourceId]);
+      await client.query('COMMIT');
+
+      return {
+        poi,
+        moved: {
+          reviews: reviews.rowCount,
+          likes: likes.rowCount,
+          photos: photos.rowCount,
+          expenses: expenses.rowCount,
+          collectionItems: collectionItems.rowCount,
+          checkIns: checkIns.rowCount,
+          tripActivities,
+          posts: posts.rowCount
+        }
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // POI change operations. Tracked fields (see utils/poi-edits) are changed
+  // through applyPOIChanges so every change lands in the poi_changes log.
+
+  // Apply proposed values to a POI inside a transaction and log the ones that
+  // differ. Returns the poi_changes row, or null when nothing changed.
+  async applyPOIChanges(client, poiId, changes, { userId, source = 'edit', suggestionId = null }) {
+    const poiResult = await client.query('SELECT * FROM pois WHERE id = $1 FOR UPDATE', [poiId]);
+    if (poiResult.rows.length === 0) {
+      throw new Error('POI not found');
+    }
+    const links = await client.query('SELECT category_id FROM poi_category_links WHERE poi_id = $1', [poiId]);
+    const diff = diffPOIEdit(getPOIEditSnapshot(poiResult.rows[0], links.rows.map(row => row.category_id)), changes);
+    if (Object.keys(diff).length === 0) return null;
+
+    const { categories, ...fields } = Object.fromEntries(Object.entries(diff).map(([field, { to }]) => [field, to]));
+    if (Object.keys(fields).length > 0) {
+      await this.updatePOI(poiId, fields, client);
+    }
+    if (categories) {
+      await replacePOICategoryLinks(client, poiId, categories);
+    }
+
+    const result = await client.query(`
+      INSERT INTO poi_changes (poi_id, user_id, source, suggestion_id, changes)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [poiId, userId ? String(userId) : null, source, suggestionId, JSON.stringify(diff)]);
+    return result.rows[0];
+  }
+
+  // A direct edit by the POI's creator. Returns the change log row or null.
+  async editPOI(poiId, changes, userId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const change = await this.applyPOIChanges(client, poiId, changes, { userId, source: 'edit' });
+      await client.query('COMMIT');
+      return change;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getPOIChanges(poiId, limit = 20, offset = 0) {
+    const query = `
+      SELECT c.*, COALESCE(NULLIF(u.traveler_profile->>'nickname', ''), u.name) AS user_name,
+             COUNT(*) OVER() AS total_count
+      FROM poi_changes c
+      LEFT JOIN users u ON u.id = c.user_id
+      WHERE c.poi_id = $1
+      ORDER BY c.created_at DESC, c.id DESC
+      LIMIT $2 OFFSET $3
+    `;
+    const result = await pool.query(query, [poiId, limit, offset]);
+    return {
+      changes: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  // POI edit suggestion operations
+  async createPOIEditSuggestion(poiId, { userId, changes, comment }) {
+    const query = `
+      INSERT INTO poi_edit_suggestions (poi_id, user_id, changes, comment)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+    const result = await pool.query(query, [poiId, String(userId), JSON.stringify(changes), comment || null]);
+    return result.rows[0];
+  }
+
+  async getPOIEditSuggestion(suggestionId) {
+    const query = `
+      SELECT s.*, p.name AS poi_name, COALESCE(NULLIF(u.traveler_profile->>'nickname', ''), u.name) AS user_name
+      FROM poi_edit_suggestions s
+      JOIN pois p ON p.id = s.poi_id
+      LEFT JOIN users u ON u.id = s.user_id
+      WHERE s.id = $1
+    `;
+    const result = await pool.query(query, [suggestionId]);
+    return result.rows[0];
+  }
+
+  // Suggestions, oldest first, narrowed by any of: poiId, status, userId (who
+  // suggested them) and ownerId (who created the POIs)
+  async getPOIEditSuggestions({ poiId = null, status = null, userId = null, ownerId = null, limit = 20, offset = 0 } = {}) {
+    const conditions = [];
+    const values = [];
+    if (poiId) {
+      values.push(poiId);
+      conditions.push(`s.poi_id = $${values.length}`);
+    }
+    if (status) {
+      values.push(status);
+      conditions.push(`s.status = $${values.length}`);
+    }
+    if (userId) {
+      values.push(String(userId));
+      conditions.push(`s.user_id = $${values.length}`);
+    }
+    if (ownerId) {
+      values.push(String(ownerId));
+      conditions.push(`p.user_id = $${values.length}`);
+    }
+    values.push(limit, offset);
+    const query = `
+      SELECT s.*, p.name AS poi_name, COALESCE(NULLIF(u.traveler_profile->>'nickname', ''), u.name) AS user_name,
+             COUNT(*) OVER() AS total_count
+      FROM poi_edit_suggestions s
+      JOIN pois p ON p.id = s.poi_id
+      LEFT JOIN users u ON u.id = s.user_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY s.created_at, s.id
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `;
+    const result = await pool.query(query, values);
+    return {
+      suggestions: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  // Approve (apply the suggested values) or reject a pending suggestion.
+  // Returns { suggestion, change } with the change log row when something changed.
+  async reviewPOIEditSuggestion(suggestionId, { status, reviewerId, note }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const existing = await client.query('SELECT * FROM poi_edit_suggestions WHERE id = $1 FOR UPDATE', [suggestionId]);
+      const suggestion = existing.rows[0];
+      if (!suggestion) {
+        throw new Error('Suggestion not found');
+      }
+      if (suggestion.status !== 'pending') {
+        throw new Error('Suggestion already reviewed');
+      }
+
+      let change = null;
+      if (status === 'approved') {
+        const proposed = Object.fromEntries(Object.entries(suggestion.changes).map(([field, { to }]) => [field, to]));
+        try {
+          change = await this.applyPOIChanges(client, suggestion.poi_id, proposed, {
+            userId: reviewerId,
+            source: 'suggestion',
+            suggestionId: suggestion.id
+          });
+        } catch (error) {
+          // A suggested category was deleted after the route checked them
+          if (error.code === '23503' && error.constraint === 'poi_category_links_category_id_fkey') {
+            throw new Error('Suggested categories no longer exist');
+          }
+          throw error;
+        }
+      }
+
+      const result = await client.query(`
+        UPDATE poi_edit_suggestions
+        SET status = $2, review_note = $3, reviewed_by = $4, reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [suggestionId, status, note || null, String(reviewerId)]);
+      await client.query('COMMIT');
+      return { suggestion: result.rows[0], change };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Withdraw a suggestion that hasn't been reviewed yet
+  async deletePOIEditSuggestion(suggestionId) {
+    const query = `DELETE FROM poi_edit_suggestions WHERE id = $1 AND status = 'pending' RETURNING *`;
+    const result = await pool.query(query, [suggestionId]);
+    if (result.rows.length === 0) {
+      throw new Error('Suggestion already reviewed');
+    }
+    return result.rows[0];
+  }
+
+  // POI collection operations
+  async createCollection(userId, collection) {
+    const query = `
+      INSERT INTO poi_collections (user_id, name, description, share_type, share_id)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *, 0 AS item_count
+    `;
+    const values = [
+      String(userId),
+      collection.name,
+      collection.description || null,
+      collection.shareType || 'private',
+      collection.shareId || null
+    ];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  async getCollectionById(collectionId) {
+    const query = `
+      SELECT c.*, (SELECT COUNT(*) FROM poi_collection_items WHERE collection_id = c.id) AS item_count
+      FROM poi_collections c
+      WHERE c.id = $1
+    `;
+    const result = await pool.query(query, [collectionId]);
+    return result.rows[0];
+  }
+
+  async getCollectionByShareId(shareId) {
+    const query = `
+      SELECT c.*, (SELECT COUNT(*) FROM poi_collection_items WHERE collection_id = c.id) AS item_count
+      FROM poi_collections c
+      WHERE c.share_id = $1
+    `;
+    const result = await pool.query(query, [shareId]);
+    return result.rows[0];
+  }
+
+  // A user's collections, most recently changed first. poiId adds has_poi to
+  // each, telling whether that POI is in it.
+  async getCollectionsByUser(userId, poiId = null) {
+    const query = `
+      SELECT c.*,
+        (SELECT COUNT(*) FROM poi_collection_items WHERE collection_id = c.id) AS item_count,
+        EXISTS (SELECT 1 FROM poi_collection_items WHERE collection_id = c.id AND poi_id = $2) AS has_poi
+      FROM poi_collections c
+      WHERE c.user_id = $1
+      ORDER BY c.updated_at DESC, c.id DESC
+    `;
+    const result = await pool.query(query, [String(userId), poiId]);
+    return result.rows;
+  }
+
+  // Public collections, most recently changed first, with the owner's profile
+  async getPublicCollections(limit = 20, offset = 0) {
+    const query = `
+      SELECT c.*, (SELECT COUNT(*) FROM poi_collection_items WHERE collection_id = c.id) AS item_count,
+             u.name AS owner_name, u.traveler_profile AS owner_profile,
+             COUNT(*) OVER() AS total_count
+      FROM poi_collections c
+      LEFT JOIN users u ON u.id = c.user_id
+      WHERE c.share_type = 'public'
+      ORDER BY c.updated_at DESC, c.id DESC
+      LIMIT $1 OFFSET $2
+    `;
+    const result = await pool.query(query, [limit, offset]);
+    return {
+      collections: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  async updateCollection(collectionId, updates) {
+    const updateFields = [];
+    const values = [];
+    let valueIndex = 1;
+
+    if (updates.name !== undefined) {
+      updateFields.push(`name = $${valueIndex++}`);
+      values.push(updates.name);
+    }
+    if (updates.description !== undefined) {
+      updateFields.push(`description = $${valueIndex++}`);
+      values.push(updates.description);
+    }
+    if (updates.shareType !== undefined) {
+      updateFields.push(`share_type = $${valueIndex++}`);
+      values.push(updates.shareType);
+    }
+    if (updates.shareId !== undefined) {
+      updateFields.push(`share_id = $${valueIndex++}`);
+      values.push(updates.shareId);
+    }
+
+    if (updateFields.length === 0) {
+      throw new Error('No valid update fields provided');
+    }
+
+    updateFields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(collectionId); // collectionId is always the last parameter
+
+    const query = `
+      UPDATE poi_collections
+      SET ${updateFields.join(', ')}
+      WHERE id = $${valueIndex}
+      RETURNING *, (SELECT COUNT(*) FROM poi_collection_items WHERE collection_id = poi_collections.id) AS item_count
+    `;
+    const result = await pool.query(query, values);
+    if (result.rows.length === 0) {
+      throw new Error('Collection not found');
+    }
+    return result.rows[0];
+  }
+
+  async deleteCollection(collectionId) {
+    const query = 'DELETE FROM poi_collections WHERE id = $1 RETURNING *';
+    const result = await pool.query(query, [collectionId]);
+    return result.rows[0];
+  }
+
+  // Items in collection order, each a POI row with item_note, item_position and item_added_at
+  async getCollectionItems(collectionId) {
+    const query = `
+      SELECT p.*, i.note AS item_note, i.position AS item_position, i.added_at AS item_added_at
+      FROM poi_collection_items i
+      JOIN pois p ON p.id = i.poi_id
+      WHERE i.collection_id = $1
+      ORDER BY i.position, i.added_at, p.id
+    `;
+    const result = await pool.query(query, [collectionId]);
+    return result.rows;
+  }
+
+  // Add a POI at the end of a collection
+  async addCollectionItem(collectionId, poiId, note = null) {
+    const query = `
+      WITH inserted AS (
+        INSERT INTO poi_collection_items (collection_id, poi_id, note, position)
+        VALUES ($1, $2, $3, (SELECT COALESCE(MAX(position) + 1, 0) FROM poi_collection_items WHERE collection_id = $1))
+        ON CONFLICT (collection_id, poi_id) DO NOTHING
+        RETURNING *
+      ), touched AS (
+        UPDATE poi_collections SET updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND EXISTS (SELECT 1 FROM inserted)
+      )
+      SELECT * FROM inserted
+    `;
+    const result = await pool.query(query, [collectionId, poiId, note]);
+    if (result.rows.length === 0) {
+      throw new Error('POI already in collection');
+    }
+    return result.rows[0];
+  }
+
+  async updateCollectionItem(collectionId, poiId, { note }) {
+    const query = `
+      UPDATE poi_collection_items SET note = $3
+      WHERE collection_id = $1 AND poi_id = $2
+      RETURNING *
+    `;
+    const result = await pool.query(query, [collectionId, poiId, note]);
+    if (result.rows.length === 0) {
+      throw new Error('Item not found');
+    }
+    await pool.query('UPDATE poi_collections SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [collectionId]);
+    return result.rows[0];
+  }
+
+  async removeCollectionItem(collectionId, poiId) {
+    const query = 'DELETE FROM poi_collection_items WHERE collection_id = $1 AND poi_id = $2 RETURNING *';
+    const result = await pool.query(query, [collectionId, poiId]);
+    if (result.rows.length === 0) {
+      throw new Error('Item not found');
+    }
+    await pool.query('UPDATE poi_collections SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [collectionId]);
+    return result.rows[0];
+  }
+
+  // Put a collection in the order of poiIds, which must list each of its POIs once
+  async reorderCollectionItems(collectionId, poiIds) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT id FROM poi_collections WHERE id = $1 FOR UPDATE', [collectionId]);
+      const current = await client.query('SELECT poi_id FROM poi_collection_items WHERE collection_id = $1', [collectionId]);
+      const currentIds = current.rows.map(row => row.poi_id);
+      if (poiIds.length !== currentIds.length || new Set(poiIds).size !== poiIds.length ||
+          !poiIds.every(id => currentIds.includes(id))) {
+        throw new Error('POI ids must list every POI of the collection once');
+      }
+      await client.query(`
+        UPDATE poi_collection_items SET position = ordered.position - 1
+        FROM UNNEST($2::int[]) WITH ORDINALITY AS ordered(poi_id, position)
+        WHERE poi_collection_items.collection_id = $1 AND poi_collection_items.poi_id = ordered.poi_id
+      `, [collectionId, poiIds]);
+      await client.query('UPDATE poi_collections SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [collectionId]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Check-in operations
+
+  // Record a check-in and make its position the user's last known location.
+  // Throws 'Already checked in recently' within cooldownHours of the user's
+  // last check-in at the same POI.
+  async createCheckIn(checkIn, cooldownHours) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // Lock the user so two check-ins at once can't both pass the cooldown check
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [checkIn.userId]);
+      const recent = await client.query(`
+        SELECT 1 FROM poi_check_ins
+        WHERE poi_id = $1 AND user_id = $2 AND created_at > CURRENT_TIMESTAMP - make_interval(hours => $3)
+      `, [checkIn.poiId, checkIn.userId, cooldownHours]);
+      if (recent.rows.length > 0) {
+        throw new Error('Already checked in recently');
+      }
+
+      const result = await client.query(`
+        INSERT INTO poi_check_ins (poi_id, user_id, location, distance_m, city, country, note)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, [
+        checkIn.poiId,
+        checkIn.userId,
+        JSON.stringify(checkIn.location),
+        checkIn.distanceM,
+        checkIn.city || null,
+        checkIn.country || null,
+        checkIn.note || null
+      ]);
+      const saved = result.rows[0];
+      await client.query('UPDATE users SET last_known_location = $2 WHERE id = $1', [
+        checkIn.userId,
+        JSON.stringify({ ...checkIn.location, poiId: checkIn.poiId, updatedAt: saved.created_at })
+      ]);
+      await client.query('COMMIT');
+      return saved;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // A user's check-ins, newest first, with the POI of each (poi_* columns)
+  async getCheckInsByUser(userId, { poiId = null, limit = 20, offset = 0 } = {}) {
+    const values = [userId];
+    let poiCondition = '';
+    if (poiId !== null) {
+      values.push(poiId);
+      poiCondition = `AND c.poi_id = $${values.length}`;
+    }
+    values.push(limit, offset);
+    const query = `
+      SELECT c.*, p.name AS poi_name, p.icon AS poi_icon, p.type AS poi_type, p.location AS poi_location,
+             COUNT(*) OVER() AS total_count
+      FROM poi_check_ins c
+      JOIN pois p ON p.id = c.poi_id
+      WHERE c.user_id = $1 ${poiCondition}
+      ORDER BY c.created_at DESC, c.id DESC
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `;
+    const result = await pool.query(query, values);
+    return {
+      checkIns: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  // The POIs a user has checked in at, most recently visited first, with
+  // visit_count, first_visited_at and last_visited_at
+  async getVisitedPlaces(userId, { limit = 20, offset = 0 } = {}) {
+    const query = `
+      SELECT p.*, v.visit_count, v.first_visited_at, v.last_visited_at,
+             COUNT(*) OVER() AS total_count
+      FROM (
+        SELECT poi_id, COUNT(*) AS visit_count, MIN(created_at) AS first_visited_at, MAX(created_at) AS last_visited_at
+        FROM poi_check_ins
+        WHERE user_id = $1
+        GROUP BY poi_id
+      ) v
+      JOIN pois p ON p.id = v.poi_id
+      ORDER BY v.last_visited_at DESC, p.id DESC
+      LIMIT $2 OFFSET $3
+    `;
+    const result = await pool.query(query, [userId, limit, offset]);
+    return {
+      places: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  // Check-in and distinct visitor counts of several POIs, in one query
+  async getCheckInCountsByPOIIds(poiIds) {
+    if (poiIds.length === 0) return [];
+    const query = `
+      SELECT poi_id, COUNT(*) AS visit_count, COUNT(DISTINCT user_id) AS visitor_count
+      FROM poi_check_ins
+      WHERE poi_id = ANY($1::int[])
+      GROUP BY poi_id
+    `;
+    const result = await pool.query(query, [poiIds]);
+    return result.rows;
+  }
+
+  // Countries, cities and POIs a user has checked in at. Places are compared
+  // case-insensitively; a city counts once per country.
+  async getUserVisitStats(userId) {
+    const query = `
+      SELECT
+        COUNT(DISTINCT LOWER(TRIM(country))) AS countries,
+        COUNT(DISTINCT LOWER(TRIM(city)) || '|' || COALESCE(LOWER(TRIM(country)), '')) AS cities,
+        COUNT(DISTINCT poi_id) AS pois,
+        COUNT(*) AS check_ins
+      FROM poi_check_ins
+      WHERE user_id = $1
+    `;
+    const result = await pool.query(query, [String(userId)]);
+    const row = result.rows[0];
+    return {
+      countries: parseInt(row.countries),
+      cities: parseInt(row.cities),
+      pois: parseInt(row.pois),
+      checkIns: parseInt(row.check_ins)
+    };
+  }
+
+  // Delete one of a user's check-ins; throws 'Check-in not found' otherwise
+  async deleteCheckIn(checkInId, userId) {
+    const result = await pool.query('DELETE FROM poi_check_ins WHERE id = $1 AND user_id = $2 RETURNING *', [checkInId, userId]);
+    if (result.rows.length === 0) {
+      throw new Error('Check-in not found');
+    }
+    return result.rows[0];
+  }
+
   // Post operations
   async createPost(postData) {
     try {
@@ -845,8 +2580,8 @@ class DatabaseService {
       console.log('🗄️ Database: UserId type check:', typeof userId, 'Value:', userId);
       
       const query = `
-        INSERT INTO posts (user_id, content, photos, location, connected_poi, likes, comments, like_count, comment_count, created_at)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        INSERT INTO posts (user_id, content, photos, location, connected_poi, likes, comments, like_count, comment_count, created_at, expires_at, community_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
         RETURNING *
       `;
       
@@ -860,7 +2595,9 @@ class DatabaseService {
         JSON.stringify(postData.comments || []),
         postData.likes?.length || 0,
         postData.comments?.length || 0,
-        postData.createdAt ? new Date(postData.createdAt) : new Date()
+        postData.createdAt ? new Date(postData.createdAt) : new Date(),
+        postData.expiresAt || null,
+        postData.communityId || null
       ];
       
       console.log('🗄️ Database: Query values:', values);
@@ -881,17 +2618,96 @@ class DatabaseService {
   }
 
   async getAllPosts() {
-    const query = 'SELECT * FROM posts ORDER BY created_at DESC';
+    const query = `SELECT * FROM posts WHERE ${VISIBLE_POST_SQL} ORDER BY created_at DESC`;
     const result = await pool.query(query);
     return result.rows;
   }
 
+  // One page of visible posts, newest first. Returns { posts, total }.
+  async getPosts(limit, offset) {
+    const query = `
+      SELECT *, COUNT(*) OVER() AS total_count
+      FROM posts
+      WHERE ${VISIBLE_POST_SQL}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $1 OFFSET $2
+    `;
+    const result = await pool.query(query, [limit, offset]);
+    return {
+      posts: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  // One page of the home feed, ranked by sort (see src/utils/feed.js) as of the
+  // time asOf. after is the { rank, createdAt, id } of the previous page's last
+  // post. Rows carry feed_rank and cursor_created_at for the next cursor.
+  async getFeedPosts({ sort, asOf, after = null, friendIds = [], origin = null, radiusKm = null, limit = 20 }) {
+    const values = [asOf];
+    const conditions = ['created_at <= $1::timestamptz', VISIBLE_POST_SQL];
+    let rankSql = '0';
+
+    if (sort === 'trending') {
+      // Older posts aren't candidates; idx_posts_created_at keeps this cheap
+      values.push(TRENDING_MAX_POST_AGE_DAYS);
+      conditions.push(`created_at > $1::timestamptz - make_interval(days => $${values.length})`);
+      values.push(TRENDING_WINDOW_HOURS);
+      const windowStart = `$1::timestamptz - make_interval(hours => $${values.length})`;
+      rankSql = `(
+        (SELECT COUNT(*) FROM likes l
+         WHERE l.target_type = 'post' AND l.target_id = posts.id::text
+           AND l.created_at > ${windowStart} AND l.created_at <= $1::timestamptz)
+        + ${TRENDING_COMMENT_WEIGHT} * (SELECT COUNT(*) FROM (
+            SELECT CASE WHEN c->>'createdAt' ~ '^[0-9]{4}-[0-9]{2}-[0-9]{2}T' THEN (c->>'createdAt')::timestamptz END AS created_at
+            FROM jsonb_array_elements(CASE WHEN jsonb_typeof(comments) = 'array' THEN comments ELSE '[]'::jsonb END) c
+          ) comment
+          WHERE comment.created_at > ${windowStart} AND comment.created_at <= $1::timestamptz)
+      )`;
+    } else if (sort === 'friends') {
+      values.push(friendIds);
+      rankSql = `CASE WHEN user_id = ANY($${values.length}::text[]) THEN 1 ELSE 0 END`;
+    } else if (sort === 'nearby') {
+      conditions.push('geo_point IS NOT NULL');
+      conditions.push(boundingBoxCondition(getRadiusBoundingBox(origin, radiusKm), values));
+      values.push(origin.lat, origin.lng, radiusKm);
+      const distance = distanceKmSql(values.length - 2, values.length - 1);
+      conditions.push(`${distance} <= $${values.length}`);
+      // Nearest first: every ordering is descending, so rank by negative distance
+      rankSql = `-${distance}`;
+    }
+
+    let afterCondition = '';
+    if (after) {
+      values.push(after.rank, after.createdAt, after.id);
+      afterCondition = `WHERE (feed_rank, created_at, id) < ($${values.length - 2}::float8, $${values.length - 1}::timestamp, $${values.length}::int)`;
+    }
+    values.push(limit);
+    const query = `
+      SELECT * FROM (
+        SELECT *, (${rankSql})::float8 AS feed_rank, created_at::text AS cursor_created_at
+        FROM posts
+        WHERE ${conditions.join(' AND ')}
+      ) feed
+      ${afterCondition}
+      ORDER BY feed_rank DESC, created_at DESC, id DESC
+      LIMIT $${values.length}
+    `;
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
   async getPostById(postId) {
     const query = 'SELECT * FROM posts WHERE id = $1';
     const result = await pool.query(query, [postId]);
     return result.rows[0];
   }
 
+  async getPostByCommentId(commentId) {
+    const query = `SELECT * FROM posts WHERE comments @> jsonb_build_array(jsonb_build_object('id', $1::text))`;
+    const result = await pool.query(query, [String(commentId)]);
+    return result.rows[0];
+  }
+
   async getCommunityById(communityId) {
     const query = 'SELECT * FROM communities WHERE id = $1';
     const result = await pool.query(query, [communityId]);
@@ -924,6 +2740,11 @@ class DatabaseService {
       updateFields.push(`connected_poi = $${valueIndex++}`);
       values.push(JSON.stringify(updates.connected_poi));
     }
+
+    if (updates.expires_at !== undefined) {
+      updateFields.push(`expires_at = $${valueIndex++}`);
+      values.push(updates.expires_at);
+    }
     
     if (updateFields.length === 0) {
       throw new Error('No valid update fields provided');
@@ -943,29 +2764,77 @@ class DatabaseService {
   }
 
   async deletePost(postId) {
-    const query = 'DELETE FROM posts WHERE id = $1 RETURNING *';
+    const query = `
+      WITH deleted AS (
+        DELETE FROM posts WHERE id = $1 RETURNING *
+      ), ${REMOVE_POST_LIKES_SQL}
+      SELECT * FROM deleted
+    `;
     const result = await pool.query(query, [postId]);
     return result.rows[0];
   }
 
-  async deletePostsOlderThan(hours) {
+  // Move posts past their expires_at, or older than their community's
+  // retention, to their authors' archives
+  async archiveExpiredPosts() {
     const query = `
-      DELETE FROM posts 
-      WHERE created_at < NOW() - INTERVAL '${hours} hours'
-      RETURNING id, created_at
+      UPDATE posts SET archived_at = CURRENT_TIMESTAMP, archive_reason = 'expired'
+      WHERE archived_at IS NULL AND (
+        expires_at <= CURRENT_TIMESTAMP OR
+        community_id IN (
+          SELECT id FROM communities
+          WHERE post_retention_hours IS NOT NULL
+            AND posts.created_at <= CURRENT_TIMESTAMP - make_interval(hours => post_retention_hours)
+        )
+      )
+      RETURNING id, user_id, created_at, content
     `;
     const result = await pool.query(query);
     return result.rows;
   }
 
-  async getPostsOlderThan(hours) {
+  // Move a post to its author's archive; throws 'Post not found' when it isn't
+  // theirs or is already archived
+  async archivePost(postId, userId) {
+    const query = `
+      UPDATE posts SET archived_at = CURRENT_TIMESTAMP, archive_reason = 'deleted'
+      WHERE id = $1 AND user_id = $2 AND archived_at IS NULL
+      RETURNING *
+    `;
+    const result = await pool.query(query, [postId, String(userId)]);
+    if (result.rows.length === 0) {
+      throw new Error('Post not found');
+    }
+    return result.rows[0];
+  }
+
+  // A user's archived posts, most recently archived first
+  async getArchivedPostsByUser(userId, limit = 20, offset = 0) {
     const query = `
-      SELECT id, created_at, content 
-      FROM posts 
-      WHERE created_at < NOW() - INTERVAL '${hours} hours'
-      ORDER BY created_at ASC
+      SELECT *, COUNT(*) OVER() AS total_count
+      FROM posts
+      WHERE user_id = $1 AND archived_at IS NOT NULL
+      ORDER BY archived_at DESC, id DESC
+      LIMIT $2 OFFSET $3
     `;
-    const result = await pool.query(query);
+    const result = await pool.query(query, [String(userId), limit, offset]);
+    return {
+      posts: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  // Delete posts archived more than days ago, with their likes
+  async deleteArchivedPosts(days) {
+    const query = `
+      WITH deleted AS (
+        DELETE FROM posts
+        WHERE archived_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+        RETURNING *
+      ), ${REMOVE_POST_LIKES_SQL}
+      SELECT id, created_at, photos FROM deleted
+    `;
+    const result = await pool.query(query, [days]);
     return result.rows;
   }
 
@@ -1010,6 +2879,11 @@ class DatabaseService {
       updateFields.push(`members = $${valueIndex++}`);
       values.push(JSON.stringify(updates.members));
     }
+
+    if (updates.postRetentionHours !== undefined) {
+      updateFields.push(`post_retention_hours = $${valueIndex++}`);
+      values.push(updates.postRetentionHours);
+    }
     
     if (updateFields.length === 0) {
       throw new Error('No valid update fields provided');
@@ -1,4 +1,5 @@
 const { API_CONFIG } = require('../config/api');
+const { validateItinerary, extractItineraryBlock } = require('../utils/itinerary-validator');
 
 // Define missing types (converted to JSDoc for JavaScript)
 /**
@@ -825,19 +826,16 @@ const grokService = new GrokService();
 const extractItineraryFromResponse = (response) => {
   try {
     // Look for itinerary data in a JSON block
-    const match = response.match(/```json\n([\s\S]*?)\n```/);
-    if (match) {
-      const jsonData = JSON.parse(match[1]);
-      if (Array.isArray(jsonData)) {
-        return jsonData.map((day) => ({
-          day: day.day,
-          activities: day.activities.map((activity) => ({
-            time: activity.time,
-            activity: activity.activity,
-            icon: activity.icon || getActivityIcon(activity.activity),
-          })),
-        }));
-      }
+    const jsonData = extractItineraryBlock(response);
+    if (jsonData) {
+      return jsonData.map((day) => ({
+        day: day.day,
+        activities: day.activities.map((activity) => ({
+          time: activity.time,
+          activity: activity.activity,
+          icon: activity.icon || getActivityIcon(activity.activity),
+        })),
+      }));
     }
     return undefined;
   } catch (error) {
@@ -846,6 +844,15 @@ const extractItineraryFromResponse = (response) => {
   }
 };
 
+// Helper function to extract the itinerary of an AI response together with
+// its validation ({ itinerary, valid, warnings }), checked against the trip
+// dates when given ({ startDate, endDate })
+const extractValidatedItinerary = (response, options = {}) => {
+  const itinerary = extractItineraryFromResponse(response);
+  if (!itinerary) return undefined;
+  return { itinerary, ...validateItinerary(itinerary, options) };
+};
+
 // Helper function to get an appropriate icon for an activity
 const getActivityIcon = (activity) => {
   const lowerActivity = activity.toLowerCase();
@@ -922,6 +929,7 @@ const mergeItineraries = (existing = [], updates = []) => {
 module.exports = {
   grokService,
   extractItineraryFromResponse,
+  extractValidatedItinerary,
   getActivityIcon,
   mergeItineraries
 }; 
\ No newline at end of file
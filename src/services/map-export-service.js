@@ -0,0 +1,219 @@
+const {
+  getItineraryDays,
+  normalizeActivity,
+  parseActivityTime,
+  getDayDate,
+  getActivityCoordinates,
+  getActivityPoiId
+} = require('../utils/itinerary');
+const { readCoordinates } = require('../utils/geo');
+const { resolveTripTimezone, zonedTimeToUtc } = require('./calendar-service');
+
+// Builds offline-map files (GPX, KML, GeoJSON) from trips and POIs.
+//
+// Everything goes through one intermediate shape first:
+//   { name, waypoints: [{ name, description, lat, lng, day, time, icon, type, poiId }],
+//     routes: [{ name, day, points: [{ name, lat, lng }] }] }
+// so each format only has to serialize it.
+
+const EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const xmlElement = (tag, value) => (value === null || value === undefined || value === '')
+  ? ''
+  : `<${tag}>${escapeXml(value)}</${tag}>`;
+
+// Get { lat, lng } of a POI row
+const getPOICoordinates = (poi) => readCoordinates(poi.location);
+
+// Collect waypoints and per-day routes from a trip itinerary. Activities are
+// placed by their own coordinates or by the POI they reference (poisById).
+const buildTripCollection = (trip, poisById = new Map()) => {
+  const timezone = resolveTripTimezone(trip);
+  const waypoints = [];
+  const routes = [];
+
+  getItineraryDays(trip.itinerary).forEach((day, index) => {
+    const dayNumber = Number.isInteger(day?.day) ? day.day : index + 1;
+    const date = getDayDate(day, index, trip.start_date);
+    const dayPoints = [];
+
+    (Array.isArray(day?.activities) ? day.activities : []).forEach((raw, activityIndex) => {
+      const activity = normalizeActivity(raw);
+      if (!activity) return;
+
+      const poiId = getActivityPoiId(activity);
+      const poi = poiId ? poisById.get(poiId) : null;
+      const coordinates = getActivityCoordinates(activity) || (poi ? getPOICoordinates(poi) : null);
+      if (!coordinates) return;
+
+      const time = parseActivityTime(activity);
+      dayPoints.push({
+        sortKey: time ? time.start.hours * 60 + time.start.minutes : null,
+        activityIndex,
+        waypoint: {
+          name: activity.title,
+          description: activity.description || activity.notes || poi?.description || null,
+          lat: coordinates.lat,
+          lng: coordinates.lng,
+          day: dayNumber,
+          date,
+          time: time ? activity.time || activity.startTime : null,
+          timestamp: time && date ? zonedTimeToUtc(date, time.start, timezone).toISOString() : null,
+          icon: activity.icon || poi?.icon || null,
+          type: poi?.type || null,
+          poiId: poi ? poi.id : null
+        }
+      });
+    });
+
+    // Timed activities in time order; untimed ones keep their place in the list
+    dayPoints.sort((a, b) => (a.sortKey ?? Infinity) - (b.sortKey ?? Infinity) || a.activityIndex - b.activityIndex);
+    const dayWaypoints = dayPoints.map(point => point.waypoint);
+    waypoints.push(...dayWaypoints);
+
+    if (dayWaypoints.length >= 2) {
+      routes.push({
+        name: `Day ${dayNumber}${date ? ` (${date})` : ''}`,
+        day: dayNumber,
+        points: dayWaypoints.map(point => ({ name: point.name, lat: point.lat, lng: point.lng }))
+      });
+    }
+  });
+
+  return { name: trip.name || 'Trip', waypoints, routes };
+};
+
+// Collect waypoints from a list of POI rows (no routes)
+const buildPOICollection = (name, pois) => {
+  const waypoints = [];
+  for (const poi of pois) {
+    const coordinates = getPOICoordinates(poi);
+    if (!coordinates) continue;
+    waypoints.push({
+      name: poi.name,
+      description: poi.description || null,
+      lat: coordinates.lat,
+      lng: coordinates.lng,
+      icon: poi.icon || null,
+      type: poi.type || null,
+      poiId: poi.id
+    });
+  }
+  return { name, waypoints, routes: [] };
+};
+
+const buildGPX = (collection) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Tripyy" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata>${xmlElement('name', collection.name)}<time>${new Date().toISOString()}</time></metadata>`
+  ];
+
+  // GPX wants all waypoints before any route
+  for (const waypoint of collection.waypoints) {
+    const description = [waypoint.time, waypoint.description].filter(Boolean).join(' - ');
+    lines.push(`  <wpt lat="${waypoint.lat}" lon="${waypoint.lng}">` +
+      xmlElement('time', waypoint.timestamp) +
+      xmlElement('name', waypoint.name) +
+      xmlElement('desc', description) +
+      xmlElement('type', waypoint.type) +
+      '</wpt>');
+  }
+  for (const route of collection.routes) {
+    lines.push(`  <rte>${xmlElement('name', route.name)}<number>${route.day}</number>`);
+    for (const point of route.points) {
+      lines.push(`    <rtept lat="${point.lat}" lon="${point.lng}">${xmlElement('name', point.name)}</rtept>`);
+    }
+    lines.push('  </rte>');
+  }
+
+  lines.push('</gpx>');
+  return lines.join('\n');
+};
+
+const buildKML = (collection) => {
+  const placemark = (waypoint) => {
+    const description = [waypoint.date, waypoint.time, waypoint.description].filter(Boolean).join(' - ');
+    return `    <Placemark>${xmlElement('name', waypoint.name)}${xmlElement('description', description)}` +
+      `<Point><coordinates>${waypoint.lng},${waypoint.lat}</coordinates></Point></Placemark>`;
+  };
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `  ${xmlElement('name', collection.name)}`
+  ];
+
+  // One folder per itinerary day (with its route), POIs without a day at the top level
+  const days = [...new Set(collection.waypoints.map(waypoint => waypoint.day).filter(day => day !== undefined))];
+  for (const waypoint of collection.waypoints.filter(w => w.day === undefined)) {
+    lines.push(placemark(waypoint));
+  }
+  for (const day of days) {
+    const route = collection.routes.find(r => r.day === day);
+    lines.push(`  <Folder>${xmlElement('name', route ? route.name : `Day ${day}`)}`);
+    for (const waypoint of collection.waypoints.filter(w => w.day === day)) {
+      lines.push(placemark(waypoint));
+    }
+    if (route) {
+      const coordinates = route.points.map(point => `${point.lng},${point.lat}`).join(' ');
+      lines.push(`    <Placemark>${xmlElement('name', `${route.name} route`)}` +
+        `<LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString></Placemark>`);
+    }
+    lines.push('  </Folder>');
+  }
+
+  lines.push('</Document>', '</kml>');
+  return lines.join('\n');
+};
+
+const buildGeoJSON = (collection) => {
+  const features = collection.waypoints.map(({ lat, lng, ...properties }) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [lng, lat] },
+    properties: { kind: 'waypoint', ...properties }
+  }));
+  for (const route of collection.routes) {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: route.points.map(point => [point.lng, point.lat]) },
+      properties: { kind: 'route', name: route.name, day: route.day }
+    });
+  }
+  return JSON.stringify({ type: 'FeatureCollection', name: collection.name, features }, null, 2);
+};
+
+const BUILDERS = { gpx: buildGPX, kml: buildKML, geojson: buildGeoJSON };
+
+// Serialize a collection; returns { body, contentType, fileName }
+const exportCollection = (collection, format) => {
+  const slug = (collection.name || 'export')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return {
+    body: BUILDERS[format](collection),
+    contentType: `${EXPORT_FORMATS[format].contentType}; charset=utf-8`,
+    fileName: `${slug || 'export'}.${EXPORT_FORMATS[format].extension}`
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  getPOICoordinates,
+  buildTripCollection,
+  buildPOICollection,
+  exportCollection
+};
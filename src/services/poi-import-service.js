@@ -0,0 +1,384 @@
+const dbService = require('./database-service');
+const { isValidLatLng, getDistanceKm } = require('../utils/geo');
+const { MAX_POI_CATEGORIES, parseCategoryRefs, resolveCategoryRefs } = require('../utils/poi-categories');
+const poiDuplicates = require('../utils/poi-duplicates');
+const { validatePOIDetails } = require('../utils/poi-details');
+const { toPOILocation } = require('../utils/poi-edits');
+
+// Bulk POI import from GeoJSON, KML and CSV files, used by POST /api/pois/import
+// and the import-pois.js script.
+//
+// Each format is parsed into the same entries first:
+//   { row, name, lat, lng, description, icon, categories, openingHours, website, phone }
+// (or { row, error } when a row can't be read), then every entry is validated,
+// checked for duplicates and created. The report lists every row as
+// created, skipped (likely duplicate) or failed, with the reason.
+
+const IMPORT_FORMATS = ['geojson', 'kml', 'csv'];
+const MAX_IMPORT_ROWS = 1000;
+
+// Read the format from a file name, falling back to sniffing the content
+const detectImportFormat = (filename, content) => {
+  const extension = String(filename || '').toLowerCase().split('.').pop();
+  if (extension === 'json' || extension === 'geojson') return 'geojson';
+  if (IMPORT_FORMATS.includes(extension)) return extension;
+
+  const start = String(content || '').trimStart();
+  if (start.startsWith('{')) return 'geojson';
+  if (start.startsWith('<')) return 'kml';
+  return start ? 'csv' : null;
+};
+
+// Optional text field of an import row; blank values are left out
+const readText = (value) => {
+  if (value === undefined || value === null) return undefined;
+  const text = String(value).trim();
+  return text || undefined;
+};
+
+// Read a coordinate written as a number or a numeric string
+const readNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || !value.trim()) return NaN;
+  return Number(value.trim());
+};
+
+// Category lists are "a;b", "a|b" or "a,b" (quoted in CSV)
+const readCategoryList = (value) => {
+  if (Array.isArray(value)) return value;
+  const text = readText(value);
+  return text ? text.split(/[;|,]/) : undefined;
+};
+
+// Split CSV text into records of fields (RFC 4180 quoting, any line ending).
+// Each record keeps the line it starts on for the report.
+const parseCSVRecords = (text) => {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+      fields = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    records.push({ line: recordLine, fields });
+  }
+  return records.filter(record => record.fields.some(value => value.trim() !== ''));
+};
+
+// Accepted CSV headers for each entry field
+const CSV_COLUMNS = {
+  name: ['name', 'title'],
+  lat: ['lat', 'latitude'],
+  lng: ['lng', 'lon', 'long', 'longitude'],
+  description: ['description'],
+  icon: ['icon'],
+  categories: ['categories', 'category'],
+  website: ['website', 'url'],
+  phone: ['phone']
+};
+
+const parseCSV = (content) => {
+  const [header, ...records] = parseCSVRecords(String(content).replace(/^\uFEFF/, ''));
+  if (!header) return { entries: [] };
+
+  const headers = header.fields.map(value => value.trim().toLowerCase());
+  const columns = {};
+  for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+    const index = headers.findIndex(value => names.includes(value));
+    if (index !== -1) columns[field] = index;
+  }
+  if (columns.name === undefined || columns.lat === undefined || columns.lng === undefined) {
+    return { error: 'CSV files need a header row with name, lat and lng columns' };
+  }
+
+  const entries = records.map(({ line, fields }) => {
+    const value = (field) => (columns[field] === undefined ? undefined : fields[columns[field]]);
+    return {
+      row: line,
+      name: readText(value('name')),
+      lat: readNumber(value('lat')),
+      lng: readNumber(value('lng')),
+      description: readText(value('description')),
+      icon: readText(value('icon')),
+      categories: readCategoryList(value('categories')),
+      website: readText(value('website')),
+      phone: readText(value('phone'))
+    };
+  });
+  return { entries };
+};
+
+const parseGeoJSON = (content) => {
+  let data;
+  try {
+    data = typeof content === 'string' ? JSON.parse(content) : content;
+  } catch (error) {
+    return { error: 'File is not valid JSON' };
+  }
+
+  let features = null;
+  if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) features = data.features;
+  else if (data?.type === 'Feature') features = [data];
+  if (!features) {
+    return { error: 'GeoJSON must be a Feature or a FeatureCollection' };
+  }
+
+  const entries = features.map((feature, index) => {
+    const row = index + 1;
+    const geometry = feature?.geometry;
+    if (geometry?.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+      return { row, name: readText(feature?.properties?.name), error: 'Only Point features can be imported' };
+    }
+    const properties = feature.properties || {};
+    const [lng, lat] = geometry.coordinates;
+    return {
+      row,
+      name: readText(properties.name ?? properties.title),
+      lat: readNumber(lat),
+      lng: readNumber(lng),
+      description: readText(properties.description),
+      icon: readText(properties.icon),
+      categories: readCategoryList(properties.categories ?? properties.category),
+      openingHours: properties.openingHours ?? undefined,
+      website: readText(properties.website),
+      phone: readText(properties.phone)
+    };
+  });
+  return { entries };
+};
+
+const decodeXml = (text) => String(text)
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, data) => data.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'))
+  .replace(/<[^>]*>/g, '')
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Text of the first <tag> inside xml (namespace prefixes are ignored)
+const readXmlElement = (xml, tag) => {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`));
+  return match ? match[1] : undefined;
+};
+
+const parseKML = (content) => {
+  const text = String(content);
+  if (!/<(?:\w+:)?kml\b/.test(text)) {
+    return { error: 'File is not a KML document' };
+  }
+
+  const placemarks = [...text.matchAll(/<(?:\w+:)?Placemark\b[^>]*>([\s\S]*?)<\/(?:\w+:)?Placemark>/g)];
+  const entries = placemarks.map(([, placemark], index) => {
+    const row = index + 1;
+    const name = readText(decodeXml(readXmlElement(placemark, 'name') ?? ''));
+    const point = readXmlElement(placemark, 'Point');
+    const coordinates = point !== undefined ? readXmlElement(point, 'coordinates') : undefined;
+    if (coordinates === undefined) {
+      return { row, name, error: 'Only Point placemarks can be imported' };
+    }
+
+    // <ExtendedData><Data name="website"><value>...</value></Data>
+    const data = {};
+    for (const [, key, body] of placemark.matchAll(/<(?:\w+:)?Data\b[^>]*\bname="([^"]*)"[^>]*>([\s\S]*?)<\/(?:\w+:)?Data>/g)) {
+      data[key.toLowerCase()] = decodeXml(readXmlElement(body, 'value') ?? '');
+    }
+
+    const [lng, lat] = coordinates.trim().split(/\s+/)[0].split(',');
+    return {
+      row,
+      name,
+      lat: readNumber(lat),
+      lng: readNumber(lng),
+      description: readText(decodeXml(readXmlElement(placemark, 'description') ?? '')),
+      icon: readText(data.icon),
+      categories: readCategoryList(data.categories ?? data.category),
+      website: readText(data.website),
+      phone: readText(data.phone)
+    };
+  });
+  return { entries };
+};
+
+const PARSERS = { geojson: parseGeoJSON, kml: parseKML, csv: parseCSV };
+
+// Parse file content into import entries. Returns { entries } or { error }.
+const parseImportFile = (format, content) => {
+  if (!IMPORT_FORMATS.includes(format)) {
+    return { error: `Format must be one of: ${IMPORT_FORMATS.join(', ')}` };
+  }
+  const result = PARSERS[format](content);
+  if (result.error) return result;
+  if (result.entries.length === 0) {
+    return { error: 'The file has no places to import' };
+  }
+  if (result.entries.length > MAX_IMPORT_ROWS) {
+    return { error: `A file can import at most ${MAX_IMPORT_ROWS} places` };
+  }
+  return result;
+};
+
+// Validate an entry into the fields of a new POI; { valid, error, values }
+const validateImportEntry = (entry, allCategories) => {
+  if (entry.error) return { valid: false, error: entry.error };
+  if (!entry.name) return { valid: false, error: 'Name is required' };
+  if (!isValidLatLng(entry.lat, entry.lng)) {
+    return { valid: false, error: 'Coordinates must be a valid latitude and longitude' };
+  }
+
+  let categoryIds = [];
+  if (entry.categories !== undefined) {
+    const refs = parseCategoryRefs(entry.categories);
+    if (!refs) return { valid: false, error: 'Categories must be a list of category slugs or ids' };
+    const { categories, unknown } = resolveCategoryRefs(refs, allCategories);
+    if (unknown.length > 0) return { valid: false, error: `Unknown categories: ${unknown.join(', ')}` };
+    if (categories.length > MAX_POI_CATEGORIES) {
+      return { valid: false, error: `A POI can have at most ${MAX_POI_CATEGORIES} categories` };
+    }
+    categoryIds = categories.map(category => category.id);
+  }
+
+  const details = validatePOIDetails({ openingHours: entry.openingHours, website: entry.website, phone: entry.phone });
+  if (!details.valid) return details;
+
+  return {
+    valid: true,
+    values: {
+      name: entry.name,
+      lat: entry.lat,
+      lng: entry.lng,
+      description: entry.description || '',
+      icon: entry.icon || '',
+      categoryIds,
+      details: details.values
+    }
+  };
+};
+
+// Likely duplicates of a new place among existing POIs and the rows of the
+// same file accepted before it
+const findImportDuplicates = async ({ name, lat, lng }, accepted) => {
+  const { pois } = await dbService.searchPOIs({
+    origin: { lat, lng },
+    radiusKm: poiDuplicates.DUPLICATE_RADIUS_M / 1000,
+    limit: 20
+  });
+  const existing = poiDuplicates.findDuplicateCandidates(name, pois)
+    .map(({ poi, distanceM, similarity }) => ({ id: poi.id, name: poi.name, distanceM, similarity }));
+
+  const inFile = accepted
+    .map(other => ({
+      row: other.row,
+      name: other.name,
+      distanceM: Math.round(getDistanceKm({ lat, lng }, other) * 1000),
+      similarity: Math.round(poiDuplicates.getNameSimilarity(name, other.name) * 100) / 100
+    }))
+    .filter(candidate => poiDuplicates.isLikelyDuplicate(candidate.distanceM, candidate.similarity));
+
+  return [...existing, ...inFile];
+};
+
+// Validate and create the POIs of parsed entries for userId. With dryRun
+// nothing is written and the report says what would happen; likely duplicates
+// are skipped unless allowDuplicates is set.
+const importPOIs = async (entries, { userId, dryRun = false, allowDuplicates = false }) => {
+  const user = await dbService.getUserById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  const allCategories = await dbService.getPOICategories();
+
+  const rows = [];
+  const accepted = [];
+  for (const entry of entries) {
+    const report = { row: entry.row, name: entry.name ?? null };
+    const validation = validateImportEntry(entry, allCategories);
+    if (!validation.valid) {
+      rows.push({ ...report, status: 'failed', reason: validation.error });
+      continue;
+    }
+    const place = validation.values;
+
+    try {
+      if (!allowDuplicates) {
+        const duplicates = await findImportDuplicates(place, accepted);
+        if (duplicates.length > 0) {
+          rows.push({ ...report, status: 'skipped', reason: 'This place may already exist', duplicates });
+          continue;
+        }
+      }
+
+      let poiId = null;
+      if (!dryRun) {
+        poiId = await dbService.createPOI({
+          name: place.name,
+          location: toPOILocation({ lat: place.lat, lng: place.lng }),
+          photos: [],
+          icon: place.icon,
+          type: 'public',
+          author: user.traveler_profile?.nickname || user.name || '',
+          userId: String(user.id),
+          reviews: [],
+          averageRating: 0,
+          reviewCount: 0,
+          likes: [],
+          likeCount: 0,
+          createdAt: new Date().toISOString(),
+          description: place.description,
+          categoryIds: place.categoryIds,
+          ...place.details
+        });
+      }
+      accepted.push({ row: entry.row, name: place.name, lat: place.lat, lng: place.lng });
+      rows.push({ ...report, status: 'created', poiId });
+    } catch (error) {
+      console.error(`POI import error (row ${entry.row}):`, error);
+      rows.push({ ...report, status: 'failed', reason: 'Could not save this place' });
+    }
+  }
+
+  const summary = { total: rows.length, created: 0, skipped: 0, failed: 0 };
+  for (const row of rows) summary[row.status]++;
+  return { dryRun, summary, rows };
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  detectImportFormat,
+  parseImportFile,
+  importPOIs
+};
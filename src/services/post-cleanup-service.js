@@ -0,0 +1,24 @@
+const dbService = require('./database-service');
+const cloudinaryService = require('./cloudinary');
+const { ARCHIVE_RETENTION_DAYS } = require('../utils/post-expiry');
+
+// Hourly post cleanup (also run by `npm run cleanup-posts`): expired posts move
+// to their authors' archives, and posts archived more than
+// ARCHIVE_RETENTION_DAYS ago are deleted along with their Cloudinary photos.
+// A photo another post, POI or review still shows is kept.
+const cleanupExpiredPosts = async () => {
+  const archived = await dbService.archiveExpiredPosts();
+  const deleted = await dbService.deleteArchivedPosts(ARCHIVE_RETENTION_DAYS);
+
+  const photos = deleted.flatMap(post => (Array.isArray(post.photos) ? post.photos : []))
+    .filter(photo => typeof photo === 'string' && photo);
+  if (photos.length > 0) {
+    const inUse = new Set(await dbService.getImageUrlsInUse(photos));
+    await cloudinaryService.deleteImages(photos.filter(photo => !inUse.has(photo)));
+  }
+  return { archived, deleted };
+};
+
+module.exports = {
+  cleanupExpiredPosts
+};
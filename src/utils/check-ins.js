@@ -0,0 +1,26 @@
+// Proximity rules for POI check-ins.
+//
+// A check-in counts when the device position is within CHECK_IN_RADIUS_M of
+// the POI. The reported GPS accuracy widens the radius, but only up to
+// MAX_ACCURACY_ALLOWANCE_M so a vague fix can't check in from across town.
+
+const { getDistanceKm } = require('./geo');
+
+const CHECK_IN_RADIUS_M = 150;
+const MAX_ACCURACY_ALLOWANCE_M = 100;
+// A user can check in at the same POI once in this many hours
+const CHECK_IN_COOLDOWN_HOURS = 12;
+
+// Distance in meters from the POI and whether it is close enough to check in
+const verifyCheckInDistance = (poiCoordinates, position, accuracyM = 0) => {
+  const distanceM = Math.round(getDistanceKm(poiCoordinates, position) * 1000);
+  const allowedM = CHECK_IN_RADIUS_M + Math.min(Math.max(accuracyM || 0, 0), MAX_ACCURACY_ALLOWANCE_M);
+  return { distanceM, allowedM, withinRange: distanceM <= allowedM };
+};
+
+module.exports = {
+  CHECK_IN_RADIUS_M,
+  MAX_ACCURACY_ALLOWANCE_M,
+  CHECK_IN_COOLDOWN_HOURS,
+  verifyCheckInDistance
+};
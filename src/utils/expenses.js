@@ -0,0 +1,167 @@
+// Helpers for trip expenses: currency conversion and budget-vs-actual rollups.
+//
+// Rates are stored in the currency_rates table as units of the currency per
+// 1 USD, so converting between any two currencies goes through USD.
+
+const { getItineraryDays, getDayDate, toDateString } = require('./itinerary');
+
+const EXPENSE_CATEGORIES = ['accommodation', 'transport', 'food', 'activities', 'shopping', 'other'];
+
+// Largest amount the DECIMAL(12,2) amount columns hold
+const MAX_EXPENSE_AMOUNT = 9999999999.99;
+
+const DEFAULT_BASE_CURRENCY = 'USD';
+
+// Starting rates (units per 1 USD), seeded into currency_rates on first run.
+// Admins keep them current through PUT /api/admin/currency-rates.
+const DEFAULT_CURRENCY_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  ILS: 3.7,
+  JPY: 150,
+  CAD: 1.36,
+  AUD: 1.52,
+  NZD: 1.64,
+  CHF: 0.88,
+  SEK: 10.5,
+  NOK: 10.6,
+  DKK: 6.9,
+  PLN: 4,
+  CZK: 23,
+  HUF: 360,
+  TRY: 32,
+  CNY: 7.2,
+  HKD: 7.8,
+  SGD: 1.34,
+  KRW: 1330,
+  INR: 83,
+  THB: 36,
+  AED: 3.67,
+  EGP: 48,
+  MAD: 10,
+  ZAR: 18.5,
+  MXN: 17,
+  BRL: 5
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const isCurrencyCode = (value) => typeof value === 'string' && /^[A-Z]{3}$/.test(value);
+
+// Get the trip's base currency (budget.currency, falling back to USD)
+const getBaseCurrency = (trip) => {
+  const currency = trip?.budget?.currency;
+  return isCurrencyCode(currency) ? currency : DEFAULT_BASE_CURRENCY;
+};
+
+// Convert an amount between currencies using a { CODE: unitsPerUsd } map.
+// Returns null when either rate is unknown.
+const convertAmount = (amount, from, to, rates) => {
+  if (from === to) return roundAmount(Number(amount));
+  const fromRate = Number(rates[from]);
+  const toRate = Number(rates[to]);
+  if (!fromRate || !toRate) return null;
+  return roundAmount((Number(amount) / fromRate) * toRate);
+};
+
+// Work out the itinerary day number of a date ("day" is 1-based)
+const getDayNumberForDate = (date, startDate) => {
+  const dateString = toDateString(date);
+  const start = toDateString(startDate);
+  if (!dateString || !start) return null;
+  const diff = (Date.parse(dateString) - Date.parse(start)) / 86400000;
+  return diff >= 0 ? diff + 1 : null;
+};
+
+// Number of days in the trip, from the dates or else from the itinerary
+const getTripDayCount = (trip) => {
+  const start = toDateString(trip.start_date);
+  const end = toDateString(trip.end_date);
+  if (start && end && end >= start) {
+    return (Date.parse(end) - Date.parse(start)) / 86400000 + 1;
+  }
+  return getItineraryDays(trip.itinerary).length;
+};
+
+// Planned amounts per category, from budget.categories ({ food: 300, ... })
+const getCategoryBudgets = (trip) => {
+  const categories = trip?.budget?.categories;
+  if (!categories || typeof categories !== 'object') return {};
+  const planned = {};
+  for (const [category, amount] of Object.entries(categories)) {
+    const value = Number(amount);
+    if (Number.isFinite(value)) planned[category] = value;
+  }
+  return planned;
+};
+
+// Budget-vs-actual rollups for a trip. Expenses must already carry
+// convertedAmount (in the base currency); ones that couldn't be converted are
+// reported in unconverted instead of being counted.
+const summarizeExpenses = (trip, expenses) => {
+  const currency = getBaseCurrency(trip);
+  const totalBudget = Number(trip?.budget?.total) || 0;
+  const categoryBudgets = getCategoryBudgets(trip);
+  const dayCount = getTripDayCount(trip);
+  const dailyBudget = totalBudget && dayCount ? roundAmount(totalBudget / dayCount) : null;
+
+  const byCategory = {};
+  const byDay = {};
+  const unconverted = [];
+  let spent = 0;
+
+  for (const category of [...EXPENSE_CATEGORIES, ...Object.keys(categoryBudgets)]) {
+    byCategory[category] = { category, planned: categoryBudgets[category] ?? null, spent: 0 };
+  }
+  for (let day = 1; day <= dayCount; day++) {
+    byDay[day] = { day, date: getDayDate({ day }, day - 1, trip.start_date), planned: dailyBudget, spent: 0 };
+  }
+
+  for (const expense of expenses) {
+    if (expense.convertedAmount === null) {
+      unconverted.push({ id: expense.id, amount: expense.amount, currency: expense.currency });
+      continue;
+    }
+    spent += expense.convertedAmount;
+
+    const category = byCategory[expense.category] || (byCategory[expense.category] = { category: expense.category, planned: null, spent: 0 });
+    category.spent += expense.convertedAmount;
+
+    const dayKey = expense.day || 'unscheduled';
+    const day = byDay[dayKey] || (byDay[dayKey] = {
+      day: expense.day || null,
+      date: expense.day ? getDayDate({ day: expense.day }, expense.day - 1, trip.start_date) : null,
+      planned: expense.day ? dailyBudget : null,
+      spent: 0
+    });
+    day.spent += expense.convertedAmount;
+  }
+
+  const withRemaining = (row) => ({
+    ...row,
+    spent: roundAmount(row.spent),
+    remaining: row.planned === null ? null : roundAmount(row.planned - row.spent)
+  });
+
+  return {
+    currency,
+    budget: totalBudget || null,
+    spent: roundAmount(spent),
+    remaining: totalBudget ? roundAmount(totalBudget - spent) : null,
+    byCategory: Object.values(byCategory).filter(row => row.spent > 0 || row.planned !== null).map(withRemaining),
+    byDay: Object.values(byDay).sort((a, b) => (a.day ?? Infinity) - (b.day ?? Infinity)).map(withRemaining),
+    unconverted
+  };
+};
+
+module.exports = {
+  EXPENSE_CATEGORIES,
+  MAX_EXPENSE_AMOUNT,
+  DEFAULT_CURRENCY_RATES,
+  isCurrencyCode,
+  getBaseCurrency,
+  convertAmount,
+  getDayNumberForDate,
+  summarizeExpenses
+};
@@ -0,0 +1,42 @@
+// Orderings and cursors of the home feed.
+//
+// Every ordering sorts by a rank, then newest first: trending posts rank by
+// likes and comments in the TRENDING_WINDOW_HOURS before the feed was opened,
+// friends-first by whether a friend wrote the post and near-me by (negative)
+// distance. Trending only ranks posts from the TRENDING_MAX_POST_AGE_DAYS
+// before the feed was opened, so the score isn't computed for every permanent
+// post ever written. A cursor holds the last post's rank, created_at and id
+// plus the time the feed was opened (asOf), so later pages don't shift when
+// new posts, likes or comments come in.
+
+const FEED_SORTS = ['latest', 'trending', 'friends', 'nearby'];
+const TRENDING_WINDOW_HOURS = 72;
+const TRENDING_MAX_POST_AGE_DAYS = 30;
+// Comments count for more than likes in the trending score
+const TRENDING_COMMENT_WEIGHT = 2;
+
+const encodeFeedCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+// Read a cursor made for the same sort; null when it isn't one
+const decodeFeedCursor = (value, sort) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    const valid = cursor && cursor.sort === sort &&
+      !Number.isNaN(Date.parse(cursor.asOf)) &&
+      typeof cursor.rank === 'number' && Number.isFinite(cursor.rank) &&
+      typeof cursor.createdAt === 'string' && !Number.isNaN(Date.parse(cursor.createdAt)) &&
+      Number.isInteger(cursor.id);
+    return valid ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  FEED_SORTS,
+  TRENDING_WINDOW_HOURS,
+  TRENDING_MAX_POST_AGE_DAYS,
+  TRENDING_COMMENT_WEIGHT,
+  encodeFeedCursor,
+  decodeFeedCursor
+};
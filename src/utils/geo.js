@@ -0,0 +1,98 @@
+// Coordinate helpers shared by POIs, itineraries and map features.
+//
+// Locations are stored in several shapes: { lat, lng }, { latitude, longitude },
+// or wrapped as { coordinates: { lat, lng } } (POI location JSONB has all three).
+
+const EARTH_RADIUS_KM = 6371;
+
+const isValidLatLng = (lat, lng) => {
+  return typeof lat === 'number' && typeof lng === 'number' &&
+    Number.isFinite(lat) && Number.isFinite(lng) &&
+    Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+};
+
+// Read { lat, lng } from any of the stored shapes; null when there are none
+const readCoordinates = (value) => {
+  if (!value || typeof value !== 'object') return null;
+  const lat = typeof value.lat === 'number' ? value.lat : value.latitude;
+  const lng = typeof value.lng === 'number' ? value.lng : value.longitude;
+  if (isValidLatLng(lat, lng)) return { lat, lng };
+  return value.coordinates && value.coordinates !== value ? readCoordinates(value.coordinates) : null;
+};
+
+// Great-circle distance in kilometers
+const getDistanceKm = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+// Parse "lat,lng" (query string form); null when it isn't a valid position
+const parseLatLng = (value) => {
+  const parts = String(value ?? '').split(',').map(part => part.trim());
+  if (parts.length !== 2 || parts.some(part => part === '')) return null;
+  const [lat, lng] = parts.map(Number);
+  return isValidLatLng(lat, lng) ? { lat, lng } : null;
+};
+
+// Parse "minLng,minLat,maxLng,maxLat" (GeoJSON bbox order). minLng may be
+// greater than maxLng for a box that crosses the antimeridian.
+const parseBoundingBox = (value) => {
+  const parts = String(value ?? '').split(',').map(part => part.trim());
+  if (parts.length !== 4 || parts.some(part => part === '')) return null;
+  const [minLng, minLat, maxLng, maxLat] = parts.map(Number);
+  if (!isValidLatLng(minLat, minLng) || !isValidLatLng(maxLat, maxLng) || minLat > maxLat) return null;
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+// Split a bounding box into boxes that don't cross the antimeridian
+const splitBoundingBox = (box) => {
+  if (box.minLng <= box.maxLng) return [box];
+  return [
+    { ...box, maxLng: 180 },
+    { ...box, minLng: -180 }
+  ];
+};
+
+// Center of a bounding box (accounting for antimeridian crossing)
+const getBoundingBoxCenter = (box) => {
+  const width = box.minLng <= box.maxLng ? box.maxLng - box.minLng : box.maxLng + 360 - box.minLng;
+  let lng = box.minLng + width / 2;
+  if (lng > 180) lng -= 360;
+  return { lat: (box.minLat + box.maxLat) / 2, lng };
+};
+
+// Bounding box around a circle, for prefiltering a radius search through the
+// spatial index before the exact distance check. Near the poles the box
+// covers every longitude.
+const getRadiusBoundingBox = (center, radiusKm) => {
+  const dLat = radiusKm / KM_PER_DEGREE_LAT;
+  const minLat = Math.max(-90, center.lat - dLat);
+  const maxLat = Math.min(90, center.lat + dLat);
+  const cosLat = Math.cos(center.lat * Math.PI / 180);
+  const dLng = cosLat > 0 ? radiusKm / (KM_PER_DEGREE_LAT * cosLat) : 360;
+
+  if (minLat === -90 || maxLat === 90 || dLng >= 180) {
+    return { minLng: -180, minLat, maxLng: 180, maxLat };
+  }
+
+  const wrap = (lng) => (lng > 180 ? lng - 360 : lng < -180 ? lng + 360 : lng);
+  return { minLng: wrap(center.lng - dLng), minLat, maxLng: wrap(center.lng + dLng), maxLat };
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  isValidLatLng,
+  readCoordinates,
+  getDistanceKm,
+  parseLatLng,
+  parseBoundingBox,
+  splitBoundingBox,
+  getBoundingBoxCenter,
+  getRadiusBoundingBox
+};
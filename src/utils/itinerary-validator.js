@@ -0,0 +1,225 @@
+// Itinerary validation: flags problems in a trip plan without rejecting it.
+//
+// Each problem is a warning object with a type, a severity ('error' for days
+// and activities that can't be read, 'warning' for a plan that doesn't add up
+// or a time given as free text), the day and activity it refers to, and a
+// readable message.
+
+const {
+  getItineraryDays,
+  normalizeActivity,
+  parseClockTime,
+  parseActivityTime,
+  toDateString,
+  getDayDate,
+  getActivityCoordinates,
+  getActivityPoiId
+} = require('./itinerary');
+const { getDistanceKm } = require('./geo');
+const { isOpenAtLocalTime } = require('./opening-hours');
+
+// Fastest plausible travel, used to decide whether a gap is impossible:
+// city traffic for short hops, intercity ground travel, or a flight with
+// time for getting to and through the airport
+const LOCAL_SPEED_KMH = 50;
+const INTERCITY_SPEED_KMH = 100;
+const FLIGHT_SPEED_KMH = 700;
+const FLIGHT_OVERHEAD_MINUTES = 120;
+const LOCAL_DISTANCE_KM = 50;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const toMinutes = (time) => time.hours * 60 + time.minutes;
+
+const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60) % 24;
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Shortest plausible travel time in minutes for a distance
+const getMinimumTravelMinutes = (distanceKm) => {
+  if (distanceKm <= LOCAL_DISTANCE_KM) {
+    return distanceKm / LOCAL_SPEED_KMH * 60;
+  }
+  const ground = distanceKm / INTERCITY_SPEED_KMH * 60;
+  const flight = distanceKm / FLIGHT_SPEED_KMH * 60 + FLIGHT_OVERHEAD_MINUTES;
+  return Math.min(ground, flight);
+};
+
+// Check the time fields of an activity; returns a problem description or null
+const getTimeProblem = (activity) => {
+  const raw = activity.time || activity.startTime;
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (typeof raw !== 'string' || !parseActivityTime(activity)) {
+    return `Can't read the time "${raw}"`;
+  }
+  if (activity.endTime && !parseClockTime(activity.endTime)) {
+    return `Can't read the end time "${activity.endTime}"`;
+  }
+  return null;
+};
+
+const validateDay = (day, index, options, warnings) => {
+  const dayNumber = Number.isInteger(day?.day) ? day.day : index + 1;
+  const warn = (warning) => warnings.push({ day: dayNumber, ...warning });
+
+  if (!day || typeof day !== 'object') {
+    warn({ type: 'malformed_day', severity: 'error', message: `Day ${dayNumber} is not an object` });
+    return;
+  }
+
+  // Day falls outside the trip dates
+  const date = getDayDate(day, index, options.startDate);
+  if (date && ((options.startDate && date < options.startDate) || (options.endDate && date > options.endDate))) {
+    warn({
+      type: 'day_outside_trip_dates',
+      severity: 'warning',
+      date,
+      message: `Day ${dayNumber} (${date}) is outside the trip dates ${options.startDate || '?'} to ${options.endDate || '?'}`
+    });
+  }
+
+  if (day.activities !== undefined && !Array.isArray(day.activities)) {
+    warn({ type: 'malformed_day', severity: 'error', message: `Day ${dayNumber} activities are not a list` });
+    return;
+  }
+
+  // Collect timed activities, flagging ones whose times can't be read
+  const timed = [];
+  (day.activities || []).forEach((raw, activityIndex) => {
+    const activity = normalizeActivity(raw);
+    if (!activity) {
+      warn({ type: 'malformed_activity', severity: 'error', activityIndex, message: `Activity ${activityIndex + 1} on day ${dayNumber} is empty` });
+      return;
+    }
+
+    const timeProblem = getTimeProblem(activity);
+    if (timeProblem) {
+      // Free-text times ("Morning") are common in older plans: flag, don't fail
+      warn({ type: 'malformed_time', severity: 'warning', activityIndex, activity: activity.title, message: `${timeProblem} for "${activity.title}" on day ${dayNumber}` });
+      return;
+    }
+
+    const time = parseActivityTime(activity);
+    if (!time) return;
+
+    const start = toMinutes(time.start);
+
+    // The POI it visits is closed at that time (per its opening hours)
+    const poiId = getActivityPoiId(activity);
+    const poi = poiId ? options.poisById.get(poiId) : null;
+    if (date && poi && isOpenAtLocalTime(poi.opening_hours, date, start) === false) {
+      warn({
+        type: 'poi_closed',
+        severity: 'warning',
+        activityIndex,
+        activity: activity.title,
+        poiId,
+        date,
+        message: `${poi.name || activity.title} is closed at ${formatMinutes(start)} on day ${dayNumber} (${date})`
+      });
+    }
+
+    let end = time.end ? toMinutes(time.end) : null;
+    // An end before the start runs past midnight
+    if (end !== null && end <= start) end += MINUTES_PER_DAY;
+    timed.push({ activity, activityIndex, start, end, coordinates: getActivityCoordinates(activity) });
+  });
+
+  timed.sort((a, b) => a.start - b.start);
+
+  // Last activity with coordinates, for travel checks across ones without
+  let lastLocated = timed[0]?.coordinates ? timed[0] : null;
+  // Activity that runs latest so far, so one spanning several later ones is
+  // reported against each of them
+  let latest = timed[0];
+
+  for (let i = 1; i < timed.length; i++) {
+    const previous = timed[i - 1];
+    const current = timed[i];
+    const latestEnd = latest.end ?? latest.start;
+
+    // Overlapping times (or two activities starting at the same time)
+    if (current.start < latestEnd || current.start === previous.start) {
+      const other = current.start < latestEnd ? latest : previous;
+      warn({
+        type: 'overlapping_times',
+        severity: 'warning',
+        activityIndex: current.activityIndex,
+        activities: [other.activity.title, current.activity.title],
+        message: `"${current.activity.title}" at ${formatMinutes(current.start)} overlaps "${other.activity.title}" on day ${dayNumber}`
+      });
+      if ((current.end ?? current.start) > latestEnd) latest = current;
+      continue;
+    }
+    latest = current;
+
+    // Not enough time to get from the last place to this one
+    if (lastLocated && current.coordinates) {
+      const distanceKm = getDistanceKm(lastLocated.coordinates, current.coordinates);
+      const availableMinutes = current.start - (lastLocated.end ?? lastLocated.start);
+      const requiredMinutes = Math.ceil(getMinimumTravelMinutes(distanceKm));
+      if (requiredMinutes > availableMinutes) {
+        warn({
+          type: 'impossible_travel',
+          severity: 'warning',
+          activityIndex: current.activityIndex,
+          activities: [lastLocated.activity.title, current.activity.title],
+          distanceKm: Math.round(distanceKm * 10) / 10,
+          availableMinutes,
+          requiredMinutes,
+          message: `"${current.activity.title}" is ${Math.round(distanceKm)} km from "${lastLocated.activity.title}" but only ${availableMinutes} minutes later on day ${dayNumber} (needs at least ${requiredMinutes})`
+        });
+      }
+    }
+    if (current.coordinates) lastLocated = current;
+  }
+};
+
+// Validate an itinerary against the trip dates and the opening hours of the
+// POIs it visits (poisById, POI rows by id). Returns { valid, warnings }, where
+// valid is false only when a day or activity couldn't be read at all.
+const validateItinerary = (itinerary, { startDate = null, endDate = null, poisById = new Map() } = {}) => {
+  const warnings = [];
+  const options = { startDate: toDateString(startDate), endDate: toDateString(endDate), poisById };
+
+  if (itinerary !== null && itinerary !== undefined && !Array.isArray(itinerary) &&
+      !(typeof itinerary === 'object' && (Array.isArray(itinerary.days) || Object.keys(itinerary).length === 0))) {
+    warnings.push({ type: 'malformed_itinerary', severity: 'error', message: 'Itinerary must be a list of days' });
+    return { valid: false, warnings };
+  }
+
+  const seen = new Set();
+  getItineraryDays(itinerary).forEach((day, index) => {
+    const dayNumber = Number.isInteger(day?.day) ? day.day : index + 1;
+    if (seen.has(dayNumber)) {
+      warnings.push({ type: 'duplicate_day', severity: 'warning', day: dayNumber, message: `Day ${dayNumber} appears more than once` });
+    }
+    seen.add(dayNumber);
+    validateDay(day, index, options, warnings);
+  });
+
+  return {
+    valid: !warnings.some(warning => warning.severity === 'error'),
+    warnings
+  };
+};
+
+// Read the itinerary an assistant reply carries after [ITINERARY] (a ```json
+// list of days, see deepseekService); null when there is none
+const extractItineraryBlock = (text) => {
+  if (typeof text !== 'string') return null;
+  const match = text.match(/```json\s*\n([\s\S]*?)\n\s*```/);
+  if (!match) return null;
+  try {
+    const itinerary = JSON.parse(match[1]);
+    return Array.isArray(itinerary) ? itinerary : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  validateItinerary,
+  extractItineraryBlock
+};
@@ -0,0 +1,184 @@
+// Helpers for reading trip itineraries.
+//
+// Itineraries are stored as JSONB and come from several producers (the app,
+// the [ITINERARY] block from the LLM, aiAgent, seed data), so the shapes vary:
+// an array of days or { days: [...] }, activities as objects or plain strings,
+// and times like "09:00", "9am" or "09:00 - 10:30".
+
+const { readCoordinates } = require('./geo');
+
+const TIME_PATTERN = /^(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?$|^(\d{1,2}):(\d{2})$/i;
+const RANGE_SEPARATOR = /\s*(?:-|–|—|\bto\b)\s*/i;
+
+// Get the list of days from an itinerary, whatever shape it was saved in
+const getItineraryDays = (itinerary) => {
+  if (Array.isArray(itinerary)) return itinerary;
+  if (itinerary && Array.isArray(itinerary.days)) return itinerary.days;
+  return [];
+};
+
+// Normalize an activity entry into an object with a title
+const normalizeActivity = (activity) => {
+  if (typeof activity === 'string') {
+    return { title: activity };
+  }
+  if (!activity || typeof activity !== 'object') {
+    return null;
+  }
+  return {
+    ...activity,
+    title: activity.activity || activity.title || activity.name || 'Activity'
+  };
+};
+
+// Parse a clock time ("14:30", "2:30 pm", "9am") into { hours, minutes }
+const parseClockTime = (value) => {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(TIME_PATTERN);
+  if (!match) return null;
+
+  let hours;
+  let minutes;
+  if (match[4] !== undefined) {
+    hours = parseInt(match[4], 10);
+    minutes = parseInt(match[5], 10);
+  } else {
+    hours = parseInt(match[1], 10);
+    minutes = match[2] ? parseInt(match[2], 10) : 0;
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3].toLowerCase() === 'p' ? 12 : 0);
+  }
+
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+};
+
+// Parse an activity's time into { start, end } (end may be null).
+// Returns null when the activity has no time or it can't be read.
+const parseActivityTime = (activity) => {
+  const raw = activity.time || activity.startTime;
+  if (typeof raw !== 'string' || raw.trim() === '') return null;
+
+  const [startPart, endPart] = raw.trim().split(RANGE_SEPARATOR);
+  const start = parseClockTime(startPart);
+  if (!start) return null;
+
+  const endRaw = endPart || activity.endTime;
+  const end = endRaw ? parseClockTime(endRaw) : null;
+  return { start, end };
+};
+
+// Format a DATE column value or date string as YYYY-MM-DD
+const toDateString = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    // pg parses DATE columns as local midnight, so read local fields
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+// Add a number of days to a YYYY-MM-DD string
+const addDays = (dateString, days) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return date.toISOString().slice(0, 10);
+};
+
+// Work out the calendar date of an itinerary day: an explicit date on the day
+// wins, otherwise it's counted from the trip start date ("day" is 1-based)
+const getDayDate = (day, index, startDate) => {
+  const explicit = toDateString(day?.date);
+  if (explicit) return explicit;
+
+  const start = toDateString(startDate);
+  if (!start) return null;
+
+  const dayNumber = Number.isInteger(day?.day) ? day.day : index + 1;
+  return addDays(start, dayNumber - 1);
+};
+
+// Read coordinates from an activity ({ coordinates: {lat,lng} }, { location:
+// {lat,lng} or {latitude,longitude} }, or lat/lng on the activity itself)
+const getActivityCoordinates = (activity) => {
+  return readCoordinates(activity.coordinates) || readCoordinates(activity.location) || readCoordinates(activity);
+};
+
+// Get the POI id an activity points at, if any
+const getActivityPoiId = (activity) => {
+  const id = activity.poiId ?? activity.poi_id ?? activity.poi?.id;
+  const parsed = parseInt(id, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+// Append activities to a day of an itinerary (1-based dayNumber), keeping the
+// shape it was saved in. Days are matched by their "day" number, or by position
+// when they have none; a missing day is added (after empty days filling the gap
+// when days are numbered by position). Activities pointing at a POI the day
+// already has are skipped. Returns { itinerary, added } with a new itinerary.
+const addActivitiesToDay = (itinerary, dayNumber, activities) => {
+  let days = [...getItineraryDays(itinerary)];
+  const getDayNumber = (day, i) => (Number.isInteger(day?.day) ? day.day : i + 1);
+  const index = days.findIndex((day, i) => getDayNumber(day, i) === dayNumber);
+  const day = index !== -1 && days[index] && typeof days[index] === 'object' ? days[index] : { day: dayNumber };
+  const existing = Array.isArray(day.activities) ? day.activities : [];
+  const poiIds = new Set(existing.map(normalizeActivity).filter(Boolean).map(getActivityPoiId).filter(id => id !== null));
+  const added = activities.filter(activity => {
+    const poiId = getActivityPoiId(activity);
+    if (poiId === null) return true;
+    if (poiIds.has(poiId)) return false;
+    poiIds.add(poiId);
+    return true;
+  });
+
+  if (index === -1 && !days.some(d => Number.isInteger(d?.day))) {
+    while (days.length < dayNumber - 1) days.push({ day: days.length + 1, activities: [] });
+    days.push({ ...day, activities: added });
+  } else if (index === -1) {
+    // Days without a number keep their position as their number
+    days = [...days.map((d, i) => [getDayNumber(d, i), d]), [dayNumber, { ...day, activities: added }]]
+      .sort((a, b) => a[0] - b[0])
+      .map(([, d]) => d);
+  } else {
+    days[index] = { ...day, activities: [...existing, ...added] };
+  }
+  const updated = itinerary && !Array.isArray(itinerary) && Array.isArray(itinerary.days) ? { ...itinerary, days } : days;
+  return { itinerary: updated, added };
+};
+
+// Point activities at POI toId instead of fromId (after a POI merge), keeping
+// the shape and field each activity used. Returns { itinerary, changed }.
+const replaceActivityPoiId = (itinerary, fromId, toId) => {
+  let changed = 0;
+  const replaceId = (value) => (typeof value === 'string' ? String(toId) : toId);
+  const replaceActivity = (activity) => {
+    if (!activity || typeof activity !== 'object' || getActivityPoiId(activity) !== fromId) return activity;
+    changed++;
+    if (activity.poiId !== undefined && activity.poiId !== null) return { ...activity, poiId: replaceId(activity.poiId) };
+    if (activity.poi_id !== undefined && activity.poi_id !== null) return { ...activity, poi_id: replaceId(activity.poi_id) };
+    return { ...activity, poi: { ...activity.poi, id: replaceId(activity.poi.id) } };
+  };
+  const days = getItineraryDays(itinerary).map(day => (day && Array.isArray(day.activities)
+    ? { ...day, activities: day.activities.map(replaceActivity) }
+    : day));
+  const updated = Array.isArray(itinerary) ? days : (itinerary && Array.isArray(itinerary.days) ? { ...itinerary, days } : itinerary);
+  return { itinerary: updated, changed };
+};
+
+module.exports = {
+  getItineraryDays,
+  normalizeActivity,
+  parseClockTime,
+  parseActivityTime,
+  toDateString,
+  addDays,
+  getDayDate,
+  getActivityCoordinates,
+  getActivityPoiId,
+  addActivitiesToDay,
+  replaceActivityPoiId
+};
@@ -0,0 +1,51 @@
+// Web Mercator tile math (the z/x/y scheme used by map SDKs), for serving POI
+// clusters per tile.
+
+// Web Mercator stops here; points further north or south go in the edge tiles
+const MAX_LATITUDE = 85.05112878;
+const MAX_ZOOM = 22;
+
+const tileXToLng = (x, zoom) => x / 2 ** zoom * 360 - 180;
+const tileYToLat = (y, zoom) => {
+  const n = Math.PI - 2 * Math.PI * y / 2 ** zoom;
+  return Math.atan(Math.sinh(n)) * 180 / Math.PI;
+};
+
+const isValidTile = (zoom, x, y) => {
+  if (![zoom, x, y].every(Number.isInteger)) return false;
+  if (zoom < 0 || zoom > MAX_ZOOM) return false;
+  const size = 2 ** zoom;
+  return x >= 0 && x < size && y >= 0 && y < size;
+};
+
+// Bounding box of a tile. Tiles on the top and bottom rows reach the poles so
+// that nothing north or south of the Mercator limit is left out.
+const getTileBoundingBox = (zoom, x, y) => {
+  const size = 2 ** zoom;
+  return {
+    minLng: tileXToLng(x, zoom),
+    minLat: y === size - 1 ? -90 : tileYToLat(y + 1, zoom),
+    maxLng: tileXToLng(x + 1, zoom),
+    maxLat: y === 0 ? 90 : tileYToLat(y, zoom)
+  };
+};
+
+// Tile a point belongs to. Tiles are half-open (a point on an edge belongs to
+// the tile east or south of it), matching the cells of getPOIClusters.
+const getTileForPoint = (zoom, lat, lng) => {
+  const size = 2 ** zoom;
+  const mercatorLat = Math.min(Math.max(lat, -MAX_LATITUDE), MAX_LATITUDE) * Math.PI / 180;
+  const y = Math.floor((1 - Math.log(Math.tan(mercatorLat) + 1 / Math.cos(mercatorLat)) / Math.PI) / 2 * size);
+  return {
+    x: Math.min(Math.floor((lng + 180) / 360 * size), size - 1),
+    y: Math.min(Math.max(y, 0), size - 1)
+  };
+};
+
+module.exports = {
+  MAX_LATITUDE,
+  MAX_ZOOM,
+  isValidTile,
+  getTileBoundingBox,
+  getTileForPoint
+};
@@ -0,0 +1,217 @@
+// Opening hours of POIs: a weekly schedule, dated exceptions and yearly
+// seasonal closures, all in the POI's own time zone.
+//
+// Stored shape (pois.opening_hours):
+//   {
+//     timezone: 'Europe/Paris',
+//     weekly: { mon: [{ open: '09:00', close: '18:00' }], ..., sun: [] },
+//     exceptions: [{ date: '2025-12-25', closed: true }, { date: '2025-12-24', hours: [...] }],
+//     seasonalClosures: [{ from: '11-01', to: '03-31', note: 'Winter' }]
+//   }
+// A day missing from weekly (or with no intervals) is closed. A close time at or
+// before the open time runs past midnight ("22:00"-"02:00").
+
+const { isValidTimezone } = require('../services/calendar-service');
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const MAX_INTERVALS_PER_DAY = 6;
+const MAX_EXCEPTIONS = 100;
+const MAX_SEASONAL_CLOSURES = 10;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// "HH:MM" to minutes after midnight; "24:00" is allowed as a close time
+const parseClock = (value, allowEndOfDay = false) => {
+  const match = typeof value === 'string' ? value.match(/^(\d{2}):(\d{2})$/) : null;
+  if (!match) return null;
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  if (parseInt(match[2], 10) > 59) return null;
+  if (minutes < MINUTES_PER_DAY || (allowEndOfDay && minutes === MINUTES_PER_DAY)) return minutes;
+  return null;
+};
+
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// "MM-DD" of a yearly date (02-29 is allowed)
+const isValidMonthDay = (value) => {
+  if (typeof value !== 'string' || !/^\d{2}-\d{2}$/.test(value)) return false;
+  return isValidDate(`2024-${value}`);
+};
+
+const validateIntervals = (intervals, label) => {
+  if (!Array.isArray(intervals)) {
+    return { valid: false, error: `${label} must be a list of { open, close } times` };
+  }
+  if (intervals.length > MAX_INTERVALS_PER_DAY) {
+    return { valid: false, error: `${label} can have at most ${MAX_INTERVALS_PER_DAY} intervals` };
+  }
+  const values = [];
+  for (const interval of intervals) {
+    const open = parseClock(interval?.open);
+    const close = parseClock(interval?.close, true);
+    if (open === null || close === null) {
+      return { valid: false, error: `${label} times must be "HH:MM"` };
+    }
+    values.push({ open: interval.open, close: interval.close });
+  }
+  return { valid: true, values };
+};
+
+// Validate opening hours sent by a client; values is the shape above
+const validateOpeningHours = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, error: 'openingHours must be an object' };
+  }
+  if (!isValidTimezone(input.timezone)) {
+    return { valid: false, error: 'openingHours.timezone must be a time zone name like "Europe/Paris"' };
+  }
+
+  const weekly = {};
+  if (input.weekly !== undefined && input.weekly !== null) {
+    if (typeof input.weekly !== 'object' || Array.isArray(input.weekly)) {
+      return { valid: false, error: 'openingHours.weekly must map weekdays (mon-sun) to intervals' };
+    }
+    for (const [day, intervals] of Object.entries(input.weekly)) {
+      if (!WEEKDAYS.includes(day)) {
+        return { valid: false, error: `Unknown weekday "${day}" (use ${WEEKDAYS.join(', ')})` };
+      }
+      const result = validateIntervals(intervals, `openingHours.weekly.${day}`);
+      if (!result.valid) return result;
+      weekly[day] = result.values;
+    }
+  }
+
+  const exceptions = [];
+  const inputExceptions = input.exceptions ?? [];
+  if (!Array.isArray(inputExceptions) || inputExceptions.length > MAX_EXCEPTIONS) {
+    return { valid: false, error: `openingHours.exceptions must be a list of up to ${MAX_EXCEPTIONS} dates` };
+  }
+  for (const exception of inputExceptions) {
+    if (!isValidDate(exception?.date)) {
+      return { valid: false, error: 'Exception dates must be "YYYY-MM-DD"' };
+    }
+    if (exceptions.some(existing => existing.date === exception.date)) {
+      return { valid: false, error: `Exception date ${exception.date} appears more than once` };
+    }
+    const value = { date: exception.date };
+    if (exception.closed === true) {
+      value.closed = true;
+    } else {
+      const result = validateIntervals(exception.hours, `Hours of ${exception.date}`);
+      if (!result.valid) return result;
+      value.hours = result.values;
+    }
+    if (typeof exception.note === 'string' && exception.note.trim()) {
+      value.note = exception.note.trim().slice(0, 200);
+    }
+    exceptions.push(value);
+  }
+
+  const seasonalClosures = [];
+  const inputClosures = input.seasonalClosures ?? [];
+  if (!Array.isArray(inputClosures) || inputClosures.length > MAX_SEASONAL_CLOSURES) {
+    return { valid: false, error: `openingHours.seasonalClosures must be a list of up to ${MAX_SEASONAL_CLOSURES} periods` };
+  }
+  for (const closure of inputClosures) {
+    if (!isValidMonthDay(closure?.from) || !isValidMonthDay(closure?.to)) {
+      return { valid: false, error: 'Seasonal closures need from and to as "MM-DD"' };
+    }
+    const value = { from: closure.from, to: closure.to };
+    if (typeof closure.note === 'string' && closure.note.trim()) {
+      value.note = closure.note.trim().slice(0, 200);
+    }
+    seasonalClosures.push(value);
+  }
+
+  return {
+    valid: true,
+    values: {
+      timezone: input.timezone,
+      weekly,
+      exceptions: exceptions.sort((a, b) => a.date.localeCompare(b.date)),
+      seasonalClosures
+    }
+  };
+};
+
+const getWeekday = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return WEEKDAYS[(new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7];
+};
+
+const getPreviousDate = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10);
+};
+
+// Closures run from..to inclusive and may wrap over the new year (11-01 to 03-31)
+const isSeasonallyClosed = (hours, dateString) => {
+  const monthDay = dateString.slice(5);
+  return (hours.seasonalClosures || []).some(({ from, to }) => (from <= to
+    ? monthDay >= from && monthDay <= to
+    : monthDay >= from || monthDay <= to));
+};
+
+// Intervals of a date (exception first, then the weekly schedule), or [] when closed
+const getDayIntervals = (hours, dateString) => {
+  if (isSeasonallyClosed(hours, dateString)) return [];
+  const exception = (hours.exceptions || []).find(e => e.date === dateString);
+  if (exception) return exception.closed ? [] : exception.hours || [];
+  return hours.weekly?.[getWeekday(dateString)] || [];
+};
+
+// Whether a POI is open at a wall-clock time (minutes after midnight) on a date
+// in its own time zone. null when it has no opening hours.
+const isOpenAtLocalTime = (hours, dateString, minutes) => {
+  if (!hours || typeof hours !== 'object') return null;
+
+  const isOpenIn = (interval, overnightPart) => {
+    const open = parseClock(interval.open);
+    const close = parseClock(interval.close, true);
+    if (open === null || close === null) return false;
+    if (close > open) return !overnightPart && minutes >= open && minutes < close;
+    // Runs past midnight: the evening part today, the early hours tomorrow
+    return overnightPart ? minutes < close : minutes >= open;
+  };
+
+  return getDayIntervals(hours, dateString).some(interval => isOpenIn(interval, false)) ||
+    getDayIntervals(hours, getPreviousDate(dateString)).some(interval => isOpenIn(interval, true));
+};
+
+// Date ("YYYY-MM-DD") and minutes after midnight of an instant in a time zone
+const getLocalDateTime = (instant, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(instant);
+  const value = (type) => parts.find(part => part.type === type).value;
+  return {
+    date: `${value('year')}-${value('month')}-${value('day')}`,
+    minutes: parseInt(value('hour'), 10) * 60 + parseInt(value('minute'), 10)
+  };
+};
+
+// Whether a POI is open at an instant (a Date). null when it has no opening hours.
+const isOpenAt = (hours, instant) => {
+  if (!hours || typeof hours !== 'object' || !isValidTimezone(hours.timezone)) return null;
+  const { date, minutes } = getLocalDateTime(instant, hours.timezone);
+  return isOpenAtLocalTime(hours, date, minutes);
+};
+
+module.exports = {
+  WEEKDAYS,
+  parseClock,
+  isValidDate,
+  validateOpeningHours,
+  isOpenAtLocalTime,
+  isOpenAt
+};
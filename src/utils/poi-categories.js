@@ -0,0 +1,144 @@
+// Helpers for the POI category taxonomy.
+//
+// Categories form a tree (poi_categories.parent_id) and POIs are tagged with
+// any number of them through poi_category_links. Filtering by a category also
+// matches the POIs tagged with one of its subcategories.
+
+const MAX_POI_CATEGORIES = 10;
+const MAX_SLUG_LENGTH = 50;
+
+// Starting taxonomy, seeded into poi_categories when the table is empty.
+// Admins edit it through the /api/admin/poi-categories endpoints.
+const DEFAULT_POI_CATEGORIES = [
+  {
+    slug: 'food', name: 'Food & Drink', icon: '🍽️',
+    children: [
+      { slug: 'restaurant', name: 'Restaurant', icon: '🍴' },
+      { slug: 'cafe', name: 'Café', icon: '☕' },
+      { slug: 'bar', name: 'Bar', icon: '🍸' },
+      { slug: 'street-food', name: 'Street Food', icon: '🌮' }
+    ]
+  },
+  {
+    slug: 'sights', name: 'Sights', icon: '🏛️',
+    children: [
+      { slug: 'museum', name: 'Museum', icon: '🖼️' },
+      { slug: 'viewpoint', name: 'Viewpoint', icon: '🔭' },
+      { slug: 'landmark', name: 'Landmark', icon: '🗽' },
+      { slug: 'historic-site', name: 'Historic Site', icon: '🏰' }
+    ]
+  },
+  {
+    slug: 'nature', name: 'Nature', icon: '🌳',
+    children: [
+      { slug: 'park', name: 'Park', icon: '🌲' },
+      { slug: 'beach', name: 'Beach', icon: '🏖️' },
+      { slug: 'hiking', name: 'Hiking Trail', icon: '🥾' }
+    ]
+  },
+  {
+    slug: 'activities', name: 'Activities', icon: '🎟️',
+    children: [
+      { slug: 'nightlife', name: 'Nightlife', icon: '🎶' },
+      { slug: 'shopping', name: 'Shopping', icon: '🛍️' },
+      { slug: 'sports', name: 'Sports', icon: '⚽' }
+    ]
+  },
+  {
+    slug: 'stay', name: 'Stay', icon: '🛏️',
+    children: [
+      { slug: 'hotel', name: 'Hotel', icon: '🏨' },
+      { slug: 'hostel', name: 'Hostel', icon: '🛌' },
+      { slug: 'campsite', name: 'Campsite', icon: '⛺' }
+    ]
+  },
+  {
+    slug: 'transport', name: 'Transport', icon: '🚉',
+    children: [
+      { slug: 'station', name: 'Station', icon: '🚆' },
+      { slug: 'parking', name: 'Parking', icon: '🅿️' }
+    ]
+  }
+];
+
+const isValidCategorySlug = (slug) => typeof slug === 'string' &&
+  slug.length <= MAX_SLUG_LENGTH &&
+  /^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug);
+
+// Make a slug from a category name ("Food & Drink" -> "food-drink")
+const slugify = (name) => String(name)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, MAX_SLUG_LENGTH)
+  .replace(/-+$/, '');
+
+// Read a list of category references: an array, or a comma-separated string
+// as in ?category=food,museum. Returns null when the value isn't a list.
+const parseCategoryRefs = (value) => {
+  const items = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(items)) return null;
+  const refs = [];
+  for (const item of items) {
+    if (typeof item !== 'string' && typeof item !== 'number') return null;
+    const ref = String(item).trim().toLowerCase();
+    if (ref && !refs.includes(ref)) refs.push(ref);
+  }
+  return refs;
+};
+
+// Match references (category ids or slugs) against category rows.
+// Returns { categories, unknown } with the refs that matched nothing in unknown.
+const resolveCategoryRefs = (refs, categories) => {
+  const matched = [];
+  const unknown = [];
+  for (const ref of refs) {
+    const category = /^\d+$/.test(ref)
+      ? categories.find(c => c.id === parseInt(ref, 10))
+      : categories.find(c => c.slug === ref);
+    if (!category) {
+      unknown.push(ref);
+    } else if (!matched.includes(category)) {
+      matched.push(category);
+    }
+  }
+  return { categories: matched, unknown };
+};
+
+// Ids of a category and of everything below it
+const getCategorySubtreeIds = (categories, categoryId) => {
+  const ids = [categoryId];
+  for (let i = 0; i < ids.length; i++) {
+    for (const category of categories) {
+      if (category.parent_id === ids[i] && !ids.includes(category.id)) {
+        ids.push(category.id);
+      }
+    }
+  }
+  return ids;
+};
+
+// Nest categories (objects with id and parentId) under their parents, keeping
+// the order they come in. Categories whose parent is missing become roots.
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId !== null ? nodes.get(node.parentId) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+  return roots;
+};
+
+module.exports = {
+  MAX_POI_CATEGORIES,
+  DEFAULT_POI_CATEGORIES,
+  isValidCategorySlug,
+  slugify,
+  parseCategoryRefs,
+  resolveCategoryRefs,
+  getCategorySubtreeIds,
+  buildCategoryTree
+};
@@ -0,0 +1,49 @@
+// Validation of the opening hours and contact fields of a POI, shared by the
+// POI endpoints and the bulk import.
+
+const { validateOpeningHours } = require('./opening-hours');
+
+// Only fields present in data are returned; null clears a field.
+const validatePOIDetails = (data) => {
+  const values = {};
+
+  if (data.openingHours !== undefined) {
+    if (data.openingHours === null) {
+      values.openingHours = null;
+    } else {
+      const result = validateOpeningHours(data.openingHours);
+      if (!result.valid) return result;
+      values.openingHours = result.values;
+    }
+  }
+
+  if (data.website !== undefined) {
+    const website = typeof data.website === 'string' ? data.website.trim() : data.website;
+    if (website !== null && website !== '') {
+      let url = null;
+      try {
+        url = new URL(website);
+      } catch (error) {
+        // Reported below
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol) || website.length > 500) {
+        return { valid: false, error: 'Website must be an http(s) URL of up to 500 characters' };
+      }
+    }
+    values.website = website || null;
+  }
+
+  if (data.phone !== undefined) {
+    const phone = typeof data.phone === 'string' ? data.phone.trim() : data.phone;
+    if (phone !== null && phone !== '' && !/^\+?[0-9 ()./-]{3,30}$/.test(phone)) {
+      return { valid: false, error: 'Phone must be a phone number of up to 30 characters' };
+    }
+    values.phone = phone || null;
+  }
+
+  return { valid: true, values };
+};
+
+module.exports = {
+  validatePOIDetails
+};
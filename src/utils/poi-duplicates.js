@@ -0,0 +1,91 @@
+// Fuzzy duplicate detection for POIs: the same place added twice a few meters
+// apart, under a slightly different name ("Café Central" / "Cafe Central Wien").
+//
+// Two POIs are likely duplicates when they are close and their names are
+// similar; the closer they are, the less similar the names need to be.
+
+// How far apart two POIs can be and still be the same place
+const DUPLICATE_RADIUS_M = 75;
+// Name similarity needed right on top of each other / at DUPLICATE_RADIUS_M
+const MIN_SIMILARITY_NEAR = 0.5;
+const MIN_SIMILARITY_FAR = 0.8;
+
+// Words that don't tell places apart
+const STOP_WORDS = new Set(['the', 'a', 'an', 'of', 'and', 'at', 'de', 'la', 'le', 'el', 'der', 'die', 'das']);
+
+// Lowercase, strip accents and punctuation, drop stop words
+const normalizePOIName = (name) => String(name || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .split(' ')
+  .filter(word => word && !STOP_WORDS.has(word))
+  .join(' ');
+
+const getBigrams = (text) => {
+  const compact = text.replace(/ /g, '');
+  const bigrams = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    bigrams.push(compact.slice(i, i + 2));
+  }
+  return bigrams;
+};
+
+// Similarity of two names from 0 to 1 (Dice coefficient over letter pairs).
+// A name whose words are all part of the other one counts as a full match,
+// so "Louvre" and "Louvre Museum" are treated as the same place.
+const getNameSimilarity = (a, b) => {
+  const nameA = normalizePOIName(a);
+  const nameB = normalizePOIName(b);
+  if (!nameA || !nameB) return 0;
+  if (nameA === nameB) return 1;
+
+  const wordsA = nameA.split(' ');
+  const wordsB = nameB.split(' ');
+  const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+  if (shorter.every(word => longer.includes(word))) return 1;
+
+  const bigramsA = getBigrams(nameA);
+  const bigramsB = getBigrams(nameB);
+  if (bigramsA.length === 0 || bigramsB.length === 0) return 0;
+
+  const counts = new Map();
+  for (const bigram of bigramsA) {
+    counts.set(bigram, (counts.get(bigram) || 0) + 1);
+  }
+  let shared = 0;
+  for (const bigram of bigramsB) {
+    if (counts.get(bigram) > 0) {
+      counts.set(bigram, counts.get(bigram) - 1);
+      shared++;
+    }
+  }
+  return 2 * shared / (bigramsA.length + bigramsB.length);
+};
+
+const isLikelyDuplicate = (distanceM, similarity) => {
+  if (distanceM > DUPLICATE_RADIUS_M) return false;
+  const needed = MIN_SIMILARITY_NEAR + (MIN_SIMILARITY_FAR - MIN_SIMILARITY_NEAR) * distanceM / DUPLICATE_RADIUS_M;
+  return similarity >= needed;
+};
+
+// Pick the likely duplicates of a new POI named name among nearby POI rows
+// (with distance_km, as returned by the POI search). Most similar first.
+const findDuplicateCandidates = (name, nearbyPois) => nearbyPois
+  .map(poi => ({
+    poi,
+    distanceM: Math.round(poi.distance_km * 1000),
+    similarity: Math.round(getNameSimilarity(name, poi.name) * 100) / 100
+  }))
+  .filter(candidate => isLikelyDuplicate(candidate.distanceM, candidate.similarity))
+  .sort((a, b) => b.similarity - a.similarity || a.distanceM - b.distanceM);
+
+module.exports = {
+  DUPLICATE_RADIUS_M,
+  normalizePOIName,
+  getNameSimilarity,
+  isLikelyDuplicate,
+  findDuplicateCandidates
+};
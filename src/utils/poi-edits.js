@@ -0,0 +1,57 @@
+// Helpers for POI edit suggestions and the POI change log.
+//
+// Any user can suggest changes to a POI; its creator or a moderator approves
+// or rejects them. Approved suggestions and the creator's own edits are logged
+// in poi_changes as { field: { from, to } }.
+
+const { readCoordinates } = require('./geo');
+
+// Fields that can be suggested and are tracked in the change log
+const POI_EDIT_FIELDS = ['name', 'description', 'location', 'openingHours', 'website', 'phone', 'categories'];
+
+const SUGGESTION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Location JSON stored on POIs; both shapes are kept for older clients
+const toPOILocation = ({ lat, lng }) => ({ lat, lng, coordinates: { lat, lng }, latitude: lat, longitude: lng });
+
+// Tracked fields of a POI row, given the ids of its categories
+const getPOIEditSnapshot = (poi, categoryIds = []) => ({
+  name: poi.name ?? '',
+  description: poi.description ?? '',
+  location: readCoordinates(poi.location),
+  openingHours: poi.opening_hours ?? null,
+  website: poi.website ?? null,
+  phone: poi.phone ?? null,
+  categories: [...categoryIds].sort((a, b) => a - b)
+});
+
+// JSONB doesn't keep key order, so compare objects with their keys sorted
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// Compare proposed values (any of POI_EDIT_FIELDS) with a snapshot.
+// Returns { field: { from, to } } for the fields that would change.
+const diffPOIEdit = (snapshot, changes) => {
+  const diff = {};
+  for (const field of POI_EDIT_FIELDS) {
+    if (changes[field] === undefined) continue;
+    const to = field === 'categories' ? [...changes[field]].sort((a, b) => a - b) : changes[field];
+    if (stableStringify(snapshot[field]) !== stableStringify(to)) {
+      diff[field] = { from: snapshot[field] ?? null, to };
+    }
+  }
+  return diff;
+};
+
+module.exports = {
+  POI_EDIT_FIELDS,
+  SUGGESTION_STATUSES,
+  toPOILocation,
+  getPOIEditSnapshot,
+  diffPOIEdit
+};
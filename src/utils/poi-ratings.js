@@ -0,0 +1,78 @@
+// Rating breakdowns and review listing options for POIs.
+//
+// Besides the 1-5 star rating a review can rate value, cleanliness and crowd
+// level (1 = empty, 5 = packed), each 1-5 and optional. Per POI they are
+// summed up into a star histogram and the average and count of each sub-rating.
+
+// Sub-rating keys and their poi_reviews columns
+const SUB_RATING_COLUMNS = {
+  value: 'value_rating',
+  cleanliness: 'cleanliness_rating',
+  crowdLevel: 'crowd_rating'
+};
+
+const REVIEW_SORTS = ['newest', 'most-liked', 'highest', 'lowest'];
+
+const isRating = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+
+// Validate { value, cleanliness, crowdLevel } (each 1-5 or null); missing keys are null
+const validateSubRatings = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, error: 'subRatings must be an object' };
+  }
+  const unknown = Object.keys(data).filter(key => !SUB_RATING_COLUMNS[key]);
+  if (unknown.length > 0) {
+    return { valid: false, error: `Unknown sub-ratings: ${unknown.join(', ')}` };
+  }
+  const values = {};
+  for (const key of Object.keys(SUB_RATING_COLUMNS)) {
+    const value = data[key] ?? null;
+    if (value !== null && !isRating(value)) {
+      return { valid: false, error: `${key} must be a rating from 1 to 5` };
+    }
+    values[key] = value;
+  }
+  return { valid: true, values };
+};
+
+// Read the sub-ratings of a poi_reviews row
+const readSubRatings = (review) => {
+  const subRatings = {};
+  for (const [key, column] of Object.entries(SUB_RATING_COLUMNS)) {
+    subRatings[key] = review[column] ?? null;
+  }
+  return subRatings;
+};
+
+// Read ?rating=4 or ?rating=4,5 into a list of star ratings; null when invalid
+const parseRatingFilter = (value) => {
+  const ratings = String(value).split(',').map(item => Number(item.trim()));
+  return ratings.length > 0 && ratings.every(isRating) ? [...new Set(ratings)] : null;
+};
+
+// Shape a rating summary row (stars_1..stars_5, <key>_average and <key>_count
+// for every sub-rating); a POI without reviews has no row
+const formatRatingSummary = (row = {}) => {
+  const distribution = {};
+  for (let stars = 1; stars <= 5; stars++) {
+    distribution[stars] = parseInt(row[`stars_${stars}`], 10) || 0;
+  }
+  const subRatings = {};
+  for (const key of Object.keys(SUB_RATING_COLUMNS)) {
+    const count = parseInt(row[`${key}_count`], 10) || 0;
+    subRatings[key] = {
+      average: count > 0 ? Math.round(Number(row[`${key}_average`]) * 100) / 100 : null,
+      count
+    };
+  }
+  return { distribution, subRatings };
+};
+
+module.exports = {
+  SUB_RATING_COLUMNS,
+  REVIEW_SORTS,
+  validateSubRatings,
+  readSubRatings,
+  parseRatingFilter,
+  formatRatingSummary
+};
@@ -0,0 +1,40 @@
+// Post lifetimes and retention.
+//
+// A post is a story (gone after STORY_LIFETIME_HOURS) or permanent; posts in
+// a community also follow the community's retention, when it has one.
+// Expired posts aren't deleted right away: they move to their author's archive
+// and are deleted, with their photos, ARCHIVE_RETENTION_DAYS later. Authors
+// deleting a post archive it the same way.
+
+const POST_LIFETIMES = ['story', 'permanent'];
+const STORY_LIFETIME_HOURS = 24;
+const ARCHIVE_RETENTION_DAYS = 30;
+const MAX_RETENTION_HOURS = 24 * 365;
+
+// expires_at of a post created at createdAt (null for permanent posts)
+const getPostExpiry = (lifetime, createdAt) => (lifetime === 'permanent'
+  ? null
+  : new Date(new Date(createdAt).getTime() + STORY_LIFETIME_HOURS * 60 * 60 * 1000));
+
+// Whether a post row is still up: not archived and not past expires_at (the
+// same rule as VISIBLE_POST_SQL in the database service)
+const isPostVisible = (post, now = new Date()) => !post.archived_at &&
+  (!post.expires_at || new Date(post.expires_at) > now);
+
+// Validate a community's post retention in hours; null removes it
+const validateRetentionHours = (value) => {
+  if (value === null) return { valid: true, values: null };
+  if (!Number.isInteger(value) || value < 1 || value > MAX_RETENTION_HOURS) {
+    return { valid: false, error: `postRetentionHours must be a whole number of hours from 1 to ${MAX_RETENTION_HOURS}, or null` };
+  }
+  return { valid: true, values: value };
+};
+
+module.exports = {
+  POST_LIFETIMES,
+  STORY_LIFETIME_HOURS,
+  ARCHIVE_RETENTION_DAYS,
+  getPostExpiry,
+  isPostVisible,
+  validateRetentionHours
+};
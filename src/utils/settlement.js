@@ -0,0 +1,156 @@
+// Helpers for splitting shared trip expenses and settling up.
+//
+// Everything is done in integer cents so shares always add up exactly and
+// balances net out to zero.
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Split an amount equally; leftover cents go to the first participants
+const splitEqually = (amount, userIds) => {
+  const total = toCents(amount);
+  const base = Math.floor(total / userIds.length);
+  const remainder = total - base * userIds.length;
+  return userIds.map((userId, index) => ({
+    userId,
+    amount: fromCents(base + (index < remainder ? 1 : 0))
+  }));
+};
+
+// Check custom shares ([{ userId, amount }]) against the expense amount.
+// Returns an error message, or null when the shares are valid.
+const validateCustomShares = (amount, shares) => {
+  if (!Array.isArray(shares) || shares.length === 0) {
+    return 'Custom splits need at least one share';
+  }
+  const seen = new Set();
+  let total = 0;
+  for (const share of shares) {
+    const userId = share?.userId ? String(share.userId) : null;
+    const value = Number(share?.amount);
+    if (!userId || !Number.isFinite(value) || value < 0) {
+      return 'Each share needs a userId and a non-negative amount';
+    }
+    if (seen.has(userId)) {
+      return 'Each person can only have one share';
+    }
+    seen.add(userId);
+    total += toCents(value);
+  }
+  if (total !== toCents(amount)) {
+    return 'Shares must add up to the expense amount';
+  }
+  return null;
+};
+
+// Net balance per user in cents: what they paid for others minus what others
+// paid for them. Expenses are { paidBy, amount, convertedAmount, shares }, with
+// share amounts in the expense currency; they're converted in proportion to
+// the expense so a split in any currency settles in the base currency.
+const calculateBalances = (expenses) => {
+  const balances = {};
+  const add = (userId, cents) => {
+    balances[userId] = (balances[userId] || 0) + cents;
+  };
+
+  for (const expense of expenses) {
+    if (!expense.paidBy || !expense.shares?.length || expense.convertedAmount === null) continue;
+
+    const total = toCents(expense.convertedAmount);
+    const original = toCents(expense.amount);
+    let allocated = 0;
+
+    expense.shares.forEach((share, index) => {
+      // The last share takes the rounding difference so the expense nets to zero
+      const cents = index === expense.shares.length - 1
+        ? total - allocated
+        : Math.round(total * toCents(share.amount) / original);
+      allocated += cents;
+      add(share.userId, -cents);
+    });
+    add(expense.paidBy, total);
+  }
+
+  return balances;
+};
+
+// Settle a group whose balances sum to zero with greedy largest-first matching
+// (a group of n people always settles in at most n - 1 transfers)
+const settleGroup = (entries) => {
+  const creditors = entries.filter(([, cents]) => cents > 0).map(([userId, cents]) => ({ userId, cents }));
+  const debtors = entries.filter(([, cents]) => cents < 0).map(([userId, cents]) => ({ userId, cents: -cents }));
+  const transfers = [];
+
+  while (creditors.length && debtors.length) {
+    creditors.sort((a, b) => b.cents - a.cents);
+    debtors.sort((a, b) => b.cents - a.cents);
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const cents = Math.min(creditor.cents, debtor.cents);
+
+    transfers.push({ from: debtor.userId, to: creditor.userId, amount: fromCents(cents) });
+    creditor.cents -= cents;
+    debtor.cents -= cents;
+    if (creditor.cents === 0) creditors.shift();
+    if (debtor.cents === 0) debtors.shift();
+  }
+
+  return transfers;
+};
+
+// Largest group size for the exact search below (it visits 3^n subsets)
+const EXACT_SETTLEMENT_LIMIT = 12;
+
+// Work out the smallest set of transfers that brings every balance to zero.
+// The minimum is n minus the largest number of disjoint groups whose balances
+// each sum to zero, found with a subset search for typical trip sizes; bigger
+// groups fall back to a single greedy pass.
+const minimizeTransfers = (balances) => {
+  const entries = Object.entries(balances).filter(([, cents]) => cents !== 0);
+  if (entries.length === 0) return [];
+  if (entries.length > EXACT_SETTLEMENT_LIMIT) return settleGroup(entries);
+
+  const n = entries.length;
+  const full = (1 << n) - 1;
+  const sums = new Array(full + 1).fill(0);
+  for (let mask = 1; mask <= full; mask++) {
+    const lowest = mask & -mask;
+    sums[mask] = sums[mask ^ lowest] + entries[Math.log2(lowest)][1];
+  }
+
+  // groups[mask] = most zero-sum groups the people in mask can be split into
+  const groups = new Array(full + 1).fill(-1);
+  const choice = new Array(full + 1).fill(0);
+  groups[0] = 0;
+  for (let mask = 1; mask <= full; mask++) {
+    if (sums[mask] !== 0) continue;
+    // Always include the lowest member so each partition is counted once
+    const lowest = mask & -mask;
+    const rest = mask ^ lowest;
+    for (let sub = rest; ; sub = (sub - 1) & rest) {
+      const group = sub | lowest;
+      const remaining = mask ^ group;
+      if (sums[group] === 0 && groups[remaining] >= 0 && groups[remaining] + 1 > groups[mask]) {
+        groups[mask] = groups[remaining] + 1;
+        choice[mask] = group;
+      }
+      if (sub === 0) break;
+    }
+  }
+
+  const transfers = [];
+  for (let mask = full; mask; mask ^= choice[mask]) {
+    const group = entries.filter((_, index) => choice[mask] & (1 << index));
+    transfers.push(...settleGroup(group));
+  }
+  return transfers;
+};
+
+module.exports = {
+  toCents,
+  fromCents,
+  splitEqually,
+  validateCustomShares,
+  calculateBalances,
+  minimizeTransfers
+};
@@ -0,0 +1,169 @@
+// Helpers for trip revision history.
+//
+// A revision stores a snapshot of the trip's plan fields after an update, plus
+// the previous values of the fields that changed, so it can be diffed against
+// what came before and restored later.
+
+const { getItineraryDays, normalizeActivity, toDateString } = require('./itinerary');
+
+// Trip columns tracked in revisions (sharing settings are managed separately).
+// numberOfTravelers is unquoted in the schema, so pg returns it lowercased.
+const TRIP_REVISION_FIELDS = {
+  name: 'name',
+  destination: 'destination',
+  summary: 'summary',
+  start_date: 'start_date',
+  end_date: 'end_date',
+  itinerary: 'itinerary',
+  preferences: 'preferences',
+  traveler_profile: 'traveler_profile',
+  budget: 'budget',
+  tips: 'tips',
+  suggestions: 'suggestions',
+  numberOfTravelers: 'numberoftravelers'
+};
+
+const DATE_FIELDS = ['start_date', 'end_date'];
+
+const normalizeValue = (field, value) => {
+  if (DATE_FIELDS.includes(field)) return toDateString(value);
+  return value === undefined ? null : value;
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Get the tracked fields of a trip row, keyed by updateTrip field names
+const getTripSnapshot = (trip) => {
+  const snapshot = {};
+  for (const [field, column] of Object.entries(TRIP_REVISION_FIELDS)) {
+    snapshot[field] = normalizeValue(field, trip[column]);
+  }
+  return snapshot;
+};
+
+// List the tracked fields whose values differ between two snapshots
+const getChangedFields = (before, after) => {
+  return Object.keys(TRIP_REVISION_FIELDS).filter(field => !isEqual(before[field], after[field]));
+};
+
+// Pick a subset of fields from a snapshot
+const pickFields = (snapshot, fields) => {
+  const picked = {};
+  for (const field of fields) {
+    picked[field] = snapshot[field] === undefined ? null : snapshot[field];
+  }
+  return picked;
+};
+
+// Activities are matched by id when they have one, otherwise by title
+const getActivityKey = (activity, index) => {
+  if (activity.id !== undefined && activity.id !== null) return `id:${activity.id}`;
+  if (activity.title) return `title:${activity.title.toLowerCase()}`;
+  return `index:${index}`;
+};
+
+const diffActivities = (beforeActivities, afterActivities) => {
+  const toMap = (activities) => {
+    const map = new Map();
+    (Array.isArray(activities) ? activities : []).forEach((raw, index) => {
+      const activity = normalizeActivity(raw);
+      if (!activity) return;
+      let key = getActivityKey(activity, index);
+      while (map.has(key)) key += '+';
+      map.set(key, activity);
+    });
+    return map;
+  };
+
+  const before = toMap(beforeActivities);
+  const after = toMap(afterActivities);
+  const added = [];
+  const removed = [];
+  const modified = [];
+
+  for (const [key, activity] of after) {
+    if (!before.has(key)) {
+      added.push(activity);
+      continue;
+    }
+    const previous = before.get(key);
+    const fields = [...new Set([...Object.keys(previous), ...Object.keys(activity)])]
+      .filter(field => !isEqual(previous[field], activity[field]));
+    if (fields.length > 0) {
+      modified.push({ title: activity.title, fields, before: previous, after: activity });
+    }
+  }
+  for (const [key, activity] of before) {
+    if (!after.has(key)) removed.push(activity);
+  }
+
+  return { added, removed, modified };
+};
+
+// Structured diff of two itineraries, day by day ("day" is 1-based)
+const diffItineraries = (beforeItinerary, afterItinerary) => {
+  const toMap = (itinerary) => {
+    const map = new Map();
+    getItineraryDays(itinerary).forEach((day, index) => {
+      const dayNumber = Number.isInteger(day?.day) ? day.day : index + 1;
+      map.set(dayNumber, day || {});
+    });
+    return map;
+  };
+
+  const before = toMap(beforeItinerary);
+  const after = toMap(afterItinerary);
+  const dayNumbers = [...new Set([...before.keys(), ...after.keys()])].sort((a, b) => a - b);
+  const days = [];
+
+  for (const dayNumber of dayNumbers) {
+    const previous = before.get(dayNumber);
+    const current = after.get(dayNumber);
+
+    if (!previous) {
+      days.push({ day: dayNumber, status: 'added', after: current });
+      continue;
+    }
+    if (!current) {
+      days.push({ day: dayNumber, status: 'removed', before: previous });
+      continue;
+    }
+    if (isEqual(previous, current)) continue;
+
+    const { activities: beforeActivities, ...beforeRest } = previous;
+    const { activities: afterActivities, ...afterRest } = current;
+    const fields = [...new Set([...Object.keys(beforeRest), ...Object.keys(afterRest)])]
+      .filter(field => !isEqual(beforeRest[field], afterRest[field]));
+
+    days.push({
+      day: dayNumber,
+      status: 'modified',
+      fields,
+      activities: diffActivities(beforeActivities, afterActivities)
+    });
+  }
+
+  return days;
+};
+
+// Diff two snapshots: plain before/after values per changed field, with the
+// itinerary broken down by day
+const diffSnapshots = (before, after) => {
+  const fields = getChangedFields(before, after);
+  const changes = {};
+  for (const field of fields) {
+    changes[field] = field === 'itinerary'
+      ? { days: diffItineraries(before.itinerary, after.itinerary) }
+      : { before: before[field], after: after[field] };
+  }
+  return { changedFields: fields, changes };
+};
+
+module.exports = {
+  TRIP_REVISION_FIELDS,
+  getTripSnapshot,
+  getChangedFields,
+  pickFields,
+  diffItineraries,
+  diffSnapshots
+};
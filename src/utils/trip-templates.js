@@ -0,0 +1,71 @@
+// Helpers for cloning trips and listing them as templates.
+
+const { getItineraryDays, toDateString, addDays } = require('./itinerary');
+
+const daysBetween = (from, to) => (Date.parse(to) - Date.parse(from)) / 86400000;
+
+// Number of days in a trip, from its dates or else from its itinerary
+const getTripDuration = (trip) => {
+  const start = toDateString(trip.start_date);
+  const end = toDateString(trip.end_date);
+  if (start && end && end >= start) {
+    return daysBetween(start, end) + 1;
+  }
+  const days = getItineraryDays(trip.itinerary).length;
+  return days || null;
+};
+
+// Copy itinerary days, moving explicit day dates by offsetDays. With no offset
+// (no new start date, or nothing to measure from) the dates are dropped and the
+// days fall back to their day numbers.
+const shiftItinerary = (itinerary, offsetDays) => {
+  const shiftDay = (day) => {
+    if (!day || typeof day !== 'object' || day.date === undefined) return day;
+    const { date, ...rest } = day;
+    const dateString = toDateString(date);
+    return offsetDays === null || !dateString ? rest : { ...rest, date: addDays(dateString, offsetDays) };
+  };
+
+  if (Array.isArray(itinerary)) return itinerary.map(shiftDay);
+  if (itinerary && Array.isArray(itinerary.days)) return { ...itinerary, days: itinerary.days.map(shiftDay) };
+  return itinerary || [];
+};
+
+// Build the trip data for a copy of source owned by userId, starting on
+// startDate (YYYY-MM-DD, optional). Budget amounts are only carried over when
+// the caller was allowed to see them; the traveler profile is the cloner's
+// (travelerProfile), never the source owner's.
+const buildClonedTrip = (source, { userId, travelerProfile = {}, startDate = null, name = null, includeBudget = false }) => {
+  const duration = getTripDuration(source);
+  const sourceStart = toDateString(source.start_date) ||
+    getItineraryDays(source.itinerary).map(day => toDateString(day?.date)).filter(Boolean).sort()[0] ||
+    null;
+  const offsetDays = startDate && sourceStart ? daysBetween(sourceStart, startDate) : null;
+  const budget = source.budget || {};
+
+  return {
+    userId,
+    name: name || source.name,
+    destination: source.destination,
+    summary: source.summary,
+    share_type: 'private',
+    start_date: startDate,
+    end_date: startDate && duration ? addDays(startDate, duration - 1) : null,
+    itinerary: shiftItinerary(source.itinerary, offsetDays),
+    preferences: source.preferences,
+    tips: source.tips,
+    suggestions: source.suggestions,
+    traveler_profile: travelerProfile,
+    numberOfTravelers: source.numberoftravelers ?? null,
+    budget: includeBudget
+      ? { ...budget, spent: 0 }
+      : { total: 0, spent: 0, currency: budget.currency || 'USD' },
+    cloned_from: source.id
+  };
+};
+
+module.exports = {
+  getTripDuration,
+  shiftItinerary,
+  buildClonedTrip
+};